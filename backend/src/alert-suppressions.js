@@ -0,0 +1,231 @@
+const { EventEmitter } = require('events');
+const deviceCache = require('./device-cache');
+const escalationEngine = require('./escalation-engine');
+const JsonlStore = require('./jsonl-store');
+const httpError = require('./http-error');
+
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+// Acknowledgements and snoozes for anything the dashboard flags. An alert id is
+// either an escalation id (`${ruleId}:${entity_id}`) or a device's entity_id
+// (summary cards, camera motion sensors).
+//
+// An acknowledgement lasts until the device's state changes again; a snooze also
+// ends when it expires. Every ack/snooze/release is appended to the audit trail
+// (data/alert-audit.jsonl) and active suppressions are rebuilt from it on start.
+//
+// Pushes the active list to socket.io clients as 'alert-suppressions'.
+class AlertSuppressions extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.cache = options.cache || deviceCache;
+    this.escalations = options.escalations || escalationEngine;
+    this.store = options.store || new JsonlStore('alert-audit.jsonl');
+    this.now = options.now || (() => Date.now());
+    this.checkInterval = options.checkInterval ?? 15000; // expire snoozes
+    this.suppressions = new Map(); // alert id → suppression
+    this.io = null;
+    this.checkTimer = null;
+    this.started = false;
+
+    this.handleChange = this.handleChange.bind(this);
+    this.handleEscalationCleared = this.handleEscalationCleared.bind(this);
+  }
+
+  attach(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      socket.emit('alert-suppressions', this.getSuppressions());
+    });
+  }
+
+  async start() {
+    if (this.started) return;
+
+    this.started = true;
+    await this.restore();
+
+    this.cache.on('change', this.handleChange);
+    this.escalations.on('cleared', this.handleEscalationCleared);
+    this.checkTimer = setInterval(() => this.expireSnoozes(), this.checkInterval);
+  }
+
+  stop() {
+    this.started = false;
+    this.cache.removeListener('change', this.handleChange);
+    this.escalations.removeListener('cleared', this.handleEscalationCleared);
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  // Replay the audit trail so acknowledgements survive restarts
+  async restore() {
+    try {
+      const records = await this.store.readAll();
+      records.forEach(record => {
+        if (record.type === 'ack' || record.type === 'snooze') {
+          this.suppressions.set(record.alertId, this.toSuppression(record));
+        } else if (record.type === 'release') {
+          this.suppressions.delete(record.alertId);
+        }
+      });
+
+      const now = this.now();
+      Array.from(this.suppressions.values())
+        .filter(suppression => suppression.until !== null && suppression.until <= now)
+        .forEach(suppression => this.suppressions.delete(suppression.alertId));
+
+      if (this.suppressions.size > 0) {
+        console.log(`[ALERTS] Restored ${this.suppressions.size} active acknowledgement(s)/snooze(s)`);
+      }
+    } catch (error) {
+      console.error('[ALERTS] Failed to restore acknowledgements from the audit trail:', error.message);
+    }
+  }
+
+  toSuppression(record) {
+    return {
+      alertId: record.alertId,
+      deviceId: record.deviceId,
+      type: record.type,
+      by: record.by,
+      note: record.note || null,
+      at: record.at,
+      until: record.until ?? null,
+      state: record.state
+    };
+  }
+
+  // Which device an alert id belongs to, and its current state
+  resolveAlert(alertId) {
+    const escalation = this.escalations.getActiveAlerts().find(alert => alert.id === alertId);
+    const deviceId = escalation ? escalation.deviceId : alertId;
+    const device = this.cache.getCachedDevices().find(candidate => candidate.id === deviceId);
+
+    if (!escalation && !device) {
+      throw httpError(404, `No active alert or device ${alertId}`);
+    }
+    return { deviceId, state: device ? device.state : null };
+  }
+
+  normalizeActor(by) {
+    const name = typeof by === 'string' ? by.trim().slice(0, 64) : '';
+    return name || 'unknown';
+  }
+
+  async acknowledge(alertId, { by, note } = {}) {
+    return this.suppress('ack', alertId, { by, note, until: null });
+  }
+
+  async snooze(alertId, { by, note, minutes = 30 } = {}) {
+    const duration = Number(minutes);
+    if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_SNOOZE_MINUTES) {
+      throw httpError(400, `Snooze minutes must be between 1 and ${MAX_SNOOZE_MINUTES}`);
+    }
+    return this.suppress('snooze', alertId, { by, note, until: this.now() + duration * 60000 });
+  }
+
+  async suppress(type, alertId, { by, note, until }) {
+    const { deviceId, state } = this.resolveAlert(alertId);
+    const record = {
+      type,
+      alertId,
+      deviceId,
+      by: this.normalizeActor(by),
+      note: note ? String(note).slice(0, 500) : null,
+      at: this.now(),
+      until,
+      state
+    };
+
+    await this.store.append(record);
+    const suppression = this.toSuppression(record);
+    this.suppressions.set(alertId, suppression);
+
+    console.log(`[ALERTS] ${alertId} ${type === 'ack' ? 'acknowledged' : 'snoozed'} by ${record.by}`);
+    this.publish();
+    return suppression;
+  }
+
+  async release(alertId, reason, by = null) {
+    const suppression = this.suppressions.get(alertId);
+    if (!suppression) return null;
+
+    this.suppressions.delete(alertId);
+    try {
+      await this.store.append({ type: 'release', alertId, deviceId: suppression.deviceId, reason, by, at: this.now() });
+    } catch (error) {
+      // Already logged by the store; the in-memory release still stands
+    }
+
+    console.log(`[ALERTS] ${alertId} suppression released (${reason})`);
+    this.publish();
+    return suppression;
+  }
+
+  async unsnooze(alertId, { by } = {}) {
+    if (!this.suppressions.has(alertId)) {
+      throw httpError(404, `Alert ${alertId} is not acknowledged or snoozed`);
+    }
+    return this.release(alertId, 'manual', this.normalizeActor(by));
+  }
+
+  handleChange(change) {
+    const deviceId = change.type === 'remove' ? change.id : change.entity.id;
+
+    Array.from(this.suppressions.values())
+      .filter(suppression => suppression.deviceId === deviceId)
+      .filter(suppression => change.type === 'remove' || change.entity.state !== suppression.state)
+      .forEach(suppression => this.release(suppression.alertId, change.type === 'remove' ? 'removed' : 'state-changed'));
+  }
+
+  handleEscalationCleared(alert) {
+    this.release(alert.id, 'cleared');
+  }
+
+  expireSnoozes() {
+    const now = this.now();
+    Array.from(this.suppressions.values())
+      .filter(suppression => suppression.until !== null && suppression.until <= now)
+      .forEach(suppression => this.release(suppression.alertId, 'expired'));
+  }
+
+  isSuppressed(alertId) {
+    return this.suppressions.has(alertId);
+  }
+
+  getSuppressions() {
+    return Array.from(this.suppressions.values());
+  }
+
+  // Audit trail, newest last. since/until are epoch ms (null when the caller
+  // couldn't parse one); limit keeps the newest N records
+  async getAuditTrail({ since, until, limit, filter } = {}) {
+    if (since === null || until === null || (since !== undefined && until !== undefined && since > until)) {
+      throw httpError(400, 'since/until must be epoch milliseconds or ISO timestamps, with since before until');
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw httpError(400, 'limit must be a positive integer');
+    }
+    return this.store.query({ since, until, limit, filter });
+  }
+
+  // Other alert activity for the audit trail (doorbell rings and quick actions)
+  log(record) {
+    return this.store.append({ ...record, at: record.at ?? this.now() });
+  }
+
+  publish() {
+    const suppressions = this.getSuppressions();
+    this.emit('change', suppressions);
+
+    if (this.io) {
+      this.io.emit('alert-suppressions', suppressions);
+    }
+  }
+}
+
+module.exports = new AlertSuppressions();
+module.exports.AlertSuppressions = AlertSuppressions;
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const httpError = require('./http-error');
+
+const REQUEST_TIMEOUT = 10000;
+
+// Blue Iris JSON API (POST /json). Logs in with the challenge/response scheme
+// (md5 of "user:session:password") on first use and again whenever a command
+// is refused, since sessions expire when Blue Iris restarts.
+class BlueIrisClient {
+  constructor({ url, user = '', password = '' }) {
+    this.url = url;
+    this.user = user;
+    this.password = password;
+    this.session = null;
+    this.pendingLogin = null;
+  }
+
+  post(body) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(`${this.url.replace(/\/+$/, '')}/json`);
+      const payload = JSON.stringify(body);
+      const transport = url.protocol === 'https:' ? https : http;
+
+      const request = transport.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(httpError(502, `Blue Iris returned ${response.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(httpError(502, 'Blue Iris returned invalid JSON'));
+          }
+        });
+      });
+
+      request.setTimeout(REQUEST_TIMEOUT, () => request.destroy(httpError(504, 'Blue Iris timed out')));
+      request.on('error', error => reject(error.statusCode ? error : httpError(502, `Blue Iris unreachable: ${error.message}`)));
+      request.end(payload);
+    });
+  }
+
+  async login() {
+    const challenge = await this.post({ cmd: 'login' });
+    const response = crypto.createHash('md5')
+      .update(`${this.user}:${challenge.session}:${this.password}`)
+      .digest('hex');
+    const result = await this.post({ cmd: 'login', session: challenge.session, response });
+
+    if (result.result !== 'success') {
+      throw httpError(502, `Blue Iris login failed${result.data?.reason ? `: ${result.data.reason}` : ''}`);
+    }
+    this.session = result.session;
+    return this.session;
+  }
+
+  ensureSession() {
+    if (this.session) return Promise.resolve(this.session);
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.login().finally(() => { this.pendingLogin = null; });
+    }
+    return this.pendingLogin;
+  }
+
+  async command(cmd, params = {}) {
+    let result = await this.post({ cmd, session: await this.ensureSession(), ...params });
+
+    if (result.result !== 'success') {
+      this.session = null;
+      result = await this.post({ cmd, session: await this.ensureSession(), ...params });
+    }
+    if (result.result !== 'success') {
+      throw httpError(502, `Blue Iris ${cmd} failed${result.data?.reason ? `: ${result.data.reason}` : ''}`);
+    }
+    return result.data;
+  }
+}
+
+module.exports = BlueIrisClient;
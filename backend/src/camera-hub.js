@@ -0,0 +1,160 @@
+const cameraSources = require('./camera-sources');
+
+function feedKey(camera, size) {
+  return `${camera.id}@${size.width}x${size.height}`;
+}
+
+// Shares one upstream connection per camera and size between every viewer.
+// A feed opens with its first viewer, hands late joiners the latest frame
+// straight away, and closes `gracePeriod` ms after its last viewer leaves (so
+// a page reload or the overlay replacing a grid tile reuses it). Upstream
+// errors and ends are passed to every viewer and drop the feed. Snapshots
+// come from an open feed's latest frame when there is one.
+class CameraHub {
+  constructor(options = {}) {
+    this.openStream = options.openStream || cameraSources.openStream;
+    this.gracePeriod = options.gracePeriod ?? (parseInt(process.env.CAMERA_STREAM_GRACE, 10) || 10000);
+    this.now = options.now || (() => Date.now());
+    this.snapshotMaxAge = options.snapshotMaxAge ?? 2000;
+    this.fetchSnapshot = options.fetchSnapshot || cameraSources.fetchSnapshot;
+    this.feeds = new Map(); // feedKey → feed
+    this.stills = new Map(); // feedKey → { frame, at } fetched for snapshots
+    this.pendingStills = new Map(); // feedKey → in-flight fetch
+  }
+
+  // viewer: { frame(jpeg), error(error), end() }. Returns an unsubscribe function.
+  // Throws if the camera's source can't be opened.
+  subscribe(camera, size, viewer) {
+    const key = feedKey(camera, size);
+    const feed = this.feeds.get(key) || this.openFeed(key, camera, size);
+
+    clearTimeout(feed.closeTimer);
+    feed.closeTimer = null;
+    feed.idleSince = null;
+    feed.viewers.add(viewer);
+    if (feed.lastFrame) viewer.frame(feed.lastFrame);
+
+    return () => this.unsubscribe(feed, viewer);
+  }
+
+  openFeed(key, camera, size) {
+    const feed = {
+      key,
+      camera,
+      size,
+      stream: this.openStream(camera, size),
+      viewers: new Set(),
+      lastFrame: null,
+      lastFrameAt: null,
+      frames: 0,
+      openedAt: this.now(),
+      idleSince: null,
+      closeTimer: null
+    };
+
+    feed.stream.on('frame', frame => {
+      feed.lastFrame = frame;
+      feed.lastFrameAt = this.now();
+      feed.frames++;
+      feed.viewers.forEach(viewer => viewer.frame(frame));
+    });
+    feed.stream.on('error', error => this.dropFeed(feed, viewer => viewer.error(error)));
+    feed.stream.on('end', () => this.dropFeed(feed, viewer => viewer.end()));
+
+    this.feeds.set(key, feed);
+    console.log(`[CAMERA-HUB] Opened ${key}`);
+    return feed;
+  }
+
+  unsubscribe(feed, viewer) {
+    if (!feed.viewers.delete(viewer) || feed.viewers.size > 0 || this.feeds.get(feed.key) !== feed) return;
+
+    feed.idleSince = this.now();
+    feed.closeTimer = setTimeout(() => this.closeFeed(feed), this.gracePeriod);
+  }
+
+  closeFeed(feed) {
+    clearTimeout(feed.closeTimer);
+    feed.stream.close();
+    if (this.feeds.get(feed.key) === feed) {
+      this.feeds.delete(feed.key);
+      console.log(`[CAMERA-HUB] Closed ${feed.key} after ${feed.frames} frames`);
+    }
+  }
+
+  dropFeed(feed, notify) {
+    const viewers = Array.from(feed.viewers);
+    feed.viewers.clear();
+    this.closeFeed(feed);
+    viewers.forEach(notify);
+  }
+
+  // Latest frame of any open feed of a camera, newest first
+  getLatestFrame(cameraId) {
+    let latest = null;
+    this.feeds.forEach(feed => {
+      if (feed.camera.id === cameraId && feed.lastFrame && (!latest || feed.lastFrameAt > latest.at)) {
+        latest = { frame: feed.lastFrame, at: feed.lastFrameAt, width: feed.size.width, height: feed.size.height };
+      }
+    });
+    return latest;
+  }
+
+  // Latest JPEG of a camera as { frame, at, source }: from an open feed when it
+  // has a recent frame (no extra upstream connection), else a recently fetched
+  // still, else a new still from the source. Concurrent fetches are shared.
+  async getSnapshot(camera, size) {
+    const live = this.getLatestFrame(camera.id);
+    if (live && this.now() - live.at <= this.snapshotMaxAge) {
+      return { frame: live.frame, at: live.at, source: 'stream' };
+    }
+
+    const key = feedKey(camera, size);
+    const still = this.stills.get(key);
+    if (still && this.now() - still.at <= this.snapshotMaxAge) {
+      return { ...still, source: 'still' };
+    }
+
+    if (!this.pendingStills.has(key)) {
+      const pending = this.fetchSnapshot(camera, size)
+        .then(frame => {
+          const fetched = { frame, at: this.now() };
+          this.stills.forEach((cached, cachedKey) => {
+            if (fetched.at - cached.at > this.snapshotMaxAge) this.stills.delete(cachedKey);
+          });
+          this.stills.set(key, fetched);
+          return fetched;
+        })
+        .finally(() => this.pendingStills.delete(key));
+      this.pendingStills.set(key, pending);
+    }
+    return { ...(await this.pendingStills.get(key)), source: 'still' };
+  }
+
+  getStats() {
+    const feeds = Array.from(this.feeds.values()).map(feed => ({
+      camera: feed.camera.id,
+      width: feed.size.width,
+      height: feed.size.height,
+      viewers: feed.viewers.size,
+      frames: feed.frames,
+      openedAt: feed.openedAt,
+      lastFrameAt: feed.lastFrameAt,
+      idleSince: feed.idleSince
+    }));
+
+    return {
+      upstreams: feeds.length,
+      viewers: feeds.reduce((total, feed) => total + feed.viewers, 0),
+      feeds
+    };
+  }
+
+  // End every viewer and close every upstream (shutdown)
+  stop() {
+    Array.from(this.feeds.values()).forEach(feed => this.dropFeed(feed, viewer => viewer.end()));
+  }
+}
+
+module.exports = new CameraHub();
+module.exports.CameraHub = CameraHub;
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const deviceCache = require('./device-cache');
+const cameraHub = require('./camera-hub');
+const cameraRegistry = require('./camera-registry');
+const JsonlStore = require('./jsonl-store');
+const { MjpegParser, MJPEG_BOUNDARY, encodeFrame } = require('./mjpeg');
+const httpError = require('./http-error');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ACTIVE_STATES = ['on', 'detected'];
+const EVENT_ID = /^\d+$/;
+
+function seconds(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed * 1000 : fallback;
+}
+
+// Records a short clip around every motion/person event of a camera. Each
+// recorded camera keeps a hub subscription, sampled into a rolling pre-roll
+// buffer (one frame per frameInterval). When one of its motion/person
+// entities turns on, the buffer plus the following frames are written to
+// DATA_DIR/clips/<camera>/<eventId>.mjpeg until postRoll after the last
+// entity clears (at most maxDuration). Event details, including each frame's
+// offset for paced playback, go in <eventId>.json next to the clip.
+//
+// Cameras with linked entities are recorded unless they set "record": false;
+// CAMERA_RECORDING=off disables recording. Clips older than
+// CLIP_RETENTION_DAYS are deleted.
+class CameraRecorder {
+  constructor(options = {}) {
+    this.cache = options.cache || deviceCache;
+    this.hub = options.hub || cameraHub;
+    this.registry = options.registry || cameraRegistry;
+    this.directory = path.resolve(options.directory || path.join(JsonlStore.DATA_DIR, 'clips'));
+    this.enabled = options.enabled ?? process.env.CAMERA_RECORDING !== 'off';
+    this.preRoll = options.preRoll ?? seconds(process.env.CLIP_PRE_ROLL, 5000);
+    this.postRoll = options.postRoll ?? seconds(process.env.CLIP_POST_ROLL, 10000);
+    this.maxDuration = options.maxDuration ?? 60000;
+    this.frameInterval = options.frameInterval ?? 500;
+    this.retentionDays = options.retentionDays || parseInt(process.env.CLIP_RETENTION_DAYS, 10) || 7;
+    this.pruneInterval = options.pruneInterval ?? 3600000;
+    this.retryDelay = options.retryDelay ?? 30000;
+    this.size = options.size || { width: 640, height: 480 };
+    this.now = options.now || (() => Date.now());
+
+    this.watched = new Map(); // camera id → { camera, entities, active, buffer, recording, unsubscribe, retryTimer }
+    this.saving = new Set(); // clips being written
+    this.pruneTimer = null;
+    this.started = false;
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  start() {
+    if (this.started || !this.enabled) return;
+    this.started = true;
+
+    this.registry.getCameras()
+      .filter(camera => camera.record)
+      .forEach(camera => {
+        const entities = new Map([
+          ...camera.motionEntities.map(entityId => [entityId, 'motion']),
+          ...camera.personEntities.map(entityId => [entityId, 'person'])
+        ]);
+        if (entities.size === 0) return;
+
+        const watch = { camera, entities, active: new Set(), buffer: [], recording: null, unsubscribe: null, retryTimer: null };
+        this.watched.set(camera.id, watch);
+        this.watch(watch);
+      });
+
+    this.cache.on('change', this.handleChange);
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), this.pruneInterval);
+    console.log(`[RECORDER] Recording motion clips for ${this.watched.size} cameras`);
+  }
+
+  // Resolves once clips in progress are saved
+  stop() {
+    this.started = false;
+    this.cache.removeListener('change', this.handleChange);
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+
+    this.watched.forEach(watch => {
+      clearTimeout(watch.retryTimer);
+      if (watch.unsubscribe) watch.unsubscribe();
+      if (watch.recording) this.finishRecording(watch);
+    });
+    this.watched.clear();
+    return Promise.all(Array.from(this.saving));
+  }
+
+  // Subscribe to the camera's feed; reconnect after retryDelay if it fails
+  watch(watch) {
+    const retry = () => {
+      watch.unsubscribe = null;
+      if (!this.started) return;
+      watch.retryTimer = setTimeout(() => this.watch(watch), this.retryDelay);
+    };
+
+    try {
+      watch.unsubscribe = this.hub.subscribe(watch.camera, this.size, {
+        frame: frame => this.handleFrame(watch, frame),
+        error: error => {
+          console.warn(`[RECORDER] Lost ${watch.camera.id}, retrying in ${this.retryDelay / 1000}s:`, error.message);
+          retry();
+        },
+        end: retry
+      });
+    } catch (error) {
+      console.error(`[RECORDER] Cannot watch ${watch.camera.id}:`, error.message);
+    }
+  }
+
+  handleFrame(watch, frame) {
+    const at = this.now();
+    const last = watch.recording ? watch.recording.lastFrameAt : watch.buffer[watch.buffer.length - 1]?.at;
+    if (last !== undefined && at - last < this.frameInterval) return;
+
+    if (watch.recording) {
+      this.writeFrame(watch.recording, frame, at);
+      if (at - watch.recording.startedAt >= this.maxDuration) this.finishRecording(watch);
+      return;
+    }
+
+    watch.buffer.push({ at, frame });
+    while (watch.buffer.length > 0 && at - watch.buffer[0].at > this.preRoll) {
+      watch.buffer.shift();
+    }
+  }
+
+  handleChange(change) {
+    const entityId = change.type === 'remove' ? change.id : change.entity.id;
+    const isActive = change.type !== 'remove' && ACTIVE_STATES.includes(change.entity.state);
+
+    this.watched.forEach(watch => {
+      if (!watch.entities.has(entityId)) return;
+
+      const wasActive = watch.active.size > 0;
+      if (isActive) {
+        watch.active.add(entityId);
+      } else {
+        watch.active.delete(entityId);
+      }
+
+      if (isActive && !wasActive && !watch.recording) {
+        this.startRecording(watch, entityId);
+      } else if (isActive && watch.recording) {
+        clearTimeout(watch.recording.stopTimer);
+        watch.recording.stopTimer = null;
+      } else if (wasActive && watch.active.size === 0 && watch.recording) {
+        watch.recording.stopTimer = setTimeout(() => this.finishRecording(watch), this.postRoll);
+      }
+    });
+  }
+
+  startRecording(watch, entityId) {
+    const triggeredAt = this.now();
+    const startedAt = watch.buffer.length > 0 ? watch.buffer[0].at : triggeredAt;
+    const id = String(triggeredAt);
+    const file = this.clipFile(watch.camera.id, id);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const recording = {
+      event: {
+        id,
+        camera: watch.camera.id,
+        entityId,
+        trigger: watch.entities.get(entityId),
+        startedAt,
+        triggeredAt,
+        endedAt: null,
+        frameCount: 0,
+        frameTimes: []
+      },
+      startedAt,
+      lastFrameAt: undefined,
+      output: fs.createWriteStream(file),
+      stopTimer: null,
+      maxTimer: setTimeout(() => this.finishRecording(watch), this.maxDuration)
+    };
+    recording.output.on('error', error => {
+      console.error(`[RECORDER] Failed to write ${file}:`, error.message);
+    });
+
+    watch.buffer.forEach(({ at, frame }) => this.writeFrame(recording, frame, at));
+    watch.buffer = [];
+    watch.recording = recording;
+    console.log(`[RECORDER] ${watch.camera.id}: ${recording.event.trigger} on ${entityId}, recording`);
+  }
+
+  writeFrame(recording, frame, at) {
+    recording.output.write(encodeFrame(frame));
+    recording.event.frameTimes.push(at - recording.startedAt);
+    recording.event.frameCount++;
+    recording.lastFrameAt = at;
+  }
+
+  finishRecording(watch) {
+    const recording = watch.recording;
+    if (!recording) return null;
+
+    watch.recording = null;
+    clearTimeout(recording.stopTimer);
+    clearTimeout(recording.maxTimer);
+
+    const event = { ...recording.event, endedAt: this.now() };
+    const saved = new Promise((resolve, reject) => {
+      recording.output.end(() => resolve());
+      recording.output.once('error', reject);
+    })
+      .then(() => fs.promises.writeFile(this.eventFile(event.camera, event.id), JSON.stringify(event) + '\n'))
+      .then(() => {
+        console.log(`[RECORDER] ${event.camera}: saved ${event.frameCount} frames (${Math.round((event.endedAt - event.startedAt) / 1000)}s)`);
+        return event;
+      })
+      .catch(error => {
+        console.error(`[RECORDER] Failed to save clip ${event.camera}/${event.id}:`, error.message);
+        return null;
+      })
+      .finally(() => this.saving.delete(saved));
+
+    this.saving.add(saved);
+    return saved;
+  }
+
+  clipFile(cameraId, eventId) {
+    return path.join(this.directory, cameraId, `${eventId}.mjpeg`);
+  }
+
+  eventFile(cameraId, eventId) {
+    return path.join(this.directory, cameraId, `${eventId}.json`);
+  }
+
+  // Saved events of a camera, newest first (in-progress recordings aren't listed)
+  async listEvents(cameraId, { since, until, limit } = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(path.join(this.directory, cameraId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const ids = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(id => EVENT_ID.test(id))
+      .filter(id => (since === undefined || Number(id) >= since) && (until === undefined || Number(id) <= until))
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, limit);
+
+    const events = [];
+    for (const id of ids) {
+      try {
+        events.push(JSON.parse(await fs.promises.readFile(this.eventFile(cameraId, id), 'utf8')));
+      } catch (error) {
+        console.warn(`[RECORDER] Skipping unreadable event ${cameraId}/${id}:`, error.message);
+      }
+    }
+    return events;
+  }
+
+  // API shape of an event: frame offsets are only needed for playback
+  describeEvent(event) {
+    const { frameTimes, ...details } = event;
+    const base = `/api/camera/${encodeURIComponent(event.camera)}/events/${event.id}`;
+    return { ...details, clipPath: `${base}/clip`, thumbnailPath: `${base}/thumbnail` };
+  }
+
+  async getEvent(cameraId, eventId) {
+    if (!EVENT_ID.test(eventId)) {
+      throw httpError(404, `Unknown event ${eventId}`);
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(this.eventFile(cameraId, eventId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw httpError(404, `Unknown event ${eventId}`);
+      throw error;
+    }
+  }
+
+  // The event and a readable stream of its frames (JPEG Buffers)
+  async openClip(cameraId, eventId) {
+    const event = await this.getEvent(cameraId, eventId);
+    const parser = new MjpegParser(MJPEG_BOUNDARY);
+    const input = fs.createReadStream(this.clipFile(cameraId, eventId));
+    input.on('error', error => parser.destroy(error));
+    parser.on('close', () => input.destroy());
+    return { event, frames: input.pipe(parser) };
+  }
+
+  // The first frame at or after the trigger
+  async getThumbnail(cameraId, eventId) {
+    const { event, frames } = await this.openClip(cameraId, eventId);
+    const triggerOffset = event.triggeredAt - event.startedAt;
+    const wanted = Math.max(0, event.frameTimes.findIndex(offset => offset >= triggerOffset));
+
+    let index = 0;
+    for await (const frame of frames) {
+      if (index++ === wanted) {
+        frames.destroy();
+        return frame;
+      }
+    }
+    throw httpError(404, `Event ${eventId} has no frames`);
+  }
+
+  // Delete clips (and orphans of interrupted recordings) older than the retention window
+  async prune() {
+    const oldestKept = this.now() - this.retentionDays * DAY;
+    let removed = 0;
+
+    try {
+      const cameras = await fs.promises.readdir(this.directory).catch(error => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      });
+
+      for (const cameraId of cameras) {
+        const files = await fs.promises.readdir(path.join(this.directory, cameraId));
+        for (const file of files) {
+          const filePath = path.join(this.directory, cameraId, file);
+          const stats = await fs.promises.stat(filePath);
+          if (stats.mtimeMs < oldestKept) {
+            await fs.promises.unlink(filePath);
+            removed++;
+          }
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`[RECORDER] Pruned ${removed} clip file(s) older than ${this.retentionDays} days`);
+      }
+    } catch (error) {
+      console.error('[RECORDER] Failed to prune clips:', error.message);
+    }
+  }
+}
+
+module.exports = new CameraRecorder();
+module.exports.CameraRecorder = CameraRecorder;
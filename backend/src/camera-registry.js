@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { ADAPTERS, supportsPtz } = require('./camera-sources');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const LOCAL_CAMERAS_FILE = path.join(CONFIG_DIR, 'cameras.json');
+const EXAMPLE_CAMERAS_FILE = path.join(CONFIG_DIR, 'cameras.example.json');
+
+// Replace ${NAME} with process.env.NAME in every string of a parsed config, so
+// hosts and credentials can stay in .env instead of the config file
+function expandEnv(value, env = process.env, missing = new Set()) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => {
+      if (env[name] === undefined) {
+        missing.add(name);
+        return '';
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, env, missing));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env, missing)]));
+  }
+  return value;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "ptz": true, or { "presets": [1, { "number": 2, "name": "Driveway" }] }
+function normalizePtz(ptz, id) {
+  if (!ptz) return null;
+
+  const presets = toList(ptz.presets).map(preset => {
+    const entry = typeof preset === 'number' ? { number: preset } : preset;
+    if (!Number.isInteger(entry.number) || entry.number < 1 || entry.number > 20) {
+      throw new Error(`Invalid camera config: camera "${id}" has a preset that isn't a number from 1 to 20`);
+    }
+    return { number: entry.number, name: entry.name || `Preset ${entry.number}` };
+  });
+  return { presets };
+}
+
+// "doorbell": true, or { "ringEntities": [...], "lock": "lock.front_door", "light": "light.porch" }
+function normalizeDoorbell(doorbell, id) {
+  if (!doorbell) return null;
+
+  const options = doorbell === true ? {} : doorbell;
+  ['lock', 'light'].forEach(key => {
+    if (options[key] !== undefined && typeof options[key] !== 'string') {
+      throw new Error(`Invalid camera config: camera "${id}" doorbell "${key}" must be an entity_id`);
+    }
+  });
+  return {
+    ringEntities: toList(options.ringEntities),
+    lock: options.lock || null,
+    light: options.light || null
+  };
+}
+
+// Cameras from config/cameras.json (or CAMERAS_FILE). Each camera has a URL-safe
+// id, a display name, a source (a named entry of `sources`, or an inline
+// { type, url, credentials } object) with the camera's name on that source,
+// the motion/person entities that flag it, whether it is always shown in the
+// small grid, its grid position, whether its motion/person events are
+// recorded (default true), its PTZ presets, if it can move, and its doorbell
+// setup (ring entities and the lock/light behind the panel's quick actions).
+// `defaults.source` applies to cameras that don't name one.
+//
+// Only describe() is sent to browsers; source URLs and credentials never leave
+// the backend, which proxies the streams.
+class CameraRegistry {
+  constructor(config = { cameras: [] }) {
+    this.load(config);
+  }
+
+  static fromFile(filePath, env = process.env) {
+    const missing = new Set();
+    const config = expandEnv(JSON.parse(fs.readFileSync(filePath, 'utf8')), env, missing);
+
+    if (missing.size > 0) {
+      console.warn(`[CAMERAS] ${filePath} references unset environment variables: ${Array.from(missing).join(', ')}`);
+    }
+    return new CameraRegistry(config);
+  }
+
+  load(config) {
+    if (!config || !Array.isArray(config.cameras)) {
+      throw new Error('Invalid camera config: "cameras" must be an array');
+    }
+
+    const defaults = config.defaults || {};
+    const sources = config.sources || {};
+    const cameras = new Map();
+
+    config.cameras.forEach((camera, index) => {
+      if (!camera.name) {
+        throw new Error(`Invalid camera config: camera ${index} needs a "name"`);
+      }
+
+      const id = camera.id || camera.name;
+      if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+        throw new Error(`Invalid camera config: "${id}" is not a valid camera id (letters, digits, _ and -)`);
+      }
+      if (cameras.has(id)) {
+        throw new Error(`Invalid camera config: duplicate camera "${id}"`);
+      }
+
+      const source = this.resolveSource(camera.source || defaults.source, sources, id);
+      cameras.set(id, {
+        id,
+        name: camera.name,
+        source: { ...source, credentials: { ...source.credentials, ...camera.credentials } },
+        sourceCamera: camera.sourceCamera || id,
+        motionEntities: toList(camera.motionEntities),
+        personEntities: toList(camera.personEntities),
+        alwaysVisible: camera.alwaysVisible === true,
+        position: camera.position || null,
+        record: camera.record !== false,
+        ptz: normalizePtz(camera.ptz, id),
+        doorbell: normalizeDoorbell(camera.doorbell, id)
+      });
+      if (camera.ptz && !supportsPtz(cameras.get(id))) {
+        console.warn(`[CAMERAS] ${id}: "${source.type}" sources have no PTZ control, ignoring "ptz"`);
+      }
+    });
+
+    this.cameras = cameras;
+  }
+
+  resolveSource(reference, sources, id) {
+    if (!reference) {
+      throw new Error(`Invalid camera config: camera "${id}" needs a "source" (or defaults.source)`);
+    }
+
+    const name = typeof reference === 'string' ? reference : id;
+    const source = typeof reference === 'string' ? sources[reference] : reference;
+    if (!source) {
+      throw new Error(`Invalid camera config: camera "${id}" uses unknown source "${reference}"`);
+    }
+    if (!ADAPTERS[source.type]) {
+      throw new Error(`Invalid camera config: source "${name}" has unknown type "${source.type}" (${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return { ...source, name, credentials: source.credentials || {} };
+  }
+
+  getCameras() {
+    return Array.from(this.cameras.values());
+  }
+
+  getCamera(id) {
+    return this.cameras.get(id) || null;
+  }
+
+  // Browser-safe camera list for GET /api/cameras
+  describe() {
+    return this.getCameras().map(camera => ({
+      id: camera.id,
+      name: camera.name,
+      streamPath: `/api/camera/${encodeURIComponent(camera.id)}`,
+      snapshotPath: `/api/camera/${encodeURIComponent(camera.id)}/snapshot`,
+      motionEntities: camera.motionEntities,
+      personEntities: camera.personEntities,
+      alwaysVisible: camera.alwaysVisible,
+      position: camera.position,
+      ptz: supportsPtz(camera) ? camera.ptz : null,
+      doorbell: camera.doorbell
+    }));
+  }
+}
+
+// A local cameras.json wins over the committed example; CAMERAS_FILE overrides both
+function loadCameraRegistry() {
+  const filePath = process.env.CAMERAS_FILE
+    || (fs.existsSync(LOCAL_CAMERAS_FILE) ? LOCAL_CAMERAS_FILE : EXAMPLE_CAMERAS_FILE);
+
+  try {
+    const registry = CameraRegistry.fromFile(filePath);
+    console.log(`[CAMERAS] Loaded ${registry.getCameras().length} cameras from ${filePath}`);
+    return registry;
+  } catch (error) {
+    console.error(`[CAMERAS] Failed to load ${filePath}, no cameras configured:`, error.message);
+    return new CameraRegistry();
+  }
+}
+
+module.exports = loadCameraRegistry();
+module.exports.CameraRegistry = CameraRegistry;
+module.exports.expandEnv = expandEnv;
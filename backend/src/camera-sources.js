@@ -0,0 +1,392 @@
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { MjpegParser, parseBoundary } = require('./mjpeg');
+const BlueIrisClient = require('./blue-iris-client');
+const httpError = require('./http-error');
+
+const DEFAULT_SIZE = { width: 640, height: 480 };
+const MAX_DIMENSION = 3840;
+const DEFAULT_SNAPSHOT_INTERVAL = 1000;
+const REQUEST_TIMEOUT = 10000;
+const MAX_PRESET = 20;
+
+// PTZ moves the dashboard offers, as Blue Iris "ptz" buttons (presets are 100 + n)
+const PTZ_ACTIONS = { left: 0, right: 1, up: 2, down: 3, home: 4, zoomIn: 5, zoomOut: 6 };
+const blueIrisClients = new Map(); // source name → BlueIrisClient
+
+// Fill {camera}, {user}, {password}, {width} and {height} in a URL template (URL-encoded)
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined ? match : encodeURIComponent(values[key])
+  );
+}
+
+// Mask credentials in a URL before it is logged
+function redactUrl(url) {
+  return String(url)
+    .replace(/([?&](?:pw|password|pass|token)=)[^&]*/gi, '$1***')
+    .replace(/\/\/([^/:@]+):([^/@]*)@/, '//$1:***@');
+}
+
+function joinUrl(base, path) {
+  return `${base.replace(/\/+$/, '')}${path}`;
+}
+
+function basicAuth(credentials) {
+  return `Basic ${Buffer.from(`${credentials.user}:${credentials.password || ''}`).toString('base64')}`;
+}
+
+function requireUrl(source) {
+  if (!source.url) {
+    throw httpError(500, `Camera source "${source.name}" has no url`);
+  }
+  return source.url;
+}
+
+function templateValues(camera, size) {
+  const { credentials } = camera.source;
+  return {
+    camera: camera.sourceCamera,
+    user: credentials.user,
+    password: credentials.password,
+    width: size.width,
+    height: size.height
+  };
+}
+
+// Source types. Each builds the upstream request for a camera at a requested
+// size: { url, headers, format }, where format is 'mjpeg' for a multipart
+// stream or 'jpeg' for a still that is polled every source.interval ms.
+// `snapshot` builds the request for a single still, where the source has one,
+// and `ptz(camera, button)` moves sources that can (see PTZ_ACTIONS).
+// Sources that can't scale ignore the size.
+const ADAPTERS = {
+  // Blue Iris: /mjpg/<camera>?w=&h= with user/pw query parameters
+  blueiris: {
+    request(camera, size) {
+      const { credentials } = camera.source;
+      const url = new URL(joinUrl(requireUrl(camera.source), `/mjpg/${encodeURIComponent(camera.sourceCamera)}`));
+      url.searchParams.set('w', size.width);
+      url.searchParams.set('h', size.height);
+      if (credentials.user) {
+        url.searchParams.set('user', credentials.user);
+        url.searchParams.set('pw', credentials.password || '');
+      }
+      return { url: url.href, headers: {}, format: 'mjpeg' };
+    },
+    snapshot(camera, size) {
+      const request = this.request(camera, size);
+      return { ...request, url: request.url.replace('/mjpg/', '/image/'), format: 'jpeg' };
+    },
+    ptz(camera, button) {
+      return blueIrisClient(camera.source).command('ptz', { camera: camera.sourceCamera, button });
+    }
+  },
+
+  // Frigate: /api/<camera>?h= (keeps the aspect ratio), bearer token or basic auth
+  frigate: {
+    request(camera, size) {
+      const { credentials } = camera.source;
+      const url = new URL(joinUrl(requireUrl(camera.source), `/api/${encodeURIComponent(camera.sourceCamera)}`));
+      url.searchParams.set('h', size.height);
+
+      const headers = {};
+      if (credentials.token) {
+        headers.Authorization = `Bearer ${credentials.token}`;
+      } else if (credentials.user) {
+        headers.Authorization = basicAuth(credentials);
+      }
+      return { url: url.href, headers, format: 'mjpeg' };
+    },
+    snapshot(camera, size) {
+      const request = this.request(camera, size);
+      const url = new URL(request.url);
+      url.pathname += '/latest.jpg';
+      return { ...request, url: url.href, format: 'jpeg' };
+    }
+  },
+
+  // Home Assistant camera entities (sourceCamera is the entity_id), using the
+  // backend's own HOME_ASSISTANT_URL/TOKEN unless the source overrides them
+  homeassistant: {
+    request(camera) {
+      const { url, credentials } = camera.source;
+      const baseUrl = url || process.env.HOME_ASSISTANT_URL || 'http://localhost:8123';
+      const token = credentials.token || process.env.HOME_ASSISTANT_TOKEN;
+
+      return {
+        url: joinUrl(baseUrl, `/api/camera_proxy_stream/${encodeURIComponent(camera.sourceCamera)}`),
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        format: 'mjpeg'
+      };
+    },
+    snapshot(camera, size) {
+      const request = this.request(camera, size);
+      const url = new URL(request.url.replace('/camera_proxy_stream/', '/camera_proxy/'));
+      url.searchParams.set('width', size.width);
+      url.searchParams.set('height', size.height);
+      return { ...request, url: url.href, format: 'jpeg' };
+    }
+  },
+
+  // Any MJPEG URL template
+  mjpeg: {
+    request(camera, size) {
+      return templateRequest(camera, size, 'mjpeg');
+    }
+  },
+
+  // Any JPEG still URL template, polled
+  snapshot: {
+    request(camera, size) {
+      return templateRequest(camera, size, 'jpeg');
+    },
+    snapshot(camera, size) {
+      return this.request(camera, size);
+    }
+  }
+};
+
+// Credentials not placed in the template (or the URL's user:password@) go in a basic auth header
+function templateRequest(camera, size, format) {
+  const { credentials } = camera.source;
+  const template = requireUrl(camera.source);
+  const url = new URL(fillTemplate(template, templateValues(camera, size)));
+  const headers = {};
+
+  if (url.username) {
+    headers.Authorization = basicAuth({
+      user: decodeURIComponent(url.username),
+      password: decodeURIComponent(url.password)
+    });
+    url.username = '';
+    url.password = '';
+  } else if (credentials.user && !template.includes('{user}')) {
+    headers.Authorization = basicAuth(credentials);
+  }
+  return { url: url.href, headers, format };
+}
+
+// Requested stream size from ?w=&h= (either may be omitted)
+function resolveSize(query = {}) {
+  const read = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 16 || number > MAX_DIMENSION) {
+      throw httpError(400, `w and h must be whole numbers between 16 and ${MAX_DIMENSION}`);
+    }
+    return number;
+  };
+  return { width: read(query.w, DEFAULT_SIZE.width), height: read(query.h, DEFAULT_SIZE.height) };
+}
+
+function buildRequest(camera, size = DEFAULT_SIZE) {
+  return getAdapter(camera).request(camera, size);
+}
+
+function blueIrisClient(source) {
+  let client = blueIrisClients.get(source.name);
+  if (!client || client.url !== source.url) {
+    client = new BlueIrisClient({ url: requireUrl(source), user: source.credentials.user, password: source.credentials.password });
+    blueIrisClients.set(source.name, client);
+  }
+  return client;
+}
+
+function getAdapter(camera) {
+  const adapter = ADAPTERS[camera.source.type];
+  if (!adapter) {
+    throw httpError(500, `Unknown camera source type "${camera.source.type}"`);
+  }
+  return adapter;
+}
+
+function get(request) {
+  const url = new URL(request.url);
+  const transport = url.protocol === 'https:' ? https : http;
+  return transport.get(url, {
+    headers: { 'User-Agent': 'Dashboard-Backend/1.0.0', ...request.headers }
+  });
+}
+
+function upstreamError(response) {
+  return httpError(502, `Camera source returned ${response.statusCode} ${response.statusMessage || ''}`.trim());
+}
+
+// Fetch one JPEG still
+function fetchJpeg(request) {
+  return new Promise((resolve, reject) => {
+    const upstream = get(request);
+    upstream.setTimeout(REQUEST_TIMEOUT, () => upstream.destroy(httpError(504, 'Camera source timed out')));
+    upstream.on('error', reject);
+    upstream.on('response', response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(upstreamError(response));
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+  });
+}
+
+// Frames from one camera at one size. Emits 'frame' (a JPEG Buffer), 'error'
+// and 'end'; close() releases the upstream connection or poll timer. An error
+// before the first frame ends the stream; snapshot polling rides out later
+// failures and keeps trying.
+class CameraStream extends EventEmitter {
+  constructor(camera, size = DEFAULT_SIZE) {
+    super();
+    this.camera = camera;
+    this.size = size;
+    this.request = buildRequest(camera, size);
+    this.upstream = null;
+    this.pollTimer = null;
+    this.frames = 0;
+    this.closed = false;
+  }
+
+  start() {
+    console.log(`[CAMERA] Opening ${this.camera.source.type} source for ${this.camera.id}: ${redactUrl(this.request.url)}`);
+    if (this.request.format === 'jpeg') {
+      this.poll();
+    } else {
+      this.stream();
+    }
+    return this;
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.pollTimer);
+    if (this.upstream) this.upstream.destroy();
+  }
+
+  emitFrame(frame) {
+    if (this.closed) return;
+    this.frames++;
+    this.emit('frame', frame);
+  }
+
+  fail(error) {
+    if (this.closed) return;
+    this.close();
+    this.emit('error', error);
+  }
+
+  stream() {
+    this.upstream = get(this.request);
+    this.upstream.setTimeout(REQUEST_TIMEOUT, () => this.fail(httpError(504, 'Camera source timed out')));
+    this.upstream.on('error', error => this.fail(error.statusCode ? error : httpError(502, error.message)));
+    this.upstream.on('response', response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        this.fail(upstreamError(response));
+        return;
+      }
+
+      const contentType = response.headers['content-type'] || '';
+      const parser = new MjpegParser(contentType.startsWith('multipart/') ? parseBoundary(contentType) : null);
+      parser.on('data', frame => this.emitFrame(frame));
+      parser.on('error', error => this.fail(httpError(502, error.message)));
+      response.on('error', error => this.fail(httpError(502, error.message)));
+      parser.on('end', () => {
+        if (this.closed) return;
+        this.close();
+        this.emit('end');
+      });
+      response.pipe(parser);
+    });
+  }
+
+  async poll() {
+    try {
+      const frame = await fetchJpeg(this.request);
+      this.emitFrame(frame);
+    } catch (error) {
+      if (this.frames === 0) {
+        this.fail(error);
+        return;
+      }
+      console.warn(`[CAMERA] Snapshot failed for ${this.camera.id}:`, error.message);
+    }
+
+    if (!this.closed) {
+      this.pollTimer = setTimeout(() => this.poll(), this.camera.source.interval || DEFAULT_SNAPSHOT_INTERVAL);
+    }
+  }
+}
+
+function openStream(camera, size) {
+  return new CameraStream(camera, size).start();
+}
+
+// One JPEG still from the camera's source: its still URL where it has one,
+// otherwise the first frame of a short-lived stream
+function fetchSnapshot(camera, size = DEFAULT_SIZE) {
+  const adapter = getAdapter(camera);
+  if (adapter.snapshot) {
+    return fetchJpeg(adapter.snapshot(camera, size));
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = openStream(camera, size);
+    stream.once('frame', frame => {
+      stream.close();
+      resolve(frame);
+    });
+    stream.once('error', reject);
+    stream.once('end', () => reject(httpError(502, 'Camera stream ended without a frame')));
+  });
+}
+
+// PTZ is offered for cameras configured with "ptz" on a source type that can move them
+function supportsPtz(camera) {
+  return Boolean(camera.ptz && ADAPTERS[camera.source.type]?.ptz);
+}
+
+function requirePtz(camera) {
+  if (!supportsPtz(camera)) {
+    throw httpError(501, `Camera ${camera.id} does not support pan/tilt/zoom`);
+  }
+  return ADAPTERS[camera.source.type];
+}
+
+async function movePtz(camera, action) {
+  const adapter = requirePtz(camera);
+  if (!Object.prototype.hasOwnProperty.call(PTZ_ACTIONS, action)) {
+    throw httpError(400, `action must be one of ${Object.keys(PTZ_ACTIONS).join(', ')}`);
+  }
+  await adapter.ptz(camera, PTZ_ACTIONS[action]);
+}
+
+async function gotoPreset(camera, preset) {
+  const adapter = requirePtz(camera);
+  if (!Number.isInteger(preset) || preset < 1 || preset > MAX_PRESET) {
+    throw httpError(400, `preset must be a number from 1 to ${MAX_PRESET}`);
+  }
+  await adapter.ptz(camera, 100 + preset);
+}
+
+module.exports = {
+  ADAPTERS,
+  PTZ_ACTIONS,
+  DEFAULT_SIZE,
+  CameraStream,
+  openStream,
+  buildRequest,
+  fetchJpeg,
+  fetchSnapshot,
+  supportsPtz,
+  movePtz,
+  gotoPreset,
+  resolveSize,
+  fillTemplate,
+  redactUrl
+};
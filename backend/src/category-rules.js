@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'category-rules.json');
+
+// Lowest to highest. NOTIFY items surface on the dashboard; ALERT items
+// (leaks, smoke, CO, jammed locks) get the persistent banner.
+const SEVERITIES = ['ok', 'notify', 'alert'];
+
+// Not devices: cached alongside them for the scene browser, outside every category
+const ROUTINE_DOMAINS = ['scene', 'script', 'automation'];
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Compile a match/exclude rule; also used by the escalation rules
+function compileRule(rule, source) {
+  const toPatterns = (patterns) => toList(patterns).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid pattern "${pattern}" in ${source}: ${error.message}`);
+    }
+  });
+
+  return {
+    domains: toList(rule.domain),
+    deviceClasses: toList(rule.deviceClass),
+    areas: toList(rule.area).map(area => String(area).toLowerCase()),
+    states: toList(rule.state),
+    names: toPatterns(rule.name),
+    entityIds: toPatterns(rule.entityId)
+  };
+}
+
+function ruleMatches(rule, device) {
+  if (rule.domains.length && !rule.domains.includes(device.domain)) return false;
+  if (rule.deviceClasses.length && !rule.deviceClasses.includes(device.attributes?.device_class)) return false;
+  if (rule.states.length && !rule.states.includes(device.state)) return false;
+
+  if (rule.areas.length) {
+    const areas = [device.area, ...(device.areas || [])].filter(Boolean).map(area => area.toLowerCase());
+    if (!areas.some(area => rule.areas.includes(area))) return false;
+  }
+
+  if (rule.names.length && !rule.names.some(pattern => pattern.test(device.name || ''))) return false;
+  if (rule.entityIds.length && !rule.entityIds.some(pattern => pattern.test(device.entityId || ''))) return false;
+
+  return true;
+}
+
+// Dashboard categories from config/category-rules.json (or CATEGORY_RULES_FILE).
+//
+// Each category lists "match" rules and optional "exclude" rules. A rule is an
+// object whose fields must all match: domain, deviceClass, area and state take a
+// value or a list of values; name and entityId take case-insensitive regex patterns.
+// A device belongs to a category when any match rule and no exclude rule applies.
+// "severity" (notify or alert) is what devices in an attention state escalate to.
+// Both the device cache filter and DeviceService.categorizeDevices read these.
+class CategoryRules {
+  constructor(config) {
+    this.load(config);
+  }
+
+  static fromFile(filePath) {
+    return new CategoryRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  load(config) {
+    if (!config || !Array.isArray(config.categories) || config.categories.length === 0) {
+      throw new Error('Invalid category rules: "categories" must be a non-empty array');
+    }
+
+    const categories = new Map();
+    config.categories.forEach((category, index) => {
+      if (!category.key || !/^[a-z][a-z0-9_]*$/.test(category.key)) {
+        throw new Error(`Invalid category rules: category ${index} needs a lowercase "key"`);
+      }
+      if (categories.has(category.key)) {
+        throw new Error(`Invalid category rules: duplicate category "${category.key}"`);
+      }
+      if (!Array.isArray(category.match) || category.match.length === 0) {
+        throw new Error(`Invalid category rules: category "${category.key}" has no match rules`);
+      }
+      if (category.severity && !['notify', 'alert'].includes(category.severity)) {
+        throw new Error(`Invalid category rules: category "${category.key}" severity must be "notify" or "alert"`);
+      }
+
+      categories.set(category.key, {
+        key: category.key,
+        label: category.label || category.key.charAt(0).toUpperCase() + category.key.slice(1),
+        match: category.match.map(rule => compileRule(rule, `category "${category.key}"`)),
+        exclude: toList(category.exclude).map(rule => compileRule(rule, `category "${category.key}"`)),
+        attentionStates: toList(category.attentionStates),
+        severity: category.severity || 'notify',
+        summary: category.summary || {},
+        display: category.display || {}
+      });
+    });
+
+    this.categories = categories;
+  }
+
+  getCategoryKeys() {
+    return Array.from(this.categories.keys());
+  }
+
+  getCategory(key) {
+    const category = this.categories.get(key);
+    if (!category) {
+      throw new Error(`Unknown device category: ${key}`);
+    }
+    return category;
+  }
+
+  matches(device, key) {
+    const category = this.getCategory(key);
+    return category.match.some(rule => ruleMatches(rule, device)) &&
+      !category.exclude.some(rule => ruleMatches(rule, device));
+  }
+
+  getDeviceCategories(device) {
+    return this.getCategoryKeys().filter(key => this.matches(device, key));
+  }
+
+  // Cache admission: anything that belongs to at least one category
+  isRelevant(device) {
+    return this.getCategoryKeys().some(key => this.matches(device, key));
+  }
+
+  needsAttention(device, key) {
+    return this.getCategory(key).attentionStates.includes(device.state);
+  }
+
+  // Severity a group shows for the given number of devices needing attention
+  getGroupSeverity(key, attentionCount) {
+    return attentionCount > 0 ? this.getCategory(key).severity : 'ok';
+  }
+
+  // Highest severity across every category the device is in
+  getDeviceSeverity(device) {
+    return this.getDeviceCategories(device).reduce((highest, key) => {
+      const severity = this.needsAttention(device, key) ? this.getCategory(key).severity : 'ok';
+      return SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(highest) ? severity : highest;
+    }, 'ok');
+  }
+
+  // Fill {placeholders} in the ok/attention template; falls back to
+  // summary.fallback when a placeholder has no value
+  formatSummary(key, values) {
+    const { summary } = this.getCategory(key);
+    const template = values.count > 0 && summary.attention ? summary.attention : summary.ok;
+    let missing = false;
+
+    const text = (template || '').replace(/\{(\w+)\}/g, (match, name) => {
+      if (values[name] === null || values[name] === undefined) {
+        missing = true;
+        return match;
+      }
+      return String(values[name]);
+    });
+
+    return missing && summary.fallback ? summary.fallback : text;
+  }
+
+  // Category list for clients: render order, labels and display hints
+  describe() {
+    return this.getCategoryKeys().map(key => {
+      const category = this.categories.get(key);
+      return {
+        key,
+        label: category.label,
+        severity: category.severity,
+        icon: category.display.icon || 'home',
+        title: category.display.title || category.label,
+        showDevices: category.display.showDevices || 'attention',
+        attentionStates: category.attentionStates
+      };
+    });
+  }
+}
+
+function loadCategoryRules() {
+  const filePath = process.env.CATEGORY_RULES_FILE || DEFAULT_RULES_FILE;
+
+  try {
+    const rules = CategoryRules.fromFile(filePath);
+    console.log(`[RULES] Loaded ${rules.getCategoryKeys().length} device categories from ${filePath}`);
+    return rules;
+  } catch (error) {
+    if (filePath === DEFAULT_RULES_FILE) throw error;
+    console.error(`[RULES] Failed to load ${filePath}, using default rules:`, error.message);
+    return CategoryRules.fromFile(DEFAULT_RULES_FILE);
+  }
+}
+
+module.exports = loadCategoryRules();
+module.exports.CategoryRules = CategoryRules;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.ROUTINE_DOMAINS = ROUTINE_DOMAINS;
+module.exports.toList = toList;
+module.exports.compileRule = compileRule;
+module.exports.ruleMatches = ruleMatches;
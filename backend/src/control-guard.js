@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const deviceCache = require('./device-cache');
+const alertSuppressions = require('./alert-suppressions');
+const httpError = require('./http-error');
+
+// Actions that open up the house need a PIN (or an explicit confirmation)
+const GUARDED_ACTIONS = ['unlock', 'open'];
+const OBSTRUCTED_STATES = ['on', 'true', 'detected', 'obstructed'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Safety checks for locks and covers, in front of every lock/cover command.
+//
+// Unlocking and opening need the CONTROL_PIN when one is set, otherwise an
+// explicit { confirm: true } from the dashboard's confirm step. maxAttempts
+// wrong PINs in a row lock PIN entry out for lockoutMs. Covers don't move while
+// they report an obstruction: an `obstruction`/`obstructed` attribute, or a
+// binary_sensor.<cover>_obstruction such as ratgdo's. Stopping is always allowed.
+//
+// Every lock/cover action, done, refused or failed, goes to the alert audit
+// trail as a 'control' record with who asked for it.
+class ControlGuard {
+  constructor(options = {}) {
+    this.cache = options.cache || deviceCache;
+    this.audit = options.audit || alertSuppressions;
+    this.pin = options.pin !== undefined ? options.pin : (process.env.CONTROL_PIN || null);
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.lockoutMs = options.lockoutMs ?? 5 * 60000;
+    this.now = options.now || (() => Date.now());
+
+    this.failedAttempts = 0;
+    this.lockedOutUntil = 0;
+  }
+
+  get mode() {
+    return this.pin ? 'pin' : 'confirm';
+  }
+
+  isGuarded(action) {
+    return GUARDED_ACTIONS.includes(action);
+  }
+
+  // Throws a 403 carrying `requires` ('pin' or 'confirm') so the dashboard
+  // knows which prompt to show, or a 429 while PIN entry is locked out
+  verify(action, { pin, confirm } = {}) {
+    if (!this.isGuarded(action)) return;
+
+    if (this.mode === 'confirm') {
+      if (confirm !== true) throw this.guardError('Confirm this action first');
+      return;
+    }
+
+    if (this.now() < this.lockedOutUntil) {
+      throw httpError(429, `Too many wrong PINs, try again in ${Math.ceil((this.lockedOutUntil - this.now()) / 60000)} min`);
+    }
+    if (pin === undefined || pin === null || pin === '') {
+      throw this.guardError('PIN required');
+    }
+    if (!crypto.timingSafeEqual(sha256(pin), sha256(this.pin))) {
+      this.failedAttempts++;
+      if (this.failedAttempts >= this.maxAttempts) {
+        this.failedAttempts = 0;
+        this.lockedOutUntil = this.now() + this.lockoutMs;
+      }
+      throw this.guardError('Incorrect PIN');
+    }
+    this.failedAttempts = 0;
+  }
+
+  guardError(message) {
+    const error = httpError(403, message);
+    error.requires = this.mode;
+    return error;
+  }
+
+  // The obstruction sensor's (or attribute's) report for a cover, or null
+  getObstruction(device) {
+    const attributes = device.attributes || {};
+    const attribute = attributes.obstruction ?? attributes.obstructed;
+    if (attribute !== undefined && attribute !== null) {
+      return OBSTRUCTED_STATES.includes(String(attribute).toLowerCase()) ? device.name : null;
+    }
+
+    const objectId = device.id.split('.')[1];
+    const sensor = this.cache.getCachedDevices().find(entity => entity.id === `binary_sensor.${objectId}_obstruction`);
+    return sensor && OBSTRUCTED_STATES.includes(sensor.state) ? sensor.name || sensor.id : null;
+  }
+
+  checkCover(device, action) {
+    if (action === 'stop') return;
+
+    const obstruction = this.getObstruction(device);
+    if (obstruction) {
+      throw httpError(409, `${device.name} reports an obstruction (${obstruction}), clear it before moving the door`);
+    }
+  }
+
+  log(device, action, { by, outcome, reason }) {
+    return this.audit.log({
+      type: 'control',
+      alertId: device.id,
+      deviceId: device.id,
+      action,
+      by: this.audit.normalizeActor(by),
+      outcome,
+      reason: reason || null,
+      state: device.state
+    }).catch(() => {
+      // Already logged by the store
+    });
+  }
+}
+
+module.exports = new ControlGuard();
+module.exports.ControlGuard = ControlGuard;
+module.exports.GUARDED_ACTIONS = GUARDED_ACTIONS;
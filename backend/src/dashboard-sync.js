@@ -0,0 +1,135 @@
+const deviceCache = require('./device-cache');
+const deviceService = require('./device-service');
+
+// Versioned delta protocol for socket.io clients:
+//   'dashboard-snapshot' { seq, state }  full dashboard state, sent on connect and on resync
+//   'dashboard-patch'    { seq, upserts, removals, groups, metadata }
+// Patch sequence numbers are consecutive. A client that sees a gap emits
+// 'request-dashboard-state' and receives a fresh snapshot.
+class DashboardSync {
+  constructor(options = {}) {
+    this.seq = 0;
+    this.io = null;
+    this.ready = false;
+
+    // Changes collected since the last patch, keyed by entity id
+    this.pendingUpserts = new Map();
+    this.pendingRemovals = new Set();
+    this.flushDelay = options.flushDelay ?? 100; // batch bursts of cache changes
+    this.heartbeatInterval = options.heartbeatInterval ?? 10000; // metadata-only patch when idle
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  attach(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      if (this.ready) {
+        this.sendSnapshot(socket);
+      }
+
+      socket.on('request-dashboard-state', () => {
+        console.log(`[SYNC] Resync requested by ${socket.id}`);
+        this.sendSnapshot(socket);
+      });
+    });
+  }
+
+  // Called once the device cache is being fed; until then clients just wait
+  start() {
+    if (this.ready) return;
+
+    this.ready = true;
+    deviceCache.on('change', this.handleChange);
+    this.heartbeatTimer = setInterval(() => this.flush(), this.heartbeatInterval);
+
+    // Clients that connected while MCP was initializing get their first snapshot now
+    this.broadcastSnapshot();
+  }
+
+  stop() {
+    this.ready = false;
+    deviceCache.removeListener('change', this.handleChange);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.flushTimer);
+    this.heartbeatTimer = null;
+    this.flushTimer = null;
+  }
+
+  handleChange(change) {
+    if (change.type === 'remove') {
+      this.pendingUpserts.delete(change.id);
+      this.pendingRemovals.add(change.id);
+    } else {
+      this.pendingRemovals.delete(change.entity.id);
+      this.pendingUpserts.set(change.entity.id, change.entity);
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const patch = {
+      seq: ++this.seq,
+      upserts: Array.from(this.pendingUpserts.values()).map(entity => ({
+        ...entity,
+        categories: deviceService.getDeviceCategories(entity),
+        severity: deviceService.getDeviceSeverity(entity)
+      })),
+      removals: Array.from(this.pendingRemovals),
+      groups: deviceService.getGroupSummaries(),
+      metadata: deviceService.getMetadata()
+    };
+
+    this.pendingUpserts.clear();
+    this.pendingRemovals.clear();
+
+    if (patch.upserts.length > 0 || patch.removals.length > 0) {
+      console.log(`[SYNC] Patch ${patch.seq}: ${patch.upserts.length} upserts, ${patch.removals.length} removals`);
+    }
+
+    if (this.io) {
+      this.io.emit('dashboard-patch', patch);
+    }
+    return patch;
+  }
+
+  async buildSnapshot() {
+    // Capture seq first: if a patch goes out while the state is being built the
+    // client re-applies it, which is harmless because upserts carry whole entities
+    const seq = this.seq;
+    const state = await deviceService.getDashboardState();
+    return { seq, state };
+  }
+
+  async sendSnapshot(socket) {
+    try {
+      socket.emit('dashboard-snapshot', await this.buildSnapshot());
+    } catch (error) {
+      console.error('[SYNC] Error sending dashboard snapshot:', error);
+      socket.emit('error', { message: 'Failed to get dashboard state' });
+    }
+  }
+
+  async broadcastSnapshot() {
+    if (!this.io) return;
+
+    try {
+      this.io.emit('dashboard-snapshot', await this.buildSnapshot());
+    } catch (error) {
+      console.error('[SYNC] Error broadcasting dashboard snapshot:', error);
+    }
+  }
+}
+
+// Export both the class and a singleton instance
+module.exports = new DashboardSync();
+module.exports.DashboardSync = DashboardSync;
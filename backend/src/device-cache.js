@@ -1,12 +1,83 @@
-const mcpClient = require('./mcp-client');
+const { EventEmitter } = require('events');
+const transport = require('./transport');
+const homeAssistantClient = require('./homeassistant-client');
+const haWebSocket = require('./ha-websocket');
+const categoryRules = require('./category-rules');
+const { ROUTINE_DOMAINS } = categoryRules;
+const { parseLiveContextText } = require('./live-context-parser');
 
-class DeviceCache {
+// Static attributes GetLiveContext leaves out; copied from /api/states so the
+// dashboard knows what each entity supports
+const CAPABILITY_ATTRIBUTES = [
+  'supported_color_modes',
+  'effect_list',
+  'min_color_temp_kelvin',
+  'max_color_temp_kelvin',
+  'min_mireds',
+  'max_mireds',
+  'hvac_modes',
+  'preset_modes',
+  'fan_modes',
+  'min_temp',
+  'max_temp',
+  'target_temp_step',
+  'source_list',
+  'sound_mode_list',
+  'supported_features',
+  'percentage_step',
+  'speed_count'
+];
+const MAX_REPORTED_PARSE_ERRORS = 20;
+
+function isMapping(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toValueList(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value).split(', ').map(item => item.trim()).filter(Boolean);
+}
+
+// Emits 'change' with { type: 'upsert', entity } or { type: 'remove', id }
+// whenever an entity is added, changes state/attributes, or leaves the cache
+class DeviceCache extends EventEmitter {
   constructor(options = {}) {
+    super();
+    
     // Unified device cache with state tracking
     this.deviceCache = new Map(); // Full device data with state history
     this.lastUpdate = null;
     this.updateInterval = 500; // 500ms uniform polling
     
+    // Update mode: 'poll' re-reads the full live context every updateInterval,
+    // 'events' applies state_changed diffs from the HA websocket and only polls
+    // the transport (MCP or REST) as a slow reconciliation pass (falls back to
+    // fast polling while the websocket is down)
+    this.updateMode = options.updateMode || process.env.CACHE_UPDATE_MODE || 'poll';
+    this.reconcileInterval = options.reconcileInterval || parseInt(process.env.CACHE_RECONCILE_INTERVAL, 10) || 60000;
+    this.lastReconcile = null;
+    this.lastParseErrors = [];
+    
+    // GetLiveContext only carries friendly names, so entity ids are resolved
+    // through HA's /api/states. Devices are keyed by entity_id everywhere; the
+    // friendly name is display-only and can change without breaking history.
+    // Entries whose name doesn't resolve to exactly one entity are left out.
+    this.entityIdIndex = new Map(); // `${domain}:${friendly name}` → [entity_id]
+    this.entityAreas = new Map(); // entity_id → area name, to tell same-named entities apart
+    this.unresolvedNames = new Set(); // already warned about
+    this.friendlyNames = new Map(); // entity_id → friendly name
+    this.capabilities = new Map(); // entity_id → CAPABILITY_ATTRIBUTES it reports
+    this.entityIndexLastAttempt = null;
+    this.entityIndexRefreshInterval = 300000; // 5 minutes
+    this.entityIndexMinAge = 30000; // unresolved names retrigger at most every 30s
+    this.eventSource = options.eventSource || haWebSocket;
+    this.transport = options.transport || transport;
+    
+    // Last recorded { state, at } per entity_id from the history store, so an
+    // entity whose state hasn't moved keeps its lastChanged across restarts
+    this.lastChangedSeed = new Map();
+    
     // Performance tracking
     this.performanceStats = {
       totalPolls: 0,
@@ -14,38 +85,15 @@ class DeviceCache {
       errorCount: 0,
       lastErrorTime: null,
       filteredEntityCount: 0,
-      totalEntityCount: 0
+      totalEntityCount: 0,
+      parseErrorCount: 0,
+      parseErrors: [], // the first MAX_REPORTED_PARSE_ERRORS of the last pass
+      eventsApplied: 0,
+      lastEventTime: null
     };
     
-    // Dashboard-relevant entity filters
-    this.dashboardEntityTypes = {
-      // Security entities
-      security: {
-        domains: ['binary_sensor', 'lock'],
-        deviceClasses: ['motion', 'opening', 'door', 'window', 'lock', 'smoke', 'gas', 'safety', 'problem']
-      },
-      // Lighting entities
-      lights: {
-        domains: ['light', 'switch'],
-        exclude: ['schedule', 'automation', 'script'] // exclude non-physical switches
-      },
-      // Climate entities
-      climate: {
-        domains: ['climate', 'fan', 'sensor'],
-        deviceClasses: ['temperature', 'humidity'],
-        sensorTypes: ['temperature', 'humidity']
-      },
-      // Media entities
-      media: {
-        domains: ['media_player'],
-        deviceClasses: ['tv', 'speaker', 'receiver']
-      },
-      // Door/cover entities
-      doors: {
-        domains: ['cover', 'lock'],
-        deviceClasses: ['garage', 'door', 'gate']
-      }
-    };
+    // Which entities are dashboard-relevant comes from the shared category rules
+    this.categoryRules = options.categoryRules || categoryRules;
     
     // Timezone configuration
     this.timezone = 'America/Denver'; // MT timezone
@@ -63,16 +111,29 @@ class DeviceCache {
       return;
     }
     
-    console.log('[CACHE] Starting unified 500ms polling cycle...');
     this.refreshCyclesStarted = true;
     
-    // Do an immediate refresh to populate the cache
-    this.refreshDeviceCache().catch(err => 
-      console.error('[CACHE] Initial device cache refresh failed:', err)
-    );
+    if (this.updateMode === 'events') {
+      console.log(`[CACHE] Starting event-driven updates with ${this.reconcileInterval}ms reconciliation...`);
+      this.startEventStream();
+    } else {
+      console.log('[CACHE] Starting unified 500ms polling cycle...');
+    }
     
-    // Unified 500ms polling
+    // Resolve entity ids first, then do an immediate refresh to populate the cache
+    this.refreshEntityIdIndex()
+      .then(() => this.refreshDeviceCache())
+      .catch(err => console.error('[CACHE] Initial device cache refresh failed:', err));
+    
+    setInterval(() => {
+      this.refreshEntityIdIndex();
+    }, this.entityIndexRefreshInterval);
+    
+    // Unified 500ms polling (reconciliation only while the event stream is live)
     setInterval(async () => {
+      if (this.isEventStreamActive() && Date.now() - this.lastReconcile < this.reconcileInterval) {
+        return;
+      }
       await this.refreshDeviceCache();
     }, this.updateInterval);
 
@@ -82,6 +143,212 @@ class DeviceCache {
     }, 30000);
   }
 
+  async refreshEntityIdIndex() {
+    this.entityIndexLastAttempt = Date.now();
+    
+    try {
+      const [states, registry] = await Promise.all([
+        homeAssistantClient.getStates(),
+        this.transport.getRegistry()
+      ]);
+      const index = new Map();
+      const friendlyNames = new Map();
+      const capabilities = new Map();
+      
+      states.forEach(state => {
+        const domain = state.entity_id.split('.')[0];
+        const friendlyName = state.attributes?.friendly_name || state.entity_id;
+        const key = `${domain}:${friendlyName}`;
+        index.set(key, [...(index.get(key) || []), state.entity_id]);
+        friendlyNames.set(state.entity_id, friendlyName);
+        
+        const reported = CAPABILITY_ATTRIBUTES.filter(key => state.attributes?.[key] !== undefined);
+        if (reported.length > 0) {
+          capabilities.set(state.entity_id, Object.fromEntries(reported.map(key => [key, state.attributes[key]])));
+        }
+      });
+      
+      this.entityIdIndex = index;
+      this.entityAreas = registry.areas || this.entityAreas;
+      this.friendlyNames = friendlyNames;
+      this.capabilities = capabilities;
+      console.log(`[CACHE] Entity id index refreshed: ${index.size} entities`);
+    } catch (error) {
+      console.error('[CACHE] Failed to refresh entity id index, devices it can\'t resolve stay off the dashboard:', error.message);
+    }
+  }
+
+  shouldRefreshEntityIdIndex() {
+    return !this.entityIndexLastAttempt || Date.now() - this.entityIndexLastAttempt > this.entityIndexMinAge;
+  }
+
+  // Friendly names aren't unique within a domain (a "Ceiling Light" in every
+  // room), so same-named entities are told apart by the areas GetLiveContext
+  // reports for the entry. Returns null when that still leaves more than one.
+  resolveEntityId(domain, name, areas = []) {
+    const candidates = this.entityIdIndex.get(`${domain}:${name}`) || [];
+    if (candidates.length <= 1) {
+      return candidates[0] || null;
+    }
+    
+    const inArea = candidates.filter(id => areas.includes(this.entityAreas.get(id)));
+    return inArea.length === 1 ? inArea[0] : null;
+  }
+  
+  isAmbiguousName(domain, name) {
+    return (this.entityIdIndex.get(`${domain}:${name}`) || []).length > 1;
+  }
+
+  getFriendlyName(entityId) {
+    return this.deviceCache.get(entityId)?.name || this.friendlyNames.get(entityId) || null;
+  }
+
+  withCapabilities(entity) {
+    const capabilities = this.capabilities.get(entity.id);
+    return capabilities ? { ...entity, attributes: { ...capabilities, ...entity.attributes } } : entity;
+  }
+
+  assignEntityId(entity) {
+    entity.entityId = this.resolveEntityId(entity.domain, entity.name, entity.areas);
+    entity.id = entity.entityId;
+    return entity;
+  }
+  
+  // Entries without an entity_id are never cached under their name, which
+  // would act on the wrong entity or fork a device's identity; warn once per name
+  dropUnresolved(entities) {
+    return entities.filter(entity => {
+      if (entity.entityId) return true;
+      
+      const key = `${entity.domain}:${entity.name}`;
+      if (!this.unresolvedNames.has(key)) {
+        this.unresolvedNames.add(key);
+        console.warn(this.isAmbiguousName(entity.domain, entity.name)
+          ? `[CACHE] "${entity.name}" matches several ${entity.domain} entities that their areas don't tell apart; leaving them off the dashboard`
+          : `[CACHE] "${entity.name}" (${entity.domain}) has no entity in /api/states; leaving it off the dashboard`);
+      }
+      return false;
+    });
+  }
+
+  startEventStream() {
+    this.eventSource.on('state_changed', (data) => this.applyStateChange(data));
+    this.eventSource.on('connected', () => console.log('[CACHE] Websocket event stream active'));
+    this.eventSource.on('disconnected', () => console.warn('[CACHE] Websocket event stream lost, falling back to polling'));
+    
+    this.eventSource.connect().catch(err =>
+      console.error('[CACHE] Websocket event stream failed to start, polling until it reconnects:', err.message)
+    );
+  }
+
+  isEventStreamActive() {
+    return this.updateMode === 'events' && this.eventSource.isConnected();
+  }
+
+  // Apply a single state_changed event ({ entity_id, old_state, new_state }).
+  // Only entities already admitted by a live context pass are updated, so the
+  // MCP exposure settings stay the source of truth for which entities exist.
+  applyStateChange(data) {
+    if (!data || !data.entity_id) return false;
+    
+    const newState = data.new_state;
+    const existing = this.deviceCache.get(data.entity_id);
+    
+    if (!existing) {
+      return false;
+    }
+    
+    this.performanceStats.eventsApplied++;
+    this.performanceStats.lastEventTime = Date.now();
+    this.lastUpdate = this.performanceStats.lastEventTime;
+    
+    if (!newState || newState.state === 'unavailable') {
+      console.log(`[CACHE-EVENT] ${data.entity_id} removed (${newState ? 'unavailable' : 'deleted'})`);
+      this.removeEntity(existing.id);
+      return true;
+    }
+    
+    // new_state has the entity's full attribute set, so it replaces the cached
+    // one: attributes Home Assistant drops (a light's brightness when it turns
+    // off, a stopped player's media_title) must go too. Renames only touch the
+    // display name; the cache stays keyed by entity_id
+    const { friendly_name, entity_picture, ...attributes } = newState.attributes || {};
+    const name = friendly_name || existing.name;
+    if (name !== existing.name) {
+      console.log(`[CACHE-EVENT] ${data.entity_id} renamed: ${existing.name} → ${name}`);
+      const oldKey = `${existing.domain}:${existing.name}`;
+      const newKey = `${existing.domain}:${name}`;
+      this.entityIdIndex.set(oldKey, (this.entityIdIndex.get(oldKey) || []).filter(id => id !== data.entity_id));
+      this.entityIdIndex.set(newKey, [...(this.entityIdIndex.get(newKey) || []), data.entity_id]);
+      this.friendlyNames.set(data.entity_id, name);
+    }
+    
+    // Events arrive for every sensor tick; they are counted in the performance
+    // summary rather than logged one by one
+    return this.upsertEntity(this.withCapabilities({
+      ...existing,
+      name,
+      state: newState.state,
+      attributes
+    }), Date.now());
+  }
+
+  // Seed lastChanged from persisted history (entity_id → { state, at }). Applies
+  // to cached entities straight away and to the rest as they first appear.
+  seedLastChanged(lastStates) {
+    this.lastChangedSeed = new Map(lastStates);
+    
+    this.deviceCache.forEach(entity => {
+      const seeded = this.seededLastChanged(entity, entity.lastChanged);
+      if (seeded !== entity.lastChanged) {
+        entity.lastChanged = seeded;
+        this.emit('change', { type: 'upsert', entity });
+      }
+    });
+  }
+
+  seededLastChanged(entity, fallback) {
+    const seed = this.lastChangedSeed.get(entity.id);
+    this.lastChangedSeed.delete(entity.id);
+    return seed && seed.state === entity.state && seed.at < fallback ? seed.at : fallback;
+  }
+
+  // Store an entity with change detection; returns true when it is new or its state changed.
+  // Attribute/name-only changes keep lastChanged but are still announced to 'change' listeners.
+  upsertEntity(entity, now) {
+    const { lastChanged, lastSeen, ...entityData } = entity;
+    const existing = this.deviceCache.get(entityData.id);
+    
+    if (!existing || existing.state !== entityData.state) {
+      // Entity changed or is new
+      const updated = {
+        ...entityData,
+        lastChanged: existing ? now : this.seededLastChanged(entityData, now),
+        lastSeen: now
+      };
+      this.deviceCache.set(entityData.id, updated);
+      this.emit('change', { type: 'upsert', entity: updated });
+      return true;
+    }
+    
+    // State unchanged, just update lastSeen and any attribute/name changes
+    existing.lastSeen = now;
+    const detailsChanged = Object.keys(entityData).some(key =>
+      key !== 'state' && JSON.stringify(existing[key]) !== JSON.stringify(entityData[key])
+    );
+    if (detailsChanged) {
+      Object.assign(existing, entityData);
+      this.emit('change', { type: 'upsert', entity: existing });
+    }
+    return false;
+  }
+
+  removeEntity(id) {
+    if (this.deviceCache.delete(id)) {
+      this.emit('change', { type: 'remove', id });
+    }
+  }
+
   async refreshDeviceCache() {
     const startTime = Date.now();
     const pollId = this.performanceStats.totalPolls + 1;
@@ -89,20 +356,32 @@ class DeviceCache {
     try {
       console.log(`[CACHE-POLL-${pollId}] Starting 500ms cache refresh...`);
       
-      // Get live context from MCP server
-      const liveContext = await mcpClient.getLiveContext();
-      const mcpDuration = Date.now() - startTime;
+      // Live context from the MCP server, or HA states when it has failed over to REST
+      const liveState = await this.transport.getLiveState();
+      const fetchDuration = Date.now() - startTime;
       
-      if (!liveContext || !liveContext.result) {
-        throw new Error('No live context received from MCP');
-      }
-      
-      console.log(`[CACHE-POLL-${pollId}] MCP response received in ${mcpDuration}ms`);
+      console.log(`[CACHE-POLL-${pollId}] ${liveState.transport.toUpperCase()} response received in ${fetchDuration}ms`);
       
       // Parse and filter entities
       const parseStart = Date.now();
-      const allEntities = this.parseLiveContext(liveContext);
-      const filteredEntities = this.filterDashboardRelevantEntities(allEntities);
+      let allEntities = liveState.liveContext
+        ? this.parseLiveContext(liveState.liveContext)
+        : this.buildDevicesFromStates(liveState);
+      
+      // New or renamed devices: re-resolve entity ids before they enter the cache
+      // (ambiguous names won't resolve any better from a fresh index)
+      const needsIndex = entity => !entity.entityId && !this.isAmbiguousName(entity.domain, entity.name);
+      if (allEntities.some(needsIndex) && this.shouldRefreshEntityIdIndex()) {
+        await this.refreshEntityIdIndex();
+        allEntities = allEntities.map(entity => entity.entityId ? entity : this.assignEntityId(entity));
+      }
+      // A renamed device can't be matched to its entity until the index catches
+      // up; keep what's cached rather than dropping and re-adding it
+      const pendingRename = allEntities.some(needsIndex);
+      allEntities = this.dropUnresolved(allEntities);
+      
+      const filteredEntities = this.filterDashboardRelevantEntities(allEntities)
+        .map(entity => this.withCapabilities(entity));
       const parseDuration = Date.now() - parseStart;
       
       console.log(`[CACHE-POLL-${pollId}] Parsed ${allEntities.length} total entities, filtered to ${filteredEntities.length} relevant entities in ${parseDuration}ms`);
@@ -112,23 +391,20 @@ class DeviceCache {
       const updateStart = Date.now();
       
       filteredEntities.forEach(entity => {
-        const existing = this.deviceCache.get(entity.id);
-        const now = Date.now();
-        
-        if (!existing || existing.state !== entity.state) {
-          // Entity changed or is new
-          this.deviceCache.set(entity.id, {
-            ...entity,
-            lastChanged: existing && existing.state !== entity.state ? now : (existing?.lastChanged || now),
-            lastSeen: now
-          });
+        if (this.upsertEntity(entity, Date.now())) {
           changedEntities++;
-        } else {
-          // Entity unchanged, just update lastSeen
-          existing.lastSeen = now;
         }
       });
       
+      // Drop entities that are no longer exposed (skip on an empty parse so a
+      // malformed response can't wipe the cache)
+      if (filteredEntities.length > 0 && !pendingRename) {
+        const seenIds = new Set(filteredEntities.map(entity => entity.id));
+        Array.from(this.deviceCache.keys())
+          .filter(id => !seenIds.has(id))
+          .forEach(id => this.removeEntity(id));
+      }
+      
       const updateDuration = Date.now() - updateStart;
       const totalDuration = Date.now() - startTime;
       
@@ -141,8 +417,9 @@ class DeviceCache {
       this.performanceStats.totalEntityCount = allEntities.length;
       
       this.lastUpdate = Date.now();
+      this.lastReconcile = this.lastUpdate;
       
-      console.log(`[CACHE-POLL-${pollId}] Cache updated: ${changedEntities} changed entities, total duration: ${totalDuration}ms (MCP: ${mcpDuration}ms, Parse: ${parseDuration}ms, Update: ${updateDuration}ms)`);
+      console.log(`[CACHE-POLL-${pollId}] Cache updated: ${changedEntities} changed entities, total duration: ${totalDuration}ms (${liveState.transport.toUpperCase()}: ${fetchDuration}ms, Parse: ${parseDuration}ms, Update: ${updateDuration}ms)`);
       
       return this.deviceCache;
     } catch (error) {
@@ -155,58 +432,9 @@ class DeviceCache {
     }
   }
 
+  // Category members, plus scenes, scripts and automations for the scene browser
   filterDashboardRelevantEntities(entities) {
-    return entities.filter(entity => {
-      const domain = entity.domain;
-      const deviceClass = entity.attributes?.device_class;
-      const name = entity.name?.toLowerCase() || '';
-      
-      // Security entities
-      if (this.dashboardEntityTypes.security.domains.includes(domain)) {
-        if (domain === 'binary_sensor' && this.dashboardEntityTypes.security.deviceClasses.includes(deviceClass)) {
-          return true;
-        }
-        if (domain === 'lock') {
-          return true;
-        }
-      }
-      
-      // Lighting entities
-      if (this.dashboardEntityTypes.lights.domains.includes(domain)) {
-        // Exclude automation/schedule switches
-        const isExcluded = this.dashboardEntityTypes.lights.exclude.some(exclude => 
-          name.includes(exclude)
-        );
-        return !isExcluded;
-      }
-      
-      // Climate entities
-      if (this.dashboardEntityTypes.climate.domains.includes(domain)) {
-        if (domain === 'climate' || domain === 'fan') {
-          return true;
-        }
-        if (domain === 'sensor' && this.dashboardEntityTypes.climate.deviceClasses.includes(deviceClass)) {
-          return true;
-        }
-      }
-      
-      // Media entities
-      if (this.dashboardEntityTypes.media.domains.includes(domain)) {
-        return true;
-      }
-      
-      // Door/cover entities
-      if (this.dashboardEntityTypes.doors.domains.includes(domain)) {
-        if (domain === 'cover' && this.dashboardEntityTypes.doors.deviceClasses.includes(deviceClass)) {
-          return true;
-        }
-        if (domain === 'lock') {
-          return true; // Already handled above but keeping for clarity
-        }
-      }
-      
-      return false;
-    });
+    return entities.filter(entity => ROUTINE_DOMAINS.includes(entity.domain) || this.categoryRules.isRelevant(entity));
   }
 
   logPerformanceStats() {
@@ -221,6 +449,12 @@ class DeviceCache {
     console.log(`  Last Error: ${lastErrorAgo === 'never' ? 'never' : lastErrorAgo + 's ago'}`);
     console.log(`  Entity Filtering: ${stats.totalEntityCount} → ${stats.filteredEntityCount} (${Math.round(stats.filteredEntityCount/stats.totalEntityCount*100)}% relevant)`);
     console.log(`  Cache Size: ${this.deviceCache.size} entities`);
+    if (stats.parseErrorCount > 0) {
+      console.log(`  Parse Errors: ${stats.parseErrorCount} malformed live context entries`);
+    }
+    if (this.updateMode === 'events') {
+      console.log(`  Event Stream: ${this.isEventStreamActive() ? 'active' : 'inactive'} (${stats.eventsApplied} events applied)`);
+    }
   }
 
   async manualRefresh() {
@@ -267,6 +501,75 @@ class DeviceCache {
     }).format(new Date(timestamp));
   }
 
+  // Map one parsed live context entry to a device; problems are appended to errors
+  buildDeviceFromEntry(entry, line, errors) {
+    if (!isMapping(entry)) {
+      errors.push({ line, message: 'Entry is not a mapping' });
+      return null;
+    }
+    
+    // GetLiveContext joins multiple names/areas with ", "; lists are accepted too
+    const names = toValueList(entry.names);
+    const areas = toValueList(entry.areas);
+    
+    if (names.length === 0) {
+      errors.push({ line, message: 'Entry has no names' });
+      return null;
+    }
+    if (!entry.domain) {
+      errors.push({ line, message: `Entry "${names[0]}" has no domain` });
+      return null;
+    }
+    if (entry.attributes !== undefined && entry.attributes !== null && !isMapping(entry.attributes)) {
+      errors.push({ line, message: `Entry "${names[0]}" has non-mapping attributes` });
+    }
+    
+    const attributes = isMapping(entry.attributes) ? entry.attributes : {};
+    
+    return this.assignEntityId({
+      id: null,
+      entityId: null,
+      name: names[0],
+      aliases: names.slice(1),
+      domain: String(entry.domain),
+      state: entry.state === null || entry.state === undefined ? '' : String(entry.state),
+      area: areas[0] || '',
+      areas,
+      attributes
+    });
+  }
+
+  // Devices from HA states ({ states, exposed, areas } from the REST transport).
+  // Only entities exposed to Assist are admitted, as with MCP; while the
+  // exposure list is unavailable, the ones already cached. Areas come from the
+  // registry, or stay as last cached.
+  buildDevicesFromStates({ states, exposed, areas }) {
+    const admitted = exposed || (this.deviceCache.size > 0 ? new Set(this.deviceCache.keys()) : null);
+    
+    return states
+      .filter(state => (!admitted || admitted.has(state.entity_id)) && state.state !== 'unavailable')
+      .map(state => {
+        // entity_picture carries an access token; MCP never sends it either
+        const { friendly_name, entity_picture, ...attributes } = state.attributes || {};
+        const cached = this.deviceCache.get(state.entity_id);
+        const entityAreas = areas
+          ? (areas.has(state.entity_id) ? [areas.get(state.entity_id)] : [])
+          : (cached ? cached.areas : []);
+        
+        return {
+          id: state.entity_id,
+          entityId: state.entity_id,
+          name: friendly_name || state.entity_id,
+          aliases: cached ? cached.aliases : [],
+          domain: state.entity_id.split('.')[0],
+          state: String(state.state),
+          area: entityAreas[0] || '',
+          areas: entityAreas,
+          attributes
+        };
+      });
+  }
+
   // Parse MCP live context (moved from device-service.js)
   parseLiveContext(contextData) {
     const devices = [];
@@ -303,51 +606,29 @@ class DeviceCache {
 
     console.log('DeviceCache parsing context, length:', contextText.length);
     console.log('First 500 chars:', contextText.substring(0, 500));
-    const lines = contextText.split('\n');
-    let currentDevice = null;
+    const { entries, errors } = parseLiveContextText(contextText);
     
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine || trimmedLine.startsWith('Live Context:')) continue;
-      
-      if (line.startsWith('- names:')) {
-        if (currentDevice) {
-          devices.push(currentDevice);
-        }
-        
-        const nameMatch = line.match(/- names:\s*'?([^']+)'?/);
-        if (nameMatch) {
-          currentDevice = {
-            id: nameMatch[1].trim(),
-            name: nameMatch[1].trim(),
-            domain: '',
-            state: '',
-            area: '',
-            attributes: {}
-          };
-        }
-      } else if (currentDevice) {
-        if (trimmedLine.startsWith('domain:')) {
-          currentDevice.domain = trimmedLine.replace('domain:', '').trim();
-        } else if (trimmedLine.startsWith('state:')) {
-          currentDevice.state = trimmedLine.replace('state:', '').trim().replace(/'/g, '');
-        } else if (trimmedLine.startsWith('areas:')) {
-          currentDevice.area = trimmedLine.replace('areas:', '').trim();
-        } else if (trimmedLine.includes(':') && !trimmedLine.startsWith('-') && trimmedLine.indexOf(':') > 0) {
-          const colonIndex = trimmedLine.indexOf(':');
-          const key = trimmedLine.substring(0, colonIndex).trim();
-          const value = trimmedLine.substring(colonIndex + 1).trim();
-          if (key && value) {
-            currentDevice.attributes[key] = value.replace(/'/g, '');
-          }
-        }
+    entries.forEach(({ line, value }) => {
+      const device = this.buildDeviceFromEntry(value, line, errors);
+      if (device) {
+        devices.push(device);
       }
-    }
+    });
     
-    if (currentDevice) {
-      devices.push(currentDevice);
+    // A malformed entry comes back on every poll: warn when it first shows up,
+    // keyed by message since line numbers shift as entities come and go
+    const known = new Set(this.lastParseErrors.map(error => error.message));
+    errors.filter(error => !known.has(error.message)).forEach(({ line, message }) => {
+      console.warn(`[CACHE-PARSE] Line ${line}: ${message}`);
+    });
+    if (errors.length === 0 && this.lastParseErrors.length > 0) {
+      console.log('[CACHE-PARSE] Live context parses cleanly again');
     }
     
+    this.lastParseErrors = errors;
+    this.performanceStats.parseErrorCount = errors.length;
+    this.performanceStats.parseErrors = errors.slice(0, MAX_REPORTED_PARSE_ERRORS);
+    
     return devices.filter(device => device.domain && device.state !== 'unavailable');
   }
 }
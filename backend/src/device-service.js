@@ -1,45 +1,88 @@
-const mcpClient = require('./mcp-client');
+const crypto = require('crypto');
+const transport = require('./transport');
 const deviceCache = require('./device-cache');
+const categoryRules = require('./category-rules');
+const { SEVERITIES, ROUTINE_DOMAINS } = categoryRules;
+const httpError = require('./http-error');
+const controlGuard = require('./control-guard');
+const homeAssistantClient = require('./homeassistant-client');
+
+// Devices without a Home Assistant area are grouped under this name
+const UNASSIGNED_AREA = 'Unassigned';
+const MOTION_CLASSES = ['motion', 'occupancy', 'presence'];
+// Color modes that take a color from the wheel (HA converts hs/rgb to the light's own)
+const COLOR_WHEEL_MODES = ['hs', 'xy', 'rgb', 'rgbw', 'rgbww'];
+// Home Assistant's MediaPlayerEntityFeature bits
+const MEDIA_FEATURES = {
+  pause: 1,
+  seek: 2,
+  volume: 4,
+  mute: 8,
+  previous: 16,
+  next: 32,
+  turnOn: 128,
+  turnOff: 256,
+  volumeStep: 1024,
+  source: 2048,
+  stop: 4096,
+  play: 16384,
+  soundMode: 65536
+};
+// Play/pause/next/previous go through the transport's intents (MCP, or the
+// matching REST services after a failover), the rest through REST services
+const MEDIA_INTENT_ACTIONS = ['play', 'pause', 'next', 'previous'];
+const MEDIA_SERVICE_ACTIONS = {
+  stop: { service: 'media_stop', feature: 'stop' },
+  volume_up: { service: 'volume_up', feature: 'volumeStep' },
+  volume_down: { service: 'volume_down', feature: 'volumeStep' },
+  mute: { service: 'volume_mute', feature: 'mute' },
+  source: { service: 'select_source', feature: 'source' },
+  sound_mode: { service: 'select_sound_mode', feature: 'soundMode' },
+  seek: { service: 'media_seek', feature: 'seek' },
+  turn_on: { service: 'turn_on', feature: 'turnOn' },
+  turn_off: { service: 'turn_off', feature: 'turnOff' }
+};
+// Home Assistant's FanEntityFeature bits
+const FAN_FEATURES = {
+  speed: 1,
+  oscillate: 2,
+  direction: 4,
+  preset: 8
+};
+const FAN_DIRECTIONS = ['forward', 'reverse'];
+const SECURED_ACTIONS = {
+  lock: ['lock', 'unlock'],
+  cover: ['open', 'close', 'stop']
+};
 
 class DeviceService {
   constructor() {
     this.lastKnownState = null;
+    this.categoryRules = categoryRules;
+    this.lastActivated = new Map(); // entity_id → when a scene/script was last run from a dashboard
+  }
+
+  get categoryKeys() {
+    return this.categoryRules.getCategoryKeys();
   }
 
   async getDashboardState() {
     try {
-      // Check MCP connection status
-      if (!mcpClient.isConnected()) {
-        console.log('DeviceService: MCP client not connected, using cached data');
-        console.log('DeviceService: Connection status:', mcpClient.getConnectionStatus());
-      } else {
-        // TEMP: Test if MCP is working by calling directly
-        console.log('DeviceService: Testing direct MCP call...');
-        const directContext = await mcpClient.getLiveContext();
-        console.log('DeviceService: Direct MCP response:', directContext ? 'received' : 'null');
-        if (directContext && directContext.result) {
-          console.log('DeviceService: Direct context length:', directContext.result.length);
-        }
+      if (!transport.isAvailable()) {
+        console.log('DeviceService: no transport available, using cached data');
+        console.log('DeviceService: Transport status:', transport.getStatus());
       }
       
       // Get devices from cache (auto-refreshes as needed)
       const devices = deviceCache.getCachedDevices();
       
-      const dashboardState = {
-        doors: this.categorizeDevices(devices, 'doors'),
-        lights: this.categorizeDevices(devices, 'lights'),
-        climate: this.categorizeDevices(devices, 'climate'),
-        security: this.categorizeDevices(devices, 'security'),
-        media: this.categorizeDevices(devices, 'media'),
-        
-        // Add metadata for dashboard footer
-        metadata: {
-          deviceCount: deviceCache.getDeviceCount(),
-          lastUpdate: deviceCache.getLastUpdateTime(),
-          timeSinceLastUpdate: deviceCache.getTimeSinceLastUpdate(),
-          performanceStats: deviceCache.getPerformanceStats()
-        }
-      };
+      const dashboardState = {};
+      this.categoryKeys.forEach(key => {
+        dashboardState[key] = this.categorizeDevices(devices, key);
+      });
+      
+      // Add metadata for dashboard footer
+      dashboardState.metadata = this.getMetadata();
 
       this.lastKnownState = dashboardState;
       return dashboardState;
@@ -74,111 +117,137 @@ class DeviceService {
 
   // parseLiveContext method moved to DeviceCache class
 
+  // Group membership, attention states and summary wording come from config/category-rules.json
   categorizeDevices(devices, category) {
-    let filteredDevices = [];
-    let summary = '';
-    let allOk = true;
-    
-    switch (category) {
-      case 'doors':
-        filteredDevices = devices.filter(device => 
-          (device.domain === 'cover' && device.attributes.device_class === 'garage') ||
-          (device.domain === 'binary_sensor' && device.attributes.device_class === 'opening') ||
-          (device.domain === 'lock')
-        );
-        
-        const openDoors = filteredDevices.filter(device => 
-          device.state === 'open' || device.state === 'on' || device.state === 'unlocked'
-        );
-        
-        if (openDoors.length === 0) {
-          summary = 'All doors closed and locked';
-          allOk = true;
-        } else {
-          summary = `${openDoors.length} door(s) need attention`;
-          allOk = false;
-        }
-        break;
-        
-      case 'lights':
-        filteredDevices = devices.filter(device => 
-          device.domain === 'light' || 
-          (device.domain === 'switch' && !device.name.toLowerCase().includes('schedule'))
-        );
-        
-        const activeLights = filteredDevices.filter(device => device.state === 'on');
-        
-        if (activeLights.length === 0) {
-          summary = 'All lights are off';
-          allOk = true;
-        } else {
-          summary = `${activeLights.length} light(s) currently on`;
-          allOk = false;
-        }
-        break;
-        
-      case 'climate':
-        filteredDevices = devices.filter(device => 
-          device.domain === 'climate' || 
-          device.domain === 'fan' ||
-          (device.domain === 'sensor' && (
-            device.attributes.device_class === 'temperature' ||
-            device.attributes.device_class === 'humidity'
-          ))
-        );
-        
-        // Climate is always shown for information
-        const avgTemp = this.calculateAverageTemperature(filteredDevices);
-        summary = avgTemp ? `Average temperature: ${avgTemp}°F` : 'Climate monitoring active';
-        allOk = true; // Climate doesn't have an "all OK" state
-        break;
-        
-      case 'security':
-        filteredDevices = devices.filter(device => 
-          (device.domain === 'binary_sensor' && device.attributes.device_class === 'motion') ||
-          (device.domain === 'binary_sensor' && device.attributes.device_class === 'opening') ||
-          device.domain === 'lock'
-        );
-        
-        const securityIssues = filteredDevices.filter(device => 
-          (device.domain === 'binary_sensor' && device.state === 'on') ||
-          (device.domain === 'lock' && device.state === 'unlocked')
-        );
-        
-        if (securityIssues.length === 0) {
-          summary = 'All security sensors clear';
-          allOk = true;
-        } else {
-          summary = `${securityIssues.length} security alert(s)`;
-          allOk = false;
-        }
-        break;
-        
-      case 'media':
-        filteredDevices = devices.filter(device => device.domain === 'media_player');
-        
-        const activeMedia = filteredDevices.filter(device => 
-          device.state === 'playing' || device.state === 'paused' || device.state === 'on'
-        );
-        
-        if (activeMedia.length === 0) {
-          summary = 'No active media players';
-          allOk = true;
-        } else {
-          summary = `${activeMedia.length} media player(s) active`;
-          allOk = false;
-        }
-        break;
-    }
+    const rules = this.categoryRules.getCategory(category);
+    const filteredDevices = devices.filter(device => this.categoryRules.matches(device, category));
+    const attentionCount = filteredDevices.filter(device => this.categoryRules.needsAttention(device, category)).length;
+    
+    const summary = this.categoryRules.formatSummary(category, {
+      count: attentionCount,
+      total: filteredDevices.length,
+      averageTemperature: this.calculateAverageTemperature(filteredDevices)
+    });
     
     return {
-      category: category.charAt(0).toUpperCase() + category.slice(1),
+      category: rules.label,
       summary,
-      devices: filteredDevices,
-      allOk
+      devices: filteredDevices.map(device => ({ ...device, severity: this.getDeviceSeverity(device) })),
+      allOk: attentionCount === 0,
+      severity: this.categoryRules.getGroupSeverity(category, attentionCount)
+    };
+  }
+
+  // Category keys a single device belongs to (used to route entity-level patches)
+  getDeviceCategories(device) {
+    return this.categoryRules.getDeviceCategories(device);
+  }
+
+  // ok / notify / alert, the highest across the device's categories
+  getDeviceSeverity(device) {
+    return this.categoryRules.getDeviceSeverity(device);
+  }
+
+  // Group headers (category, summary, allOk, severity) without the device lists
+  getGroupSummaries() {
+    const devices = deviceCache.getCachedDevices();
+    const summaries = {};
+    
+    this.categoryKeys.forEach(key => {
+      const { devices: groupDevices, ...summary } = this.categorizeDevices(devices, key);
+      summaries[key] = summary;
+    });
+    
+    return summaries;
+  }
+
+  getMetadata() {
+    return {
+      deviceCount: deviceCache.getDeviceCount(),
+      lastUpdate: deviceCache.getLastUpdateTime(),
+      timeSinceLastUpdate: deviceCache.getTimeSinceLastUpdate(),
+      performanceStats: deviceCache.getPerformanceStats(),
+      categories: this.categoryRules.describe()
     };
   }
 
+  // Dashboard state grouped by Home Assistant area instead of category. A device
+  // listed in several areas appears in each of them.
+  getAreaState() {
+    const byArea = new Map();
+    
+    deviceCache.getCachedDevices()
+      .filter(device => !ROUTINE_DOMAINS.includes(device.domain))
+      .forEach(device => {
+        const areas = device.areas && device.areas.length > 0 ? device.areas : [device.area || UNASSIGNED_AREA];
+        areas.forEach(area => {
+          if (!byArea.has(area)) byArea.set(area, []);
+          byArea.get(area).push(device);
+        });
+      });
+    
+    const areas = Array.from(byArea.entries())
+      .map(([name, devices]) => this.summarizeArea(name, devices))
+      .sort((a, b) => (a.name === UNASSIGNED_AREA) - (b.name === UNASSIGNED_AREA) || a.name.localeCompare(b.name));
+    
+    return { areas, metadata: this.getMetadata() };
+  }
+
+  // A single area by name (case-insensitive)
+  getArea(name) {
+    const wanted = String(name).toLowerCase();
+    const area = this.getAreaState().areas.find(candidate => candidate.name.toLowerCase() === wanted);
+    
+    if (!area) {
+      throw httpError(404, `Area ${name} not found`);
+    }
+    return area;
+  }
+
+  // Open doors, lights on, temperature and motion for an area tile
+  summarizeArea(name, devices) {
+    const attention = (key) => this.categoryKeys.includes(key)
+      ? devices.filter(device => this.categoryRules.matches(device, key) && this.categoryRules.needsAttention(device, key)).length
+      : 0;
+    const motionSensors = devices.filter(device =>
+      device.domain === 'binary_sensor' && MOTION_CLASSES.includes(device.attributes?.device_class)
+    );
+    const activeMotion = motionSensors.filter(device => device.state === 'on');
+    const mapped = devices.map(device => ({
+      ...device,
+      categories: this.getDeviceCategories(device),
+      severity: this.getDeviceSeverity(device)
+    }));
+    
+    return {
+      name,
+      summary: {
+        openDoors: attention('doors'),
+        activeLights: attention('lights'),
+        temperature: this.calculateAreaTemperature(devices),
+        motion: activeMotion.length > 0,
+        lastMotion: motionSensors.reduce((latest, device) => Math.max(latest, device.lastChanged || 0), 0) || null
+      },
+      severity: mapped.reduce((highest, device) =>
+        SEVERITIES.indexOf(device.severity) > SEVERITIES.indexOf(highest) ? device.severity : highest, 'ok'),
+      devices: mapped
+    };
+  }
+
+  // Temperature sensors first; a thermostat's reading when the room has none
+  calculateAreaTemperature(devices) {
+    const sensorAverage = this.calculateAverageTemperature(devices);
+    if (sensorAverage !== null) return sensorAverage;
+    
+    const readings = devices
+      .filter(device => device.domain === 'climate')
+      .map(device => parseFloat(device.attributes?.current_temperature))
+      .filter(value => !isNaN(value));
+    
+    if (readings.length === 0) return null;
+    return Math.round(readings.reduce((sum, value) => sum + value, 0) / readings.length);
+  }
+
   calculateAverageTemperature(devices) {
     const tempDevices = devices.filter(device => 
       device.domain === 'sensor' && 
@@ -199,11 +268,14 @@ class DeviceService {
       if (!device) {
         throw new Error(`Device ${deviceId} not found`);
       }
+      if (SECURED_ACTIONS[device.domain]) {
+        throw httpError(400, `${device.name} is a ${device.domain}; use the ${device.domain} controls`);
+      }
 
       if (device.state === 'on') {
-        return await mcpClient.turnOff({ name: deviceId });
+        return await transport.turnOff(device);
       } else {
-        return await mcpClient.turnOn({ name: deviceId });
+        return await transport.turnOn(device);
       }
     } catch (error) {
       console.error('Error toggling device:', error);
@@ -213,102 +285,659 @@ class DeviceService {
 
   async setBrightness(deviceId, brightness) {
     try {
-      return await mcpClient.setLightBrightness({ 
-        name: deviceId, 
-        brightness: Math.round((brightness / 100) * 255) 
-      });
+      return await transport.setLightBrightness(await this.getControlTarget(deviceId), Math.round((brightness / 100) * 255));
     } catch (error) {
       console.error('Error setting brightness:', error);
       throw error;
     }
   }
 
+  // Color, color temperature, effect and/or brightness through light.turn_on.
+  // options: { brightness (0-100), hs: [hue, saturation], rgb: [r, g, b],
+  // kelvin or mireds, effect }, at most one of hs/rgb/kelvin/mireds. Checked
+  // against the light's supported_color_modes/effect_list when it reports them.
+  async setLight(deviceId, options = {}) {
+    const device = deviceCache.getCachedDevices().find(candidate => candidate.id === deviceId);
+    if (!device || device.domain !== 'light') {
+      throw httpError(404, `No light ${deviceId}`);
+    }
+    
+    const data = this.buildLightData(device, options);
+    try {
+      await homeAssistantClient.setLight(device.id, data);
+    } catch (error) {
+      throw httpError(502, `Failed to set ${device.name}: ${error.message}`);
+    }
+    
+    console.log(`[LIGHT] ${device.id}: ${JSON.stringify(data)}`);
+    return { success: true, message: 'Light updated' };
+  }
+
+  buildLightData(device, { brightness, hs, rgb, kelvin, mireds, effect }) {
+    const attributes = device.attributes || {};
+    const modes = Array.isArray(attributes.supported_color_modes) ? attributes.supported_color_modes : null;
+    const given = value => value !== undefined && value !== null;
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isTuple = (value, max) => Array.isArray(value) && value.length === max.length &&
+      value.every((part, index) => isNumber(part) && part >= 0 && part <= max[index]);
+    const data = {};
+    
+    if ([hs, rgb, kelvin, mireds].filter(given).length > 1) {
+      throw httpError(400, 'Pass only one of hs, rgb, kelvin or mireds');
+    }
+    
+    if (given(hs)) {
+      if (!isTuple(hs, [360, 100])) throw httpError(400, 'hs must be [hue 0-360, saturation 0-100]');
+      data.hs_color = hs;
+    }
+    if (given(rgb)) {
+      if (!isTuple(rgb, [255, 255, 255])) throw httpError(400, 'rgb must be [r, g, b] with values 0-255');
+      data.rgb_color = rgb.map(Math.round);
+    }
+    if ((given(hs) || given(rgb)) && modes && !modes.some(mode => COLOR_WHEEL_MODES.includes(mode))) {
+      throw httpError(400, `${device.name} doesn't support color`);
+    }
+    
+    if (given(kelvin) || given(mireds)) {
+      const unit = given(kelvin) ? 'kelvin' : 'mireds';
+      const value = given(kelvin) ? kelvin : mireds;
+      if (!isNumber(value) || value <= 0) throw httpError(400, `${unit} must be a positive number`);
+      if (modes && !modes.includes('color_temp')) {
+        throw httpError(400, `${device.name} doesn't support color temperature`);
+      }
+      
+      // Clamp to the light's range (reported in kelvin, or in mireds by older integrations)
+      const requested = unit === 'kelvin' ? value : 1000000 / value;
+      const min = attributes.min_color_temp_kelvin ?? (attributes.max_mireds ? 1000000 / attributes.max_mireds : 0);
+      const max = attributes.max_color_temp_kelvin ?? (attributes.min_mireds ? 1000000 / attributes.min_mireds : Infinity);
+      data.color_temp_kelvin = Math.round(Math.min(Math.max(requested, min), max));
+    }
+    
+    if (given(effect)) {
+      if (typeof effect !== 'string' || (Array.isArray(attributes.effect_list) && !attributes.effect_list.includes(effect))) {
+        throw httpError(400, `${device.name} has no effect "${effect}"`);
+      }
+      data.effect = effect;
+    }
+    
+    if (given(brightness)) {
+      if (!isNumber(brightness) || brightness < 0 || brightness > 100) throw httpError(400, 'brightness must be 0-100');
+      if (modes && modes.every(mode => mode === 'onoff')) {
+        throw httpError(400, `${device.name} doesn't support brightness`);
+      }
+      data.brightness_pct = Math.round(brightness);
+    }
+    
+    if (Object.keys(data).length === 0) {
+      throw httpError(400, 'Nothing to set: pass brightness, hs, rgb, kelvin, mireds or effect');
+    }
+    return data;
+  }
+
   async setFanSpeed(deviceId, percentage) {
+    return this.setFan(deviceId, { percentage });
+  }
+
+  // Speed, preset, oscillation and direction of a fan, read fresh from Home
+  // Assistant; the cached entity if HA is unreachable
+  async getFan(deviceId) {
+    const device = this.findFan(deviceId);
+    
     try {
-      return await mcpClient.setFanSpeed({ name: deviceId, percentage });
+      const state = await homeAssistantClient.getState(device.id);
+      return this.describeFan(device, state.state, state.attributes || {});
     } catch (error) {
-      console.error('Error setting fan speed:', error);
-      throw error;
+      return this.describeFan(device, device.state, device.attributes || {});
+    }
+  }
+
+  describeFan(device, state, attributes) {
+    const supported = parseInt(attributes.supported_features, 10);
+    // Fans that don't report supported_features get every control
+    const features = Object.fromEntries(Object.entries(FAN_FEATURES).map(([feature, bit]) =>
+      [feature, isNaN(supported) || (supported & bit) !== 0]
+    ));
+    const percentage = parseFloat(attributes.percentage);
+    
+    return {
+      id: device.id,
+      name: device.name,
+      state,
+      percentage: isNaN(percentage) ? null : percentage,
+      percentageStep: this.getPercentageStep(attributes),
+      presetMode: attributes.preset_mode || null,
+      presetModes: attributes.preset_modes || [],
+      oscillating: attributes.oscillating === undefined ? null : !!attributes.oscillating,
+      direction: attributes.direction || null,
+      features
+    };
+  }
+
+  // percentage_step, or 100 / speed_count for fans that only report the count
+  getPercentageStep(attributes) {
+    const step = parseFloat(attributes.percentage_step);
+    if (step > 0) return step;
+    const speeds = parseInt(attributes.speed_count, 10);
+    return speeds > 0 ? 100 / speeds : 1;
+  }
+
+  // options: { percentage (0-100, snapped to the fan's percentage_step; 0 turns
+  // it off), presetMode, oscillating, direction: 'forward' | 'reverse' }.
+  // MCP has no fan intents, so these are fan.* service calls over REST.
+  async setFan(deviceId, { percentage, presetMode, oscillating, direction } = {}) {
+    const device = this.findFan(deviceId);
+    const fan = this.describeFan(device, device.state, device.attributes || {});
+    const given = value => value !== undefined && value !== null;
+    const calls = [];
+    const requireFeature = (feature, label) => {
+      if (!fan.features[feature]) throw httpError(400, `${fan.name} doesn't support ${label}`);
+    };
+    
+    if (given(percentage)) {
+      if (typeof percentage !== 'number' || !Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        throw httpError(400, 'percentage must be a number from 0 to 100');
+      }
+      requireFeature('speed', 'speed');
+      const snapped = Math.min(100, Math.round(Math.round(percentage / fan.percentageStep) * fan.percentageStep));
+      calls.push(() => homeAssistantClient.setFanSpeed(fan.id, snapped));
+    }
+    if (given(presetMode)) {
+      requireFeature('preset', 'presets');
+      if (typeof presetMode !== 'string' || (fan.presetModes.length > 0 && !fan.presetModes.includes(presetMode))) {
+        throw httpError(400, `${fan.name} has no preset "${presetMode}"`);
+      }
+      calls.push(() => homeAssistantClient.setFanPresetMode(fan.id, presetMode));
+    }
+    if (given(oscillating)) {
+      if (typeof oscillating !== 'boolean') throw httpError(400, 'oscillating must be true or false');
+      requireFeature('oscillate', 'oscillation');
+      calls.push(() => homeAssistantClient.setFanOscillation(fan.id, oscillating));
+    }
+    if (given(direction)) {
+      if (!FAN_DIRECTIONS.includes(direction)) throw httpError(400, 'direction must be forward or reverse');
+      requireFeature('direction', 'direction');
+      calls.push(() => homeAssistantClient.setFanDirection(fan.id, direction));
+    }
+    
+    if (calls.length === 0) {
+      throw httpError(400, 'Nothing to set: pass percentage, presetMode, oscillating or direction');
+    }
+    
+    try {
+      for (const call of calls) {
+        await call();
+      }
+    } catch (error) {
+      throw httpError(502, `Failed to set ${fan.name}: ${error.message}`);
+    }
+    
+    console.log(`[FAN] ${fan.id}: ${JSON.stringify({ percentage, presetMode, oscillating, direction })}`);
+    return { success: true, message: 'Fan updated' };
+  }
+
+  findFan(deviceId) {
+    const device = deviceCache.getCachedDevices().find(candidate => candidate.id === deviceId);
+    if (!device || device.domain !== 'fan') {
+      throw httpError(404, `No fan ${deviceId}`);
     }
+    return device;
   }
 
   async setTemperature(deviceId, temperature) {
     try {
-      return await mcpClient.setClimateTemperature({ name: deviceId, temperature });
+      return await transport.setClimateTemperature(await this.getControlTarget(deviceId), temperature);
     } catch (error) {
       console.error('Error setting temperature:', error);
       throw error;
     }
   }
 
-  async controlMedia(deviceId, action) {
+  // Full thermostat state, read fresh from Home Assistant (hvac_action, presets
+  // and ranges aren't in the MCP live context); the cached entity if HA is unreachable
+  async getClimate(deviceId) {
+    const device = this.findClimate(deviceId);
+    
     try {
-      return await mcpClient.controlMediaPlayer({ name: deviceId }, action);
+      const state = await homeAssistantClient.getState(device.id);
+      return this.describeClimate(device, state.state, state.attributes || {});
     } catch (error) {
-      console.error('Error controlling media:', error);
-      throw error;
+      return this.describeClimate(device, device.state, device.attributes || {});
     }
   }
 
+  describeClimate(device, hvacMode, attributes) {
+    const number = value => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? null : parsed;
+    };
+    
+    return {
+      id: device.id,
+      name: device.name,
+      hvacMode,
+      hvacAction: attributes.hvac_action || null,
+      hvacModes: attributes.hvac_modes || [],
+      presetMode: attributes.preset_mode || null,
+      presetModes: attributes.preset_modes || [],
+      fanMode: attributes.fan_mode || null,
+      fanModes: attributes.fan_modes || [],
+      currentTemperature: number(attributes.current_temperature),
+      currentHumidity: number(attributes.current_humidity),
+      temperature: number(attributes.temperature),
+      targetTempLow: number(attributes.target_temp_low),
+      targetTempHigh: number(attributes.target_temp_high),
+      minTemp: number(attributes.min_temp),
+      maxTemp: number(attributes.max_temp),
+      step: number(attributes.target_temp_step) || 1
+    };
+  }
+
+  // options: { hvacMode, presetMode, fanMode, temperature } or
+  // { targetTempLow, targetTempHigh } for heat_cool/auto ranges. Modes are
+  // checked against the thermostat's lists, setpoints against min_temp/max_temp.
+  // Resolves to the thermostat's state afterwards.
+  async setClimate(deviceId, { hvacMode, presetMode, fanMode, temperature, targetTempLow, targetTempHigh } = {}) {
+    const climate = await this.getClimate(deviceId);
+    const given = value => value !== undefined && value !== null;
+    const calls = [];
+    
+    const checkMode = (value, modes, label) => {
+      if (!given(value)) return false;
+      if (typeof value !== 'string' || (modes.length > 0 && !modes.includes(value))) {
+        throw httpError(400, `${climate.name} has no ${label} "${value}"${modes.length > 0 ? ` (${modes.join(', ')})` : ''}`);
+      }
+      return true;
+    };
+    const checkTemperature = (value, label) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw httpError(400, `${label} must be a number`);
+      if ((climate.minTemp !== null && value < climate.minTemp) || (climate.maxTemp !== null && value > climate.maxTemp)) {
+        throw httpError(400, `${label} must be between ${climate.minTemp} and ${climate.maxTemp}`);
+      }
+    };
+    
+    if (checkMode(hvacMode, climate.hvacModes, 'HVAC mode')) {
+      calls.push(['set_hvac_mode', { hvac_mode: hvacMode }]);
+    }
+    
+    if (given(temperature) && (given(targetTempLow) || given(targetTempHigh))) {
+      throw httpError(400, 'Pass either temperature or targetTempLow/targetTempHigh');
+    }
+    if (given(temperature)) {
+      checkTemperature(temperature, 'temperature');
+      calls.push(['set_temperature', { temperature }]);
+    }
+    if (given(targetTempLow) || given(targetTempHigh)) {
+      const low = given(targetTempLow) ? targetTempLow : climate.targetTempLow;
+      const high = given(targetTempHigh) ? targetTempHigh : climate.targetTempHigh;
+      checkTemperature(low, 'targetTempLow');
+      checkTemperature(high, 'targetTempHigh');
+      if (low >= high) throw httpError(400, 'targetTempLow must be below targetTempHigh');
+      calls.push(['set_temperature', { target_temp_low: low, target_temp_high: high }]);
+    }
+    
+    if (checkMode(presetMode, climate.presetModes, 'preset')) {
+      calls.push(['set_preset_mode', { preset_mode: presetMode }]);
+    }
+    if (checkMode(fanMode, climate.fanModes, 'fan mode')) {
+      calls.push(['set_fan_mode', { fan_mode: fanMode }]);
+    }
+    
+    if (calls.length === 0) {
+      throw httpError(400, 'Nothing to set: pass hvacMode, presetMode, fanMode, temperature or targetTempLow/targetTempHigh');
+    }
+    
+    // The mode goes first so a new setpoint applies to it
+    for (const [service, data] of calls) {
+      try {
+        await homeAssistantClient.callService('climate', service, { entity_id: climate.id, ...data });
+      } catch (error) {
+        throw httpError(502, `Failed to ${service.replace(/_/g, ' ')} on ${climate.name}: ${error.message}`);
+      }
+      console.log(`[CLIMATE] ${climate.id}: ${service} ${JSON.stringify(data)}`);
+    }
+    
+    return this.getClimate(climate.id);
+  }
+
+  findClimate(deviceId) {
+    const device = deviceCache.getCachedDevices().find(candidate => candidate.id === deviceId);
+    if (!device || device.domain !== 'climate') {
+      throw httpError(404, `No thermostat ${deviceId}`);
+    }
+    return device;
+  }
+
+  // Now playing, volume, sources and what the player supports, read fresh from
+  // Home Assistant (none of it is in the MCP live context); the cached entity
+  // if HA is unreachable
+  async getMedia(deviceId) {
+    const device = this.findMediaPlayer(deviceId);
+    
+    try {
+      const state = await homeAssistantClient.getState(device.id);
+      return this.describeMedia(device, state.state, state.attributes || {});
+    } catch (error) {
+      return this.describeMedia(device, device.state, device.attributes || {});
+    }
+  }
+
+  describeMedia(device, state, attributes) {
+    const number = value => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) ? null : parsed;
+    };
+    const supported = parseInt(attributes.supported_features, 10);
+    // Players that don't report supported_features get every control
+    const features = Object.fromEntries(Object.entries(MEDIA_FEATURES).map(([feature, bit]) =>
+      [feature, isNaN(supported) || (supported & bit) !== 0]
+    ));
+    const volume = number(attributes.volume_level);
+    
+    return {
+      id: device.id,
+      name: device.name,
+      state,
+      title: attributes.media_title || null,
+      artist: attributes.media_artist || attributes.media_album_artist || attributes.media_series_title || null,
+      album: attributes.media_album_name || null,
+      app: attributes.app_name || null,
+      duration: number(attributes.media_duration),
+      position: number(attributes.media_position),
+      positionUpdatedAt: attributes.media_position_updated_at ? Date.parse(attributes.media_position_updated_at) || null : null,
+      volume: volume === null ? null : Math.round(volume * 100),
+      muted: attributes.is_volume_muted === undefined ? null : !!attributes.is_volume_muted,
+      source: attributes.source || null,
+      sources: attributes.source_list || [],
+      soundMode: attributes.sound_mode || null,
+      soundModes: attributes.sound_mode_list || [],
+      // Changes with the track; the picture URL itself carries HA's access token
+      artworkId: attributes.entity_picture ? crypto.createHash('sha1').update(attributes.entity_picture).digest('hex').slice(0, 12) : null,
+      features
+    };
+  }
+
+  // action: play, pause, next, previous, stop, volume { volume: 0-100 },
+  // volume_up, volume_down, mute { muted }, source { source },
+  // sound_mode { soundMode }, seek { position (seconds) }, turn_on, turn_off.
+  // Checked against the player's supported_features and source lists.
+  async controlMedia(deviceId, action, options = {}) {
+    const device = this.findMediaPlayer(deviceId);
+    
+    if (MEDIA_INTENT_ACTIONS.includes(action)) {
+      return this.runMediaIntent(device, action, () => transport.controlMediaPlayer(device, action));
+    }
+    
+    if (action === 'volume') {
+      const { volume } = options;
+      if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0 || volume > 100) {
+        throw httpError(400, 'volume must be a number from 0 to 100');
+      }
+      await this.getMediaWithFeature(device, 'volume', 'volume');
+      return this.runMediaIntent(device, action, () => transport.setVolume(device, Math.round(volume)));
+    }
+    
+    const spec = MEDIA_SERVICE_ACTIONS[action];
+    if (!spec) {
+      throw httpError(400, `Unknown media action ${action}`);
+    }
+    
+    const media = await this.getMediaWithFeature(device, spec.feature, action);
+    const data = { entity_id: device.id, ...this.buildMediaData(media, action, options) };
+    try {
+      await homeAssistantClient.callService('media_player', spec.service, data);
+    } catch (error) {
+      throw httpError(502, `Failed to ${action.replace(/_/g, ' ')} ${device.name}: ${error.message}`);
+    }
+    
+    console.log(`[MEDIA] ${device.id}: ${spec.service} ${JSON.stringify(data)}`);
+    return { success: true, message: `Media ${action} executed` };
+  }
+
+  buildMediaData(media, action, { muted, source, soundMode, position }) {
+    switch (action) {
+      case 'mute':
+        if (typeof muted !== 'boolean') throw httpError(400, 'muted must be true or false');
+        return { is_volume_muted: muted };
+      case 'source':
+        if (typeof source !== 'string' || (media.sources.length > 0 && !media.sources.includes(source))) {
+          throw httpError(400, `${media.name} has no source "${source}"`);
+        }
+        return { source };
+      case 'sound_mode':
+        if (typeof soundMode !== 'string' || (media.soundModes.length > 0 && !media.soundModes.includes(soundMode))) {
+          throw httpError(400, `${media.name} has no sound mode "${soundMode}"`);
+        }
+        return { sound_mode: soundMode };
+      case 'seek':
+        if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+          throw httpError(400, 'position must be a number of seconds');
+        }
+        return { seek_position: media.duration !== null ? Math.min(position, media.duration) : position };
+      default:
+        return {};
+    }
+  }
+
+  async getMediaWithFeature(device, feature, action) {
+    const media = await this.getMedia(device.id);
+    if (!media.features[feature]) {
+      throw httpError(400, `${device.name} doesn't support ${action.replace(/_/g, ' ')}`);
+    }
+    return media;
+  }
+
+  async runMediaIntent(device, action, call) {
+    const result = await call();
+    if (!result.success) {
+      throw httpError(502, `Failed to ${action} ${device.name}: ${result.message}`);
+    }
+    console.log(`[MEDIA] ${device.id}: ${action}`);
+    return result;
+  }
+
+  // entity_picture through the backend, which has the Home Assistant token
+  async getMediaArtwork(deviceId) {
+    const device = this.findMediaPlayer(deviceId);
+    const state = await homeAssistantClient.getState(device.id).catch(() => null);
+    const picture = state?.attributes?.entity_picture;
+    if (!picture) {
+      throw httpError(404, `${device.name} has no artwork`);
+    }
+    
+    try {
+      return await homeAssistantClient.getImage(picture);
+    } catch (error) {
+      throw httpError(502, `Failed to get artwork for ${device.name}: ${error.message}`);
+    }
+  }
+
+  findMediaPlayer(deviceId) {
+    const device = deviceCache.getCachedDevices().find(candidate => candidate.id === deviceId);
+    if (!device || device.domain !== 'media_player') {
+      throw httpError(404, `No media player ${deviceId}`);
+    }
+    return device;
+  }
+
+  // Scenes, scripts and automations grouped by their (first) area, for the
+  // scene browser. Each area lists { scenes, scripts, automations } by name.
+  getSceneState() {
+    const byArea = new Map();
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    
+    deviceCache.getCachedDevices()
+      .filter(entity => ROUTINE_DOMAINS.includes(entity.domain))
+      .forEach(entity => {
+        const area = entity.area || UNASSIGNED_AREA;
+        if (!byArea.has(area)) byArea.set(area, { name: area, scenes: [], scripts: [], automations: [] });
+        byArea.get(area)[`${entity.domain}s`].push(this.describeRoutine(entity));
+      });
+    
+    const areas = Array.from(byArea.values())
+      .map(area => ({
+        ...area,
+        scenes: area.scenes.sort(byName),
+        scripts: area.scripts.sort(byName),
+        automations: area.automations.sort(byName)
+      }))
+      .sort((a, b) => (a.name === UNASSIGNED_AREA) - (b.name === UNASSIGNED_AREA) || a.name.localeCompare(b.name));
+    
+    return { areas };
+  }
+
+  // A scene's state is the time it was last activated; scripts and automations
+  // report last_triggered. Runs from a dashboard count straight away, before
+  // Home Assistant's update reaches the cache.
+  describeRoutine(entity) {
+    const reported = Date.parse(entity.domain === 'scene' ? entity.state : entity.attributes?.last_triggered);
+    const lastActivated = Math.max(isNaN(reported) ? 0 : reported, this.lastActivated.get(entity.id) || 0);
+    
+    return {
+      id: entity.id,
+      name: entity.name,
+      domain: entity.domain,
+      area: entity.area || UNASSIGNED_AREA,
+      state: entity.state,
+      lastActivated: lastActivated || null,
+      ...(entity.domain === 'automation' ? { enabled: entity.state === 'on' } : {})
+    };
+  }
+
+  // Runs a scene or script by entity_id
   async activateScene(sceneId) {
+    const routine = this.findRoutine(sceneId, ['scene', 'script']);
+    const result = await transport.turnOn(routine);
+    if (!result.success) {
+      throw httpError(502, `Failed to activate ${routine.name}: ${result.message}`);
+    }
+    
+    this.lastActivated.set(routine.id, Date.now());
+    console.log(`[SCENES] Activated ${routine.id}`);
+    return result;
+  }
+
+  async setAutomationEnabled(automationId, enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw httpError(400, 'enabled must be true or false');
+    }
+    const automation = this.findRoutine(automationId, ['automation']);
+    const result = enabled
+      ? await transport.turnOn(automation)
+      : await transport.turnOff(automation);
+    if (!result.success) {
+      throw httpError(502, `Failed to ${enabled ? 'enable' : 'disable'} ${automation.name}: ${result.message}`);
+    }
+    
+    console.log(`[SCENES] ${enabled ? 'Enabled' : 'Disabled'} ${automation.id}`);
+    return result;
+  }
+
+  findRoutine(id, domains) {
+    const entity = deviceCache.getCachedDevices().find(candidate => candidate.id === id);
+    if (!entity || !domains.includes(entity.domain)) {
+      throw httpError(404, `No ${domains.join(' or ')} ${id}`);
+    }
+    return entity;
+  }
+
+  // Locks (lock/unlock) and covers (open/close/stop) go through the control
+  // guard: unlocking and opening need the PIN or a confirmation, covers don't
+  // move while obstructed, and every attempt is written to the audit trail.
+  // options: { pin, confirm, by }
+  async controlLock(deviceId, action, options = {}) {
+    return this.controlSecured('lock', deviceId, action, options);
+  }
+
+  async controlCover(deviceId, action, options = {}) {
+    return this.controlSecured('cover', deviceId, action, options);
+  }
+
+  async controlSecured(domain, deviceId, action, { pin, confirm, by } = {}) {
+    if (!SECURED_ACTIONS[domain].includes(action)) {
+      throw httpError(400, `${domain} action must be one of ${SECURED_ACTIONS[domain].join(', ')}`);
+    }
+    const device = deviceCache.getCachedDevices().find(candidate => candidate.id === deviceId);
+    if (!device || device.domain !== domain) {
+      throw httpError(404, `No ${domain} ${deviceId}`);
+    }
+
     try {
-      return await mcpClient.turnOn({ name: sceneId });
+      controlGuard.verify(action, { pin, confirm });
+      if (domain === 'cover') controlGuard.checkCover(device, action);
     } catch (error) {
-      console.error('Error activating scene:', error);
+      // Asking for the PIN/confirmation isn't a refusal worth recording
+      const prompted = error.requires && (pin === undefined || pin === null || pin === '') && confirm !== true;
+      if (!prompted) {
+        await controlGuard.log(device, action, { by, outcome: 'refused', reason: error.message });
+      }
       throw error;
     }
+
+    const result = await this.sendSecuredCommand(device, action);
+    if (!result.success) {
+      await controlGuard.log(device, action, { by, outcome: 'failed', reason: result.message });
+      throw httpError(502, `Failed to ${action} ${device.name}: ${result.message}`);
+    }
+
+    await controlGuard.log(device, action, { by, outcome: 'done' });
+    console.log(`[CONTROL] ${deviceId}: ${action} by ${by || 'unknown'}`);
+    return result;
   }
 
-  async findDeviceById(deviceId) {
-    if (!this.lastKnownState) {
-      await this.getDashboardState();
+  async sendSecuredCommand(device, action) {
+    switch (action) {
+      case 'lock':
+        return transport.lock(device);
+      case 'unlock':
+        return transport.unlock(device);
+      case 'open':
+        return transport.openCover(device);
+      case 'close':
+        return transport.closeCover(device);
+      default:
+        // The Assist intents behind MCP have no "stop", so it goes to the REST API
+        try {
+          await homeAssistantClient.callService('cover', 'stop_cover', { entity_id: device.id });
+          return { success: true, message: 'Cover stopped' };
+        } catch (error) {
+          return { success: false, message: error.message };
+        }
     }
+  }
+
+  // Transport controls take { id, name }: MCP intents target devices by
+  // friendly name, so resolve the current name for the entity_id at call time
+  async getControlTarget(deviceId) {
+    const device = await this.findDeviceById(deviceId);
+    const name = device ? device.name : deviceCache.getFriendlyName(deviceId);
     
-    const allDevices = [
-      ...this.lastKnownState.doors.devices,
-      ...this.lastKnownState.lights.devices,
-      ...this.lastKnownState.climate.devices,
-      ...this.lastKnownState.security.devices,
-      ...this.lastKnownState.media.devices
-    ];
-    
-    return allDevices.find(device => device.id === deviceId || device.name === deviceId);
+    if (!name) {
+      throw new Error(`Device ${deviceId} not found`);
+    }
+    return { id: device ? device.id : deviceId, name };
+  }
+
+  // Read from the live cache rather than the last dashboard snapshot, which
+  // is only rebuilt on client connect/resync and goes stale after controls
+  async findDeviceById(deviceId) {
+    // Devices are keyed by entity_id; friendly names are display-only
+    return deviceCache.getCachedDevices().find(device => device.id === deviceId);
   }
 
   getDefaultDashboardState() {
-    return {
-      doors: {
-        category: 'Doors',
-        summary: 'Unable to connect to Home Assistant',
-        devices: [],
-        allOk: false
-      },
-      lights: {
-        category: 'Lights',
+    const state = {};
+    this.categoryKeys.forEach(key => {
+      state[key] = {
+        category: this.categoryRules.getCategory(key).label,
         summary: 'Unable to connect to Home Assistant',
         devices: [],
-        allOk: false
-      },
-      climate: {
-        category: 'Climate',
-        summary: 'Unable to connect to Home Assistant',
-        devices: [],
-        allOk: false
-      },
-      security: {
-        category: 'Security',
-        summary: 'Unable to connect to Home Assistant',  
-        devices: [],
-        allOk: false
-      },
-      media: {
-        category: 'Media',
-        summary: 'Unable to connect to Home Assistant',
-        devices: [],
-        allOk: false
-      }
-    };
+        allOk: false,
+        severity: 'notify'
+      };
+    });
+    return state;
   }
 }
 
-module.exports = new DeviceService();
\ No newline at end of file
+module.exports = new DeviceService();
+module.exports.UNASSIGNED_AREA = UNASSIGNED_AREA;
\ No newline at end of file
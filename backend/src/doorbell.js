@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const deviceCache = require('./device-cache');
+const cameraHub = require('./camera-hub');
+const cameraRegistry = require('./camera-registry');
+const alertSuppressions = require('./alert-suppressions');
+const transport = require('./transport');
+const deviceService = require('./device-service');
+const JsonlStore = require('./jsonl-store');
+const httpError = require('./http-error');
+
+const ACTIVE_STATES = ['on', 'detected'];
+const UNKNOWN_STATES = ['unavailable', 'unknown'];
+const VISIT_ID = /^\d+$/;
+const ACTIONS = ['unlock', 'light', 'dismiss'];
+
+// Opens the doorbell panel on every dashboard when someone is at the door.
+//
+// Cameras with a "doorbell" block ring when one of its ringEntities fires
+// (binary sensors turning on, or a new event on an event.* entity) or one of
+// the camera's person entities detects. A ring stays active until it is
+// dismissed or panelTimeout passes; triggers while it is active belong to the
+// same visit. Each visit keeps a snapshot of the visitor under
+// DATA_DIR/doorbell/<camera>/<visitId>.jpg (the last maxVisitors per camera).
+//
+// Rings and the panel's quick actions (unlock the door, turn on the porch
+// light, dismiss) go to the alert audit trail, which the visitor list is
+// rebuilt from on start. Pushes the active rings to socket.io clients as
+// 'doorbell-rings'.
+class Doorbell {
+  constructor(options = {}) {
+    this.cache = options.cache || deviceCache;
+    this.hub = options.hub || cameraHub;
+    this.registry = options.registry || cameraRegistry;
+    this.audit = options.audit || alertSuppressions;
+    this.transport = options.transport || transport;
+    this.devices = options.devices || deviceService;
+    this.directory = path.resolve(options.directory || path.join(JsonlStore.DATA_DIR, 'doorbell'));
+    this.panelTimeout = options.panelTimeout ?? (parseInt(process.env.DOORBELL_PANEL_TIMEOUT, 10) || 120) * 1000;
+    this.maxVisitors = options.maxVisitors || 8;
+    this.size = options.size || { width: 640, height: 480 };
+    this.now = options.now || (() => Date.now());
+
+    this.triggers = new Map(); // entity_id → { camera, trigger }
+    this.states = new Map(); // entity_id → last seen state
+    this.visits = new Map(); // camera id → visits, newest first
+    this.rings = new Map(); // camera id → { visit, timer }
+    this.io = null;
+    this.started = false;
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  attach(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      socket.emit('doorbell-rings', this.getRings());
+    });
+  }
+
+  async start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.triggers.clear();
+    this.registry.getCameras()
+      .filter(camera => camera.doorbell)
+      .forEach(camera => {
+        camera.personEntities.forEach(entityId => this.triggers.set(entityId, { camera, trigger: 'person' }));
+        camera.doorbell.ringEntities.forEach(entityId => this.triggers.set(entityId, { camera, trigger: 'ring' }));
+      });
+    if (this.triggers.size === 0) return;
+
+    // Entities already on at startup don't ring
+    this.cache.getCachedDevices()
+      .filter(entity => this.triggers.has(entity.id))
+      .forEach(entity => this.states.set(entity.id, entity.state));
+
+    await this.restore();
+    this.cache.on('change', this.handleChange);
+    console.log(`[DOORBELL] Watching ${this.triggers.size} entities`);
+  }
+
+  stop() {
+    this.started = false;
+    this.cache.removeListener('change', this.handleChange);
+    this.rings.forEach(ring => clearTimeout(ring.timer));
+    this.rings.clear();
+  }
+
+  // Rebuild the visitor lists from the audit trail
+  async restore() {
+    try {
+      const records = await this.audit.getAuditTrail({ filter: record => record.type === 'doorbell' });
+      records.forEach(record => {
+        const visits = this.visits.get(record.camera) || [];
+        const visit = visits.find(candidate => candidate.id === record.visitId);
+        if (visit) {
+          if (record.trigger === 'ring') visit.trigger = 'ring';
+          return;
+        }
+        visits.unshift(this.toVisit(record));
+        this.visits.set(record.camera, visits.slice(0, this.maxVisitors));
+      });
+    } catch (error) {
+      console.error('[DOORBELL] Failed to restore visitors from the audit trail:', error.message);
+    }
+  }
+
+  toVisit(record) {
+    return {
+      id: record.visitId,
+      camera: record.camera,
+      trigger: record.trigger,
+      entityId: record.deviceId,
+      at: record.at,
+      snapshot: record.snapshot === true
+    };
+  }
+
+  handleChange(change) {
+    const entityId = change.type === 'remove' ? change.id : change.entity.id;
+    const watched = this.triggers.get(entityId);
+    if (!watched) return;
+
+    if (change.type === 'remove') {
+      this.states.delete(entityId);
+      return;
+    }
+
+    const state = change.entity.state;
+    const previous = this.states.get(entityId);
+    this.states.set(entityId, state);
+    if (previous === undefined || previous === state) return;
+
+    // event.* entities hold the time of their last event, so any new value is a ring
+    const fired = entityId.startsWith('event.')
+      ? !UNKNOWN_STATES.includes(state) && !UNKNOWN_STATES.includes(previous)
+      : ACTIVE_STATES.includes(state) && !ACTIVE_STATES.includes(previous);
+
+    if (fired) {
+      this.ring(watched.camera, watched.trigger, entityId).catch(error => {
+        console.error(`[DOORBELL] Failed to handle ${entityId}:`, error.message);
+      });
+    }
+  }
+
+  async ring(camera, trigger, entityId) {
+    const active = this.rings.get(camera.id);
+    if (active) {
+      this.extendRing(camera.id, active);
+      if (trigger === 'ring' && active.visit.trigger !== 'ring') {
+        active.visit.trigger = 'ring';
+        this.publish();
+      }
+      await this.logTrigger(active.visit, trigger, entityId);
+      return active.visit;
+    }
+
+    const at = this.now();
+    const visit = { id: String(at), camera: camera.id, trigger, entityId, at, snapshot: false };
+    const ring = { visit, timer: null };
+    this.rings.set(camera.id, ring);
+    this.extendRing(camera.id, ring);
+
+    const visits = [visit, ...(this.visits.get(camera.id) || [])];
+    visits.slice(this.maxVisitors).forEach(old => this.deleteSnapshot(old));
+    this.visits.set(camera.id, visits.slice(0, this.maxVisitors));
+
+    console.log(`[DOORBELL] ${camera.id}: ${trigger} on ${entityId}`);
+    this.publish();
+
+    visit.snapshot = await this.saveSnapshot(camera, visit);
+    if (visit.snapshot && this.rings.get(camera.id) === ring) this.publish();
+    await this.logTrigger(visit, trigger, entityId);
+    return visit;
+  }
+
+  extendRing(cameraId, ring) {
+    clearTimeout(ring.timer);
+    ring.timer = setTimeout(() => this.endRing(cameraId, 'expired'), this.panelTimeout);
+  }
+
+  endRing(cameraId, reason) {
+    const ring = this.rings.get(cameraId);
+    if (!ring) return null;
+
+    clearTimeout(ring.timer);
+    this.rings.delete(cameraId);
+    console.log(`[DOORBELL] ${cameraId}: ring ended (${reason})`);
+    this.publish();
+    return ring.visit;
+  }
+
+  logTrigger(visit, trigger, entityId) {
+    return this.audit.log({
+      type: 'doorbell',
+      alertId: entityId,
+      deviceId: entityId,
+      camera: visit.camera,
+      visitId: visit.id,
+      trigger,
+      snapshot: visit.snapshot
+    }).catch(() => {
+      // Already logged by the store
+    });
+  }
+
+  async saveSnapshot(camera, visit) {
+    try {
+      const { frame } = await this.hub.getSnapshot(camera, this.size);
+      const file = this.snapshotFile(camera.id, visit.id);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, frame);
+      return true;
+    } catch (error) {
+      console.warn(`[DOORBELL] No snapshot of ${camera.id} for visit ${visit.id}:`, error.message);
+      return false;
+    }
+  }
+
+  deleteSnapshot(visit) {
+    if (!visit.snapshot) return;
+    fs.promises.unlink(this.snapshotFile(visit.camera, visit.id)).catch(() => {});
+  }
+
+  snapshotFile(cameraId, visitId) {
+    return path.join(this.directory, cameraId, `${visitId}.jpg`);
+  }
+
+  getDoorbellCamera(cameraId) {
+    const camera = this.registry.getCamera(cameraId);
+    if (!camera || !camera.doorbell) {
+      throw httpError(404, `${cameraId} is not a doorbell camera`);
+    }
+    return camera;
+  }
+
+  // Recent visitors of a doorbell camera, newest first
+  listVisits(cameraId) {
+    this.getDoorbellCamera(cameraId);
+    return (this.visits.get(cameraId) || []).map(visit => this.describeVisit(visit));
+  }
+
+  describeVisit(visit) {
+    return {
+      ...visit,
+      snapshotPath: visit.snapshot
+        ? `/api/camera/${encodeURIComponent(visit.camera)}/visitors/${visit.id}/snapshot`
+        : null
+    };
+  }
+
+  async getSnapshot(cameraId, visitId) {
+    this.getDoorbellCamera(cameraId);
+    if (!VISIT_ID.test(visitId)) {
+      throw httpError(404, `Unknown visit ${visitId}`);
+    }
+    try {
+      return await fs.promises.readFile(this.snapshotFile(cameraId, visitId));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw httpError(404, `No snapshot for visit ${visitId}`);
+      throw error;
+    }
+  }
+
+  // Quick actions from the panel. Unlocking goes through the device service's
+  // lock guard, so it needs the PIN (or confirmation) like any other unlock.
+  async act(cameraId, action, { by, pin, confirm } = {}) {
+    const camera = this.getDoorbellCamera(cameraId);
+    if (!ACTIONS.includes(action)) {
+      throw httpError(400, `action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    const visit = this.rings.get(cameraId)?.visit || null;
+    let deviceId = null;
+
+    if (action !== 'dismiss') {
+      deviceId = action === 'unlock' ? camera.doorbell.lock : camera.doorbell.light;
+      if (!deviceId) {
+        throw httpError(400, `${cameraId} has no doorbell ${action === 'unlock' ? 'lock' : 'light'} configured`);
+      }
+
+      if (action === 'unlock') {
+        await this.devices.controlLock(deviceId, 'unlock', { pin, confirm, by });
+      } else {
+        const result = await this.transport.turnOn({ id: deviceId, name: this.cache.getFriendlyName(deviceId) || deviceId });
+        if (!result.success) {
+          throw httpError(502, `Failed to turn on ${deviceId}: ${result.message}`);
+        }
+      }
+    }
+
+    const record = {
+      type: 'doorbell-action',
+      alertId: visit ? visit.entityId : null,
+      deviceId,
+      camera: cameraId,
+      visitId: visit ? visit.id : null,
+      action,
+      by: this.audit.normalizeActor(by)
+    };
+    await this.audit.log(record).catch(() => {
+      // Already logged by the store; the action itself went through
+    });
+
+    console.log(`[DOORBELL] ${cameraId}: ${action} by ${record.by}`);
+    if (action === 'dismiss') this.endRing(cameraId, 'dismissed');
+    return { success: true, camera: cameraId, action, deviceId };
+  }
+
+  getRings() {
+    return Array.from(this.rings.values()).map(ring => this.describeVisit(ring.visit));
+  }
+
+  publish() {
+    if (this.io) {
+      this.io.emit('doorbell-rings', this.getRings());
+    }
+  }
+}
+
+module.exports = new Doorbell();
+module.exports.Doorbell = Doorbell;
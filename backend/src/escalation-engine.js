@@ -0,0 +1,299 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const deviceCache = require('./device-cache');
+const { toList, compileRule, ruleMatches } = require('./category-rules');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'escalation-rules.json');
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000 };
+
+// "90s", "10m", "1h" (or a number of milliseconds)
+function parseDuration(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smh])$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. "30s", "10m", "1h")`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.max(0, Math.round(ms / 1000))} sec`;
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+function parseTimeOfDay(value, ruleId) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`Invalid escalation rule "${ruleId}": time "${value}" must be HH:MM`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+// Promotes conditions that persist into NOTIFY/ALERT escalations.
+//
+// Rules (config/escalation-rules.json or ESCALATION_RULES_FILE) pick devices with
+// the same "match" syntax as the category rules, then describe the condition:
+//   condition: { state, above, below, attribute }  state list and/or numeric thresholds
+//                                                  (on the state, or on an attribute)
+//   for:       "10m"                               how long it must hold before escalating
+//   between:   { after: "23:00", before: "06:00" } only escalate inside this local time window
+// Once escalated, an alert stays active until the condition clears.
+//
+// Emits 'escalated' (alert), 'cleared' (alert) and 'change' (active alerts) and
+// pushes 'alerts-update' to socket.io clients.
+class EscalationEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.cache = options.cache || deviceCache;
+    this.checkInterval = options.checkInterval ?? 15000; // re-check durations and time windows
+    this.now = options.now || (() => Date.now());
+    this.io = null;
+    this.checkTimer = null;
+    this.started = false;
+
+    // `${ruleId}:${deviceId}` → when the condition started holding
+    this.pending = new Map();
+    // `${ruleId}:${deviceId}` → active alert
+    this.active = new Map();
+
+    this.load(options.config || this.readRulesFile());
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  readRulesFile() {
+    const filePath = process.env.ESCALATION_RULES_FILE || DEFAULT_RULES_FILE;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  load(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      throw new Error('Invalid escalation rules: "rules" must be an array');
+    }
+
+    this.timezone = config.timezone || 'America/Denver';
+    const ids = new Set();
+
+    this.rules = config.rules.map((rule, index) => {
+      if (!rule.id) {
+        throw new Error(`Invalid escalation rules: rule ${index} needs an "id"`);
+      }
+      if (ids.has(rule.id)) {
+        throw new Error(`Invalid escalation rules: duplicate rule "${rule.id}"`);
+      }
+      ids.add(rule.id);
+
+      if (!['notify', 'alert'].includes(rule.severity)) {
+        throw new Error(`Invalid escalation rule "${rule.id}": severity must be "notify" or "alert"`);
+      }
+
+      if (toList(rule.match).length === 0) {
+        throw new Error(`Invalid escalation rule "${rule.id}": needs at least one match rule`);
+      }
+
+      const condition = rule.condition || {};
+      if (!condition.state && condition.above === undefined && condition.below === undefined) {
+        throw new Error(`Invalid escalation rule "${rule.id}": condition needs state, above or below`);
+      }
+
+      return {
+        id: rule.id,
+        match: toList(rule.match).map(match => compileRule(match, `escalation rule "${rule.id}"`)),
+        states: toList(condition.state),
+        above: condition.above,
+        below: condition.below,
+        attribute: condition.attribute || null,
+        duration: parseDuration(rule.for),
+        window: rule.between ? {
+          after: parseTimeOfDay(rule.between.after, rule.id),
+          before: parseTimeOfDay(rule.between.before, rule.id)
+        } : null,
+        severity: rule.severity,
+        message: rule.message || '{name} needs attention'
+      };
+    });
+  }
+
+  attach(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      socket.emit('alerts-update', this.getActiveAlerts());
+    });
+  }
+
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.cache.on('change', this.handleChange);
+    this.checkTimer = setInterval(() => this.checkAll(), this.checkInterval);
+
+    console.log(`[ESCALATION] Watching ${this.rules.length} escalation rules`);
+    this.checkAll();
+  }
+
+  stop() {
+    this.started = false;
+    this.cache.removeListener('change', this.handleChange);
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  handleChange(change) {
+    if (change.type === 'remove') {
+      this.clearDevice(change.id);
+    } else {
+      this.evaluate(change.entity);
+    }
+  }
+
+  checkAll() {
+    this.cache.getCachedDevices().forEach(device => this.evaluate(device));
+  }
+
+  evaluate(device) {
+    const now = this.now();
+    let changed = false;
+
+    this.rules.forEach(rule => {
+      const key = `${rule.id}:${device.id}`;
+
+      // A device that stops matching the rule (area or device class changed)
+      // releases whatever it had pending or raised, like a cleared condition
+      if (!rule.match.some(match => ruleMatches(match, device)) || !this.conditionHolds(rule, device)) {
+        this.pending.delete(key);
+        changed = this.clear(key) || changed;
+        return;
+      }
+
+      if (!this.pending.has(key)) {
+        // State conditions started when the state last changed; thresholds when first seen
+        this.pending.set(key, rule.states.length && device.lastChanged != null ? device.lastChanged : now);
+      }
+
+      if (this.active.has(key)) return;
+
+      const since = this.pending.get(key);
+      if (now - since >= rule.duration && this.inWindow(rule, now)) {
+        const alert = {
+          id: key,
+          ruleId: rule.id,
+          deviceId: device.id,
+          name: device.name,
+          severity: rule.severity,
+          message: this.formatMessage(rule, device, now - since),
+          since,
+          escalatedAt: now
+        };
+        this.active.set(key, alert);
+        console.log(`[ESCALATION] ${rule.severity.toUpperCase()}: ${alert.message}`);
+        this.emit('escalated', alert);
+        changed = true;
+      }
+    });
+
+    if (changed) this.publish();
+    return changed;
+  }
+
+  conditionHolds(rule, device) {
+    if (rule.states.length && !rule.states.includes(device.state)) return false;
+
+    if (rule.above !== undefined || rule.below !== undefined) {
+      const raw = rule.attribute ? device.attributes?.[rule.attribute] : device.state;
+      const value = parseFloat(raw);
+      if (isNaN(value)) return false;
+      if (rule.above !== undefined && !(value > rule.above)) return false;
+      if (rule.below !== undefined && !(value < rule.below)) return false;
+    }
+
+    return true;
+  }
+
+  inWindow(rule, now) {
+    if (!rule.window) return true;
+
+    const minutes = this.getMinutesOfDay(now);
+    const { after, before } = rule.window;
+    // Windows like 23:00-06:00 wrap past midnight
+    return after <= before
+      ? minutes >= after && minutes < before
+      : minutes >= after || minutes < before;
+  }
+
+  getMinutesOfDay(time) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(time));
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+  }
+
+  formatMessage(rule, device, elapsed) {
+    const values = {
+      name: device.name,
+      state: device.state,
+      unit: device.attributes?.unit_of_measurement || '',
+      above: rule.above,
+      below: rule.below,
+      duration: formatDuration(elapsed)
+    };
+    return rule.message.replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] === undefined || values[name] === null ? match : String(values[name])
+    );
+  }
+
+  clear(key) {
+    const alert = this.active.get(key);
+    if (!alert) return false;
+
+    this.active.delete(key);
+    console.log(`[ESCALATION] Cleared: ${alert.message}`);
+    this.emit('cleared', alert);
+    return true;
+  }
+
+  clearDevice(deviceId) {
+    let changed = false;
+
+    this.rules.forEach(rule => {
+      const key = `${rule.id}:${deviceId}`;
+      this.pending.delete(key);
+      changed = this.clear(key) || changed;
+    });
+
+    if (changed) this.publish();
+  }
+
+  // ALERT before NOTIFY, oldest first
+  getActiveAlerts() {
+    return Array.from(this.active.values()).sort((a, b) =>
+      (a.severity === b.severity ? 0 : a.severity === 'alert' ? -1 : 1) || a.since - b.since
+    );
+  }
+
+  publish() {
+    const alerts = this.getActiveAlerts();
+    this.emit('change', alerts);
+
+    if (this.io) {
+      this.io.emit('alerts-update', alerts);
+    }
+  }
+}
+
+module.exports = new EscalationEngine();
+module.exports.EscalationEngine = EscalationEngine;
+module.exports.parseDuration = parseDuration;
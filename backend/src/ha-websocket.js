@@ -0,0 +1,236 @@
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+
+// Convert the Home Assistant base URL (http/https) into its websocket endpoint
+function buildWebSocketUrl(haUrl) {
+  const url = new URL('/api/websocket', haUrl);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+}
+
+class HomeAssistantWebSocket extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || buildWebSocketUrl(process.env.HOME_ASSISTANT_URL || 'http://192.168.0.159:8123');
+    this.token = options.token || process.env.HOME_ASSISTANT_TOKEN;
+    this.socket = null;
+    this.authenticated = false;
+    this.subscriptionId = null;
+    this.messageId = 1;
+    this.pendingRequests = new Map();
+    this.connecting = null;
+    this.requestTimeout = options.requestTimeout || 10000;
+
+    // Reconnection properties (same backoff shape as the MCP client)
+    this.reconnectAttempts = 0;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+    this.shouldReconnect = true;
+
+    // Event stream monitoring
+    this.lastEventTime = null;
+    this.eventCount = 0;
+  }
+
+  // Shared by the device cache's event stream and the transport's registry
+  // lookups; a call while connected or connecting joins that connection
+  connect() {
+    if (this.isConnected()) return Promise.resolve();
+    if (!this.connecting) {
+      this.connecting = this.openConnection().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async openConnection() {
+    if (!this.token) {
+      throw new Error('HOME_ASSISTANT_TOKEN environment variable required');
+    }
+
+    this.shouldReconnect = true;
+    console.log('[HA-WS] Connecting to Home Assistant websocket:', this.url);
+
+    await new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      socket.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (e) {
+          console.warn('[HA-WS] Non-JSON websocket message:', raw.toString().substring(0, 200));
+          return;
+        }
+
+        // Home Assistant may coalesce several messages into one array frame
+        const messages = Array.isArray(message) ? message : [message];
+        messages.forEach(msg => {
+          if (msg.type === 'auth_required') {
+            socket.send(JSON.stringify({ type: 'auth', access_token: this.token }));
+          } else if (msg.type === 'auth_ok') {
+            this.authenticated = true;
+            console.log(`[HA-WS] Authenticated (Home Assistant ${msg.ha_version || 'unknown version'})`);
+            settle();
+          } else if (msg.type === 'auth_invalid') {
+            settle(new Error(`Home Assistant websocket auth failed: ${msg.message || 'invalid token'}`));
+            this.shouldReconnect = false;
+            socket.close();
+          } else {
+            this.handleMessage(msg);
+          }
+        });
+      });
+
+      socket.on('close', () => {
+        const wasAuthenticated = this.authenticated;
+        this.authenticated = false;
+        this.subscriptionId = null;
+        this.rejectPendingRequests(new Error('Home Assistant websocket closed'));
+        settle(new Error('Home Assistant websocket closed before authentication'));
+
+        if (wasAuthenticated) {
+          console.warn('[HA-WS] Websocket connection closed');
+          this.emit('disconnected');
+        }
+        if (this.shouldReconnect) {
+          this.scheduleReconnect();
+        }
+      });
+
+      socket.on('error', (error) => {
+        console.error('[HA-WS] Websocket error:', error.message);
+        settle(error);
+      });
+    });
+
+    await this.subscribeStateChanges();
+    this.reconnectAttempts = 0;
+    this.emit('connected');
+  }
+
+  handleMessage(message) {
+    if (message.type === 'result' && this.pendingRequests.has(message.id)) {
+      const { resolve, reject, timer } = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      clearTimeout(timer);
+
+      if (message.success) {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.error?.message || 'Home Assistant websocket command failed'));
+      }
+    } else if (message.type === 'event' && message.id === this.subscriptionId) {
+      const event = message.event;
+      if (event && event.event_type === 'state_changed') {
+        this.lastEventTime = Date.now();
+        this.eventCount++;
+        this.emit('state_changed', event.data);
+      }
+    }
+  }
+
+  sendCommand(payload) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.authenticated) {
+      return Promise.reject(new Error('Home Assistant websocket not connected'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.messageId++;
+      const timer = setTimeout(() => {
+        if (this.pendingRequests.has(id)) {
+          this.pendingRequests.delete(id);
+          reject(new Error(`Home Assistant websocket command timeout: ${payload.type}`));
+        }
+      }, this.requestTimeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ id, ...payload }));
+    });
+  }
+
+  async subscribeStateChanges() {
+    // The subscription id is the id of the subscribe command itself
+    const id = this.messageId;
+    await this.sendCommand({ type: 'subscribe_events', event_type: 'state_changed' });
+    this.subscriptionId = id;
+    console.log('[HA-WS] Subscribed to state_changed events');
+  }
+
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    this.reconnectAttempts++;
+    const delay = Math.min(
+      this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+      this.maxReconnectDelay
+    );
+
+    console.log(`[HA-WS] Scheduling reconnection attempt ${this.reconnectAttempts} in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+        console.log('[HA-WS] Reconnection successful');
+      } catch (error) {
+        console.error('[HA-WS] Reconnection failed:', error.message);
+      }
+    }, delay);
+  }
+
+  isConnected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN && this.authenticated && this.subscriptionId !== null;
+  }
+
+  getConnectionStatus() {
+    return {
+      connected: this.isConnected(),
+      url: this.url,
+      reconnectAttempts: this.reconnectAttempts,
+      eventCount: this.eventCount,
+      lastEventTime: this.lastEventTime
+    };
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.authenticated = false;
+    this.subscriptionId = null;
+  }
+}
+
+// Export both the class and a singleton instance
+module.exports = new HomeAssistantWebSocket();
+module.exports.HomeAssistantWebSocket = HomeAssistantWebSocket;
+module.exports.buildWebSocketUrl = buildWebSocketUrl;
@@ -0,0 +1,195 @@
+const deviceCache = require('./device-cache');
+const historyStore = require('./history-store');
+const { parseDuration } = require('./escalation-engine');
+const httpError = require('./http-error');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_BUCKETS = 96; // 15 minutes over 24h
+const MAX_BUCKETS = 1000;
+const AREA_METRICS = ['temperature', 'humidity', 'setpoint'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Metric name → how to read it from a history record. Thermostats contribute
+// their actual temperature, setpoint and humidity; sensors their state.
+function metricReaders(device) {
+  if (device && device.domain === 'climate') {
+    return {
+      temperature: record => record.attributes?.current_temperature,
+      setpoint: record => record.attributes?.temperature,
+      humidity: record => record.attributes?.current_humidity
+    };
+  }
+
+  const deviceClass = device?.attributes?.device_class;
+  const metric = ['temperature', 'humidity'].includes(deviceClass) ? deviceClass : 'value';
+  return { [metric]: record => record.state };
+}
+
+// Time-weighted min/max/avg per bucket of a step series: each sample's value
+// holds until the next sample (or `end`). Non-numeric values leave gaps.
+function bucketSeries(samples, { from, to, interval, end = to }) {
+  const buckets = [];
+  for (let start = from; start < to; start += interval) {
+    buckets.push({ at: start, min: null, max: null, sum: 0, weight: 0 });
+  }
+
+  samples.forEach((sample, index) => {
+    const next = index + 1 < samples.length ? samples[index + 1].at : end;
+    const segmentStart = Math.max(sample.at, from);
+    const segmentEnd = Math.min(next, end, to);
+    if (sample.value === null || segmentEnd <= segmentStart) return;
+
+    const first = Math.floor((segmentStart - from) / interval);
+    const last = Math.min(Math.ceil((segmentEnd - from) / interval), buckets.length) - 1;
+    for (let index = first; index <= last; index++) {
+      const bucket = buckets[index];
+      const overlap = Math.min(segmentEnd, bucket.at + interval) - Math.max(segmentStart, bucket.at);
+      if (overlap <= 0) continue;
+
+      bucket.min = bucket.min === null ? sample.value : Math.min(bucket.min, sample.value);
+      bucket.max = bucket.max === null ? sample.value : Math.max(bucket.max, sample.value);
+      bucket.sum += sample.value * overlap;
+      bucket.weight += overlap;
+    }
+  });
+
+  return buckets;
+}
+
+function summarize(buckets, current = null) {
+  const filled = buckets.filter(bucket => bucket.weight > 0);
+  const weight = filled.reduce((total, bucket) => total + bucket.weight, 0);
+
+  return {
+    min: filled.length ? Math.min(...filled.map(bucket => bucket.min)) : null,
+    max: filled.length ? Math.max(...filled.map(bucket => bucket.max)) : null,
+    avg: weight ? round(filled.reduce((total, bucket) => total + bucket.sum, 0) / weight) : null,
+    current,
+    points: buckets.map(bucket => ({
+      at: bucket.at,
+      min: bucket.min,
+      max: bucket.max,
+      avg: bucket.weight ? round(bucket.sum / bucket.weight) : null
+    }))
+  };
+}
+
+// Area series: per bucket, the mean of the member entities' averages
+function combineMetric(metrics) {
+  const points = metrics[0].points.map((point, index) => {
+    const members = metrics.map(metric => metric.points[index]).filter(member => member.avg !== null);
+    if (members.length === 0) return { at: point.at, min: null, max: null, avg: null };
+    return {
+      at: point.at,
+      min: Math.min(...members.map(member => member.min)),
+      max: Math.max(...members.map(member => member.max)),
+      avg: round(members.reduce((total, member) => total + member.avg, 0) / members.length)
+    };
+  });
+  const filled = points.filter(point => point.avg !== null);
+  const currents = metrics.map(metric => metric.current).filter(value => value !== null);
+
+  return {
+    min: filled.length ? Math.min(...filled.map(point => point.min)) : null,
+    max: filled.length ? Math.max(...filled.map(point => point.max)) : null,
+    avg: filled.length ? round(filled.reduce((total, point) => total + point.avg, 0) / filled.length) : null,
+    current: currents.length ? round(currents.reduce((total, value) => total + value, 0) / currents.length) : null,
+    points
+  };
+}
+
+// Trend series (min/max/avg per interval) built from the state history, for
+// single entities or every temperature/humidity/thermostat entity in an area
+class HistoryAggregator {
+  constructor(options = {}) {
+    this.cache = options.cache || deviceCache;
+    this.history = options.history || historyStore;
+    this.now = options.now || (() => Date.now());
+  }
+
+  // Cached entities in an area that produce climate metrics
+  getAreaEntities(area) {
+    const wanted = area.toLowerCase();
+    return this.cache.getCachedDevices()
+      .filter(device => (device.areas || [device.area]).some(name => name && name.toLowerCase() === wanted))
+      .filter(device => Object.keys(metricReaders(device)).some(metric => AREA_METRICS.includes(metric)));
+  }
+
+  resolveRange({ from, to, interval }) {
+    const end = to ?? this.now();
+    const start = from ?? end - DAY;
+    if (start >= end) {
+      throw httpError(400, 'from must be before to');
+    }
+
+    let step;
+    try {
+      step = interval ? parseDuration(interval) : Math.ceil((end - start) / DEFAULT_BUCKETS);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    if (!(step > 0) || (end - start) / step > MAX_BUCKETS) {
+      throw httpError(400, `interval must split the range into at most ${MAX_BUCKETS} buckets`);
+    }
+    return { from: start, to: end, interval: step };
+  }
+
+  async aggregate({ entities = [], area, from, to, interval } = {}) {
+    const range = this.resolveRange({ from, to, interval });
+    const cached = new Map(this.cache.getCachedDevices().map(device => [device.id, device]));
+    const devices = area
+      ? this.getAreaEntities(area)
+      : entities.map(id => cached.get(id) || { id, name: id, domain: id.split('.')[0] });
+
+    if (area && devices.length === 0) {
+      throw httpError(404, `No temperature, humidity or thermostat entities in area ${area}`);
+    }
+
+    const { history } = await this.history.query({
+      entities: devices.map(device => device.id),
+      from: range.from,
+      to: range.to,
+      initial: true
+    });
+    const end = Math.min(range.to, this.now());
+
+    const trends = devices.map(device => {
+      const records = history[device.id] || [];
+      const metrics = {};
+
+      Object.entries(metricReaders(device)).forEach(([metric, read]) => {
+        const samples = records.map(record => ({ at: record.at, value: toNumber(read(record)) }));
+        if (!samples.some(sample => sample.value !== null)) return;
+
+        const current = samples[samples.length - 1].value;
+        metrics[metric] = summarize(bucketSeries(samples, { ...range, end }), current);
+      });
+
+      return { entityId: device.id, name: device.name, area: device.area || null, domain: device.domain, metrics };
+    });
+
+    const result = { ...range, entities: trends };
+    if (area) {
+      const metrics = {};
+      AREA_METRICS.forEach(metric => {
+        const members = trends.map(trend => trend.metrics[metric]).filter(Boolean);
+        if (members.length > 0) metrics[metric] = combineMetric(members);
+      });
+      result.area = { name: area, metrics };
+    }
+    return result;
+  }
+}
+
+module.exports = new HistoryAggregator();
+module.exports.HistoryAggregator = HistoryAggregator;
+module.exports.metricReaders = metricReaders;
+module.exports.bucketSeries = bucketSeries;
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const deviceCache = require('./device-cache');
+const JsonlStore = require('./jsonl-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Numeric attributes worth keeping a series of (thermostat actual/setpoint/humidity)
+const TRACKED_ATTRIBUTES = ['current_temperature', 'temperature', 'current_humidity'];
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function trackedAttributes(attributes = {}) {
+  const tracked = TRACKED_ATTRIBUTES.filter(key => attributes[key] !== undefined && attributes[key] !== null);
+  if (tracked.length === 0) return null;
+  return Object.fromEntries(tracked.map(key => [key, attributes[key]]));
+}
+
+// Records every state transition the device cache sees as
+// { at, entityId, state, previous, attributes? } in one JSON Lines file per UTC day
+// (data/history/YYYY-MM-DD.jsonl). Days older than the retention window are
+// deleted. On start the latest recorded state per entity seeds the cache's
+// lastChanged, so "All Quiet since ..." and escalation timers survive restarts.
+//
+// Changes to TRACKED_ATTRIBUTES are recorded too (with `attributes`), so
+// thermostats keep a setpoint/actual series while their state stays 'heat'.
+// Entities leaving the cache are recorded as 'unavailable'.
+class HistoryStore {
+  constructor(options = {}) {
+    this.cache = options.cache || deviceCache;
+    this.directory = path.resolve(options.directory || path.join(JsonlStore.DATA_DIR, 'history'));
+    this.retentionDays = options.retentionDays || parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30;
+    this.pruneInterval = options.pruneInterval ?? 3600000;
+    this.now = options.now || (() => Date.now());
+    this.stores = new Map(); // day → JsonlStore
+    this.lastStates = new Map(); // entity_id → { state, at (of the last state change), attributes }
+    this.pruneTimer = null;
+    this.started = false;
+
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  async start() {
+    if (this.started) return;
+
+    this.started = true;
+    await this.prune();
+    await this.loadLastStates();
+
+    this.cache.seedLastChanged(this.lastStates);
+    this.cache.on('change', this.handleChange);
+    this.pruneTimer = setInterval(() => this.prune(), this.pruneInterval);
+  }
+
+  stop() {
+    this.started = false;
+    this.cache.removeListener('change', this.handleChange);
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  storeFor(day) {
+    if (!this.stores.has(day)) {
+      this.stores.set(day, new JsonlStore(path.join(this.directory, `${day}.jsonl`)));
+    }
+    return this.stores.get(day);
+  }
+
+  // Day keys with a history file, oldest first
+  async listDays() {
+    try {
+      const files = await fs.promises.readdir(this.directory);
+      return files
+        .map(file => DAY_FILE.exec(file))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async loadLastStates() {
+    try {
+      const days = await this.listDays();
+      for (const day of days) {
+        const records = await this.storeFor(day).readAll();
+        records.forEach(record => {
+          const last = this.lastStates.get(record.entityId);
+          this.lastStates.set(record.entityId, {
+            state: record.state,
+            at: last && last.state === record.state ? last.at : record.at,
+            attributes: record.attributes || null
+          });
+        });
+      }
+
+      if (this.lastStates.size > 0) {
+        console.log(`[HISTORY] Loaded last known state for ${this.lastStates.size} entities from ${days.length} day(s)`);
+      }
+    } catch (error) {
+      console.error('[HISTORY] Failed to load state history:', error.message);
+    }
+  }
+
+  handleChange(change) {
+    if (change.type === 'remove') {
+      this.record(change.id, 'unavailable', this.now());
+    } else {
+      const { id, state, lastChanged, attributes } = change.entity;
+      this.record(id, state, lastChanged ?? this.now(), trackedAttributes(attributes));
+    }
+  }
+
+  // Repeats of the last recorded state and untracked attribute changes are skipped
+  record(entityId, state, at, attributes = null) {
+    const last = this.lastStates.get(entityId);
+    const stateChanged = !last || last.state !== state;
+    if (!stateChanged && JSON.stringify(last.attributes) === JSON.stringify(attributes)) return null;
+
+    const record = { at: stateChanged ? at : this.now(), entityId, state, previous: last ? last.state : null };
+    if (attributes) record.attributes = attributes;
+    this.lastStates.set(entityId, { state, at: stateChanged ? at : last.at, attributes });
+    this.storeFor(dayKey(record.at)).append(record).catch(() => {
+      // Already logged by the store
+    });
+    return record;
+  }
+
+  // Transitions per entity within [from, to], oldest first. `limit` keeps the
+  // newest records per entity; `initial` also prepends the last record before
+  // `from` (the state in effect when the range starts), if one is retained.
+  async query({ entities, from, to = this.now(), limit, initial = false } = {}) {
+    await this.flush();
+    const start = from ?? to - DAY;
+    const wanted = new Set(entities);
+    const history = {};
+    entities.forEach(entityId => { history[entityId] = []; });
+
+    const days = (await this.listDays()).filter(day => day >= dayKey(start) && day <= dayKey(to));
+    for (const day of days) {
+      const records = await this.storeFor(day).query({
+        since: start,
+        until: to,
+        filter: record => wanted.has(record.entityId)
+      });
+      records.forEach(({ entityId, ...record }) => history[entityId].push(record));
+    }
+
+    Object.keys(history).forEach(entityId => {
+      history[entityId].sort((a, b) => a.at - b.at);
+      if (limit !== undefined && history[entityId].length > limit) {
+        history[entityId] = history[entityId].slice(history[entityId].length - limit);
+      }
+    });
+
+    if (initial) {
+      const earlier = await this.lastRecordsBefore(entities, start);
+      Object.entries(earlier).forEach(([entityId, record]) => history[entityId].unshift(record));
+    }
+
+    return { from: start, to, history };
+  }
+
+  // Walks day files backwards until every entity has a record before `time`
+  async lastRecordsBefore(entities, time) {
+    const missing = new Set(entities);
+    const found = {};
+    const days = (await this.listDays()).filter(day => day <= dayKey(time)).reverse();
+
+    for (const day of days) {
+      if (missing.size === 0) break;
+
+      const records = await this.storeFor(day).query({
+        until: time - 1,
+        filter: record => missing.has(record.entityId)
+      });
+      records.forEach(({ entityId, ...record }) => {
+        if (!found[entityId] || found[entityId].at <= record.at) found[entityId] = record;
+      });
+      Object.keys(found).forEach(entityId => missing.delete(entityId));
+    }
+    return found;
+  }
+
+  // Wait for queued appends so a new day's file is visible to listDays
+  flush() {
+    return Promise.all(Array.from(this.stores.values()).map(store => store.writeQueue));
+  }
+
+  // Delete day files that have fallen out of the retention window
+  async prune() {
+    try {
+      const oldestKept = dayKey(this.now() - (this.retentionDays - 1) * DAY);
+      const expired = (await this.listDays()).filter(day => day < oldestKept);
+
+      for (const day of expired) {
+        await fs.promises.unlink(path.join(this.directory, `${day}.jsonl`));
+        this.stores.delete(day);
+      }
+
+      if (expired.length > 0) {
+        console.log(`[HISTORY] Pruned ${expired.length} day(s) older than ${this.retentionDays} days`);
+      }
+    } catch (error) {
+      console.error('[HISTORY] Failed to prune state history:', error.message);
+    }
+  }
+}
+
+module.exports = new HistoryStore();
+module.exports.HistoryStore = HistoryStore;
+module.exports.dayKey = dayKey;
+module.exports.TRACKED_ATTRIBUTES = TRACKED_ATTRIBUTES;
@@ -47,6 +47,16 @@ class HomeAssistantClient {
     }
   }
 
+  async getState(entityId) {
+    try {
+      const response = await this.client.get(`/api/states/${entityId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error getting state of ${entityId}:`, error.message);
+      throw error;
+    }
+  }
+
   async callService(domain, service, entityData = {}) {
     try {
       const response = await this.client.post(`/api/services/${domain}/${service}`, entityData);
@@ -74,6 +84,11 @@ class HomeAssistantClient {
     });
   }
 
+  // Any light.turn_on data: brightness_pct, hs_color, rgb_color, color_temp_kelvin, effect
+  async setLight(entityId, data) {
+    return await this.callService('light', 'turn_on', { entity_id: entityId, ...data });
+  }
+
   async setFanSpeed(entityId, percentage) {
     return await this.callService('fan', 'set_percentage', { 
       entity_id: entityId, 
@@ -81,6 +96,19 @@ class HomeAssistantClient {
     });
   }
 
+  async setFanPresetMode(entityId, presetMode) {
+    return await this.callService('fan', 'set_preset_mode', { entity_id: entityId, preset_mode: presetMode });
+  }
+
+  async setFanOscillation(entityId, oscillating) {
+    return await this.callService('fan', 'oscillate', { entity_id: entityId, oscillating });
+  }
+
+  // 'forward' or 'reverse'
+  async setFanDirection(entityId, direction) {
+    return await this.callService('fan', 'set_direction', { entity_id: entityId, direction });
+  }
+
   async setClimateTemperature(entityId, temperature) {
     return await this.callService('climate', 'set_temperature', { 
       entity_id: entityId, 
@@ -110,6 +138,17 @@ class HomeAssistantClient {
     return await this.callService('media_player', service, { entity_id: entityId });
   }
 
+  // entity_picture is usually a Home Assistant path that needs the token;
+  // pictures hosted elsewhere are fetched without it
+  async getImage(url) {
+    const client = url.startsWith('/') ? this.client : axios;
+    const response = await client.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'image/jpeg'
+    };
+  }
+
   isConnected() {
     return this.connected;
   }
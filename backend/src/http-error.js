@@ -0,0 +1,9 @@
+// Errors that routes should answer with a specific status code carry
+// `statusCode`; anything else is reported as a 500
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = httpError;
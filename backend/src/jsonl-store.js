@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Append-only JSON Lines file under DATA_DIR (one record per line). Writes are
+// queued so records land in call order; unreadable lines are skipped on read.
+class JsonlStore {
+  constructor(fileName, options = {}) {
+    this.filePath = path.isAbsolute(fileName) ? fileName : path.join(options.dataDir || DATA_DIR, fileName);
+    this.writeQueue = Promise.resolve();
+  }
+
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.promises.appendFile(this.filePath, line, 'utf8'))
+      .catch(error => {
+        console.error(`[STORE] Failed to append to ${this.filePath}:`, error.message);
+        throw error;
+      });
+
+    const write = this.writeQueue;
+    // Keep the queue usable after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`[STORE] Skipping unreadable line ${index + 1} in ${this.filePath}`);
+      }
+    });
+    return records;
+  }
+
+  // Newest last; `since`/`until` compare against each record's `at` timestamp
+  async query({ since, until, limit, filter } = {}) {
+    await this.writeQueue;
+
+    let records = (await this.readAll()).filter(record =>
+      (since === undefined || record.at >= since) &&
+      (until === undefined || record.at <= until) &&
+      (!filter || filter(record))
+    );
+
+    if (limit !== undefined && records.length > limit) {
+      records = records.slice(records.length - limit);
+    }
+    return records;
+  }
+}
+
+module.exports = JsonlStore;
+module.exports.DATA_DIR = DATA_DIR;
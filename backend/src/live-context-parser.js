@@ -0,0 +1,349 @@
+// Parser for the YAML payload returned by Home Assistant's GetLiveContext tool.
+//
+// GetLiveContext is produced by PyYAML (`yaml.dump`) behind a one-line
+// "Live Context: ..." header, so this handles the block-style subset PyYAML
+// emits: sequences of mappings, nested mappings, block and indentless
+// sequences, flow collections ([], {}, [a, b]), plain/single/double quoted
+// scalars (including folded continuation lines) and literal/folded blocks.
+// Plain scalars resolve with the YAML 1.2 core schema (numbers, true/false,
+// null); PyYAML quotes strings such as 'on' or '72', so those stay strings.
+//
+// Nothing is dropped silently: problems are returned as { line, message }
+// with 1-based line numbers and parsing continues with the next line.
+
+class LiveContextParser {
+  constructor(text) {
+    this.lines = [];
+    this.errors = [];
+    this.pos = 0;
+
+    String(text || '').split(/\r?\n/).forEach((raw, index) => {
+      const content = raw.trim();
+      if (!content || content.startsWith('#')) return;
+      this.lines.push({
+        number: index + 1,
+        indent: raw.length - raw.replace(/^ +/, '').length,
+        content,
+        raw
+      });
+    });
+  }
+
+  parse() {
+    // Skip the "Live Context: ..." header (anything before the first top-level item)
+    while (this.pos < this.lines.length && !this.isSequenceItem(this.current(), 0)) {
+      this.pos++;
+    }
+
+    const entries = [];
+    while (this.pos < this.lines.length) {
+      const line = this.current();
+      if (!this.isSequenceItem(line, 0)) {
+        this.error(line, `Unexpected content outside an entry: "${line.content}"`);
+        this.pos++;
+        continue;
+      }
+      entries.push({ line: line.number, value: this.parseSequenceItem(0) });
+    }
+
+    return { entries, errors: this.errors };
+  }
+
+  current() {
+    return this.lines[this.pos];
+  }
+
+  error(line, message) {
+    this.errors.push({ line: line ? line.number : null, message });
+  }
+
+  isSequenceItem(line, indent) {
+    return !!line && line.indent === indent && (line.content === '-' || line.content.startsWith('- '));
+  }
+
+  parseBlock(indent) {
+    return this.isSequenceItem(this.current(), indent)
+      ? this.parseSequence(indent)
+      : this.parseMapping(indent);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+    while (this.isSequenceItem(this.current(), indent)) {
+      items.push(this.parseSequenceItem(indent));
+    }
+    return items;
+  }
+
+  parseSequenceItem(indent) {
+    const line = this.current();
+    const rest = line.content.substring(1).trim();
+
+    if (!rest) {
+      this.pos++;
+      const next = this.current();
+      return next && next.indent > indent ? this.parseBlock(next.indent) : null;
+    }
+
+    // "- key: value" opens a mapping whose keys sit two columns in
+    if (this.splitKey(rest)) {
+      line.indent = indent + 2;
+      line.content = rest;
+      return this.parseMapping(indent + 2);
+    }
+
+    // "- - value" nested sequence
+    if (rest === '-' || rest.startsWith('- ')) {
+      line.indent = indent + 2;
+      line.content = rest;
+      return this.parseSequence(indent + 2);
+    }
+
+    this.pos++;
+    return this.parseInlineValue(rest, indent, line);
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+
+    while (this.pos < this.lines.length) {
+      const line = this.current();
+      if (line.indent < indent || this.isSequenceItem(line, indent)) break;
+
+      if (line.indent > indent) {
+        this.error(line, `Unexpected indentation: "${line.content}"`);
+        this.pos++;
+        continue;
+      }
+
+      const pair = this.splitKey(line.content);
+      if (!pair) {
+        this.error(line, `Expected "key: value" but found "${line.content}"`);
+        this.pos++;
+        this.skipDeeperLines(indent);
+        continue;
+      }
+
+      this.pos++;
+      mapping[pair.key] = pair.value === ''
+        ? this.parseNestedValue(indent)
+        : this.parseInlineValue(pair.value, indent, line);
+    }
+
+    return mapping;
+  }
+
+  // Value of "key:" with nothing after the colon
+  parseNestedValue(indent) {
+    const next = this.current();
+    if (next && next.indent > indent) {
+      return this.parseBlock(next.indent);
+    }
+    // PyYAML writes sequences inside mappings without extra indentation
+    if (this.isSequenceItem(next, indent)) {
+      return this.parseSequence(indent);
+    }
+    return null;
+  }
+
+  parseInlineValue(text, indent, line) {
+    if (text.startsWith("'") || text.startsWith('"')) {
+      return this.parseQuoted(text, indent, line);
+    }
+    if (/^[|>][-+]?$/.test(text)) {
+      return this.parseBlockScalar(text, indent);
+    }
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return this.parseFlow(text, line);
+    }
+
+    // Plain scalars may be folded onto deeper-indented continuation lines
+    // (a continuation can't contain "key: value", so those are left to be reported)
+    const parts = [text];
+    while (this.current() && this.current().indent > indent && !this.splitKey(this.current().content)) {
+      parts.push(this.current().content);
+      this.pos++;
+    }
+    return resolvePlainScalar(parts.join(' '));
+  }
+
+  parseQuoted(text, indent, line) {
+    const quote = text[0];
+    let buffer = text;
+
+    // Keep folding continuation lines until the closing quote shows up
+    while (findClosingQuote(buffer, quote) === -1 && this.current() && this.current().indent > indent) {
+      buffer += ' ' + this.current().content;
+      this.pos++;
+    }
+
+    const end = findClosingQuote(buffer, quote);
+    if (end === -1) {
+      this.error(line, `Unterminated ${quote === "'" ? 'single' : 'double'}-quoted string`);
+      return buffer.substring(1);
+    }
+
+    const trailing = buffer.substring(end + 1).trim();
+    if (trailing && !trailing.startsWith('#')) {
+      this.error(line, `Unexpected text after quoted string: "${trailing}"`);
+    }
+
+    const inner = buffer.substring(1, end);
+    return quote === "'" ? inner.replace(/''/g, "'") : unescapeDoubleQuoted(inner);
+  }
+
+  parseBlockScalar(indicator, indent) {
+    const lines = [];
+    let blockIndent = null;
+
+    while (this.current() && this.current().indent > indent) {
+      const line = this.current();
+      if (blockIndent === null) blockIndent = line.indent;
+      lines.push(line.raw.substring(blockIndent));
+      this.pos++;
+    }
+
+    const text = indicator.startsWith('|') ? lines.join('\n') : lines.join(' ');
+    return indicator.endsWith('-') ? text : `${text}\n`;
+  }
+
+  parseFlow(text, line) {
+    const open = text[0];
+    const close = open === '[' ? ']' : '}';
+
+    if (!text.endsWith(close)) {
+      this.error(line, `Unterminated flow collection: "${text}"`);
+      return open === '[' ? [] : {};
+    }
+
+    const items = splitFlowItems(text.substring(1, text.length - 1));
+    if (open === '[') {
+      return items.map(item => parseFlowScalar(item));
+    }
+
+    const mapping = {};
+    items.forEach(item => {
+      const pair = this.splitKey(item);
+      if (pair) {
+        mapping[pair.key] = parseFlowScalar(pair.value);
+      } else {
+        this.error(line, `Expected "key: value" in flow mapping but found "${item}"`);
+      }
+    });
+    return mapping;
+  }
+
+  // Split "key: value" / "key:" with plain or quoted keys; null when it isn't a key
+  splitKey(text) {
+    let key;
+    let rest;
+
+    if (text.startsWith("'") || text.startsWith('"')) {
+      const end = findClosingQuote(text, text[0]);
+      if (end === -1) return null;
+      key = text[0] === "'" ? text.substring(1, end).replace(/''/g, "'") : unescapeDoubleQuoted(text.substring(1, end));
+      rest = text.substring(end + 1);
+      if (!/^\s*:(\s|$)/.test(rest)) return null;
+      rest = rest.replace(/^\s*:/, '');
+    } else {
+      const match = text.match(/^([^:]*?[^\s:]):(?:\s+|$)/);
+      if (!match || match[1].startsWith('- ') || match[1].startsWith('[') || match[1].startsWith('{')) return null;
+      key = match[1];
+      rest = text.substring(match[0].length);
+    }
+
+    return { key, value: rest.trim() };
+  }
+
+  skipDeeperLines(indent) {
+    while (this.current() && this.current().indent > indent) {
+      this.pos++;
+    }
+  }
+}
+
+function findClosingQuote(text, quote) {
+  for (let i = 1; i < text.length; i++) {
+    if (quote === "'" && text[i] === "'") {
+      if (text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      return i;
+    }
+    if (quote === '"') {
+      if (text[i] === '\\') {
+        i++;
+        continue;
+      }
+      if (text[i] === '"') return i;
+    }
+  }
+  return -1;
+}
+
+function unescapeDoubleQuoted(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0', ' ': ' ' };
+  return text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+    if (/^[xuU]/.test(code) && code.length > 1) {
+      return String.fromCodePoint(parseInt(code.substring(1), 16));
+    }
+    return escapes[code] !== undefined ? escapes[code] : code;
+  });
+}
+
+function resolvePlainScalar(text) {
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^(null|Null|NULL|~)$/.test(text)) return null;
+  if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  return text;
+}
+
+function splitFlowItems(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    current += char;
+
+    if (quote === '"' && char === '\\') {
+      current += text[++i] || '';
+    } else if (quote && char === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        current += text[++i];
+      } else {
+        quote = null;
+      }
+    } else if (!quote && (char === "'" || char === '"')) {
+      quote = char;
+    } else if (!quote && char === ',') {
+      items.push(current.slice(0, -1).trim());
+      current = '';
+    }
+  }
+
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseFlowScalar(text) {
+  if (text.startsWith("'") && text.endsWith("'") && text.length > 1) {
+    return text.substring(1, text.length - 1).replace(/''/g, "'");
+  }
+  if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+    return unescapeDoubleQuoted(text.substring(1, text.length - 1));
+  }
+  return resolvePlainScalar(text);
+}
+
+function parseLiveContextText(text) {
+  return new LiveContextParser(text).parse();
+}
+
+module.exports = {
+  parseLiveContextText
+};
@@ -435,19 +435,6 @@ class MCPClient {
     }
   }
 
-  async setFanSpeed(criteria) {
-    try {
-      const response = await this.sendMCPRequest('tools/call', {
-        name: 'HassSetVolume',
-        arguments: criteria
-      });
-      return { success: true, message: 'Fan speed set', data: response.result };
-    } catch (error) {
-      console.error('Error setting fan speed:', error);
-      return { success: false, message: error.message };
-    }
-  }
-
   async setClimateTemperature(criteria) {
     try {
       const response = await this.sendMCPRequest('tools/call', {
@@ -505,6 +492,36 @@ class MCPClient {
     }
   }
 
+  // Home Assistant's turn on/off intents lock/unlock locks and open/close covers
+  async lock(criteria) {
+    return this.callIntent('HassTurnOn', criteria, 'Locked', 'locking');
+  }
+
+  async unlock(criteria) {
+    return this.callIntent('HassTurnOff', criteria, 'Unlocked', 'unlocking');
+  }
+
+  async openCover(criteria) {
+    return this.callIntent('HassTurnOn', criteria, 'Cover opening', 'opening cover');
+  }
+
+  async closeCover(criteria) {
+    return this.callIntent('HassTurnOff', criteria, 'Cover closing', 'closing cover');
+  }
+
+  async callIntent(name, criteria, message, activity) {
+    try {
+      const response = await this.sendMCPRequest('tools/call', {
+        name,
+        arguments: criteria
+      });
+      return { success: true, message, data: response.result };
+    } catch (error) {
+      console.error(`Error ${activity}:`, error);
+      return { success: false, message: error.message };
+    }
+  }
+
   async disconnect() {
     this.connected = false;
     if (this.eventSource) {
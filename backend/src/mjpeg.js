@@ -0,0 +1,129 @@
+const { Transform } = require('stream');
+
+// Boundary used for every stream the proxy serves, whatever the upstream uses
+const MJPEG_BOUNDARY = 'dashboardframe';
+const MJPEG_CONTENT_TYPE = `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`;
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+const MAX_BUFFER = 8 * 1024 * 1024;
+
+// Boundary from a multipart Content-Type header. Some servers put the leading
+// "--" in the header value, so it is stripped and matched without it.
+function parseBoundary(contentType = '') {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match) return null;
+  return (match[1] || match[2]).replace(/^--/, '') || null;
+}
+
+// Drop the CRLF (and "--" of the next delimiter) trailing a part without Content-Length
+function trimPart(part) {
+  let end = part.length;
+  if (part[end - 1] === 0x2d && part[end - 2] === 0x2d) end -= 2;
+  if (part[end - 1] === 0x0a) end -= 1;
+  if (part[end - 1] === 0x0d) end -= 1;
+  return part.subarray(0, end);
+}
+
+// Splits a multipart/x-mixed-replace body into JPEG frames (one Buffer per
+// 'data' event). Parts are cut by Content-Length when the upstream sends it and
+// by the next boundary otherwise. Without a boundary, frames are cut at the
+// JPEG start/end markers instead.
+class MjpegParser extends Transform {
+  constructor(boundary = null) {
+    super({ readableObjectMode: true });
+    this.delimiter = boundary ? Buffer.from(boundary) : null;
+    this.buffer = Buffer.alloc(0);
+    this.expected = null; // body length of the current part, -1 when unknown
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    if (this.delimiter) {
+      this.parseParts();
+    } else {
+      this.parseMarkers();
+    }
+
+    if (this.buffer.length > MAX_BUFFER) {
+      callback(new Error(`MJPEG frame larger than ${MAX_BUFFER} bytes`));
+      return;
+    }
+    callback();
+  }
+
+  emitFrame(frame) {
+    if (frame.length > 0) this.push(Buffer.from(frame));
+  }
+
+  parseParts() {
+    for (;;) {
+      if (this.expected === null) {
+        const start = this.buffer.indexOf(this.delimiter);
+        if (start === -1) {
+          // Keep enough to match a delimiter split across chunks
+          this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.delimiter.length));
+          return;
+        }
+
+        const headerEnd = this.buffer.indexOf(HEADER_END, start);
+        if (headerEnd === -1) return;
+
+        const headers = this.buffer.toString('latin1', start, headerEnd);
+        const length = /content-length:\s*(\d+)/i.exec(headers);
+        this.expected = length ? parseInt(length[1], 10) : -1;
+        this.buffer = this.buffer.subarray(headerEnd + HEADER_END.length);
+      }
+
+      if (this.expected >= 0) {
+        if (this.buffer.length < this.expected) return;
+        this.emitFrame(this.buffer.subarray(0, this.expected));
+        this.buffer = this.buffer.subarray(this.expected);
+      } else {
+        const next = this.buffer.indexOf(this.delimiter);
+        if (next === -1) return;
+        this.emitFrame(trimPart(this.buffer.subarray(0, next)));
+        this.buffer = this.buffer.subarray(next);
+      }
+      this.expected = null;
+    }
+  }
+
+  parseMarkers() {
+    for (;;) {
+      const start = this.buffer.indexOf(JPEG_START);
+      if (start === -1) {
+        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 1));
+        return;
+      }
+
+      const end = this.buffer.indexOf(JPEG_END, start + JPEG_START.length);
+      if (end === -1) {
+        this.buffer = this.buffer.subarray(start);
+        return;
+      }
+
+      this.emitFrame(this.buffer.subarray(start, end + JPEG_END.length));
+      this.buffer = this.buffer.subarray(end + JPEG_END.length);
+    }
+  }
+}
+
+// One multipart part in the proxy's own framing
+function encodeFrame(frame) {
+  return Buffer.concat([
+    Buffer.from(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`),
+    frame,
+    Buffer.from('\r\n')
+  ]);
+}
+
+module.exports = {
+  MJPEG_BOUNDARY,
+  MJPEG_CONTENT_TYPE,
+  MjpegParser,
+  parseBoundary,
+  encodeFrame
+};
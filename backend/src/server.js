@@ -6,7 +6,21 @@ const socketIo = require('socket.io');
 require('dotenv').config();
 
 const mcpClient = require('./mcp-client');
+const homeAssistantClient = require('./homeassistant-client');
+const transport = require('./transport');
+const deviceCache = require('./device-cache');
 const deviceService = require('./device-service');
+const dashboardSync = require('./dashboard-sync');
+const escalationEngine = require('./escalation-engine');
+const alertSuppressions = require('./alert-suppressions');
+const historyStore = require('./history-store');
+const historyAggregator = require('./history-aggregator');
+const cameraRegistry = require('./camera-registry');
+const cameraSources = require('./camera-sources');
+const cameraHub = require('./camera-hub');
+const cameraRecorder = require('./camera-recorder');
+const doorbell = require('./doorbell');
+const { MJPEG_CONTENT_TYPE, encodeFrame } = require('./mjpeg');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,17 +42,18 @@ app.use(express.json());
 
 // Routes
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), transport: transport.getStatus() });
 });
 
 app.get('/api/dashboard-state', async (req, res) => {
   try {
-    if (!mcpClient.isConnected()) {
-      const status = mcpClient.getConnectionStatus();
-      console.warn('Dashboard state requested but MCP not connected yet');
-      console.warn('MCP Connection status:', status);
+    // Cached devices are still worth serving while both transports are down
+    if (!transport.isAvailable() && deviceCache.getDeviceCount() === 0) {
+      const status = transport.getStatus();
+      console.warn('Dashboard state requested but no transport is connected yet');
+      console.warn('Transport status:', status);
       return res.status(503).json({ 
-        error: 'MCP connection initializing', 
+        error: 'Home Assistant connection initializing', 
         message: 'Please wait for connection to Home Assistant',
         connectionStatus: status
       });
@@ -52,19 +67,181 @@ app.get('/api/dashboard-state', async (req, res) => {
   }
 });
 
+// Dashboard state grouped by Home Assistant area
+app.get('/api/areas', (req, res) => {
+  try {
+    res.json(deviceService.getAreaState());
+  } catch (error) {
+    console.error('Error getting area state:', error);
+    res.status(500).json({ error: 'Failed to get area state' });
+  }
+});
+
+app.get('/api/areas/:area', (req, res) => {
+  try {
+    res.json(deviceService.getArea(req.params.area));
+  } catch (error) {
+    console.error('Error getting area:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get area' });
+  }
+});
+
+app.get('/api/alerts', (req, res) => {
+  res.json({
+    alerts: escalationEngine.getActiveAlerts().map(alert => ({
+      ...alert,
+      suppressed: alertSuppressions.isSuppressed(alert.id)
+    })),
+    suppressions: alertSuppressions.getSuppressions()
+  });
+});
+
+// Epoch milliseconds or anything Date can parse (ISO 8601)
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+app.get('/api/alerts/audit', async (req, res) => {
+  try {
+    const records = await alertSuppressions.getAuditTrail({
+      since: parseTime(req.query.since),
+      until: parseTime(req.query.until),
+      limit: req.query.limit ? Number(req.query.limit) : 500
+    });
+    
+    res.json({ records });
+  } catch (error) {
+    console.error('Error reading alert audit trail:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to read alert audit trail' });
+  }
+});
+
+// Alert ids are escalation ids or entity_ids (URL-encode them)
+app.post('/api/alerts/:id/ack', async (req, res) => {
+  try {
+    const { by, note } = req.body;
+    const suppression = await alertSuppressions.acknowledge(req.params.id, { by, note });
+    
+    res.json(suppression);
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to acknowledge alert' });
+  }
+});
+
+app.post('/api/alerts/:id/snooze', async (req, res) => {
+  try {
+    const { by, note, minutes } = req.body;
+    const suppression = await alertSuppressions.snooze(req.params.id, { by, note, minutes });
+    
+    res.json(suppression);
+  } catch (error) {
+    console.error('Error snoozing alert:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to snooze alert' });
+  }
+});
+
+app.delete('/api/alerts/:id/snooze', async (req, res) => {
+  try {
+    await alertSuppressions.unsnooze(req.params.id, { by: req.body?.by });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing alert snooze:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to remove snooze' });
+  }
+});
+
+app.get('/api/history', async (req, res) => {
+  try {
+    const entities = String(req.query.entity || '').split(',').map(id => id.trim()).filter(Boolean);
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const limit = req.query.limit ? Number(req.query.limit) : 5000;
+    
+    if (entities.length === 0) {
+      return res.status(400).json({ error: 'entity is required (comma-separated entity_ids)' });
+    }
+    if (from === null || to === null || (from !== undefined && to !== undefined && from > to)) {
+      return res.status(400).json({ error: 'from/to must be epoch milliseconds or ISO timestamps, with from before to' });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    
+    res.json(await historyStore.query({ entities, from, to, limit }));
+  } catch (error) {
+    console.error('Error reading state history:', error);
+    res.status(500).json({ error: 'Failed to read state history' });
+  }
+});
+
+// Trend series for charts: ?entity=a,b or ?area=Living Room, plus from/to and interval (e.g. 15m, 2h)
+app.get('/api/history/aggregate', async (req, res) => {
+  try {
+    const entities = String(req.query.entity || '').split(',').map(id => id.trim()).filter(Boolean);
+    const area = req.query.area ? String(req.query.area) : undefined;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    
+    if (entities.length === 0 && !area) {
+      return res.status(400).json({ error: 'entity or area is required' });
+    }
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from/to must be epoch milliseconds or ISO timestamps' });
+    }
+    
+    res.json(await historyAggregator.aggregate({ entities, area, from, to, interval: req.query.interval }));
+  } catch (error) {
+    console.error('Error aggregating state history:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to aggregate state history' });
+  }
+});
+
 app.post('/api/toggle-device', async (req, res) => {
   try {
     const { deviceId } = req.body;
     const result = await deviceService.toggleDevice(deviceId);
     
-    // Emit update to all connected clients
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
-    
     res.json(result);
   } catch (error) {
     console.error('Error toggling device:', error);
-    res.status(500).json({ error: 'Failed to toggle device' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to toggle device' });
+  }
+});
+
+// Locks ({ action: 'lock' | 'unlock' }) and covers ({ action: 'open' | 'close' | 'stop' }).
+// Unlocking and opening answer 403 with `requires: 'pin' | 'confirm'` until the
+// request carries the PIN or { confirm: true }; obstructed covers answer 409.
+app.post('/api/lock-control', async (req, res) => {
+  try {
+    const { deviceId, action, pin, confirm, by } = req.body;
+    const result = await deviceService.controlLock(deviceId, action, { pin, confirm, by });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error controlling lock:', error.message);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to control lock',
+      requires: error.requires
+    });
+  }
+});
+
+app.post('/api/cover-control', async (req, res) => {
+  try {
+    const { deviceId, action, pin, confirm, by } = req.body;
+    const result = await deviceService.controlCover(deviceId, action, { pin, confirm, by });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error controlling cover:', error.message);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to control cover',
+      requires: error.requires
+    });
   }
 });
 
@@ -74,9 +251,7 @@ app.post('/api/refresh-devices', async (req, res) => {
     const result = await deviceService.manualDeviceRefresh();
     
     if (result.success) {
-      // Emit updated dashboard state to all connected clients
-      io.emit('dashboard-update', result.dashboardState);
-      
+      // Connected clients receive the changes as dashboard patches
       res.json({
         success: true,
         message: result.message,
@@ -101,10 +276,6 @@ app.post('/api/set-brightness', async (req, res) => {
     const { deviceId, brightness } = req.body;
     const result = await deviceService.setBrightness(deviceId, brightness);
     
-    // Emit update to all connected clients
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
-    
     res.json(result);
   } catch (error) {
     console.error('Error setting brightness:', error);
@@ -112,19 +283,50 @@ app.post('/api/set-brightness', async (req, res) => {
   }
 });
 
+// Color ({ hs: [h, s] } or { rgb: [r, g, b] }), color temperature ({ kelvin } or
+// { mireds }), { effect } and/or { brightness } (0-100) for one light
+app.post('/api/set-light', async (req, res) => {
+  try {
+    const { deviceId, ...options } = req.body;
+    const result = await deviceService.setLight(deviceId, options);
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error setting light:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to set light' });
+  }
+});
+
 app.post('/api/set-fan-speed', async (req, res) => {
   try {
     const { deviceId, percentage } = req.body;
     const result = await deviceService.setFanSpeed(deviceId, percentage);
     
-    // Emit update to all connected clients
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
-    
     res.json(result);
   } catch (error) {
-    console.error('Error setting fan speed:', error);
-    res.status(500).json({ error: 'Failed to set fan speed' });
+    console.error('Error setting fan speed:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to set fan speed' });
+  }
+});
+
+// Speed (with its percentage_step), presets, oscillation and direction of a fan
+app.get('/api/fan/:deviceId', async (req, res) => {
+  try {
+    res.json(await deviceService.getFan(req.params.deviceId));
+  } catch (error) {
+    console.error('Error getting fan:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get fan' });
+  }
+});
+
+// { deviceId, percentage, presetMode, oscillating, direction }
+app.post('/api/fan-control', async (req, res) => {
+  try {
+    const { deviceId, ...options } = req.body;
+    res.json(await deviceService.setFan(deviceId, options));
+  } catch (error) {
+    console.error('Error controlling fan:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to control fan' });
   }
 });
 
@@ -133,10 +335,6 @@ app.post('/api/set-temperature', async (req, res) => {
     const { deviceId, temperature } = req.body;
     const result = await deviceService.setTemperature(deviceId, temperature);
     
-    // Emit update to all connected clients  
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
-    
     res.json(result);
   } catch (error) {
     console.error('Error setting temperature:', error);
@@ -144,151 +342,413 @@ app.post('/api/set-temperature', async (req, res) => {
   }
 });
 
+// Thermostat state including HVAC action, modes, presets and setpoint range
+app.get('/api/climate/:deviceId', async (req, res) => {
+  try {
+    res.json(await deviceService.getClimate(req.params.deviceId));
+  } catch (error) {
+    console.error('Error getting climate:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get climate' });
+  }
+});
+
+// { deviceId, hvacMode, presetMode, fanMode, temperature | targetTempLow/targetTempHigh };
+// answers with the thermostat's state afterwards
+app.post('/api/climate-control', async (req, res) => {
+  try {
+    const { deviceId, ...options } = req.body;
+    res.json(await deviceService.setClimate(deviceId, options));
+  } catch (error) {
+    console.error('Error controlling climate:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to control climate' });
+  }
+});
+
+// { deviceId, action, volume | muted | source | soundMode | position }
 app.post('/api/media-control', async (req, res) => {
   try {
-    const { deviceId, action } = req.body;
-    const result = await deviceService.controlMedia(deviceId, action);
-    
-    // Emit update to all connected clients
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
+    const { deviceId, action, ...options } = req.body;
+    const result = await deviceService.controlMedia(deviceId, action, options);
     
     res.json(result);
   } catch (error) {
-    console.error('Error controlling media:', error);
-    res.status(500).json({ error: 'Failed to control media' });
+    console.error('Error controlling media:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to control media' });
+  }
+});
+
+// Now playing, volume, sources and supported controls of a media player
+app.get('/api/media/:deviceId', async (req, res) => {
+  try {
+    res.json(await deviceService.getMedia(req.params.deviceId));
+  } catch (error) {
+    console.error('Error getting media player:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get media player' });
+  }
+});
+
+// Album art / channel logo; Home Assistant's entity_picture needs the token
+app.get('/api/media/:deviceId/artwork', async (req, res) => {
+  try {
+    const artwork = await deviceService.getMediaArtwork(req.params.deviceId);
+    
+    res.set({
+      'Content-Type': artwork.contentType,
+      // The dashboard asks with ?v=<artworkId>, which changes with the track
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(artwork.data);
+  } catch (error) {
+    console.error('Error getting media artwork:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get artwork' });
+  }
+});
+
+// Scenes, scripts and automations grouped by area
+app.get('/api/scenes', (req, res) => {
+  try {
+    res.json(deviceService.getSceneState());
+  } catch (error) {
+    console.error('Error getting scenes:', error);
+    res.status(500).json({ error: 'Failed to get scenes' });
   }
 });
 
+// Scenes and scripts ({ sceneId: 'scene.movie_night' | 'script.goodnight' })
 app.post('/api/activate-scene', async (req, res) => {
   try {
     const { sceneId } = req.body;
     const result = await deviceService.activateScene(sceneId);
     
-    // Emit update to all connected clients
-    const updatedState = await deviceService.getDashboardState();
-    io.emit('dashboard-update', updatedState);
+    res.json(result);
+  } catch (error) {
+    console.error('Error activating scene:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to activate scene' });
+  }
+});
+
+app.post('/api/set-automation', async (req, res) => {
+  try {
+    const { automationId, enabled } = req.body;
+    const result = await deviceService.setAutomationEnabled(automationId, enabled);
     
     res.json(result);
   } catch (error) {
-    console.error('Error activating scene:', error);
-    res.status(500).json({ error: 'Failed to activate scene' });
+    console.error('Error setting automation:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to set automation' });
   }
 });
 
-// Camera proxy endpoint to handle Blue Iris streams
-app.get('/api/camera/:cameraName', (req, res) => {
+// Cameras from the camera registry (no source URLs or credentials)
+app.get('/api/cameras', (req, res) => {
+  res.json({ cameras: cameraRegistry.describe() });
+});
+
+// Upstream camera connections and their viewers
+app.get('/api/cameras/stats', (req, res) => {
+  res.json(cameraHub.getStats());
+});
+
+// Latest JPEG of a camera, from its open stream when one is being watched
+app.get('/api/camera/:cameraName/snapshot', async (req, res) => {
   const { cameraName } = req.params;
-  const blueIrisOptions = {
-    hostname: '192.168.0.13',
-    port: 81,
-    path: `/mjpg/${cameraName}?w=640&h=480&user=dashboard&pw=D@sh!Board123`,
-    method: 'GET',
-    headers: {
-      'User-Agent': 'Dashboard-Backend/1.0.0'
-    }
-  };
+  const camera = cameraRegistry.getCamera(cameraName);
   
-  console.log(`[CAMERA-PROXY] Proxying stream for ${cameraName}: http://192.168.0.13:81${blueIrisOptions.path}`);
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
   
-  // Set appropriate headers for MJPEG stream  
-  res.setHeader('Content-Type', 'multipart/x-mixed-replace; boundary==STILLIMAGEBOUNDARY==');
-  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  res.setHeader('Pragma', 'no-cache');
-  res.setHeader('Expires', '0');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  try {
+    const snapshot = await cameraHub.getSnapshot(camera, cameraSources.resolveSize(req.query));
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Last-Modified': new Date(snapshot.at).toUTCString(),
+      'X-Snapshot-Source': snapshot.source
+    });
+    res.send(snapshot.frame);
+  } catch (error) {
+    console.error(`[CAMERA-PROXY] Snapshot failed for ${cameraName}:`, error.message);
+    res.status(error.statusCode || 502).json({ error: 'Failed to get camera snapshot', camera: cameraName, details: error.message });
+  }
+});
+
+// Recorded motion/person events of a camera, newest first
+app.get('/api/camera/:cameraName/events', async (req, res) => {
+  const { cameraName } = req.params;
+  const camera = cameraRegistry.getCamera(cameraName);
   
-  // Create request to Blue Iris
-  const proxyReq = http.request(blueIrisOptions, (proxyRes) => {
-    console.log(`[CAMERA-PROXY] Blue Iris response for ${cameraName}: ${proxyRes.statusCode} ${proxyRes.statusMessage}`);
-    
-    if (proxyRes.statusCode !== 200) {
-      console.error(`[CAMERA-PROXY] Blue Iris error for ${cameraName}: ${proxyRes.statusCode} ${proxyRes.statusMessage}`);
-      res.status(proxyRes.statusCode).json({ 
-        error: `Camera stream error: ${proxyRes.statusCode} ${proxyRes.statusMessage}`,
-        camera: cameraName,
-        suggestion: proxyRes.statusCode === 503 ? 'Camera may not exist or stream unavailable' : 'Check Blue Iris configuration'
-      });
-      return;
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  
+  const since = req.query.since === undefined ? undefined : parseTime(req.query.since);
+  const until = req.query.until === undefined ? undefined : parseTime(req.query.until);
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  if (since === null || until === null || !(limit > 0)) {
+    return res.status(400).json({ error: 'since/until must be epoch ms or ISO timestamps and limit a positive number' });
+  }
+  
+  try {
+    const events = await cameraRecorder.listEvents(camera.id, { since, until, limit });
+    res.json({ events: events.map(event => cameraRecorder.describeEvent(event)) });
+  } catch (error) {
+    console.error(`[RECORDER] Failed to list events for ${cameraName}:`, error);
+    res.status(500).json({ error: 'Failed to list camera events' });
+  }
+});
+
+// Replay of a recorded event as MJPEG at its original pace (?speed=2 plays faster)
+app.get('/api/camera/:cameraName/events/:eventId/clip', async (req, res) => {
+  const { cameraName, eventId } = req.params;
+  const camera = cameraRegistry.getCamera(cameraName);
+  const speed = req.query.speed === undefined ? 1 : parseFloat(req.query.speed);
+  
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  if (!(speed > 0 && speed <= 16)) {
+    return res.status(400).json({ error: 'speed must be between 0 and 16' });
+  }
+  
+  let clip;
+  try {
+    clip = await cameraRecorder.openClip(camera.id, eventId);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to open clip' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': MJPEG_CONTENT_TYPE,
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Connection': 'close',
+    'Access-Control-Allow-Origin': '*'
+  });
+  req.on('close', () => clip.frames.destroy());
+  
+  const startedAt = Date.now();
+  let index = 0;
+  try {
+    for await (const frame of clip.frames) {
+      const due = startedAt + (clip.event.frameTimes[index++] || 0) / speed;
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, due - Date.now())));
+      if (res.destroyed) break;
+      res.write(encodeFrame(frame));
+    }
+  } catch (error) {
+    // Destroying the frames when the client leaves ends the loop too
+    if (!res.destroyed) {
+      console.error(`[RECORDER] Clip playback failed for ${cameraName}/${eventId}:`, error.message);
     }
+  }
+  res.end();
+});
+
+// Frame of a recorded event at the moment it triggered
+app.get('/api/camera/:cameraName/events/:eventId/thumbnail', async (req, res) => {
+  const { cameraName, eventId } = req.params;
+  const camera = cameraRegistry.getCamera(cameraName);
+  
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  
+  try {
+    const frame = await cameraRecorder.getThumbnail(camera.id, eventId);
+    res.set({ 'Content-Type': 'image/jpeg', 'Cache-Control': 'max-age=86400' });
+    res.send(frame);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to read clip' });
+  }
+});
+
+// Pan/tilt/zoom a camera through its source ({ action: 'left' | 'right' | 'up' |
+// 'down' | 'home' | 'zoomIn' | 'zoomOut' }); 501 for cameras that can't move
+app.post('/api/camera/:cameraName/ptz', async (req, res) => {
+  const { cameraName } = req.params;
+  const { action } = req.body || {};
+  const camera = cameraRegistry.getCamera(cameraName);
+  
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  
+  try {
+    await cameraSources.movePtz(camera, action);
+    console.log(`[CAMERA-PTZ] ${cameraName}: ${action}`);
+    res.json({ success: true, camera: cameraName, action });
+  } catch (error) {
+    console.error(`[CAMERA-PTZ] ${cameraName} ${action} failed:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to move camera', camera: cameraName });
+  }
+});
+
+app.post('/api/camera/:cameraName/preset/:preset', async (req, res) => {
+  const { cameraName } = req.params;
+  const preset = Number(req.params.preset);
+  const camera = cameraRegistry.getCamera(cameraName);
+  
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  
+  try {
+    await cameraSources.gotoPreset(camera, preset);
+    console.log(`[CAMERA-PTZ] ${cameraName}: preset ${preset}`);
+    res.json({ success: true, camera: cameraName, preset });
+  } catch (error) {
+    console.error(`[CAMERA-PTZ] ${cameraName} preset ${req.params.preset} failed:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to move camera', camera: cameraName });
+  }
+});
+
+// Recent visitors of a doorbell camera, newest first
+app.get('/api/camera/:cameraName/visitors', (req, res) => {
+  try {
+    res.json({ visitors: doorbell.listVisits(req.params.cameraName) });
+  } catch (error) {
+    console.error(`[DOORBELL] Error listing visitors for ${req.params.cameraName}:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to list visitors' });
+  }
+});
+
+app.get('/api/camera/:cameraName/visitors/:visitId/snapshot', async (req, res) => {
+  try {
+    const frame = await doorbell.getSnapshot(req.params.cameraName, req.params.visitId);
     
-    // Forward headers and stream data
-    res.status(proxyRes.statusCode);
-    Object.keys(proxyRes.headers).forEach(key => {
-      res.setHeader(key, proxyRes.headers[key]);
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, max-age=86400'
     });
+    res.send(frame);
+  } catch (error) {
+    console.error(`[DOORBELL] Error reading visitor snapshot ${req.params.visitId}:`, error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to read snapshot' });
+  }
+});
+
+// Doorbell panel quick actions: unlock, light or dismiss ({ by }). Unlocking
+// goes through the lock guard like /api/lock-control ({ pin } or { confirm }).
+app.post('/api/camera/:cameraName/doorbell/:action', async (req, res) => {
+  try {
+    const { by, pin, confirm } = req.body || {};
+    const result = await doorbell.act(req.params.cameraName, req.params.action, { by, pin, confirm });
     
-    // Pipe the stream data
-    proxyRes.pipe(res);
-    
-    proxyRes.on('error', (error) => {
-      console.error(`[CAMERA-PROXY] Stream error for ${cameraName}:`, error);
+    res.json(result);
+  } catch (error) {
+    console.error(`[DOORBELL] ${req.params.cameraName} ${req.params.action} failed:`, error.message);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Doorbell action failed',
+      requires: error.requires
+    });
+  }
+});
+
+// Camera proxy: frames from the camera's source (Blue Iris, Frigate, Home
+// Assistant, MJPEG or polled stills), re-framed as one MJPEG stream format.
+// ?w=&h= request a size from sources that can scale. Viewers of the same
+// camera and size share one upstream connection through the camera hub.
+app.get('/api/camera/:cameraName', (req, res) => {
+  const { cameraName } = req.params;
+  const camera = cameraRegistry.getCamera(cameraName);
+  
+  if (!camera) {
+    return res.status(404).json({ error: `Unknown camera ${cameraName}`, camera: cameraName });
+  }
+  
+  const viewer = {
+    frame: (frame) => {
       if (!res.headersSent) {
-        res.status(500).json({ error: 'Stream error', camera: cameraName });
+        res.writeHead(200, {
+          'Content-Type': MJPEG_CONTENT_TYPE,
+          'Cache-Control': 'no-cache, no-store, must-revalidate',
+          'Pragma': 'no-cache',
+          'Expires': '0',
+          'Connection': 'close',
+          'Access-Control-Allow-Origin': '*'
+        });
       }
-    });
-  });
+      // Slow clients skip frames rather than buffering them
+      if (!res.writableNeedDrain) {
+        res.write(encodeFrame(frame));
+      }
+    },
+    error: (error) => {
+      console.error(`[CAMERA-PROXY] Stream error for ${cameraName}:`, error.message);
+      if (!res.headersSent) {
+        res.status(error.statusCode || 502).json({ 
+          error: 'Failed to connect to camera', 
+          camera: cameraName,
+          details: error.message 
+        });
+      } else {
+        res.end();
+      }
+    },
+    end: () => res.end()
+  };
   
-  proxyReq.on('error', (error) => {
-    console.error(`[CAMERA-PROXY] Request error for ${cameraName}:`, error);
-    if (!res.headersSent) {
-      res.status(500).json({ 
-        error: 'Failed to connect to camera', 
-        camera: cameraName,
-        details: error.message 
-      });
-    }
-  });
+  let unsubscribe;
+  try {
+    unsubscribe = cameraHub.subscribe(camera, cameraSources.resolveSize(req.query), viewer);
+  } catch (error) {
+    console.error(`[CAMERA-PROXY] Cannot open ${cameraName}:`, error.message);
+    return res.status(error.statusCode || 500).json({ error: error.message, camera: cameraName });
+  }
   
   // Handle client disconnect
   req.on('close', () => {
     console.log(`[CAMERA-PROXY] Client disconnected from ${cameraName} stream`);
-    proxyReq.destroy();
+    unsubscribe();
   });
-  
-  proxyReq.end();
 });
 
 // Socket.IO connection handling
+// Dashboard snapshots and patches (including 'request-dashboard-state' resyncs)
+// are handled by the dashboard sync, active escalations by the escalation engine
+// acknowledgements/snoozes by the alert suppressions and rings by the doorbell
+dashboardSync.attach(io);
+escalationEngine.attach(io);
+alertSuppressions.attach(io);
+doorbell.attach(io);
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-  socket.on('request-dashboard-state', async () => {
-    try {
-      const dashboardState = await deviceService.getDashboardState();
-      socket.emit('dashboard-update', dashboardState);
-    } catch (error) {
-      console.error('Error sending dashboard state:', error);
-      socket.emit('error', { message: 'Failed to get dashboard state' });
-    }
-  });
-  
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
-// Initialize MCP client and start periodic updates
+// Initialize the MCP and REST transports and start periodic updates
 async function initialize() {
   try {
-    await mcpClient.initialize();
+    await Promise.all([mcpClient.initialize(), homeAssistantClient.initialize()]);
     console.log('MCP Client initialized successfully');
     
-    // Start device cache refresh cycles now that MCP is ready
-    const deviceCache = require('./device-cache');
+    // Websocket for the REST fallback's area registry and Assist exposure
+    transport.start();
+    
+    // Record state transitions and seed lastChanged before the first refresh
+    await historyStore.start();
+    
+    // Start device cache refresh cycles now that a transport is ready
     deviceCache.startRefreshCycles();
     
-    // Start periodic dashboard state updates (every 2 seconds for UI responsiveness)
-    setInterval(async () => {
-      try {
-        const dashboardState = await deviceService.getDashboardState();
-        io.emit('dashboard-update', dashboardState);
-      } catch (error) {
-        console.error('Error in periodic dashboard update:', error);
-      }
-    }, 2000); // Update UI every 2 seconds (cache updates every 500ms)
+    // Push entity-level patches to clients as the cache detects changes
+    dashboardSync.start();
+    
+    // Promote persisting conditions to NOTIFY/ALERT escalations ('alerts-update')
+    escalationEngine.start();
+    
+    // Acknowledgements/snoozes, restored from the audit trail ('alert-suppressions')
+    await alertSuppressions.start();
+    
+    // Pre/post-roll clips around camera motion/person events
+    cameraRecorder.start();
+    
+    // Doorbell panel rings and visitors ('doorbell-rings')
+    await doorbell.start();
     
   } catch (error) {
     console.error('Failed to initialize MCP client:', error);
@@ -305,6 +765,9 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  doorbell.stop();
+  await cameraRecorder.stop();
+  cameraHub.stop();
   mcpClient.cleanup();
   if (mcpClient.disconnect) {
     await mcpClient.disconnect();
@@ -317,6 +780,9 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  doorbell.stop();
+  await cameraRecorder.stop();
+  cameraHub.stop();
   mcpClient.cleanup();
   if (mcpClient.disconnect) {
     await mcpClient.disconnect();
@@ -0,0 +1,333 @@
+const { EventEmitter } = require('events');
+const mcpClient = require('./mcp-client');
+const homeAssistantClient = require('./homeassistant-client');
+const haWebSocket = require('./ha-websocket');
+
+// A backend whose last call failed is only tried again (ahead of the others)
+// after this long
+const RETRY_AFTER_MS = 30000;
+// Area registry and assistant exposure barely change; re-read them this often
+const REGISTRY_REFRESH_MS = 300000;
+
+// Thrown by a backend when it can't carry the call at all (not connected,
+// timed out, unreachable), as opposed to Home Assistant refusing the request
+class TransportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransportError';
+  }
+}
+
+// Home Assistant's MCP server: GetLiveContext for state (only entities exposed
+// to Assist) and Assist intents, which target devices by friendly name
+const mcpBackend = {
+  name: 'mcp',
+
+  isAvailable() {
+    return !!mcpClient.isConnected();
+  },
+
+  async getLiveState() {
+    const liveContext = await this.request(() => mcpClient.getLiveContext());
+    if (!liveContext || !liveContext.result) {
+      throw new TransportError('No live context received from MCP');
+    }
+    return { transport: 'mcp', liveContext };
+  },
+
+  turnOn: target => mcpBackend.intent(() => mcpClient.turnOn({ name: target.name })),
+  turnOff: target => mcpBackend.intent(() => mcpClient.turnOff({ name: target.name })),
+  setLightBrightness: (target, brightness) => mcpBackend.intent(() => mcpClient.setLightBrightness({ name: target.name, brightness })),
+  setClimateTemperature: (target, temperature) => mcpBackend.intent(() => mcpClient.setClimateTemperature({ name: target.name, temperature })),
+  controlMediaPlayer: (target, action) => mcpBackend.intent(() => mcpClient.controlMediaPlayer({ name: target.name }, action)),
+  setVolume: (target, volume) => mcpBackend.intent(() => mcpClient.setVolume({ name: target.name, volume_level: volume })),
+  lock: target => mcpBackend.intent(() => mcpClient.lock({ name: target.name })),
+  unlock: target => mcpBackend.intent(() => mcpClient.unlock({ name: target.name })),
+  openCover: target => mcpBackend.intent(() => mcpClient.openCover({ name: target.name })),
+  closeCover: target => mcpBackend.intent(() => mcpClient.closeCover({ name: target.name })),
+
+  async request(call) {
+    if (!this.isAvailable()) {
+      throw new TransportError('MCP client not connected');
+    }
+    try {
+      return await call();
+    } catch (error) {
+      throw new TransportError(error.message);
+    }
+  },
+
+  // The intent helpers answer { success: false } for every error; only a lost
+  // connection or a timeout is the transport's fault
+  async intent(call) {
+    const result = await this.request(call);
+    if (!result.success && (!this.isAvailable() || /timeout|not connected/i.test(result.message || ''))) {
+      throw new TransportError(result.message);
+    }
+    return result;
+  }
+};
+
+// Home Assistant's REST API for states and services, with the websocket for
+// the area registry and which entities are exposed to Assist (so the fallback
+// shows the same entities MCP would)
+const restBackend = {
+  name: 'rest',
+  registry: null,
+  registryAttemptAt: null,
+
+  isAvailable() {
+    return !!homeAssistantClient.token;
+  },
+
+  async getLiveState() {
+    let states;
+    try {
+      states = await homeAssistantClient.getStates();
+    } catch (error) {
+      throw new TransportError(error.message);
+    }
+    const registry = await this.getRegistry();
+    return { transport: 'rest', states, ...registry };
+  },
+
+  turnOn: target => restBackend.service(target, 'turn_on', 'Device turned on'),
+  turnOff: target => restBackend.service(target, 'turn_off', 'Device turned off'),
+  setLightBrightness: (target, brightness) => restBackend.service(target, 'turn_on', 'Brightness set', { brightness }),
+  setClimateTemperature: (target, temperature) => restBackend.service(target, 'set_temperature', 'Temperature set', { temperature }),
+  controlMediaPlayer: (target, action) => restBackend.call(() => homeAssistantClient.controlMediaPlayer(target.id, action), `Media ${action} executed`),
+  setVolume: (target, volume) => restBackend.service(target, 'volume_set', 'Volume set', { volume_level: volume / 100 }),
+  lock: target => restBackend.service(target, 'lock', 'Locked'),
+  unlock: target => restBackend.service(target, 'unlock', 'Unlocked'),
+  openCover: target => restBackend.service(target, 'open_cover', 'Cover opening'),
+  closeCover: target => restBackend.service(target, 'close_cover', 'Cover closing'),
+
+  // Without a response Home Assistant is unreachable; with one it refused
+  async request(call) {
+    try {
+      return await call();
+    } catch (error) {
+      if (!error.response) {
+        throw new TransportError(error.message);
+      }
+      throw error;
+    }
+  },
+
+  async call(call, message) {
+    try {
+      const data = await this.request(call);
+      return { success: true, message, data };
+    } catch (error) {
+      if (error instanceof TransportError) throw error;
+      return { success: false, message: error.message };
+    }
+  },
+
+  service(target, service, message, data = {}) {
+    const domain = target.id.split('.')[0];
+    return this.call(() => homeAssistantClient.callService(domain, service, { entity_id: target.id, ...data }), message);
+  },
+
+  // { exposed: Set of entity_ids | null, areas: Map entity_id → area name | null };
+  // nulls until the websocket has answered once, then the last good copy
+  async getRegistry() {
+    const maxAge = this.registry ? REGISTRY_REFRESH_MS : RETRY_AFTER_MS;
+    if (this.registryAttemptAt && Date.now() - this.registryAttemptAt < maxAge) {
+      return this.registry || { exposed: null, areas: null };
+    }
+    this.registryAttemptAt = Date.now();
+
+    try {
+      const [exposure, areaList, deviceList, entityList] = await Promise.all([
+        haWebSocket.sendCommand({ type: 'homeassistant/expose_entity/list' }),
+        haWebSocket.sendCommand({ type: 'config/area_registry/list' }),
+        haWebSocket.sendCommand({ type: 'config/device_registry/list' }),
+        haWebSocket.sendCommand({ type: 'config/entity_registry/list' })
+      ]);
+
+      const areaNames = new Map(areaList.map(area => [area.area_id, area.name]));
+      const deviceAreas = new Map(deviceList.map(device => [device.id, device.area_id]));
+      const areas = new Map();
+      entityList.forEach(entity => {
+        const areaId = entity.area_id || deviceAreas.get(entity.device_id);
+        if (areaId && areaNames.has(areaId)) {
+          areas.set(entity.entity_id, areaNames.get(areaId));
+        }
+      });
+      const exposed = new Set(Object.entries(exposure.exposed_entities || {})
+        .filter(([, assistants]) => assistants.conversation)
+        .map(([entityId]) => entityId));
+
+      this.registry = { exposed, areas };
+    } catch (error) {
+      console.warn('[TRANSPORT] Area registry/exposure unavailable over the websocket:', error.message);
+    }
+    return this.registry || { exposed: null, areas: null };
+  }
+};
+
+// Device state and control over Home Assistant's MCP server or directly over
+// its REST API and websocket. Calls go to the preferred backend while it is
+// healthy and fail over to the other one when it isn't; a failed backend is
+// retried after RETRY_AFTER_MS, so the preferred one takes over again once it
+// recovers. Emits 'switch' with { from, to, reason } when the active backend changes.
+class Transport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const preferred = options.preferred || process.env.HA_TRANSPORT || 'mcp';
+    this.backends = [...(options.backends || [mcpBackend, restBackend])].sort((a, b) => (b.name === preferred) - (a.name === preferred));
+    this.eventSource = options.eventSource || haWebSocket;
+    this.retryAfter = options.retryAfter || RETRY_AFTER_MS;
+
+    this.active = null;
+    this.health = new Map(this.backends.map(backend => [backend.name, {
+      lastSuccess: null,
+      lastFailure: null,
+      lastError: null
+    }]));
+  }
+
+  // The REST backend reads the registries over the websocket, which the device
+  // cache only opens in 'events' mode
+  start() {
+    if (this.eventSource.isConnected()) return;
+    this.eventSource.connect().catch(err =>
+      console.error('[TRANSPORT] Websocket failed to start, the REST fallback runs without areas until it reconnects:', err.message)
+    );
+  }
+
+  getLiveState() {
+    return this.run('getLiveState');
+  }
+
+  turnOn(target) {
+    return this.run('turnOn', target);
+  }
+
+  turnOff(target) {
+    return this.run('turnOff', target);
+  }
+
+  // brightness 0-255
+  setLightBrightness(target, brightness) {
+    return this.run('setLightBrightness', target, brightness);
+  }
+
+  setClimateTemperature(target, temperature) {
+    return this.run('setClimateTemperature', target, temperature);
+  }
+
+  // play, pause, next or previous
+  controlMediaPlayer(target, action) {
+    return this.run('controlMediaPlayer', target, action);
+  }
+
+  // volume 0-100
+  setVolume(target, volume) {
+    return this.run('setVolume', target, volume);
+  }
+
+  lock(target) {
+    return this.run('lock', target);
+  }
+
+  unlock(target) {
+    return this.run('unlock', target);
+  }
+
+  openCover(target) {
+    return this.run('openCover', target);
+  }
+
+  closeCover(target) {
+    return this.run('closeCover', target);
+  }
+
+  isHealthy(backend) {
+    const { lastFailure } = this.health.get(backend.name);
+    return backend.isAvailable() && (!lastFailure || Date.now() - lastFailure >= this.retryAfter);
+  }
+
+  // Healthy backends in preference order, then the rest as a last resort
+  getCandidates() {
+    return [
+      ...this.backends.filter(backend => this.isHealthy(backend)),
+      ...this.backends.filter(backend => !this.isHealthy(backend))
+    ];
+  }
+
+  isAvailable() {
+    return this.backends.some(backend => this.isHealthy(backend));
+  }
+
+  // Area registry and Assist exposure ({ exposed, areas }) read over the
+  // websocket whichever backend is active; nulls until it has answered
+  getRegistry() {
+    const backend = this.backends.find(candidate => candidate.getRegistry);
+    return backend ? backend.getRegistry() : Promise.resolve({ exposed: null, areas: null });
+  }
+
+  // Controls take a target { id: entity_id, name: friendly name } and resolve
+  // to { success, message }; only transport failures move on to the next backend
+  async run(operation, ...args) {
+    let lastError = null;
+
+    for (const backend of this.getCandidates()) {
+      try {
+        const result = await backend[operation](...args);
+        this.recordSuccess(backend);
+        return result;
+      } catch (error) {
+        if (!(error instanceof TransportError)) {
+          throw error;
+        }
+        this.recordFailure(backend, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new TransportError('No transport available');
+  }
+
+  recordSuccess(backend) {
+    const health = this.health.get(backend.name);
+    health.lastSuccess = Date.now();
+    health.lastFailure = null;
+    health.lastError = null;
+
+    if (this.active !== backend.name) {
+      const from = this.active;
+      const previous = from && this.health.get(from);
+      const reason = previous && previous.lastError ? previous.lastError : 'preferred transport';
+      this.active = backend.name;
+      console.log(`[TRANSPORT] Active transport: ${backend.name}${from ? ` (was ${from}: ${reason})` : ''}`);
+      this.emit('switch', { from, to: backend.name, reason });
+    }
+  }
+
+  recordFailure(backend, error) {
+    const health = this.health.get(backend.name);
+    if (!health.lastFailure) {
+      console.warn(`[TRANSPORT] ${backend.name} unhealthy, failing over: ${error.message}`);
+    }
+    health.lastFailure = Date.now();
+    health.lastError = error.message;
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      preferred: this.backends[0].name,
+      backends: this.backends.map(backend => ({
+        name: backend.name,
+        healthy: this.isHealthy(backend),
+        ...this.health.get(backend.name)
+      }))
+    };
+  }
+}
+
+module.exports = new Transport();
+module.exports.Transport = Transport;
+module.exports.TransportError = TransportError;
@@ -0,0 +1,74 @@
+// Local stand-in for an NVR: serves MJPEG streams and JPEG stills on a random port
+const http = require('http');
+
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+
+function jpeg(label) {
+  return Buffer.concat([JPEG_START, Buffer.from(label), JPEG_END]);
+}
+
+// Options:
+//   boundary       multipart boundary sent in Content-Type (null omits it)
+//   contentLength  send Content-Length in each part (default true)
+//   frameInterval  ms between frames (default 20)
+//   status         response status for every request (default 200)
+function createFakeCameraServer(options = {}) {
+  const boundary = options.boundary === undefined ? '--myboundary' : options.boundary;
+  const contentLength = options.contentLength !== false;
+  const frameInterval = options.frameInterval || 20;
+  const requests = [];
+  const open = new Set();
+
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+
+    if (options.status && options.status !== 200) {
+      res.writeHead(options.status);
+      res.end('unavailable');
+      return;
+    }
+
+    if (req.url.includes('snap')) {
+      const frame = jpeg(`still-${requests.length}`);
+      res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': frame.length });
+      res.end(frame);
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': boundary ? `multipart/x-mixed-replace; boundary=${boundary}` : 'multipart/x-mixed-replace'
+    });
+    open.add(res);
+
+    let count = 0;
+    const delimiter = boundary ? (boundary.startsWith('--') ? boundary : `--${boundary}`) : '--frame';
+    const timer = setInterval(() => {
+      const frame = jpeg(`frame-${++count}`);
+      const headers = `${delimiter}\r\nContent-Type: image/jpeg\r\n${contentLength ? `Content-Length: ${frame.length}\r\n` : ''}\r\n`;
+      res.write(Buffer.concat([Buffer.from(headers), frame, Buffer.from('\r\n')]));
+    }, frameInterval);
+
+    req.on('close', () => {
+      clearInterval(timer);
+      open.delete(res);
+    });
+  });
+
+  return {
+    requests,
+    open,
+    get url() {
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    listen() {
+      return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    },
+    close() {
+      open.forEach(res => res.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createFakeCameraServer, jpeg };
@@ -37,55 +37,80 @@ module.exports = {
     media_title: 'Test Movie'`
   },
 
+  // Home Assistant /api/states response used to resolve entity ids
+  haStates: [
+    { entity_id: 'light.kitchen_light', state: 'on', attributes: { friendly_name: 'Kitchen Light' } },
+    { entity_id: 'light.living_room_light', state: 'off', attributes: { friendly_name: 'Living Room Light' } },
+    { entity_id: 'binary_sensor.front_door', state: 'off', attributes: { friendly_name: 'Front Door' } },
+    { entity_id: 'climate.main_thermostat', state: 'heat', attributes: { friendly_name: 'Main Thermostat' } },
+    { entity_id: 'media_player.living_room_tv', state: 'playing', attributes: { friendly_name: 'Living Room TV' } },
+    { entity_id: 'scene.movie_night', state: '2024-01-01T20:00:00+00:00', attributes: { friendly_name: 'Movie Night' } }
+  ],
+
   // Parsed device objects
   parsedDevices: [
     {
-      id: 'Kitchen Light',
+      id: 'light.kitchen_light',
+      entityId: 'light.kitchen_light',
       name: 'Kitchen Light',
+      aliases: [],
       domain: 'light',
       state: 'on',
       area: 'Kitchen',
+      areas: ['Kitchen'],
       attributes: {
         brightness: '255'
       }
     },
     {
-      id: 'Living Room Light',
+      id: 'light.living_room_light',
+      entityId: 'light.living_room_light',
       name: 'Living Room Light',
+      aliases: [],
       domain: 'light',
       state: 'off',
       area: 'Living Room',
+      areas: ['Living Room'],
       attributes: {
         brightness: '0'
       }
     },
     {
-      id: 'Front Door',
+      id: 'binary_sensor.front_door',
+      entityId: 'binary_sensor.front_door',
       name: 'Front Door',
+      aliases: [],
       domain: 'binary_sensor',
       state: 'off',
       area: 'Entryway',
+      areas: ['Entryway'],
       attributes: {
         device_class: 'opening'
       }
     },
     {
-      id: 'Main Thermostat',
+      id: 'climate.main_thermostat',
+      entityId: 'climate.main_thermostat',
       name: 'Main Thermostat',
+      aliases: [],
       domain: 'climate',
       state: 'heat',
       area: 'Living Room',
+      areas: ['Living Room'],
       attributes: {
         temperature: '72',
         current_temperature: '70'
       }
     },
     {
-      id: 'Living Room TV',
+      id: 'media_player.living_room_tv',
+      entityId: 'media_player.living_room_tv',
       name: 'Living Room TV',
+      aliases: [],
       domain: 'media_player',
       state: 'playing',
       area: 'Living Room',
+      areas: ['Living Room'],
       attributes: {
         volume_level: '0.5',
         media_title: 'Test Movie'
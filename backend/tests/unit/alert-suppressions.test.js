@@ -0,0 +1,171 @@
+// Bare event emitters stand in for the device cache and escalation engine
+jest.mock('../../src/device-cache', () => {
+  const { EventEmitter } = require('events');
+  const cache = new EventEmitter();
+  cache.getCachedDevices = jest.fn(() => []);
+  return cache;
+});
+
+jest.mock('../../src/escalation-engine', () => {
+  const { EventEmitter } = require('events');
+  const engine = new EventEmitter();
+  engine.getActiveAlerts = jest.fn(() => []);
+  return engine;
+});
+
+const deviceCache = require('../../src/device-cache');
+const escalationEngine = require('../../src/escalation-engine');
+const { AlertSuppressions } = require('../../src/alert-suppressions');
+
+const MINUTE = 60000;
+
+function createMemoryStore(records = []) {
+  return {
+    records,
+    append: jest.fn(async (record) => { records.push(record); }),
+    readAll: jest.fn(async () => [...records]),
+    query: jest.fn(async () => [...records])
+  };
+}
+
+const frontDoor = (state) => ({ id: 'binary_sensor.front_door', name: 'Front Door', domain: 'binary_sensor', state });
+
+describe('AlertSuppressions', () => {
+  let suppressions;
+  let store;
+  let io;
+  let now;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    now = 1000000;
+
+    deviceCache.getCachedDevices.mockReturnValue([frontDoor('on')]);
+    escalationEngine.getActiveAlerts.mockReturnValue([
+      { id: 'garage-door-open:cover.garage_door', deviceId: 'cover.garage_door', severity: 'alert' }
+    ]);
+
+    store = createMemoryStore();
+    io = { emit: jest.fn(), on: jest.fn() };
+    suppressions = new AlertSuppressions({ store, now: () => now, checkInterval: 1000 });
+    suppressions.attach(io);
+    await suppressions.start();
+  });
+
+  afterEach(() => {
+    suppressions.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should record who acknowledged a device alert and sync it to clients', async () => {
+    const result = await suppressions.acknowledge('binary_sensor.front_door', { by: ' Sam ', note: 'Airing out' });
+
+    expect(result).toEqual({
+      alertId: 'binary_sensor.front_door',
+      deviceId: 'binary_sensor.front_door',
+      type: 'ack',
+      by: 'Sam',
+      note: 'Airing out',
+      at: now,
+      until: null,
+      state: 'on'
+    });
+    expect(store.records).toEqual([expect.objectContaining({ type: 'ack', alertId: 'binary_sensor.front_door', by: 'Sam' })]);
+    expect(suppressions.isSuppressed('binary_sensor.front_door')).toBe(true);
+    expect(io.emit).toHaveBeenCalledWith('alert-suppressions', [result]);
+  });
+
+  it('should release an acknowledgement when the state changes again', async () => {
+    await suppressions.acknowledge('binary_sensor.front_door', { by: 'Sam' });
+
+    deviceCache.emit('change', { type: 'upsert', entity: frontDoor('on') });
+    expect(suppressions.isSuppressed('binary_sensor.front_door')).toBe(true);
+
+    deviceCache.emit('change', { type: 'upsert', entity: frontDoor('off') });
+    expect(suppressions.isSuppressed('binary_sensor.front_door')).toBe(false);
+    expect(store.records[1]).toEqual(expect.objectContaining({ type: 'release', reason: 'state-changed' }));
+  });
+
+  it('should snooze escalations until they expire', async () => {
+    jest.useFakeTimers();
+    try {
+      suppressions.stop();
+      await suppressions.start();
+
+      const result = await suppressions.snooze('garage-door-open:cover.garage_door', { by: 'Alex', minutes: 30 });
+      expect(result.deviceId).toBe('cover.garage_door');
+      expect(result.until).toBe(now + 30 * MINUTE);
+
+      now += 29 * MINUTE;
+      jest.advanceTimersByTime(1000);
+      expect(suppressions.isSuppressed('garage-door-open:cover.garage_door')).toBe(true);
+
+      now += MINUTE;
+      jest.advanceTimersByTime(1000);
+      expect(suppressions.isSuppressed('garage-door-open:cover.garage_door')).toBe(false);
+      expect(store.records[1]).toEqual(expect.objectContaining({ type: 'release', reason: 'expired' }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should release when the escalation clears', async () => {
+    await suppressions.snooze('garage-door-open:cover.garage_door', { by: 'Alex' });
+
+    escalationEngine.emit('cleared', { id: 'garage-door-open:cover.garage_door' });
+
+    expect(suppressions.getSuppressions()).toEqual([]);
+  });
+
+  it('should let a snooze be removed by hand', async () => {
+    await suppressions.snooze('binary_sensor.front_door', { by: 'Alex', minutes: 10 });
+    await suppressions.unsnooze('binary_sensor.front_door', { by: 'Sam' });
+
+    expect(suppressions.isSuppressed('binary_sensor.front_door')).toBe(false);
+    expect(store.records[1]).toEqual(expect.objectContaining({ type: 'release', reason: 'manual', by: 'Sam' }));
+  });
+
+  it('should reject unknown alerts and bad snooze lengths', async () => {
+    await expect(suppressions.acknowledge('light.nope', { by: 'Sam' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(suppressions.snooze('binary_sensor.front_door', { minutes: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppressions.snooze('binary_sensor.front_door', { minutes: 'soon' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppressions.unsnooze('binary_sensor.front_door')).rejects.toMatchObject({ statusCode: 404 });
+    expect(store.records).toEqual([]);
+  });
+
+  it('should log other alert activity to the audit trail', async () => {
+    await suppressions.log({ type: 'doorbell', alertId: 'event.doorbell_ding', camera: 'Doorbell' });
+
+    expect(store.records).toEqual([{ type: 'doorbell', alertId: 'event.doorbell_ding', camera: 'Doorbell', at: now }]);
+    expect(suppressions.getSuppressions()).toEqual([]);
+  });
+
+  it('should query the audit trail and reject bad ranges', async () => {
+    await suppressions.getAuditTrail({ since: 1000, until: 2000, limit: 500 });
+    expect(store.query).toHaveBeenCalledWith({ since: 1000, until: 2000, limit: 500, filter: undefined });
+
+    store.query.mockClear();
+    await expect(suppressions.getAuditTrail({ since: null })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppressions.getAuditTrail({ since: 2000, until: 1000 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppressions.getAuditTrail({ limit: NaN })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(suppressions.getAuditTrail({ limit: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(store.query).not.toHaveBeenCalled();
+  });
+
+  it('should restore active suppressions from the audit trail', async () => {
+    const restored = new AlertSuppressions({
+      store: createMemoryStore([
+        { type: 'ack', alertId: 'binary_sensor.front_door', deviceId: 'binary_sensor.front_door', by: 'Sam', at: 1, until: null, state: 'on' },
+        { type: 'snooze', alertId: 'lock.back', deviceId: 'lock.back', by: 'Sam', at: 2, until: now - 1, state: 'unlocked' },
+        { type: 'snooze', alertId: 'light.porch', deviceId: 'light.porch', by: 'Sam', at: 3, until: now + MINUTE, state: 'on' },
+        { type: 'release', alertId: 'light.porch', reason: 'manual', at: 4 }
+      ]),
+      now: () => now
+    });
+
+    await restored.start();
+    expect(restored.getSuppressions().map(suppression => suppression.alertId)).toEqual(['binary_sensor.front_door']);
+    restored.stop();
+  });
+});
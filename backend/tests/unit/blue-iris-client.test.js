@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const http = require('http');
+const BlueIrisClient = require('../../src/blue-iris-client');
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+// Minimal Blue Iris /json endpoint: challenge/response login, then ptz
+function createFakeBlueIris() {
+  const commands = [];
+  let sessions = 0;
+  const valid = new Set();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const command = JSON.parse(body);
+      commands.push(command);
+      let reply;
+
+      if (command.cmd === 'login' && !command.response) {
+        reply = { result: 'fail', session: `s${++sessions}` };
+      } else if (command.cmd === 'login') {
+        const ok = command.response === md5(`dashboard:${command.session}:secret`);
+        if (ok) valid.add(command.session);
+        reply = ok ? { result: 'success', session: command.session } : { result: 'fail', data: { reason: 'Invalid login' } };
+      } else if (!valid.has(command.session)) {
+        reply = { result: 'fail' };
+      } else {
+        reply = { result: 'success', data: { camera: command.camera, button: command.button } };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  return {
+    commands,
+    valid,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+    get url() {
+      return `http://127.0.0.1:${server.address().port}`;
+    }
+  };
+}
+
+describe('BlueIrisClient', () => {
+  let blueIris;
+
+  beforeEach(async () => {
+    blueIris = createFakeBlueIris();
+    await blueIris.listen();
+  });
+
+  afterEach(() => blueIris.close());
+
+  it('should log in with challenge/response and reuse the session', async () => {
+    const client = new BlueIrisClient({ url: `${blueIris.url}/`, user: 'dashboard', password: 'secret' });
+
+    expect(await client.command('ptz', { camera: 'Driveway', button: 101 })).toEqual({ camera: 'Driveway', button: 101 });
+    await client.command('ptz', { camera: 'Driveway', button: 0 });
+
+    expect(blueIris.commands.map(command => command.cmd)).toEqual(['login', 'login', 'ptz', 'ptz']);
+    expect(blueIris.commands[3].session).toBe('s1');
+  });
+
+  it('should log in again when the session expires', async () => {
+    const client = new BlueIrisClient({ url: blueIris.url, user: 'dashboard', password: 'secret' });
+    await client.command('ptz', { camera: 'Driveway', button: 0 });
+    blueIris.valid.clear();
+
+    await client.command('ptz', { camera: 'Driveway', button: 1 });
+
+    expect(client.session).toBe('s2');
+  });
+
+  it('should report bad credentials as a 502', async () => {
+    const client = new BlueIrisClient({ url: blueIris.url, user: 'dashboard', password: 'wrong' });
+
+    await expect(client.command('ptz', { camera: 'Driveway', button: 0 }))
+      .rejects.toMatchObject({ statusCode: 502, message: 'Blue Iris login failed: Invalid login' });
+  });
+});
@@ -0,0 +1,205 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/camera-sources', () => ({}));
+
+const { CameraHub } = require('../../src/camera-hub');
+
+const frontDoor = { id: 'FrontDoor' };
+const garage = { id: 'Garage' };
+const SMALL = { width: 320, height: 240 };
+const LARGE = { width: 640, height: 480 };
+
+function fakeStream() {
+  const stream = new EventEmitter();
+  stream.close = jest.fn();
+  return stream;
+}
+
+function viewer() {
+  return { frame: jest.fn(), error: jest.fn(), end: jest.fn() };
+}
+
+describe('CameraHub', () => {
+  let hub;
+  let streams;
+  let now;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation();
+    streams = [];
+    now = 1000;
+    hub = new CameraHub({
+      openStream: jest.fn(() => {
+        const stream = fakeStream();
+        streams.push(stream);
+        return stream;
+      }),
+      gracePeriod: 5000,
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should share one upstream per camera and size', () => {
+    const first = viewer();
+    const second = viewer();
+    hub.subscribe(frontDoor, LARGE, first);
+    hub.subscribe(frontDoor, LARGE, second);
+    hub.subscribe(frontDoor, SMALL, viewer());
+    hub.subscribe(garage, LARGE, viewer());
+
+    expect(hub.openStream).toHaveBeenCalledTimes(3);
+    expect(hub.openStream).toHaveBeenCalledWith(frontDoor, LARGE);
+
+    streams[0].emit('frame', Buffer.from('jpeg'));
+    expect(first.frame).toHaveBeenCalledWith(Buffer.from('jpeg'));
+    expect(second.frame).toHaveBeenCalledWith(Buffer.from('jpeg'));
+  });
+
+  it('should hand late joiners the latest frame', () => {
+    hub.subscribe(frontDoor, LARGE, viewer());
+    streams[0].emit('frame', Buffer.from('first'));
+    streams[0].emit('frame', Buffer.from('second'));
+
+    const late = viewer();
+    hub.subscribe(frontDoor, LARGE, late);
+
+    expect(late.frame).toHaveBeenCalledTimes(1);
+    expect(late.frame).toHaveBeenCalledWith(Buffer.from('second'));
+  });
+
+  it('should close the upstream after the grace period unless a viewer returns', () => {
+    const unsubscribe = hub.subscribe(frontDoor, LARGE, viewer());
+    unsubscribe();
+
+    jest.advanceTimersByTime(4000);
+    expect(streams[0].close).not.toHaveBeenCalled();
+
+    // Reload within the grace period reuses the feed
+    const again = hub.subscribe(frontDoor, LARGE, viewer());
+    jest.advanceTimersByTime(5000);
+    expect(streams[0].close).not.toHaveBeenCalled();
+    expect(hub.openStream).toHaveBeenCalledTimes(1);
+
+    again();
+    again();
+    jest.advanceTimersByTime(5000);
+    expect(streams[0].close).toHaveBeenCalled();
+    expect(hub.getStats().upstreams).toBe(0);
+  });
+
+  it('should pass upstream errors to every viewer and reopen on the next subscribe', () => {
+    const first = viewer();
+    const second = viewer();
+    const unsubscribe = hub.subscribe(frontDoor, LARGE, first);
+    hub.subscribe(frontDoor, LARGE, second);
+
+    const error = new Error('refused');
+    streams[0].emit('error', error);
+
+    expect(first.error).toHaveBeenCalledWith(error);
+    expect(second.error).toHaveBeenCalledWith(error);
+    expect(hub.getStats().upstreams).toBe(0);
+
+    unsubscribe();
+    jest.advanceTimersByTime(5000);
+    hub.subscribe(frontDoor, LARGE, viewer());
+    expect(hub.openStream).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report viewer counts and the latest frame per camera', () => {
+    hub.subscribe(frontDoor, LARGE, viewer());
+    hub.subscribe(frontDoor, LARGE, viewer());
+    const small = hub.subscribe(frontDoor, SMALL, viewer());
+    streams[0].emit('frame', Buffer.from('large'));
+    now = 2000;
+    streams[1].emit('frame', Buffer.from('small'));
+    small();
+
+    expect(hub.getStats()).toEqual({
+      upstreams: 2,
+      viewers: 2,
+      feeds: [
+        { camera: 'FrontDoor', width: 640, height: 480, viewers: 2, frames: 1, openedAt: 1000, lastFrameAt: 1000, idleSince: null },
+        { camera: 'FrontDoor', width: 320, height: 240, viewers: 0, frames: 1, openedAt: 1000, lastFrameAt: 2000, idleSince: 2000 }
+      ]
+    });
+    expect(hub.getLatestFrame('FrontDoor')).toEqual({ frame: Buffer.from('small'), at: 2000, width: 320, height: 240 });
+    expect(hub.getLatestFrame('Garage')).toBeNull();
+  });
+
+  it('should end every viewer on stop', () => {
+    const watching = viewer();
+    hub.subscribe(frontDoor, LARGE, watching);
+
+    hub.stop();
+
+    expect(watching.end).toHaveBeenCalled();
+    expect(streams[0].close).toHaveBeenCalled();
+  });
+});
+
+describe('CameraHub snapshots', () => {
+  let hub;
+  let now;
+  let stream;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    now = 10000;
+    stream = fakeStream();
+    hub = new CameraHub({
+      openStream: jest.fn(() => stream),
+      fetchSnapshot: jest.fn(async () => Buffer.from('still')),
+      gracePeriod: 0,
+      snapshotMaxAge: 2000,
+      now: () => now
+    });
+  });
+
+  afterEach(() => {
+    hub.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should serve the latest frame of an open stream without fetching', async () => {
+    hub.subscribe(frontDoor, LARGE, viewer());
+    stream.emit('frame', Buffer.from('live'));
+    now += 1000;
+
+    expect(await hub.getSnapshot(frontDoor, SMALL)).toEqual({ frame: Buffer.from('live'), at: 10000, source: 'stream' });
+    expect(hub.fetchSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('should fetch a still when no recent frame is open and share it briefly', async () => {
+    hub.subscribe(frontDoor, LARGE, viewer());
+    stream.emit('frame', Buffer.from('live'));
+    now += 5000;
+
+    const [first, second] = await Promise.all([hub.getSnapshot(frontDoor, SMALL), hub.getSnapshot(frontDoor, SMALL)]);
+    now += 1000;
+    const cached = await hub.getSnapshot(frontDoor, SMALL);
+
+    expect(first).toEqual({ frame: Buffer.from('still'), at: 15000, source: 'still' });
+    expect(second).toEqual(first);
+    expect(cached).toEqual(first);
+    expect(hub.fetchSnapshot).toHaveBeenCalledTimes(1);
+    expect(hub.fetchSnapshot).toHaveBeenCalledWith(frontDoor, SMALL);
+
+    now += 2000;
+    await hub.getSnapshot(frontDoor, SMALL);
+    expect(hub.fetchSnapshot).toHaveBeenCalledTimes(2);
+  });
+
+  it('should pass fetch failures on', async () => {
+    hub.fetchSnapshot.mockRejectedValueOnce(Object.assign(new Error('refused'), { statusCode: 502 }));
+
+    await expect(hub.getSnapshot(garage, SMALL)).rejects.toMatchObject({ statusCode: 502 });
+    expect(await hub.getSnapshot(garage, SMALL)).toMatchObject({ source: 'still' });
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/device-cache', () => ({}));
+jest.mock('../../src/camera-hub', () => ({}));
+jest.mock('../../src/camera-registry', () => ({}));
+
+const { CameraRecorder } = require('../../src/camera-recorder');
+const { jpeg } = require('../fixtures/fake-camera-server');
+
+const doorbell = {
+  id: 'Doorbell',
+  motionEntities: ['binary_sensor.doorbell_motion'],
+  personEntities: ['binary_sensor.doorbell_person'],
+  record: true
+};
+const shed = { id: 'Shed', motionEntities: [], personEntities: [], record: true };
+const garage = { id: 'Garage', motionEntities: ['binary_sensor.garage_motion'], personEntities: [], record: false };
+
+const sensor = (id, state) => ({ type: 'upsert', entity: { id, state } });
+
+describe('CameraRecorder', () => {
+  let directory;
+  let cache;
+  let hub;
+  let viewers;
+  let now;
+  let recorder;
+
+  // Frames at the recorder's 500ms sampling interval
+  function advance(ms, label = 'frame') {
+    const end = now + ms;
+    while (now < end) {
+      now += 500;
+      jest.advanceTimersByTime(500);
+      viewers.Doorbell.frame(jpeg(`${label}-${now}`));
+    }
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-recorder-'));
+    cache = new EventEmitter();
+    viewers = {};
+    hub = {
+      subscribe: jest.fn((camera, size, viewer) => {
+        viewers[camera.id] = viewer;
+        return jest.fn();
+      })
+    };
+    now = 100000;
+    recorder = new CameraRecorder({
+      cache,
+      hub,
+      registry: { getCameras: () => [doorbell, shed, garage] },
+      directory,
+      enabled: true,
+      preRoll: 2000,
+      postRoll: 3000,
+      maxDuration: 20000,
+      frameInterval: 500,
+      now: () => now
+    });
+    recorder.start();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await recorder.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should only watch recorded cameras with motion or person entities', () => {
+    expect(hub.subscribe).toHaveBeenCalledTimes(1);
+    expect(hub.subscribe).toHaveBeenCalledWith(doorbell, { width: 640, height: 480 }, expect.any(Object));
+  });
+
+  it('should save pre-roll, event and post-roll frames', async () => {
+    advance(5000);
+    cache.emit('change', sensor('binary_sensor.doorbell_person', 'on'));
+    const triggeredAt = now;
+    advance(2000);
+    cache.emit('change', sensor('binary_sensor.doorbell_person', 'off'));
+    advance(2000);
+
+    // Motion within the post-roll extends the clip
+    cache.emit('change', sensor('binary_sensor.doorbell_motion', 'on'));
+    advance(1000);
+    cache.emit('change', sensor('binary_sensor.doorbell_motion', 'off'));
+    const recording = recorder.watched.get('Doorbell').recording;
+    advance(3000);
+    expect(recorder.watched.get('Doorbell').recording).toBeNull();
+
+    await Promise.all(Array.from(recorder.saving));
+    const [event] = await recorder.listEvents('Doorbell');
+
+    expect(recording.event.id).toBe(String(triggeredAt));
+    expect(event).toMatchObject({
+      id: String(triggeredAt),
+      camera: 'Doorbell',
+      entityId: 'binary_sensor.doorbell_person',
+      trigger: 'person',
+      startedAt: triggeredAt - 2000,
+      triggeredAt,
+      endedAt: triggeredAt + 8000
+    });
+    // 2s pre-roll, then two frames a second until the post-roll ends at +8s
+    expect(event.frameCount).toBe(5 + 15);
+    expect(event.frameTimes.slice(0, 3)).toEqual([0, 500, 1000]);
+
+    const { frames } = await recorder.openClip('Doorbell', event.id);
+    const saved = [];
+    for await (const frame of frames) saved.push(frame.toString('latin1'));
+    expect(saved).toHaveLength(event.frameCount);
+    expect(saved[0]).toContain(`frame-${triggeredAt - 2000}`);
+
+    const thumbnail = await recorder.getThumbnail('Doorbell', event.id);
+    expect(thumbnail.toString('latin1')).toContain(`frame-${triggeredAt}`);
+    expect(recorder.describeEvent(event)).toMatchObject({
+      clipPath: `/api/camera/Doorbell/events/${event.id}/clip`,
+      thumbnailPath: `/api/camera/Doorbell/events/${event.id}/thumbnail`
+    });
+    expect(recorder.describeEvent(event).frameTimes).toBeUndefined();
+  });
+
+  it('should cap clips at maxDuration and not restart while motion holds', () => {
+    cache.emit('change', sensor('binary_sensor.doorbell_motion', 'on'));
+    advance(21000);
+    expect(recorder.watched.get('Doorbell').recording).toBeNull();
+
+    cache.emit('change', sensor('binary_sensor.doorbell_person', 'on'));
+    expect(recorder.watched.get('Doorbell').recording).toBeNull();
+  });
+
+  it('should reject unknown events', async () => {
+    await expect(recorder.getEvent('Doorbell', '123')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(recorder.getEvent('Doorbell', '../secrets')).rejects.toMatchObject({ statusCode: 404 });
+    expect(await recorder.listEvents('Garage')).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CameraRegistry, expandEnv } = require('../../src/camera-registry');
+
+const config = {
+  sources: {
+    nvr: { type: 'blueiris', url: 'http://nvr.local:81', credentials: { user: 'dashboard', password: 'secret' } },
+    frigate: { type: 'frigate', url: 'http://frigate.local:5000' }
+  },
+  defaults: { source: 'nvr' },
+  cameras: [
+    { name: 'FrontDoor', motionEntities: ['binary_sensor.front_door_motion'], alwaysVisible: true, position: { row: 0, col: 0 } },
+    { id: 'doorbell', name: 'Doorbell', sourceCamera: 'DB1', personEntities: 'binary_sensor.doorbell_person', credentials: { password: 'other' },
+      doorbell: { ringEntities: 'event.doorbell_ding', lock: 'lock.front_door' } },
+    { name: 'Driveway', source: 'frigate', sourceCamera: 'driveway', ptz: true },
+    { name: 'Backyard', ptz: { presets: [1, { number: 2, name: 'Gate' }] } },
+    { name: 'Shed', source: { type: 'snapshot', url: 'https://shed.local/snap.jpg', interval: 2000 } }
+  ]
+};
+
+describe('CameraRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    registry = new CameraRegistry(config);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should resolve named, default and inline sources', () => {
+    expect(registry.getCamera('doorbell')).toEqual({
+      id: 'doorbell',
+      name: 'Doorbell',
+      source: { name: 'nvr', type: 'blueiris', url: 'http://nvr.local:81', credentials: { user: 'dashboard', password: 'other' } },
+      sourceCamera: 'DB1',
+      motionEntities: [],
+      personEntities: ['binary_sensor.doorbell_person'],
+      alwaysVisible: false,
+      position: null,
+      record: true,
+      ptz: null,
+      doorbell: { ringEntities: ['event.doorbell_ding'], lock: 'lock.front_door', light: null }
+    });
+    expect(registry.getCamera('Driveway').source).toMatchObject({ name: 'frigate', type: 'frigate', credentials: {} });
+    expect(registry.getCamera('Shed').source).toMatchObject({ name: 'Shed', type: 'snapshot', interval: 2000 });
+    expect(registry.getCamera('Attic')).toBeNull();
+  });
+
+  it('should advertise PTZ only where the source can move the camera', () => {
+    const described = registry.describe();
+
+    expect(described.find(camera => camera.id === 'Backyard').ptz).toEqual({
+      presets: [{ number: 1, name: 'Preset 1' }, { number: 2, name: 'Gate' }]
+    });
+    expect(described.find(camera => camera.id === 'Driveway').ptz).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Driveway'));
+  });
+
+  it('should describe cameras without sources or credentials', () => {
+    const described = registry.describe();
+
+    expect(described[0]).toEqual({
+      id: 'FrontDoor',
+      name: 'FrontDoor',
+      streamPath: '/api/camera/FrontDoor',
+      snapshotPath: '/api/camera/FrontDoor/snapshot',
+      motionEntities: ['binary_sensor.front_door_motion'],
+      personEntities: [],
+      alwaysVisible: true,
+      position: { row: 0, col: 0 },
+      ptz: null,
+      doorbell: null
+    });
+    expect(JSON.stringify(described)).not.toContain('secret');
+    expect(JSON.stringify(described)).not.toContain('nvr.local');
+  });
+
+  it('should reject invalid camera entries', () => {
+    const nvr = { type: 'blueiris', url: 'http://x' };
+
+    expect(() => new CameraRegistry({})).toThrow('"cameras" must be an array');
+    expect(() => new CameraRegistry({ cameras: [{ id: 'x' }] })).toThrow('needs a "name"');
+    expect(() => new CameraRegistry({ cameras: [{ name: 'Front Door', source: nvr }] })).toThrow('not a valid camera id');
+    expect(() => new CameraRegistry({ cameras: [{ name: 'Garage' }] })).toThrow('needs a "source"');
+    expect(() => new CameraRegistry({ cameras: [{ name: 'Garage', source: 'nvr' }] })).toThrow('unknown source "nvr"');
+    expect(() => new CameraRegistry({ cameras: [{ name: 'Garage', source: { type: 'rtsp' } }] })).toThrow('unknown type "rtsp"');
+    expect(() => new CameraRegistry({ defaults: { source: nvr }, cameras: [{ name: 'A' }, { name: 'A' }] })).toThrow('duplicate camera "A"');
+    expect(() => new CameraRegistry({ defaults: { source: nvr }, cameras: [{ name: 'A', ptz: { presets: [0] } }] })).toThrow('preset');
+    expect(() => new CameraRegistry({ defaults: { source: nvr }, cameras: [{ name: 'A', doorbell: { lock: ['lock.a'] } }] })).toThrow('doorbell "lock"');
+  });
+
+  it('should expand environment variables when loading a file', () => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cameras-'));
+    const file = path.join(dir, 'cameras.json');
+    fs.writeFileSync(file, JSON.stringify({
+      sources: { nvr: { type: 'blueiris', url: '${NVR_URL}', credentials: { password: '${NVR_PASSWORD}' } } },
+      defaults: { source: 'nvr' },
+      cameras: [{ name: 'Garage' }]
+    }));
+
+    try {
+      const loaded = CameraRegistry.fromFile(file, { NVR_URL: 'http://nvr:81' });
+      expect(loaded.getCamera('Garage').source.url).toBe('http://nvr:81');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('NVR_PASSWORD'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    }
+  });
+});
+
+describe('expandEnv', () => {
+  it('should expand nested values', () => {
+    const missing = new Set();
+
+    expect(expandEnv({ a: ['${X}-1', '${Y}'], b: 2 }, { X: 'x' }, missing)).toEqual({ a: ['x-1', ''], b: 2 });
+    expect(Array.from(missing)).toEqual(['Y']);
+  });
+});
@@ -0,0 +1,135 @@
+const categoryRules = require('../../src/category-rules');
+const { CategoryRules } = require('../../src/category-rules');
+const fixtures = require('../fixtures/sample-devices');
+
+const sensor = (domain, deviceClass, state = 'off', extra = {}) => ({
+  id: `${domain}.test`,
+  entityId: `${domain}.test`,
+  name: 'Sample Device',
+  domain,
+  state,
+  attributes: deviceClass ? { device_class: deviceClass } : {},
+  ...extra
+});
+
+describe('CategoryRules', () => {
+  describe('default rules', () => {
+    it('should load the bundled categories in render order', () => {
+      expect(categoryRules.getCategoryKeys()).toEqual(['safety', 'doors', 'lights', 'climate', 'security', 'media']);
+    });
+
+    it('should admit exactly the entities that belong to a category', () => {
+      expect(fixtures.parsedDevices.every(device => categoryRules.isRelevant(device))).toBe(true);
+      expect(categoryRules.isRelevant(sensor('binary_sensor', 'window'))).toBe(true);
+      expect(categoryRules.isRelevant(sensor('sensor', 'power'))).toBe(false);
+      expect(categoryRules.isRelevant(sensor('switch', null, 'on', { name: 'Sprinkler Schedule' }))).toBe(false);
+    });
+
+    it('should agree with the cache filter on door and window sensors', () => {
+      expect(categoryRules.getDeviceCategories(sensor('binary_sensor', 'door'))).toEqual(['doors', 'security']);
+      expect(categoryRules.getDeviceCategories(sensor('binary_sensor', 'window'))).toEqual(['security']);
+    });
+
+    it('should keep lock-class binary sensors on the dashboard', () => {
+      expect(categoryRules.getDeviceCategories(sensor('binary_sensor', 'lock'))).toEqual(['security']);
+      expect(categoryRules.needsAttention(sensor('binary_sensor', 'lock', 'on'), 'security')).toBe(true);
+    });
+  });
+
+  describe('matching', () => {
+    const rules = new CategoryRules({
+      categories: [{
+        key: 'garden',
+        label: 'Garden',
+        match: [
+          { domain: ['switch', 'valve'], area: 'Backyard' },
+          { entityId: '^sensor\\.soil_' }
+        ],
+        exclude: [{ name: 'test' }],
+        attentionStates: ['on', 'open'],
+        summary: { ok: 'Garden idle', attention: '{count} of {total} running' }
+      }]
+    });
+
+    it('should match domain and area together', () => {
+      expect(rules.matches(sensor('switch', null, 'on', { area: 'backyard' }), 'garden')).toBe(true);
+      expect(rules.matches(sensor('switch', null, 'on', { areas: ['Kitchen', 'Backyard'] }), 'garden')).toBe(true);
+      expect(rules.matches(sensor('switch', null, 'on', { area: 'Kitchen' }), 'garden')).toBe(false);
+    });
+
+    it('should match entity id patterns and honour exclusions', () => {
+      const soil = { ...sensor('sensor', 'moisture'), name: 'Bed Moisture', entityId: 'sensor.soil_bed' };
+
+      expect(rules.matches(soil, 'garden')).toBe(true);
+      expect(rules.matches({ ...soil, name: 'Soil TEST probe' }, 'garden')).toBe(false);
+    });
+
+    it('should fill summary templates', () => {
+      expect(rules.formatSummary('garden', { count: 0, total: 3 })).toBe('Garden idle');
+      expect(rules.formatSummary('garden', { count: 2, total: 3 })).toBe('2 of 3 running');
+    });
+
+    it('should describe categories for clients', () => {
+      expect(rules.describe()).toEqual([{
+        key: 'garden',
+        label: 'Garden',
+        severity: 'notify',
+        icon: 'home',
+        title: 'Garden',
+        showDevices: 'attention',
+        attentionStates: ['on', 'open']
+      }]);
+    });
+  });
+
+  describe('severity', () => {
+    it('should put leak, smoke and CO sensors in the ALERT-level safety group', () => {
+      ['moisture', 'smoke', 'gas', 'carbon_monoxide', 'safety', 'problem'].forEach(deviceClass => {
+        expect(categoryRules.getDeviceCategories(sensor('binary_sensor', deviceClass))).toEqual(['safety']);
+      });
+      expect(categoryRules.getDeviceSeverity(sensor('binary_sensor', 'moisture', 'off'))).toBe('ok');
+      expect(categoryRules.getDeviceSeverity(sensor('binary_sensor', 'moisture', 'on'))).toBe('alert');
+    });
+
+    it('should escalate jammed locks to ALERT and unlocked ones to NOTIFY', () => {
+      const lock = (state) => sensor('lock', null, state);
+
+      expect(categoryRules.getDeviceCategories(lock('locked'))).toEqual(['doors', 'security']);
+      expect(categoryRules.getDeviceCategories(lock('jammed'))).toEqual(['safety', 'doors', 'security']);
+      expect(categoryRules.getDeviceSeverity(lock('locked'))).toBe('ok');
+      expect(categoryRules.getDeviceSeverity(lock('unlocked'))).toBe('notify');
+      expect(categoryRules.getDeviceSeverity(lock('jammed'))).toBe('alert');
+    });
+
+    it('should only report a group severity while something needs attention', () => {
+      expect(categoryRules.getGroupSeverity('safety', 0)).toBe('ok');
+      expect(categoryRules.getGroupSeverity('safety', 1)).toBe('alert');
+      expect(categoryRules.getGroupSeverity('lights', 2)).toBe('notify');
+    });
+  });
+
+  describe('summary fallback', () => {
+    it('should use the fallback when a placeholder has no value', () => {
+      expect(categoryRules.formatSummary('climate', { count: 0, averageTemperature: 71 })).toBe('Average temperature: 71°F');
+      expect(categoryRules.formatSummary('climate', { count: 0, averageTemperature: null })).toBe('Climate monitoring active');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject malformed rule files', () => {
+      expect(() => new CategoryRules({})).toThrow('"categories" must be a non-empty array');
+      expect(() => new CategoryRules({ categories: [{ key: 'Lights', match: [{}] }] })).toThrow('needs a lowercase "key"');
+      expect(() => new CategoryRules({ categories: [{ key: 'lights', match: [] }] })).toThrow('has no match rules');
+      expect(() => new CategoryRules({
+        categories: [{ key: 'lights', match: [{ name: '(' }] }]
+      })).toThrow('Invalid pattern "(" in category "lights"');
+      expect(() => new CategoryRules({
+        categories: [{ key: 'lights', severity: 'urgent', match: [{}] }]
+      })).toThrow('severity must be "notify" or "alert"');
+    });
+
+    it('should reject unknown categories', () => {
+      expect(() => categoryRules.getCategory('garage')).toThrow('Unknown device category: garage');
+    });
+  });
+});
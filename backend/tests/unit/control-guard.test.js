@@ -0,0 +1,91 @@
+jest.mock('../../src/device-cache', () => ({}));
+jest.mock('../../src/alert-suppressions', () => ({}));
+
+const { ControlGuard } = require('../../src/control-guard');
+
+const garage = (attributes = {}) => ({ id: 'cover.garage_door', name: 'Garage Door', domain: 'cover', state: 'closed', attributes });
+
+describe('ControlGuard', () => {
+  let cache;
+  let audit;
+  let now;
+
+  function createGuard(pin) {
+    return new ControlGuard({ cache, audit, pin, maxAttempts: 3, lockoutMs: 60000, now: () => now });
+  }
+
+  beforeEach(() => {
+    now = 1000000;
+    cache = { getCachedDevices: jest.fn(() => []) };
+    audit = {
+      records: [],
+      log: jest.fn(async function (record) { audit.records.push(record); }),
+      normalizeActor: by => by || 'unknown'
+    };
+  });
+
+  it('should only guard actions that open up the house', () => {
+    const guard = createGuard('1234');
+
+    expect(() => guard.verify('lock')).not.toThrow();
+    expect(() => guard.verify('close')).not.toThrow();
+    expect(() => guard.verify('stop')).not.toThrow();
+    expect(() => guard.verify('unlock')).toThrow(expect.objectContaining({ statusCode: 403, requires: 'pin', message: 'PIN required' }));
+    expect(() => guard.verify('open', { confirm: true })).toThrow(expect.objectContaining({ requires: 'pin' }));
+    expect(() => guard.verify('open', { pin: '1234' })).not.toThrow();
+  });
+
+  it('should ask for a confirmation when no PIN is configured', () => {
+    const guard = createGuard(null);
+
+    expect(guard.mode).toBe('confirm');
+    expect(() => guard.verify('unlock')).toThrow(expect.objectContaining({ statusCode: 403, requires: 'confirm' }));
+    expect(() => guard.verify('unlock', { confirm: 'yes' })).toThrow(expect.objectContaining({ requires: 'confirm' }));
+    expect(() => guard.verify('unlock', { confirm: true })).not.toThrow();
+  });
+
+  it('should lock PIN entry out after repeated wrong PINs', () => {
+    const guard = createGuard('1234');
+
+    expect(() => guard.verify('unlock', { pin: '0000' })).toThrow('Incorrect PIN');
+    expect(() => guard.verify('unlock', { pin: '1111' })).toThrow('Incorrect PIN');
+    expect(() => guard.verify('unlock', { pin: '2222' })).toThrow('Incorrect PIN');
+    expect(() => guard.verify('unlock', { pin: '1234' })).toThrow(expect.objectContaining({ statusCode: 429 }));
+
+    now += 60000;
+    expect(() => guard.verify('unlock', { pin: '1234' })).not.toThrow();
+  });
+
+  it('should refuse to move a cover that reports an obstruction', () => {
+    const guard = createGuard('1234');
+
+    expect(() => guard.checkCover(garage({ obstruction: true }), 'open')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => guard.checkCover(garage({ obstruction: 'off' }), 'open')).not.toThrow();
+    expect(() => guard.checkCover(garage({ obstructed: true }), 'stop')).not.toThrow();
+
+    cache.getCachedDevices.mockReturnValue([
+      { id: 'binary_sensor.garage_door_obstruction', name: 'Garage Door Obstruction', state: 'on' }
+    ]);
+    expect(() => guard.checkCover(garage(), 'close')).toThrow('Garage Door reports an obstruction (Garage Door Obstruction)');
+
+    cache.getCachedDevices.mockReturnValue([
+      { id: 'binary_sensor.garage_door_obstruction', name: 'Garage Door Obstruction', state: 'off' }
+    ]);
+    expect(() => guard.checkCover(garage(), 'open')).not.toThrow();
+  });
+
+  it('should write control records to the audit trail', async () => {
+    await createGuard('1234').log(garage(), 'open', { by: 'Sam', outcome: 'refused', reason: 'Incorrect PIN' });
+
+    expect(audit.records).toEqual([{
+      type: 'control',
+      alertId: 'cover.garage_door',
+      deviceId: 'cover.garage_door',
+      action: 'open',
+      by: 'Sam',
+      outcome: 'refused',
+      reason: 'Incorrect PIN',
+      state: 'closed'
+    }]);
+  });
+});
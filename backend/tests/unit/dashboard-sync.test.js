@@ -0,0 +1,139 @@
+// Mock the device cache with a bare event emitter so changes can be fed in directly
+jest.mock('../../src/device-cache', () => {
+  const { EventEmitter } = require('events');
+  return new EventEmitter();
+});
+
+jest.mock('../../src/device-service', () => ({
+  getDashboardState: jest.fn(),
+  getDeviceCategories: jest.fn(),
+  getDeviceSeverity: jest.fn(),
+  getGroupSummaries: jest.fn(),
+  getMetadata: jest.fn()
+}));
+
+const deviceCache = require('../../src/device-cache');
+const deviceService = require('../../src/device-service');
+const { DashboardSync } = require('../../src/dashboard-sync');
+const fixtures = require('../fixtures/sample-devices');
+
+function createFakeIo() {
+  const io = { emit: jest.fn(), handlers: {} };
+  io.on = jest.fn((event, handler) => { io.handlers[event] = handler; });
+  return io;
+}
+
+function createFakeSocket() {
+  const socket = { id: 'socket-1', emit: jest.fn(), handlers: {} };
+  socket.on = jest.fn((event, handler) => { socket.handlers[event] = handler; });
+  return socket;
+}
+
+describe('DashboardSync', () => {
+  let sync;
+  let io;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation();
+
+    deviceService.getDashboardState.mockResolvedValue({ lights: { devices: [] } });
+    deviceService.getDeviceCategories.mockReturnValue(['lights']);
+    deviceService.getDeviceSeverity.mockReturnValue('notify');
+    deviceService.getGroupSummaries.mockReturnValue({
+      lights: { category: 'Lights', summary: '1 light(s) currently on', allOk: false }
+    });
+    deviceService.getMetadata.mockReturnValue({ deviceCount: 5 });
+
+    io = createFakeIo();
+    sync = new DashboardSync({ flushDelay: 100, heartbeatInterval: 10000 });
+    sync.attach(io);
+  });
+
+  afterEach(() => {
+    sync.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should hold snapshots until started, then broadcast one', async () => {
+    const socket = createFakeSocket();
+    io.handlers.connection(socket);
+    expect(socket.emit).not.toHaveBeenCalled();
+
+    sync.start();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(io.emit).toHaveBeenCalledWith('dashboard-snapshot', {
+      seq: 0,
+      state: { lights: { devices: [] } }
+    });
+  });
+
+  it('should send a snapshot to clients on connect and on resync requests', async () => {
+    sync.start();
+    const socket = createFakeSocket();
+
+    io.handlers.connection(socket);
+    await Promise.resolve();
+    socket.handlers['request-dashboard-state']();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const snapshots = socket.emit.mock.calls.filter(([event]) => event === 'dashboard-snapshot');
+    expect(snapshots).toHaveLength(2);
+  });
+
+  it('should batch cache changes into one sequence-numbered patch', () => {
+    sync.start();
+    io.emit.mockClear();
+
+    deviceCache.emit('change', { type: 'upsert', entity: { ...fixtures.parsedDevices[0], state: 'off' } });
+    deviceCache.emit('change', { type: 'upsert', entity: fixtures.parsedDevices[0] });
+    deviceCache.emit('change', { type: 'remove', id: 'binary_sensor.front_door' });
+    jest.advanceTimersByTime(100);
+
+    expect(io.emit).toHaveBeenCalledTimes(1);
+    const [event, patch] = io.emit.mock.calls[0];
+    expect(event).toBe('dashboard-patch');
+    expect(patch.seq).toBe(1);
+    expect(patch.upserts).toHaveLength(1);
+    expect(patch.upserts[0].state).toBe('on');
+    expect(patch.upserts[0].categories).toEqual(['lights']);
+    expect(patch.upserts[0].severity).toBe('notify');
+    expect(patch.removals).toEqual(['binary_sensor.front_door']);
+    expect(patch.groups.lights.summary).toBe('1 light(s) currently on');
+  });
+
+  it('should cancel a pending upsert when the entity is removed', () => {
+    sync.start();
+
+    deviceCache.emit('change', { type: 'upsert', entity: fixtures.parsedDevices[0] });
+    deviceCache.emit('change', { type: 'remove', id: 'light.kitchen_light' });
+    const patch = sync.flush();
+
+    expect(patch.upserts).toEqual([]);
+    expect(patch.removals).toEqual(['light.kitchen_light']);
+  });
+
+  it('should send consecutive heartbeat patches while idle', () => {
+    sync.start();
+    io.emit.mockClear();
+
+    jest.advanceTimersByTime(20000);
+
+    const patches = io.emit.mock.calls.filter(([event]) => event === 'dashboard-patch');
+    expect(patches.map(([, patch]) => patch.seq)).toEqual([1, 2]);
+    expect(patches[0][1].upserts).toEqual([]);
+    expect(patches[0][1].metadata).toEqual({ deviceCount: 5 });
+  });
+
+  it('should stop listening to the cache when stopped', () => {
+    sync.start();
+    sync.stop();
+
+    expect(deviceCache.listenerCount('change')).toBe(0);
+  });
+});
@@ -1,13 +1,21 @@
 // Import the DeviceCache class directly for testing
 const mcpClient = require('../../src/mcp-client');
+const homeAssistantClient = require('../../src/homeassistant-client');
 
 // Mock the MCP client to avoid real network calls
 jest.mock('../../src/mcp-client', () => ({
-  getLiveContext: jest.fn()
+  getLiveContext: jest.fn(),
+  isConnected: jest.fn(() => true)
+}));
+
+// Mock the REST client used to resolve entity ids (and as the fallback transport)
+jest.mock('../../src/homeassistant-client', () => ({
+  getStates: jest.fn()
 }));
 
 // Import DeviceCache class for testing
 const { DeviceCache } = require('../../src/device-cache');
+const { Transport } = require('../../src/transport');
 const fixtures = require('../fixtures/sample-devices');
 
 describe('DeviceCache', () => {
@@ -15,12 +23,14 @@ describe('DeviceCache', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    homeAssistantClient.getStates.mockResolvedValue(fixtures.haStates);
     // Create a new instance in test mode for each test
-    deviceCache = new DeviceCache({ testMode: true });
+    deviceCache = new DeviceCache({ testMode: true, transport: new Transport() });
   });
 
   describe('parseLiveContext', () => {
-    it('should parse MCP live context response correctly', () => {
+    it('should parse MCP live context response correctly', async () => {
+      await deviceCache.refreshEntityIdIndex();
       const result = deviceCache.parseLiveContext(fixtures.mockMCPResponse);
       
       expect(result).toHaveLength(5);
@@ -51,6 +61,70 @@ describe('DeviceCache', () => {
       expect(result).toHaveLength(1);
       expect(result[0].name).toBe('Available Light');
     });
+
+    it('should keep apostrophes, aliases and multiple areas', () => {
+      const result = deviceCache.parseLiveContext({
+        result: `Live Context: Test
+- names: Jason's Lamp, Reading Lamp
+  domain: light
+  state: 'on'
+  areas: Office, Upstairs
+  attributes:
+    brightness: 200
+    color_mode: brightness`
+      });
+
+      expect(result).toEqual([{
+        id: null,
+        entityId: null,
+        name: "Jason's Lamp",
+        aliases: ['Reading Lamp'],
+        domain: 'light',
+        state: 'on',
+        area: 'Office',
+        areas: ['Office', 'Upstairs'],
+        attributes: { brightness: 200, color_mode: 'brightness' }
+      }]);
+    });
+
+    it('should report malformed entries with line numbers', () => {
+      const result = deviceCache.parseLiveContext({
+        result: `Live Context: Test
+- names: No Domain Light
+  state: 'on'
+- names: Good Light
+  domain: light
+  state: 'off'`
+      });
+
+      expect(result).toHaveLength(1);
+      expect(deviceCache.lastParseErrors).toEqual([
+        { line: 2, message: 'Entry "No Domain Light" has no domain' }
+      ]);
+      expect(deviceCache.getPerformanceStats().parseErrorCount).toBe(1);
+      expect(deviceCache.getPerformanceStats().parseErrors).toEqual(deviceCache.lastParseErrors);
+    });
+
+    it('should warn about each malformed entry once while it persists', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation();
+      const context = { result: `Live Context: Test
+- names: No Domain Light
+  state: 'on'` };
+
+      deviceCache.parseLiveContext(context);
+      deviceCache.parseLiveContext(context);
+      deviceCache.parseLiveContext({ result: `Live Context: Test
+- names: Shifted
+  domain: light
+  state: 'off'
+- names: No Domain Light
+  state: 'on'` });
+
+      expect(warn.mock.calls.filter(([message]) => message.startsWith('[CACHE-PARSE]'))).toEqual([
+        ['[CACHE-PARSE] Line 2: Entry "No Domain Light" has no domain']
+      ]);
+      warn.mockRestore();
+    });
   });
 
   describe('manual refresh', () => {
@@ -67,6 +141,7 @@ describe('DeviceCache', () => {
 
     it('should handle refresh errors gracefully', async () => {
       mcpClient.getLiveContext.mockRejectedValue(new Error('MCP connection failed'));
+      homeAssistantClient.getStates.mockRejectedValue(new Error('ECONNREFUSED'));
 
       const result = await deviceCache.manualRefresh();
 
@@ -75,6 +150,208 @@ describe('DeviceCache', () => {
     });
   });
 
+  describe('transport failover', () => {
+    it('should fill the cache from Home Assistant states when MCP fails', async () => {
+      mcpClient.getLiveContext.mockRejectedValue(new Error('MCP request timeout: tools/call'));
+
+      await deviceCache.manualRefresh();
+
+      const kitchen = deviceCache.deviceCache.get('light.kitchen_light');
+      expect(kitchen).toMatchObject({ entityId: 'light.kitchen_light', name: 'Kitchen Light', domain: 'light', state: 'on' });
+      expect(kitchen.attributes).not.toHaveProperty('friendly_name');
+      expect(deviceCache.transport.getStatus().active).toBe('rest');
+    });
+
+    it('should only admit exposed entities and keep cached areas', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+
+      const devices = deviceCache.buildDevicesFromStates({
+        states: [
+          ...fixtures.haStates,
+          { entity_id: 'light.garage', state: 'on', attributes: { friendly_name: 'Garage', entity_picture: '/api/image?token=secret' } }
+        ],
+        exposed: null,
+        areas: null
+      });
+
+      expect(devices.map(device => device.id)).not.toContain('light.garage');
+      expect(devices.find(device => device.id === 'light.kitchen_light').areas).toEqual(['Kitchen']);
+
+      const exposedOnly = deviceCache.buildDevicesFromStates({
+        states: [{ entity_id: 'light.garage', state: 'on', attributes: { friendly_name: 'Garage', entity_picture: '/api/image?token=secret' } }],
+        exposed: new Set(['light.garage']),
+        areas: new Map([['light.garage', 'Garage']])
+      });
+      expect(exposedOnly).toEqual([{
+        id: 'light.garage',
+        entityId: 'light.garage',
+        name: 'Garage',
+        aliases: [],
+        domain: 'light',
+        state: 'on',
+        area: 'Garage',
+        areas: ['Garage'],
+        attributes: {}
+      }]);
+    });
+  });
+
+  describe('change detection', () => {
+    it('should remove entities missing from a later live context', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+
+      mcpClient.getLiveContext.mockResolvedValue({
+        result: fixtures.mockMCPResponse.result.split('- names: Front Door')[0]
+      });
+      await deviceCache.manualRefresh();
+
+      expect(deviceCache.getDeviceCount()).toBe(2);
+    });
+  });
+
+  describe('dashboard filter', () => {
+    it('should keep scenes, scripts and automations outside every category', () => {
+      const entities = [
+        { id: 'scene.movie_night', domain: 'scene', name: 'Movie Night', state: '2024-01-01T20:00:00+00:00', attributes: {} },
+        { id: 'script.goodnight', domain: 'script', name: 'Goodnight', state: 'off', attributes: {} },
+        { id: 'automation.porch_lights', domain: 'automation', name: 'Porch Lights', state: 'on', attributes: {} },
+        { id: 'input_boolean.guest_mode', domain: 'input_boolean', name: 'Guest Mode', state: 'on', attributes: {} }
+      ];
+
+      expect(deviceCache.filterDashboardRelevantEntities(entities).map(entity => entity.id)).toEqual([
+        'scene.movie_night',
+        'script.goodnight',
+        'automation.porch_lights'
+      ]);
+    });
+  });
+
+  describe('entity id resolution', () => {
+    it('should key devices by entity_id resolved from /api/states', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+
+      const ids = deviceCache.getCachedDevices().map(device => device.id);
+      expect(ids).toEqual(fixtures.parsedDevices.map(device => device.id));
+      expect(homeAssistantClient.getStates).toHaveBeenCalledTimes(1);
+      expect(deviceCache.getFriendlyName('scene.movie_night')).toBe('Movie Night');
+    });
+
+    it('should add capability attributes from /api/states', async () => {
+      homeAssistantClient.getStates.mockResolvedValue(fixtures.haStates.map(state =>
+        state.entity_id === 'light.kitchen_light'
+          ? { ...state, attributes: { ...state.attributes, supported_color_modes: ['color_temp', 'hs'], effect_list: ['colorloop'], hs_color: [30, 50] } }
+          : state
+      ));
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+
+      await deviceCache.manualRefresh();
+
+      expect(deviceCache.deviceCache.get('light.kitchen_light').attributes).toEqual({
+        brightness: '255',
+        supported_color_modes: ['color_temp', 'hs'],
+        effect_list: ['colorloop']
+      });
+      expect(deviceCache.deviceCache.get('light.living_room_light').attributes).toEqual({ brightness: '0' });
+    });
+
+    it('should not key devices by friendly name when /api/states is unreachable', async () => {
+      homeAssistantClient.getStates.mockRejectedValue(new Error('ECONNREFUSED'));
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+
+      await deviceCache.manualRefresh();
+
+      expect(deviceCache.getDeviceCount()).toBe(0);
+    });
+
+    it('should keep a renamed device cached until the index catches up', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+      const changes = [];
+      deviceCache.on('change', change => changes.push(change));
+
+      mcpClient.getLiveContext.mockResolvedValue({
+        result: fixtures.mockMCPResponse.result.replace('Kitchen Light', 'Island Pendant')
+      });
+      await deviceCache.manualRefresh();
+
+      expect(deviceCache.deviceCache.has('light.kitchen_light')).toBe(true);
+      expect(deviceCache.getCachedDevices().map(device => device.id)).not.toContain('Island Pendant');
+      expect(changes.filter(change => change.type === 'remove')).toEqual([]);
+    });
+
+    describe('same-named entities', () => {
+      const ceilingLights = {
+        result: `Live Context: Test
+- names: Ceiling Light
+  domain: light
+  state: 'on'
+  areas: Kitchen
+- names: Ceiling Light
+  domain: light
+  state: 'off'
+  areas: Bedroom`
+      };
+
+      beforeEach(() => {
+        homeAssistantClient.getStates.mockResolvedValue([
+          { entity_id: 'light.kitchen_ceiling', state: 'on', attributes: { friendly_name: 'Ceiling Light' } },
+          { entity_id: 'light.bedroom_ceiling', state: 'off', attributes: { friendly_name: 'Ceiling Light' } }
+        ]);
+        mcpClient.getLiveContext.mockResolvedValue(ceilingLights);
+      });
+
+      it('should tell them apart by area', async () => {
+        jest.spyOn(deviceCache.transport, 'getRegistry').mockResolvedValue({
+          exposed: null,
+          areas: new Map([['light.kitchen_ceiling', 'Kitchen'], ['light.bedroom_ceiling', 'Bedroom']])
+        });
+
+        await deviceCache.manualRefresh();
+
+        expect(deviceCache.deviceCache.get('light.kitchen_ceiling')).toMatchObject({ area: 'Kitchen', state: 'on' });
+        expect(deviceCache.deviceCache.get('light.bedroom_ceiling')).toMatchObject({ area: 'Bedroom', state: 'off' });
+      });
+
+      it('should leave them out, warning once, when the areas don\'t tell them apart', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation();
+        jest.spyOn(deviceCache.transport, 'getRegistry').mockResolvedValue({ exposed: null, areas: null });
+
+        await deviceCache.manualRefresh();
+        await deviceCache.manualRefresh();
+
+        expect(deviceCache.getDeviceCount()).toBe(0);
+        expect(homeAssistantClient.getStates).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls.filter(([message]) => message.includes('matches several light entities'))).toHaveLength(1);
+        warn.mockRestore();
+      });
+    });
+
+    it('should keep history when a device is renamed in Home Assistant', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+      const before = deviceCache.deviceCache.get('light.kitchen_light');
+
+      homeAssistantClient.getStates.mockResolvedValue(fixtures.haStates.map(state =>
+        state.entity_id === 'light.kitchen_light'
+          ? { ...state, attributes: { friendly_name: 'Island Pendant' } }
+          : state
+      ));
+      mcpClient.getLiveContext.mockResolvedValue({
+        result: fixtures.mockMCPResponse.result.replace('Kitchen Light', 'Island Pendant')
+      });
+      deviceCache.entityIndexLastAttempt = 0;
+      await deviceCache.manualRefresh();
+
+      const after = deviceCache.deviceCache.get('light.kitchen_light');
+      expect(deviceCache.getDeviceCount()).toBe(5);
+      expect(after.name).toBe('Island Pendant');
+      expect(after.lastChanged).toBe(before.lastChanged);
+    });
+  });
+
   describe('cached devices', () => {
     beforeEach(async () => {
       mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
@@ -103,6 +380,127 @@ describe('DeviceCache', () => {
     });
   });
 
+  describe('event-driven updates', () => {
+    beforeEach(async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+    });
+
+    it('should apply state_changed diffs to known entities', () => {
+      const before = deviceCache.getCachedDevices().find(d => d.name === 'Living Room Light');
+
+      const changed = deviceCache.applyStateChange({
+        entity_id: 'light.living_room_light',
+        old_state: { state: 'off', attributes: { friendly_name: 'Living Room Light' } },
+        new_state: { state: 'on', attributes: { friendly_name: 'Living Room Light', brightness: 180 } }
+      });
+
+      const after = deviceCache.getCachedDevices().find(d => d.name === 'Living Room Light');
+      expect(changed).toBe(true);
+      expect(after.state).toBe('on');
+      expect(after.attributes.brightness).toBe(180);
+      expect(after.area).toBe('Living Room');
+      expect(after.lastChanged).toBeGreaterThanOrEqual(before.lastChanged);
+      expect(deviceCache.getPerformanceStats().eventsApplied).toBe(1);
+    });
+
+    it('should drop attributes the new state no longer has but keep capabilities', async () => {
+      homeAssistantClient.getStates.mockResolvedValue(fixtures.haStates.map(state => state.entity_id === 'light.kitchen_light'
+        ? { ...state, attributes: { ...state.attributes, supported_color_modes: ['hs'] } }
+        : state));
+      await deviceCache.refreshEntityIdIndex();
+
+      deviceCache.applyStateChange({
+        entity_id: 'light.kitchen_light',
+        old_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light', brightness: 255 } },
+        new_state: { state: 'off', attributes: { friendly_name: 'Kitchen Light', entity_picture: '/api/image/kitchen' } }
+      });
+
+      const light = deviceCache.getCachedDevices().find(d => d.id === 'light.kitchen_light');
+      expect(light.state).toBe('off');
+      expect(light.attributes).toEqual({ supported_color_modes: ['hs'] });
+    });
+
+    it('should ignore entities that are not in the cache', () => {
+      const changed = deviceCache.applyStateChange({
+        entity_id: 'light.unexposed',
+        old_state: null,
+        new_state: { state: 'on', attributes: { friendly_name: 'Unexposed Light' } }
+      });
+
+      expect(changed).toBe(false);
+      expect(deviceCache.getDeviceCount()).toBe(5);
+    });
+
+    it('should drop entities that become unavailable', () => {
+      deviceCache.applyStateChange({
+        entity_id: 'light.kitchen_light',
+        old_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light' } },
+        new_state: { state: 'unavailable', attributes: { friendly_name: 'Kitchen Light' } }
+      });
+
+      expect(deviceCache.getDeviceCount()).toBe(4);
+    });
+
+    it('should emit change events for state, attribute and removal updates', () => {
+      const changes = [];
+      deviceCache.on('change', change => changes.push(change));
+
+      deviceCache.applyStateChange({
+        entity_id: 'light.kitchen_light',
+        old_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light' } },
+        new_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light', brightness: '128' } }
+      });
+      deviceCache.applyStateChange({
+        entity_id: 'light.kitchen_light',
+        old_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light' } },
+        new_state: { state: 'unavailable', attributes: { friendly_name: 'Kitchen Light' } }
+      });
+
+      expect(changes).toHaveLength(2);
+      expect(changes[0].type).toBe('upsert');
+      expect(changes[0].entity.attributes.brightness).toBe('128');
+      expect(changes[1]).toEqual({ type: 'remove', id: 'light.kitchen_light' });
+    });
+
+    it('should only reconcile when the event stream is active in events mode', () => {
+      const eventSource = { isConnected: jest.fn(() => true) };
+      const pollCache = new DeviceCache({ testMode: true, eventSource });
+      const eventCache = new DeviceCache({ testMode: true, eventSource, updateMode: 'events' });
+
+      expect(pollCache.isEventStreamActive()).toBe(false);
+      expect(eventCache.isEventStreamActive()).toBe(true);
+    });
+  });
+
+  describe('lastChanged seeding', () => {
+    it('should keep lastChanged from history when the state has not moved', async () => {
+      deviceCache.seedLastChanged(new Map([
+        ['light.kitchen_light', { state: 'on', at: 1000 }],
+        ['light.living_room_light', { state: 'on', at: 2000 }]
+      ]));
+
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+
+      const devices = deviceCache.getCachedDevices();
+      expect(devices.find(d => d.id === 'light.kitchen_light').lastChanged).toBe(1000);
+      // Living Room Light is off now, so its recorded 'on' no longer applies
+      expect(devices.find(d => d.id === 'light.living_room_light').lastChanged).toBeGreaterThan(2000);
+    });
+
+    it('should seed entities that are already cached', async () => {
+      mcpClient.getLiveContext.mockResolvedValue(fixtures.mockMCPResponse);
+      await deviceCache.manualRefresh();
+      const changes = [];
+      deviceCache.on('change', change => changes.push(change));
+
+      deviceCache.seedLastChanged(new Map([['light.kitchen_light', { state: 'on', at: 1000 }]]));
+
+      expect(changes).toEqual([{ type: 'upsert', entity: expect.objectContaining({ id: 'light.kitchen_light', lastChanged: 1000 }) }]);
+    });
+  });
+
   describe('timezone formatting', () => {
     it('should format timestamps in Mountain Time', () => {
       const timestamp = Date.now();
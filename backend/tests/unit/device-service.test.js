@@ -7,9 +7,32 @@ jest.mock('../../src/mcp-client', () => ({
   turnOn: jest.fn(),
   turnOff: jest.fn(),
   setLightBrightness: jest.fn(),
+  lock: jest.fn(),
+  unlock: jest.fn(),
+  openCover: jest.fn(),
+  closeCover: jest.fn(),
+  controlMediaPlayer: jest.fn(),
+  setVolume: jest.fn(),
   isConnected: jest.fn(() => true)
 }));
 
+jest.mock('../../src/homeassistant-client', () => ({
+  callService: jest.fn(),
+  getState: jest.fn(),
+  getImage: jest.fn(),
+  setLight: jest.fn(),
+  setFanSpeed: jest.fn(),
+  setFanPresetMode: jest.fn(),
+  setFanOscillation: jest.fn(),
+  setFanDirection: jest.fn()
+}));
+
+// Control records land in this stand-in for the alert audit trail
+jest.mock('../../src/alert-suppressions', () => ({
+  log: jest.fn(async () => {}),
+  normalizeActor: by => by || 'unknown'
+}));
+
 // Mock the device cache to avoid real MCP calls and timers
 jest.mock('../../src/device-cache', () => ({
   getCachedDevices: jest.fn(),
@@ -18,10 +41,15 @@ jest.mock('../../src/device-cache', () => ({
   getTimeSinceLastUpdate: jest.fn(),
   formatMountainTime: jest.fn(),
   manualRefresh: jest.fn(),
-  getPerformanceStats: jest.fn()
+  getPerformanceStats: jest.fn(),
+  getFriendlyName: jest.fn()
 }));
 
 const deviceCache = require('../../src/device-cache');
+const mcpClient = require('../../src/mcp-client');
+const homeAssistantClient = require('../../src/homeassistant-client');
+const alertSuppressions = require('../../src/alert-suppressions');
+const controlGuard = require('../../src/control-guard');
 
 describe('DeviceService', () => {
   beforeEach(() => {
@@ -146,6 +174,54 @@ describe('DeviceService', () => {
       expect(result.allOk).toBe(false); // Media is playing
     });
 
+    it('should categorize a category added to the rules file', () => {
+      const { CategoryRules } = require('../../src/category-rules');
+      const original = DeviceService.categoryRules;
+      DeviceService.categoryRules = new CategoryRules({
+        categories: [{
+          key: 'kitchen',
+          label: 'Kitchen',
+          match: [{ area: 'Kitchen' }],
+          attentionStates: ['on'],
+          summary: { ok: 'Kitchen is quiet', attention: '{count} kitchen device(s) on' }
+        }]
+      });
+
+      try {
+        const result = DeviceService.categorizeDevices(testDevices, 'kitchen');
+        expect(result.category).toBe('Kitchen');
+        expect(result.devices.map(d => d.id)).toEqual(['light.kitchen_light']);
+        expect(result.summary).toBe('1 kitchen device(s) on');
+        expect(DeviceService.getDefaultDashboardState()).toHaveProperty('kitchen');
+      } finally {
+        DeviceService.categoryRules = original;
+      }
+    });
+
+    it('should raise the safety group to ALERT when a leak is detected', () => {
+      const leak = {
+        id: 'binary_sensor.laundry_leak',
+        name: 'Laundry Leak',
+        domain: 'binary_sensor',
+        state: 'on',
+        attributes: { device_class: 'moisture' }
+      };
+      const result = DeviceService.categorizeDevices([...testDevices, leak], 'safety');
+
+      expect(result.category).toBe('Safety');
+      expect(result.summary).toBe('1 safety alert(s)');
+      expect(result.allOk).toBe(false);
+      expect(result.severity).toBe('alert');
+      expect(result.devices).toEqual([{ ...leak, severity: 'alert' }]);
+    });
+
+    it('should tag every device with its severity', () => {
+      const result = DeviceService.categorizeDevices(testDevices, 'lights');
+
+      expect(result.severity).toBe('notify');
+      expect(result.devices.map(d => d.severity)).toEqual(['notify', 'ok']);
+    });
+
     it('should handle empty device list', () => {
       const result = DeviceService.categorizeDevices([], 'lights');
       
@@ -156,6 +232,30 @@ describe('DeviceService', () => {
     });
   });
 
+  describe('getDeviceCategories', () => {
+    it('should list every category a device belongs to', () => {
+      const lock = { id: 'Back Door Lock', name: 'Back Door Lock', domain: 'lock', state: 'locked', attributes: {} };
+
+      expect(DeviceService.getDeviceCategories(fixtures.parsedDevices[0])).toEqual(['lights']);
+      expect(DeviceService.getDeviceCategories(lock)).toEqual(['doors', 'security']);
+    });
+  });
+
+  describe('getGroupSummaries', () => {
+    it('should return group headers without device lists', () => {
+      const result = DeviceService.getGroupSummaries();
+
+      expect(Object.keys(result)).toEqual(['safety', 'doors', 'lights', 'climate', 'security', 'media']);
+      expect(result.lights).toEqual({
+        category: 'Lights',
+        summary: '1 light(s) currently on',
+        allOk: false,
+        severity: 'notify'
+      });
+      expect(result.lights.devices).toBeUndefined();
+    });
+  });
+
   describe('calculateAverageTemperature', () => {
     it('should calculate average temperature correctly', () => {
       const tempDevices = fixtures.temperatureDevices;
@@ -184,32 +284,595 @@ describe('DeviceService', () => {
     });
   });
 
-  describe('findDeviceById', () => {
-    beforeEach(() => {
-      // Set up mock state
-      DeviceService.lastKnownState = {
-        lights: { devices: [fixtures.parsedDevices[0]] },
-        doors: { devices: [fixtures.parsedDevices[2]] },
-        climate: { devices: [fixtures.parsedDevices[3]] },
-        security: { devices: [] },
-        media: { devices: [fixtures.parsedDevices[4]] }
-      };
+  describe('getAreaState', () => {
+    it('should group devices by area with a summary per area', () => {
+      const { areas, metadata } = DeviceService.getAreaState();
+
+      expect(areas.map(area => area.name)).toEqual(['Entryway', 'Kitchen', 'Living Room']);
+      expect(metadata.deviceCount).toBe(5);
+
+      const livingRoom = areas.find(area => area.name === 'Living Room');
+      expect(livingRoom.devices.map(device => device.id)).toEqual([
+        'light.living_room_light',
+        'climate.main_thermostat',
+        'media_player.living_room_tv'
+      ]);
+      expect(livingRoom.summary).toEqual({
+        openDoors: 0,
+        activeLights: 0,
+        temperature: 70,
+        motion: false,
+        lastMotion: null
+      });
+      expect(areas.find(area => area.name === 'Kitchen').summary.activeLights).toBe(1);
+    });
+
+    it('should report motion, open doors and the highest severity', () => {
+      deviceCache.getCachedDevices.mockReturnValue([
+        { id: 'binary_sensor.hall_motion', name: 'Hall Motion', domain: 'binary_sensor', state: 'on', areas: ['Hall'], attributes: { device_class: 'motion' }, lastChanged: 5000 },
+        { id: 'lock.hall', name: 'Hall Lock', domain: 'lock', state: 'unlocked', areas: ['Hall'], attributes: {} },
+        { id: 'binary_sensor.hall_leak', name: 'Hall Leak', domain: 'binary_sensor', state: 'on', areas: ['Hall'], attributes: { device_class: 'moisture' } },
+        { id: 'sensor.hall_temperature', name: 'Hall Temperature', domain: 'sensor', state: '68.4', areas: ['Hall'], attributes: { device_class: 'temperature' } },
+        { id: 'light.orphan', name: 'Orphan', domain: 'light', state: 'on', attributes: {} }
+      ]);
+
+      const { areas } = DeviceService.getAreaState();
+
+      expect(areas.map(area => area.name)).toEqual(['Hall', 'Unassigned']);
+      expect(areas[0].summary).toEqual({ openDoors: 1, activeLights: 0, temperature: 68, motion: true, lastMotion: 5000 });
+      expect(areas[0].severity).toBe('alert');
+      expect(areas[1].summary.activeLights).toBe(1);
     });
 
-    it('should find device by exact ID match', async () => {
-      const result = await DeviceService.findDeviceById('Kitchen Light');
+    it('should look up a single area case-insensitively', () => {
+      expect(DeviceService.getArea('living room').name).toBe('Living Room');
+      expect(() => DeviceService.getArea('Attic')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('findDeviceById', () => {
+    it('should find device by entity_id', async () => {
+      const result = await DeviceService.findDeviceById('light.kitchen_light');
       expect(result).toEqual(fixtures.parsedDevices[0]);
     });
 
-    it('should find device by name match', async () => {
+    it('should not match on friendly name', async () => {
       const result = await DeviceService.findDeviceById('Front Door');
-      expect(result).toEqual(fixtures.parsedDevices[2]);
+      expect(result).toBeUndefined();
     });
 
     it('should return undefined for non-existent device', async () => {
       const result = await DeviceService.findDeviceById('Non Existent Device');
       expect(result).toBeUndefined();
     });
+
+    it('should find entities added since the last dashboard snapshot', async () => {
+      await DeviceService.getDashboardState();
+      const porch = { id: 'light.porch', name: 'Porch Light', domain: 'light', state: 'off', attributes: {} };
+      deviceCache.getCachedDevices.mockReturnValue([...fixtures.parsedDevices, porch]);
+
+      await expect(DeviceService.findDeviceById('light.porch')).resolves.toEqual(porch);
+    });
+  });
+
+  describe('getControlTarget', () => {
+    it('should translate an entity_id into the current friendly name', async () => {
+      await expect(DeviceService.getControlTarget('light.kitchen_light')).resolves.toEqual({ id: 'light.kitchen_light', name: 'Kitchen Light' });
+    });
+
+    it('should fall back to the entity index for entities not on the dashboard', async () => {
+      deviceCache.getFriendlyName.mockReturnValue('Movie Night');
+      await expect(DeviceService.getControlTarget('scene.movie_night')).resolves.toEqual({ id: 'scene.movie_night', name: 'Movie Night' });
+      expect(deviceCache.getFriendlyName).toHaveBeenCalledWith('scene.movie_night');
+    });
+
+    it('should reject unknown entity ids', async () => {
+      deviceCache.getFriendlyName.mockReturnValue(null);
+      await expect(DeviceService.getControlTarget('light.nope')).rejects.toThrow('Device light.nope not found');
+    });
+  });
+
+  describe('toggleDevice', () => {
+    it('should toggle from the current cached state', async () => {
+      const hall = { id: 'light.hall', name: 'Hall Light', domain: 'light', state: 'off', attributes: {} };
+      deviceCache.getCachedDevices.mockReturnValue([hall]);
+      mcpClient.turnOn.mockResolvedValue({ success: true, message: 'Device turned on' });
+      mcpClient.turnOff.mockResolvedValue({ success: true, message: 'Device turned off' });
+      await DeviceService.getDashboardState();
+
+      await DeviceService.toggleDevice('light.hall');
+      deviceCache.getCachedDevices.mockReturnValue([{ ...hall, state: 'on' }]);
+      await DeviceService.toggleDevice('light.hall');
+
+      expect(mcpClient.turnOn).toHaveBeenCalledTimes(1);
+      expect(mcpClient.turnOff).toHaveBeenCalledWith({ name: 'Hall Light' });
+    });
+  });
+
+  describe('lock and cover control', () => {
+    const frontLock = { id: 'lock.front_door', name: 'Front Door Lock', domain: 'lock', state: 'locked', attributes: {} };
+    const garage = { id: 'cover.garage_door', name: 'Garage Door', domain: 'cover', state: 'closed', attributes: {} };
+    const obstruction = { id: 'binary_sensor.garage_door_obstruction', name: 'Garage Obstruction', domain: 'binary_sensor', state: 'off' };
+
+    beforeEach(() => {
+      controlGuard.pin = '1234';
+      controlGuard.lockedOutUntil = 0;
+      controlGuard.failedAttempts = 0;
+      deviceCache.getCachedDevices.mockReturnValue([frontLock, garage, obstruction]);
+      mcpClient.lock.mockResolvedValue({ success: true, message: 'Locked' });
+      mcpClient.unlock.mockResolvedValue({ success: true, message: 'Unlocked' });
+      mcpClient.openCover.mockResolvedValue({ success: true, message: 'Cover opening' });
+    });
+
+    afterEach(() => {
+      obstruction.state = 'off';
+    });
+
+    it('should lock without a PIN and unlock only with it', async () => {
+      await DeviceService.controlLock('lock.front_door', 'lock', { by: 'Sam' });
+      expect(mcpClient.lock).toHaveBeenCalledWith({ name: 'Front Door Lock' });
+
+      await expect(DeviceService.controlLock('lock.front_door', 'unlock', { by: 'Sam' }))
+        .rejects.toMatchObject({ statusCode: 403, requires: 'pin' });
+      await expect(DeviceService.controlLock('lock.front_door', 'unlock', { by: 'Sam', pin: '0000' }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Incorrect PIN' });
+      await DeviceService.controlLock('lock.front_door', 'unlock', { by: 'Sam', pin: '1234' });
+
+      expect(mcpClient.unlock).toHaveBeenCalledTimes(1);
+      // The PIN prompt itself isn't recorded
+      expect(alertSuppressions.log.mock.calls.map(([record]) => [record.action, record.outcome, record.by])).toEqual([
+        ['lock', 'done', 'Sam'],
+        ['unlock', 'refused', 'Sam'],
+        ['unlock', 'done', 'Sam']
+      ]);
+    });
+
+    it('should not open a garage that reports an obstruction', async () => {
+      obstruction.state = 'on';
+
+      await expect(DeviceService.controlCover('cover.garage_door', 'open', { pin: '1234' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(mcpClient.openCover).not.toHaveBeenCalled();
+      expect(alertSuppressions.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'open', outcome: 'refused' }));
+
+      obstruction.state = 'off';
+      await DeviceService.controlCover('cover.garage_door', 'open', { pin: '1234' });
+      expect(mcpClient.openCover).toHaveBeenCalledWith({ name: 'Garage Door' });
+    });
+
+    it('should stop covers through the REST API', async () => {
+      homeAssistantClient.callService.mockResolvedValue([]);
+
+      await expect(DeviceService.controlCover('cover.garage_door', 'stop')).resolves.toMatchObject({ success: true });
+      expect(homeAssistantClient.callService).toHaveBeenCalledWith('cover', 'stop_cover', { entity_id: 'cover.garage_door' });
+    });
+
+    it('should report failed commands and reject bad requests', async () => {
+      mcpClient.lock.mockResolvedValue({ success: false, message: 'Lock jammed' });
+
+      await expect(DeviceService.controlLock('lock.front_door', 'lock')).rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('Lock jammed') });
+      expect(alertSuppressions.log).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'failed', reason: 'Lock jammed' }));
+      await expect(DeviceService.controlLock('lock.front_door', 'open')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlLock('cover.garage_door', 'lock')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(DeviceService.controlCover('cover.nope', 'close')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should not toggle locks or covers', async () => {
+      await expect(DeviceService.toggleDevice('lock.front_door')).rejects.toMatchObject({ statusCode: 400 });
+      expect(mcpClient.turnOff).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setLight', () => {
+    const bulb = {
+      id: 'light.desk',
+      name: 'Desk Lamp',
+      domain: 'light',
+      state: 'on',
+      attributes: {
+        supported_color_modes: ['color_temp', 'hs'],
+        effect_list: ['colorloop', 'random'],
+        min_color_temp_kelvin: 2000,
+        max_color_temp_kelvin: 6500
+      }
+    };
+    const dimmer = { id: 'light.hall', name: 'Hall', domain: 'light', state: 'on', attributes: { supported_color_modes: ['brightness'] } };
+    const relay = { id: 'light.porch', name: 'Porch', domain: 'light', state: 'off', attributes: { supported_color_modes: ['onoff'] } };
+
+    beforeEach(() => {
+      deviceCache.getCachedDevices.mockReturnValue([bulb, dimmer, relay, ...fixtures.parsedDevices]);
+      homeAssistantClient.setLight.mockResolvedValue([]);
+    });
+
+    it('should send color, temperature, effect and brightness through light.turn_on', async () => {
+      await expect(DeviceService.setLight('light.desk', { hs: [210, 80], brightness: 40.4 })).resolves.toMatchObject({ success: true });
+      await DeviceService.setLight('light.desk', { mireds: 250, effect: 'colorloop' });
+      await DeviceService.setLight('light.desk', { rgb: [255, 127.6, 0] });
+
+      expect(homeAssistantClient.setLight.mock.calls).toEqual([
+        ['light.desk', { hs_color: [210, 80], brightness_pct: 40 }],
+        ['light.desk', { color_temp_kelvin: 4000, effect: 'colorloop' }],
+        ['light.desk', { rgb_color: [255, 128, 0] }]
+      ]);
+    });
+
+    it('should clamp color temperature to the light range', async () => {
+      await DeviceService.setLight('light.desk', { kelvin: 9000 });
+
+      expect(homeAssistantClient.setLight).toHaveBeenCalledWith('light.desk', { color_temp_kelvin: 6500 });
+    });
+
+    it('should only allow what the light supports', async () => {
+      await expect(DeviceService.setLight('light.hall', { hs: [0, 100] })).rejects.toMatchObject({ statusCode: 400, message: "Hall doesn't support color" });
+      await expect(DeviceService.setLight('light.hall', { kelvin: 3000 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.porch', { brightness: 50 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.desk', { effect: 'strobe' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.hall', { brightness: 50 })).resolves.toMatchObject({ success: true });
+    });
+
+    it('should reject bad values, mixed colors and non-lights', async () => {
+      await expect(DeviceService.setLight('light.desk', { hs: [400, 10] })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.desk', { rgb: [1, 2] })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.desk', { hs: [10, 10], kelvin: 3000 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('light.desk', {})).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setLight('climate.main_thermostat', { brightness: 10 })).rejects.toMatchObject({ statusCode: 404 });
+      expect(homeAssistantClient.setLight).not.toHaveBeenCalled();
+    });
+
+    it('should report Home Assistant failures as 502', async () => {
+      homeAssistantClient.setLight.mockRejectedValue(new Error('Request failed with status code 400'));
+
+      await expect(DeviceService.setLight('light.desk', { brightness: 10 })).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+
+  describe('climate', () => {
+    const thermostat = {
+      id: 'climate.hallway',
+      name: 'Hallway',
+      domain: 'climate',
+      state: 'heat_cool',
+      attributes: { current_temperature: '70', hvac_modes: ['off', 'heat', 'cool', 'heat_cool'] }
+    };
+    const liveState = {
+      entity_id: 'climate.hallway',
+      state: 'heat_cool',
+      attributes: {
+        hvac_action: 'heating',
+        hvac_modes: ['off', 'heat', 'cool', 'heat_cool'],
+        preset_modes: ['home', 'away', 'eco'],
+        preset_mode: 'home',
+        fan_modes: ['auto', 'on'],
+        fan_mode: 'auto',
+        current_temperature: 69.5,
+        target_temp_low: 68,
+        target_temp_high: 74,
+        min_temp: 50,
+        max_temp: 90,
+        target_temp_step: 0.5
+      }
+    };
+
+    beforeEach(() => {
+      deviceCache.getCachedDevices.mockReturnValue([thermostat, ...fixtures.parsedDevices]);
+      homeAssistantClient.getState.mockResolvedValue(liveState);
+      homeAssistantClient.callService.mockResolvedValue([]);
+    });
+
+    it('should describe the thermostat from its live state', async () => {
+      await expect(DeviceService.getClimate('climate.hallway')).resolves.toEqual({
+        id: 'climate.hallway',
+        name: 'Hallway',
+        hvacMode: 'heat_cool',
+        hvacAction: 'heating',
+        hvacModes: ['off', 'heat', 'cool', 'heat_cool'],
+        presetMode: 'home',
+        presetModes: ['home', 'away', 'eco'],
+        fanMode: 'auto',
+        fanModes: ['auto', 'on'],
+        currentTemperature: 69.5,
+        currentHumidity: null,
+        temperature: null,
+        targetTempLow: 68,
+        targetTempHigh: 74,
+        minTemp: 50,
+        maxTemp: 90,
+        step: 0.5
+      });
+    });
+
+    it('should fall back to the cached entity when Home Assistant is unreachable', async () => {
+      homeAssistantClient.getState.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await expect(DeviceService.getClimate('climate.hallway')).resolves.toMatchObject({
+        hvacMode: 'heat_cool',
+        hvacAction: null,
+        currentTemperature: 70,
+        step: 1
+      });
+      await expect(DeviceService.getClimate('light.kitchen_light')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should set the mode before setpoints, then preset and fan', async () => {
+      await DeviceService.setClimate('climate.hallway', { fanMode: 'on', presetMode: 'eco', targetTempHigh: 76, hvacMode: 'heat_cool' });
+
+      expect(homeAssistantClient.callService.mock.calls).toEqual([
+        ['climate', 'set_hvac_mode', { entity_id: 'climate.hallway', hvac_mode: 'heat_cool' }],
+        ['climate', 'set_temperature', { entity_id: 'climate.hallway', target_temp_low: 68, target_temp_high: 76 }],
+        ['climate', 'set_preset_mode', { entity_id: 'climate.hallway', preset_mode: 'eco' }],
+        ['climate', 'set_fan_mode', { entity_id: 'climate.hallway', fan_mode: 'on' }]
+      ]);
+    });
+
+    it('should set a single setpoint and answer with the new state', async () => {
+      await expect(DeviceService.setClimate('climate.hallway', { temperature: 71 })).resolves.toMatchObject({ id: 'climate.hallway' });
+      expect(homeAssistantClient.callService).toHaveBeenCalledWith('climate', 'set_temperature', { entity_id: 'climate.hallway', temperature: 71 });
+    });
+
+    it('should reject modes and setpoints the thermostat does not support', async () => {
+      await expect(DeviceService.setClimate('climate.hallway', { hvacMode: 'dry' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', { presetMode: 'boost' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', { temperature: 95 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', { temperature: '72' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', { targetTempLow: 75 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', { temperature: 70, targetTempLow: 65 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setClimate('climate.hallway', {})).rejects.toMatchObject({ statusCode: 400 });
+      expect(homeAssistantClient.callService).not.toHaveBeenCalled();
+    });
+
+    it('should report Home Assistant failures as 502', async () => {
+      homeAssistantClient.callService.mockRejectedValue(new Error('Request failed with status code 500'));
+
+      await expect(DeviceService.setClimate('climate.hallway', { hvacMode: 'off' })).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+
+  describe('fans', () => {
+    const ceilingFan = {
+      id: 'fan.bedroom_ceiling',
+      name: 'Bedroom Ceiling Fan',
+      domain: 'fan',
+      state: 'on',
+      attributes: {
+        percentage: 33,
+        // speed, direction, preset; no oscillation
+        supported_features: 1 | 4 | 8,
+        speed_count: 3,
+        preset_modes: ['breeze', 'sleep']
+      }
+    };
+    const towerFan = { id: 'fan.office_tower', name: 'Office Tower Fan', domain: 'fan', state: 'off', attributes: { percentage_step: 10 } };
+
+    beforeEach(() => {
+      deviceCache.getCachedDevices.mockReturnValue([ceilingFan, towerFan, ...fixtures.parsedDevices]);
+      homeAssistantClient.getState.mockResolvedValue({
+        entity_id: 'fan.bedroom_ceiling',
+        state: 'on',
+        attributes: { ...ceilingFan.attributes, percentage: 67, direction: 'reverse', preset_mode: null }
+      });
+    });
+
+    it('should snap the speed to the fan steps and call fan services, not the volume intent', async () => {
+      await expect(DeviceService.setFanSpeed('fan.bedroom_ceiling', 70)).resolves.toMatchObject({ success: true });
+      await DeviceService.setFan('fan.office_tower', { percentage: 44, oscillating: true });
+      await DeviceService.setFan('fan.bedroom_ceiling', { presetMode: 'sleep', direction: 'forward' });
+
+      expect(homeAssistantClient.setFanSpeed.mock.calls).toEqual([['fan.bedroom_ceiling', 67], ['fan.office_tower', 40]]);
+      expect(homeAssistantClient.setFanOscillation).toHaveBeenCalledWith('fan.office_tower', true);
+      expect(homeAssistantClient.setFanPresetMode).toHaveBeenCalledWith('fan.bedroom_ceiling', 'sleep');
+      expect(homeAssistantClient.setFanDirection).toHaveBeenCalledWith('fan.bedroom_ceiling', 'forward');
+    });
+
+    it('should describe the fan from its live state', async () => {
+      await expect(DeviceService.getFan('fan.bedroom_ceiling')).resolves.toEqual({
+        id: 'fan.bedroom_ceiling',
+        name: 'Bedroom Ceiling Fan',
+        state: 'on',
+        percentage: 67,
+        percentageStep: 100 / 3,
+        presetMode: null,
+        presetModes: ['breeze', 'sleep'],
+        oscillating: null,
+        direction: 'reverse',
+        features: { speed: true, oscillate: false, direction: true, preset: true }
+      });
+    });
+
+    it('should reject what the fan does not support', async () => {
+      await expect(DeviceService.setFan('fan.bedroom_ceiling', { oscillating: true })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setFan('fan.bedroom_ceiling', { presetMode: 'turbo' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setFan('fan.bedroom_ceiling', { direction: 'up' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setFan('fan.bedroom_ceiling', { percentage: 120 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setFan('fan.bedroom_ceiling', {})).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.setFan('light.kitchen_light', { percentage: 50 })).rejects.toMatchObject({ statusCode: 404 });
+      expect(homeAssistantClient.setFanSpeed).not.toHaveBeenCalled();
+    });
+
+    it('should report Home Assistant failures as 502', async () => {
+      homeAssistantClient.setFanSpeed.mockRejectedValue(new Error('Request failed with status code 500'));
+
+      await expect(DeviceService.setFan('fan.office_tower', { percentage: 50 })).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+
+  describe('media players', () => {
+    const receiver = {
+      id: 'media_player.receiver',
+      name: 'Receiver',
+      domain: 'media_player',
+      state: 'playing',
+      attributes: {}
+    };
+    const liveState = {
+      entity_id: 'media_player.receiver',
+      state: 'playing',
+      attributes: {
+        media_title: 'So What',
+        media_artist: 'Miles Davis',
+        media_album_name: 'Kind of Blue',
+        media_duration: 545,
+        media_position: 120,
+        media_position_updated_at: '2024-01-01T20:00:00+00:00',
+        volume_level: 0.35,
+        is_volume_muted: false,
+        source: 'Tuner',
+        source_list: ['Tuner', 'HDMI 1', 'Bluetooth'],
+        entity_picture: '/api/media_player_proxy/media_player.receiver?token=secret&cache=abc',
+        // pause, seek, volume, mute, turn on/off, source; no sound modes
+        supported_features: 1 | 2 | 4 | 8 | 128 | 256 | 2048
+      }
+    };
+
+    beforeEach(() => {
+      deviceCache.getCachedDevices.mockReturnValue([receiver, ...fixtures.parsedDevices]);
+      homeAssistantClient.getState.mockResolvedValue(liveState);
+      homeAssistantClient.callService.mockResolvedValue([]);
+      mcpClient.controlMediaPlayer.mockResolvedValue({ success: true, message: 'Media pause executed' });
+      mcpClient.setVolume.mockResolvedValue({ success: true, message: 'Volume set' });
+    });
+
+    it('should describe now playing without exposing the picture URL', async () => {
+      const media = await DeviceService.getMedia('media_player.receiver');
+
+      expect(media).toMatchObject({
+        title: 'So What',
+        artist: 'Miles Davis',
+        album: 'Kind of Blue',
+        duration: 545,
+        position: 120,
+        positionUpdatedAt: Date.parse('2024-01-01T20:00:00+00:00'),
+        volume: 35,
+        muted: false,
+        source: 'Tuner',
+        sources: ['Tuner', 'HDMI 1', 'Bluetooth'],
+        artworkId: expect.stringMatching(/^[0-9a-f]{12}$/)
+      });
+      expect(media.features).toMatchObject({ pause: true, seek: true, source: true, soundMode: false, next: false });
+      expect(JSON.stringify(media)).not.toContain('secret');
+    });
+
+    it('should send transport and volume through the MCP intents', async () => {
+      await DeviceService.controlMedia('media_player.receiver', 'pause');
+      await DeviceService.controlMedia('media_player.receiver', 'volume', { volume: 42.4 });
+
+      expect(mcpClient.controlMediaPlayer).toHaveBeenCalledWith({ name: 'Receiver' }, 'pause');
+      expect(mcpClient.setVolume).toHaveBeenCalledWith({ name: 'Receiver', volume_level: 42 });
+    });
+
+    it('should call the media_player services for source, mute, seek and power', async () => {
+      await DeviceService.controlMedia('media_player.receiver', 'source', { source: 'HDMI 1' });
+      await DeviceService.controlMedia('media_player.receiver', 'mute', { muted: true });
+      await DeviceService.controlMedia('media_player.receiver', 'seek', { position: 900 });
+      await DeviceService.controlMedia('media_player.receiver', 'turn_off');
+
+      expect(homeAssistantClient.callService.mock.calls).toEqual([
+        ['media_player', 'select_source', { entity_id: 'media_player.receiver', source: 'HDMI 1' }],
+        ['media_player', 'volume_mute', { entity_id: 'media_player.receiver', is_volume_muted: true }],
+        ['media_player', 'media_seek', { entity_id: 'media_player.receiver', seek_position: 545 }],
+        ['media_player', 'turn_off', { entity_id: 'media_player.receiver' }]
+      ]);
+    });
+
+    it('should reject what the player does not support', async () => {
+      await expect(DeviceService.controlMedia('media_player.receiver', 'sound_mode', { soundMode: 'Stereo' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlMedia('media_player.receiver', 'source', { source: 'Phono' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlMedia('media_player.receiver', 'volume', { volume: 150 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlMedia('media_player.receiver', 'mute', {})).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlMedia('media_player.receiver', 'rewind')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(DeviceService.controlMedia('light.kitchen_light', 'pause')).rejects.toMatchObject({ statusCode: 404 });
+      expect(homeAssistantClient.callService).not.toHaveBeenCalled();
+      expect(mcpClient.setVolume).not.toHaveBeenCalled();
+    });
+
+    it('should report failures as 502', async () => {
+      mcpClient.controlMediaPlayer.mockResolvedValue({ success: false, message: 'No device matched' });
+      homeAssistantClient.callService.mockRejectedValue(new Error('Request failed with status code 500'));
+
+      await expect(DeviceService.controlMedia('media_player.receiver', 'play')).rejects.toMatchObject({ statusCode: 502 });
+      await expect(DeviceService.controlMedia('media_player.receiver', 'turn_on')).rejects.toMatchObject({ statusCode: 502 });
+    });
+
+    it('should proxy the artwork and 404 without one', async () => {
+      homeAssistantClient.getImage.mockResolvedValue({ data: Buffer.from('jpeg'), contentType: 'image/jpeg' });
+
+      await expect(DeviceService.getMediaArtwork('media_player.receiver')).resolves.toMatchObject({ contentType: 'image/jpeg' });
+      expect(homeAssistantClient.getImage).toHaveBeenCalledWith(liveState.attributes.entity_picture);
+
+      homeAssistantClient.getState.mockResolvedValue({ state: 'off', attributes: {} });
+      await expect(DeviceService.getMediaArtwork('media_player.receiver')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('scenes, scripts and automations', () => {
+    const movieNight = { id: 'scene.movie_night', name: 'Movie Night', domain: 'scene', state: '2024-01-01T20:00:00+00:00', area: 'Living Room', areas: ['Living Room'], attributes: {} };
+    const goodnight = { id: 'script.goodnight', name: 'Goodnight', domain: 'script', state: 'off', area: '', areas: [], attributes: { last_triggered: null } };
+    const porchLights = { id: 'automation.porch_lights', name: 'Porch Lights', domain: 'automation', state: 'on', area: 'Living Room', areas: ['Living Room'], attributes: { last_triggered: '2024-01-01T18:30:00+00:00' } };
+
+    beforeEach(() => {
+      DeviceService.lastActivated.clear();
+      deviceCache.getCachedDevices.mockReturnValue([...fixtures.parsedDevices, porchLights, movieNight, goodnight]);
+    });
+
+    it('should list them by area with their last activation', () => {
+      const { areas } = DeviceService.getSceneState();
+
+      expect(areas).toEqual([
+        {
+          name: 'Living Room',
+          scenes: [expect.objectContaining({ id: 'scene.movie_night', lastActivated: Date.parse('2024-01-01T20:00:00Z') })],
+          scripts: [],
+          automations: [{
+            id: 'automation.porch_lights',
+            name: 'Porch Lights',
+            domain: 'automation',
+            area: 'Living Room',
+            state: 'on',
+            lastActivated: Date.parse('2024-01-01T18:30:00Z'),
+            enabled: true
+          }]
+        },
+        { name: 'Unassigned', scenes: [], scripts: [expect.objectContaining({ id: 'script.goodnight', lastActivated: null })], automations: [] }
+      ]);
+    });
+
+    it('should keep them out of the area view', () => {
+      const devices = DeviceService.getAreaState().areas.flatMap(area => area.devices);
+
+      expect(devices.map(device => device.domain)).not.toEqual(expect.arrayContaining(['scene']));
+      expect(devices).toHaveLength(fixtures.parsedDevices.length);
+    });
+
+    it('should run scenes and scripts and remember when', async () => {
+      mcpClient.turnOn.mockResolvedValue({ success: true });
+
+      await DeviceService.activateScene('script.goodnight');
+
+      expect(mcpClient.turnOn).toHaveBeenCalledWith({ name: 'Goodnight' });
+      const [, unassigned] = DeviceService.getSceneState().areas;
+      expect(unassigned.scripts[0].lastActivated).toBeGreaterThan(0);
+    });
+
+    it('should enable and disable automations', async () => {
+      mcpClient.turnOff.mockResolvedValue({ success: true });
+
+      await DeviceService.setAutomationEnabled('automation.porch_lights', false);
+
+      expect(mcpClient.turnOff).toHaveBeenCalledWith({ name: 'Porch Lights' });
+      await expect(DeviceService.setAutomationEnabled('automation.porch_lights', 'no')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject unknown ids, other domains and failed calls', async () => {
+      mcpClient.turnOn.mockResolvedValue({ success: false, message: 'Scene not exposed' });
+
+      await expect(DeviceService.activateScene('scene.nope')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(DeviceService.activateScene('automation.porch_lights')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(DeviceService.setAutomationEnabled('scene.movie_night', true)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(DeviceService.activateScene('scene.movie_night')).rejects.toMatchObject({
+        statusCode: 502,
+        message: expect.stringContaining('Scene not exposed')
+      });
+      expect(DeviceService.lastActivated.size).toBe(0);
+    });
   });
 
   describe('getDefaultDashboardState', () => {
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/device-cache', () => ({}));
+jest.mock('../../src/camera-hub', () => ({}));
+jest.mock('../../src/camera-registry', () => ({}));
+jest.mock('../../src/alert-suppressions', () => ({}));
+jest.mock('../../src/transport', () => ({}));
+jest.mock('../../src/device-service', () => ({}));
+
+const { Doorbell } = require('../../src/doorbell');
+const { jpeg } = require('../fixtures/fake-camera-server');
+
+const frontDoor = {
+  id: 'Doorbell',
+  motionEntities: ['binary_sensor.doorbell_motion'],
+  personEntities: ['binary_sensor.doorbell_person'],
+  doorbell: { ringEntities: ['event.doorbell_ding'], lock: 'lock.front_door', light: 'light.porch' }
+};
+const garage = { id: 'Garage', motionEntities: ['binary_sensor.garage_motion'], personEntities: [], doorbell: null };
+
+const sensor = (id, state) => ({ type: 'upsert', entity: { id, state } });
+
+function createAudit(records = []) {
+  return {
+    records,
+    log: jest.fn(async (record) => { records.push(record); }),
+    getAuditTrail: jest.fn(async ({ filter }) => records.filter(filter)),
+    normalizeActor: by => by || 'unknown'
+  };
+}
+
+describe('Doorbell', () => {
+  let directory;
+  let cache;
+  let hub;
+  let audit;
+  let transport;
+  let devices;
+  let io;
+  let now;
+  let doorbell;
+
+  async function createDoorbell() {
+    const created = new Doorbell({
+      cache,
+      hub,
+      audit,
+      transport,
+      devices,
+      registry: {
+        getCameras: () => [frontDoor, garage],
+        getCamera: id => [frontDoor, garage].find(camera => camera.id === id) || null
+      },
+      directory,
+      panelTimeout: 60000,
+      maxVisitors: 2,
+      now: () => now
+    });
+    created.attach(io);
+    await created.start();
+    jest.spyOn(created, 'ring');
+    return created;
+  }
+
+  // Emit a state change and wait for any ring it starts (snapshot and audit record)
+  async function trigger(id, state) {
+    const rings = doorbell.ring.mock.results.length;
+    cache.emit('change', sensor(id, state));
+    await Promise.all(doorbell.ring.mock.results.slice(rings).map(result => result.value));
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'doorbell-'));
+    cache = new EventEmitter();
+    cache.getCachedDevices = () => [
+      { id: 'binary_sensor.doorbell_person', state: 'off' },
+      { id: 'event.doorbell_ding', state: '2024-01-01T00:00:00.000Z' }
+    ];
+    cache.getFriendlyName = id => ({ 'lock.front_door': 'Front Door Lock', 'light.porch': 'Porch Light' })[id] || null;
+    hub = { getSnapshot: jest.fn(async () => ({ frame: jpeg(`visitor-${now}`), at: now, source: 'stream' })) };
+    audit = createAudit();
+    transport = { turnOn: jest.fn(async () => ({ success: true })) };
+    devices = { controlLock: jest.fn(async () => ({ success: true })) };
+    io = { emit: jest.fn(), on: jest.fn() };
+    now = 100000;
+    doorbell = await createDoorbell();
+  });
+
+  afterEach(() => {
+    doorbell.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should ring on a person detection with a snapshot of the visitor', async () => {
+    await trigger('binary_sensor.doorbell_person', 'on');
+
+    const [visit] = doorbell.listVisits('Doorbell');
+    expect(visit).toMatchObject({
+      id: '100000',
+      camera: 'Doorbell',
+      trigger: 'person',
+      entityId: 'binary_sensor.doorbell_person',
+      at: 100000,
+      snapshotPath: '/api/camera/Doorbell/visitors/100000/snapshot'
+    });
+    expect(io.emit).toHaveBeenLastCalledWith('doorbell-rings', [visit]);
+    expect((await doorbell.getSnapshot('Doorbell', '100000')).toString()).toContain('visitor-100000');
+    expect(audit.records).toEqual([expect.objectContaining({
+      type: 'doorbell',
+      alertId: 'binary_sensor.doorbell_person',
+      camera: 'Doorbell',
+      visitId: '100000',
+      trigger: 'person',
+      snapshot: true
+    })]);
+  });
+
+  it('should ring on new doorbell events and fold them into the open visit', async () => {
+    await trigger('binary_sensor.doorbell_person', 'on');
+    now += 5000;
+    await trigger('event.doorbell_ding', '2024-01-01T00:05:00.000Z');
+
+    expect(doorbell.listVisits('Doorbell')).toHaveLength(1);
+    expect(doorbell.getRings()).toEqual([expect.objectContaining({ id: '100000', trigger: 'ring' })]);
+    expect(audit.records.map(record => record.trigger)).toEqual(['person', 'ring']);
+  });
+
+  it('should not ring for states seen at startup, repeats or unavailable events', async () => {
+    await trigger('binary_sensor.doorbell_person', 'off');
+    await trigger('event.doorbell_ding', 'unavailable');
+    await trigger('event.doorbell_ding', '2024-01-01T00:05:00.000Z');
+    await trigger('binary_sensor.garage_motion', 'on');
+
+    expect(doorbell.getRings()).toEqual([]);
+    expect(audit.log).not.toHaveBeenCalled();
+  });
+
+  it('should end the ring when dismissed or after the panel timeout', async () => {
+    jest.useFakeTimers();
+    try {
+      await trigger('binary_sensor.doorbell_person', 'on');
+      jest.advanceTimersByTime(60000);
+      expect(doorbell.getRings()).toEqual([]);
+
+      await trigger('binary_sensor.doorbell_person', 'off');
+      await trigger('binary_sensor.doorbell_person', 'on');
+      await doorbell.act('Doorbell', 'dismiss', { by: 'Kitchen' });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(doorbell.getRings()).toEqual([]);
+    expect(io.emit).toHaveBeenLastCalledWith('doorbell-rings', []);
+    expect(audit.records[audit.records.length - 1]).toMatchObject({ type: 'doorbell-action', action: 'dismiss', by: 'Kitchen', deviceId: null });
+  });
+
+  it('should unlock the door through the lock guard and turn on the porch light', async () => {
+    await trigger('binary_sensor.doorbell_person', 'on');
+
+    await expect(doorbell.act('Doorbell', 'unlock', { by: 'Hall', pin: '1234' })).resolves.toEqual({
+      success: true, camera: 'Doorbell', action: 'unlock', deviceId: 'lock.front_door'
+    });
+    await doorbell.act('Doorbell', 'light');
+
+    expect(devices.controlLock).toHaveBeenCalledWith('lock.front_door', 'unlock', { by: 'Hall', pin: '1234', confirm: undefined });
+    expect(transport.turnOn).toHaveBeenCalledWith({ id: 'light.porch', name: 'Porch Light' });
+    expect(audit.records.slice(1)).toEqual([
+      expect.objectContaining({ type: 'doorbell-action', action: 'unlock', deviceId: 'lock.front_door', visitId: '100000', by: 'Hall' }),
+      expect.objectContaining({ type: 'doorbell-action', action: 'light', deviceId: 'light.porch', by: 'unknown' })
+    ]);
+    expect(doorbell.getRings()).toHaveLength(1);
+  });
+
+  it('should reject failed or unknown actions and non-doorbell cameras', async () => {
+    const pinRequired = Object.assign(new Error('PIN required'), { statusCode: 403, requires: 'pin' });
+    devices.controlLock.mockRejectedValue(pinRequired);
+    transport.turnOn.mockResolvedValue({ success: false, message: 'Light unavailable' });
+
+    await expect(doorbell.act('Doorbell', 'unlock')).rejects.toBe(pinRequired);
+    await expect(doorbell.act('Doorbell', 'light')).rejects.toMatchObject({ statusCode: 502, message: expect.stringContaining('Light unavailable') });
+    await expect(doorbell.act('Doorbell', 'open')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(doorbell.act('Garage', 'dismiss')).rejects.toMatchObject({ statusCode: 404 });
+    expect(() => doorbell.listVisits('Nowhere')).toThrow('not a doorbell camera');
+    expect(audit.log).not.toHaveBeenCalled();
+  });
+
+  it('should keep the last visitors and restore them from the audit trail', async () => {
+    for (let visit = 0; visit < 3; visit++) {
+      await trigger('binary_sensor.doorbell_person', 'on');
+      await doorbell.act('Doorbell', 'dismiss');
+      await trigger('binary_sensor.doorbell_person', 'off');
+      now += 1000;
+    }
+
+    expect(doorbell.listVisits('Doorbell').map(visit => visit.id)).toEqual(['102000', '101000']);
+    expect(fs.readdirSync(path.join(directory, 'Doorbell')).sort()).toEqual(['101000.jpg', '102000.jpg']);
+
+    doorbell.stop();
+    doorbell = await createDoorbell();
+    expect(doorbell.listVisits('Doorbell').map(visit => visit.id)).toEqual(['102000', '101000']);
+  });
+});
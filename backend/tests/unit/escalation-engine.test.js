@@ -0,0 +1,229 @@
+// Mock the device cache with a bare event emitter so changes can be fed in directly
+jest.mock('../../src/device-cache', () => {
+  const { EventEmitter } = require('events');
+  const cache = new EventEmitter();
+  cache.getCachedDevices = jest.fn(() => []);
+  return cache;
+});
+
+const deviceCache = require('../../src/device-cache');
+const { EscalationEngine, parseDuration } = require('../../src/escalation-engine');
+
+const MINUTE = 60000;
+
+const garage = (state, lastChanged) => ({
+  id: 'cover.garage_door',
+  name: 'Garage Door',
+  domain: 'cover',
+  state,
+  attributes: { device_class: 'garage' },
+  lastChanged
+});
+
+const freezer = (state) => ({
+  id: 'sensor.freezer_temperature',
+  name: 'Freezer Temperature',
+  domain: 'sensor',
+  state,
+  attributes: { device_class: 'temperature', unit_of_measurement: '°F' }
+});
+
+const lock = (state) => ({
+  id: 'lock.front_door',
+  name: 'Front Door Lock',
+  domain: 'lock',
+  state,
+  attributes: {},
+  lastChanged: 0
+});
+
+const config = {
+  timezone: 'UTC',
+  rules: [
+    {
+      id: 'garage-door-open',
+      match: [{ domain: 'cover', deviceClass: 'garage' }],
+      condition: { state: 'open' },
+      for: '10m',
+      severity: 'alert',
+      message: '{name} has been open for {duration}'
+    },
+    {
+      id: 'freezer-warm',
+      match: [{ domain: 'sensor', name: 'freezer' }],
+      condition: { above: 10 },
+      for: '5m',
+      severity: 'alert',
+      message: '{name} is at {state}{unit}'
+    },
+    {
+      id: 'door-unlocked-overnight',
+      match: [{ domain: 'lock' }],
+      condition: { state: 'unlocked' },
+      between: { after: '23:00', before: '06:00' },
+      severity: 'notify',
+      message: '{name} is unlocked after 11pm'
+    }
+  ]
+};
+
+describe('EscalationEngine', () => {
+  let engine;
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    now = Date.UTC(2024, 0, 15, 12, 0);
+    engine = new EscalationEngine({ config, now: () => now, checkInterval: 1000 });
+  });
+
+  afterEach(() => {
+    engine.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('should escalate a state that persists past its duration', () => {
+    const start = now;
+    engine.evaluate(garage('open', start));
+    expect(engine.getActiveAlerts()).toEqual([]);
+
+    now = start + 10 * MINUTE;
+    engine.evaluate(garage('open', start));
+
+    expect(engine.getActiveAlerts()).toEqual([{
+      id: 'garage-door-open:cover.garage_door',
+      ruleId: 'garage-door-open',
+      deviceId: 'cover.garage_door',
+      name: 'Garage Door',
+      severity: 'alert',
+      message: 'Garage Door has been open for 10 min',
+      since: start,
+      escalatedAt: now
+    }]);
+  });
+
+  it('should clear an escalation once the condition clears', () => {
+    const cleared = jest.fn();
+    engine.on('cleared', cleared);
+
+    engine.evaluate(garage('open', now - 15 * MINUTE));
+    expect(engine.getActiveAlerts()).toHaveLength(1);
+
+    engine.evaluate(garage('closed', now));
+    expect(engine.getActiveAlerts()).toEqual([]);
+    expect(cleared).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'garage-door-open' }));
+  });
+
+  it('should clear an escalation when the device stops matching the rule', () => {
+    const cleared = jest.fn();
+    engine.on('cleared', cleared);
+    const opened = now - 15 * MINUTE;
+
+    engine.evaluate(garage('open', opened));
+    expect(engine.getActiveAlerts()).toHaveLength(1);
+
+    engine.evaluate({ ...garage('open', opened), attributes: { device_class: 'shade' } });
+    expect(engine.getActiveAlerts()).toEqual([]);
+    expect(cleared).toHaveBeenCalledWith(expect.objectContaining({ id: 'garage-door-open:cover.garage_door' }));
+    expect(engine.pending.size).toBe(0);
+  });
+
+  it('should time thresholds from when the value first crossed them', () => {
+    engine.evaluate(freezer('12'));
+    now += 4 * MINUTE;
+    engine.evaluate(freezer('14'));
+    expect(engine.getActiveAlerts()).toEqual([]);
+
+    now += MINUTE;
+    engine.evaluate(freezer('13.5'));
+    expect(engine.getActiveAlerts()[0].message).toBe('Freezer Temperature is at 13.5°F');
+
+    engine.evaluate(freezer('2'));
+    now += 5 * MINUTE;
+    engine.evaluate(freezer('11'));
+    expect(engine.getActiveAlerts()).toEqual([]);
+  });
+
+  it('should only escalate inside the time window, wrapping past midnight', () => {
+    engine.evaluate(lock('unlocked'));
+    expect(engine.getActiveAlerts()).toEqual([]);
+
+    now = Date.UTC(2024, 0, 15, 23, 30);
+    engine.evaluate(lock('unlocked'));
+    expect(engine.getActiveAlerts().map(alert => alert.ruleId)).toEqual(['door-unlocked-overnight']);
+
+    engine.evaluate(lock('locked'));
+    now = Date.UTC(2024, 0, 16, 5, 59);
+    engine.evaluate(lock('unlocked'));
+    expect(engine.getActiveAlerts()).toHaveLength(1);
+  });
+
+  it('should sort ALERT before NOTIFY', () => {
+    now = Date.UTC(2024, 0, 15, 23, 30);
+    engine.evaluate(lock('unlocked'));
+    engine.evaluate(garage('open', 0));
+
+    expect(engine.getActiveAlerts().map(alert => alert.severity)).toEqual(['alert', 'notify']);
+  });
+
+  it('should follow cache changes and re-check durations on a timer', () => {
+    jest.useFakeTimers();
+    try {
+      const io = { emit: jest.fn(), on: jest.fn() };
+      engine.attach(io);
+      engine.start();
+
+      const start = now;
+      deviceCache.emit('change', { type: 'upsert', entity: garage('open', start) });
+      expect(io.emit).not.toHaveBeenCalled();
+
+      deviceCache.getCachedDevices.mockReturnValue([garage('open', start)]);
+      now = start + 10 * MINUTE;
+      jest.advanceTimersByTime(1000);
+      expect(io.emit).toHaveBeenCalledWith('alerts-update', [expect.objectContaining({ deviceId: 'cover.garage_door' })]);
+
+      deviceCache.emit('change', { type: 'remove', id: 'cover.garage_door' });
+      expect(io.emit).toHaveBeenLastCalledWith('alerts-update', []);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should send current alerts to newly connected clients', () => {
+    const io = { emit: jest.fn(), handlers: {} };
+    io.on = jest.fn((event, handler) => { io.handlers[event] = handler; });
+    const socket = { emit: jest.fn() };
+
+    engine.attach(io);
+    engine.evaluate(garage('open', 0));
+    io.handlers.connection(socket);
+
+    expect(socket.emit).toHaveBeenCalledWith('alerts-update', [expect.objectContaining({ severity: 'alert' })]);
+  });
+
+  it('should load the bundled rules file', () => {
+    const bundled = new EscalationEngine();
+    expect(bundled.rules.map(rule => rule.id)).toContain('garage-door-open');
+  });
+
+  describe('validation', () => {
+    it('should reject malformed rules', () => {
+      const build = (rule) => () => new EscalationEngine({ config: { rules: [rule] } });
+      const base = { id: 'r', match: [{ domain: 'lock' }], condition: { state: 'unlocked' }, severity: 'alert' };
+
+      expect(build({ ...base, severity: 'urgent' })).toThrow('severity must be "notify" or "alert"');
+      expect(build({ ...base, condition: {} })).toThrow('condition needs state, above or below');
+      expect(build({ ...base, match: [] })).toThrow('needs at least one match rule');
+      expect(build({ ...base, for: 'soon' })).toThrow('Invalid duration "soon"');
+      expect(build({ ...base, between: { after: '25:00', before: '06:00' } })).toThrow('must be HH:MM');
+    });
+
+    it('should parse durations', () => {
+      expect(parseDuration('30s')).toBe(30000);
+      expect(parseDuration('10m')).toBe(600000);
+      expect(parseDuration('1.5h')).toBe(5400000);
+      expect(parseDuration(undefined)).toBe(0);
+    });
+  });
+});
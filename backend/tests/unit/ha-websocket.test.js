@@ -0,0 +1,129 @@
+const WebSocket = require('ws');
+const { HomeAssistantWebSocket, buildWebSocketUrl } = require('../../src/ha-websocket');
+
+// Minimal fake of Home Assistant's /api/websocket auth + subscribe_events flow
+function startFakeHomeAssistant({ token = 'test-token' } = {}) {
+  return new Promise(resolve => {
+    const server = new WebSocket.Server({ port: 0 });
+    const fake = { server, clients: [], subscriptions: [] };
+
+    server.on('connection', socket => {
+      fake.clients.push(socket);
+      socket.send(JSON.stringify({ type: 'auth_required', ha_version: '2024.1.0' }));
+
+      socket.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'auth') {
+          socket.send(JSON.stringify(message.access_token === token
+            ? { type: 'auth_ok', ha_version: '2024.1.0' }
+            : { type: 'auth_invalid', message: 'Invalid access token' }));
+        } else if (message.type === 'subscribe_events') {
+          fake.subscriptions.push({ socket, id: message.id, eventType: message.event_type });
+          socket.send(JSON.stringify({ id: message.id, type: 'result', success: true, result: null }));
+        }
+      });
+    });
+
+    fake.pushStateChange = (data) => {
+      fake.subscriptions.forEach(({ socket, id }) => {
+        socket.send(JSON.stringify({
+          id,
+          type: 'event',
+          event: { event_type: 'state_changed', data }
+        }));
+      });
+    };
+
+    fake.close = () => new Promise(done => {
+      fake.clients.forEach(socket => socket.terminate());
+      server.close(done);
+    });
+
+    server.on('listening', () => {
+      fake.url = `ws://127.0.0.1:${server.address().port}/api/websocket`;
+      resolve(fake);
+    });
+  });
+}
+
+describe('HomeAssistantWebSocket', () => {
+  let fake;
+  let client;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    fake = await startFakeHomeAssistant();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      client.disconnect();
+      client = null;
+    }
+    await fake.close();
+    jest.restoreAllMocks();
+  });
+
+  it('should build websocket URLs from the Home Assistant base URL', () => {
+    expect(buildWebSocketUrl('http://192.168.0.159:8123')).toBe('ws://192.168.0.159:8123/api/websocket');
+    expect(buildWebSocketUrl('https://ha.example.com')).toBe('wss://ha.example.com/api/websocket');
+  });
+
+  it('should authenticate and subscribe to state_changed events', async () => {
+    client = new HomeAssistantWebSocket({ url: fake.url, token: 'test-token' });
+
+    await client.connect();
+
+    expect(client.isConnected()).toBe(true);
+    expect(fake.subscriptions).toHaveLength(1);
+    expect(fake.subscriptions[0].eventType).toBe('state_changed');
+  });
+
+  it('should emit state_changed events with the event data', async () => {
+    client = new HomeAssistantWebSocket({ url: fake.url, token: 'test-token' });
+    await client.connect();
+
+    const received = new Promise(resolve => client.once('state_changed', resolve));
+    fake.pushStateChange({
+      entity_id: 'light.kitchen_light',
+      old_state: { state: 'off', attributes: { friendly_name: 'Kitchen Light' } },
+      new_state: { state: 'on', attributes: { friendly_name: 'Kitchen Light', brightness: 255 } }
+    });
+
+    const data = await received;
+    expect(data.entity_id).toBe('light.kitchen_light');
+    expect(data.new_state.state).toBe('on');
+    expect(client.getConnectionStatus().eventCount).toBe(1);
+  });
+
+  it('should reject and not reconnect when the token is invalid', async () => {
+    client = new HomeAssistantWebSocket({ url: fake.url, token: 'wrong-token' });
+
+    await expect(client.connect()).rejects.toThrow('auth failed');
+    expect(client.isConnected()).toBe(false);
+    expect(client.reconnectTimer).toBeNull();
+  });
+
+  it('should require a token before connecting', async () => {
+    client = new HomeAssistantWebSocket({ url: fake.url });
+    client.token = undefined;
+
+    await expect(client.connect()).rejects.toThrow('HOME_ASSISTANT_TOKEN');
+  });
+
+  it('should reconnect after the server drops the connection', async () => {
+    client = new HomeAssistantWebSocket({ url: fake.url, token: 'test-token', reconnectDelay: 10 });
+    await client.connect();
+
+    const disconnected = new Promise(resolve => client.once('disconnected', resolve));
+    const reconnected = new Promise(resolve => client.once('connected', resolve));
+    fake.clients.forEach(socket => socket.terminate());
+
+    await disconnected;
+    await reconnected;
+    expect(client.isConnected()).toBe(true);
+    expect(fake.subscriptions).toHaveLength(2);
+  });
+});
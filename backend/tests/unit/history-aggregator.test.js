@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+jest.mock('../../src/device-cache', () => ({}));
+jest.mock('../../src/history-store', () => ({}));
+
+const { HistoryAggregator, bucketSeries, metricReaders } = require('../../src/history-aggregator');
+
+const { HistoryStore } = jest.requireActual('../../src/history-store');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.parse('2024-03-10T00:00:00Z');
+
+const officeSensor = {
+  id: 'sensor.office_temperature',
+  name: 'Office Temperature',
+  domain: 'sensor',
+  area: 'Office',
+  areas: ['Office'],
+  attributes: { device_class: 'temperature' }
+};
+const officeHumidity = {
+  id: 'sensor.office_humidity',
+  name: 'Office Humidity',
+  domain: 'sensor',
+  area: 'Office',
+  areas: ['Office'],
+  attributes: { device_class: 'humidity' }
+};
+const thermostat = {
+  id: 'climate.office',
+  name: 'Office Thermostat',
+  domain: 'climate',
+  area: 'Office',
+  areas: ['Office'],
+  attributes: {}
+};
+const kitchenLight = { id: 'light.kitchen', name: 'Kitchen', domain: 'light', area: 'Kitchen', areas: ['Kitchen'], attributes: {} };
+
+describe('bucketSeries', () => {
+  it('should weight each value by how long it held within the bucket', () => {
+    const buckets = bucketSeries([
+      { at: START - HOUR, value: 68 },
+      { at: START + 0.5 * HOUR, value: 72 },
+      { at: START + 1.5 * HOUR, value: null }
+    ], { from: START, to: START + 3 * HOUR, interval: HOUR });
+
+    expect(buckets[0]).toMatchObject({ min: 68, max: 72, sum: 68 * 0.5 * HOUR + 72 * 0.5 * HOUR, weight: HOUR });
+    expect(buckets[1]).toMatchObject({ min: 72, max: 72, weight: 0.5 * HOUR });
+    // Unavailable from 1:30 onwards
+    expect(buckets[2]).toMatchObject({ min: null, max: null, weight: 0 });
+  });
+
+  it('should stop the last value at the end of the data', () => {
+    const buckets = bucketSeries([{ at: START, value: 70 }], { from: START, to: START + 2 * HOUR, interval: HOUR, end: START + HOUR });
+
+    expect(buckets.map(bucket => bucket.weight)).toEqual([HOUR, 0]);
+  });
+});
+
+describe('metricReaders', () => {
+  it('should read thermostat attributes and sensor states', () => {
+    const record = { state: 'heat', attributes: { current_temperature: '70', temperature: '72', current_humidity: '40' } };
+    const climate = metricReaders(thermostat);
+
+    expect(Object.keys(climate)).toEqual(['temperature', 'setpoint', 'humidity']);
+    expect(climate.setpoint(record)).toBe('72');
+    expect(Object.keys(metricReaders(officeHumidity))).toEqual(['humidity']);
+    expect(Object.keys(metricReaders(kitchenLight))).toEqual(['value']);
+  });
+});
+
+describe('HistoryAggregator', () => {
+  let aggregator;
+  let history;
+
+  beforeEach(() => {
+    history = {
+      query: jest.fn(async () => ({
+        history: {
+          'sensor.office_temperature': [
+            { at: START - HOUR, state: '68' },
+            { at: START + HOUR, state: '72' }
+          ],
+          'sensor.office_humidity': [
+            { at: START, state: '40' }
+          ],
+          'climate.office': [
+            { at: START - HOUR, state: 'heat', attributes: { current_temperature: '66', temperature: '70' } }
+          ]
+        }
+      }))
+    };
+    aggregator = new HistoryAggregator({
+      cache: { getCachedDevices: () => [officeSensor, officeHumidity, thermostat, kitchenLight] },
+      history,
+      now: () => START + 2 * HOUR
+    });
+  });
+
+  it('should summarise single entities over the range', async () => {
+    const result = await aggregator.aggregate({ entities: ['sensor.office_temperature'], from: START, interval: '1h' });
+
+    expect(history.query).toHaveBeenCalledWith(expect.objectContaining({
+      entities: ['sensor.office_temperature'],
+      from: START,
+      to: START + 2 * HOUR,
+      initial: true
+    }));
+    expect(result.interval).toBe(HOUR);
+    expect(result.entities[0].metrics.temperature).toEqual({
+      min: 68,
+      max: 72,
+      avg: 70,
+      current: 72,
+      points: [
+        { at: START, min: 68, max: 68, avg: 68 },
+        { at: START + HOUR, min: 72, max: 72, avg: 72 }
+      ]
+    });
+  });
+
+  it('should default to the last 24 hours in 96 buckets', async () => {
+    const result = await aggregator.aggregate({ entities: ['sensor.office_temperature'] });
+
+    expect(result.to - result.from).toBe(24 * HOUR);
+    expect(result.interval).toBe(15 * 60 * 1000);
+  });
+
+  it('should combine every climate entity in an area', async () => {
+    const result = await aggregator.aggregate({ area: 'office', from: START, interval: '1h' });
+
+    expect(result.entities.map(trend => trend.entityId)).toEqual(['sensor.office_temperature', 'sensor.office_humidity', 'climate.office']);
+    expect(result.area.metrics.temperature.points[0]).toEqual({ at: START, min: 66, max: 68, avg: 67 });
+    expect(result.area.metrics.temperature.current).toBe(69);
+    expect(result.area.metrics.setpoint.avg).toBe(70);
+    expect(result.area.metrics.humidity.avg).toBe(40);
+  });
+
+  it('should reject empty areas and bad ranges', async () => {
+    await expect(aggregator.aggregate({ area: 'Garage' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(aggregator.aggregate({ entities: ['sensor.office_temperature'], from: START, to: START })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(aggregator.aggregate({ entities: ['sensor.office_temperature'], interval: 'soon' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(aggregator.aggregate({ entities: ['sensor.office_temperature'], interval: '10s' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should chart a thermostat whose mode has not changed for days', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-aggregator-'));
+    const cache = new EventEmitter();
+    cache.seedLastChanged = jest.fn();
+    let now = START;
+    const store = new HistoryStore({ cache, directory, retentionDays: 7, now: () => now });
+    jest.spyOn(console, 'log').mockImplementation();
+
+    try {
+      await store.start();
+      const emit = attributes => cache.emit('change', {
+        type: 'upsert',
+        entity: { ...thermostat, state: 'heat', lastChanged: START - 3 * DAY, attributes }
+      });
+      emit({ current_temperature: '66', temperature: '70', current_humidity: '40' });
+      now = START + HOUR;
+      emit({ current_temperature: '68', temperature: '72', current_humidity: '42' });
+
+      const stable = new HistoryAggregator({
+        cache: { getCachedDevices: () => [thermostat] },
+        history: store,
+        now: () => START + 2 * HOUR
+      });
+      const result = await stable.aggregate({ entities: ['climate.office'], from: START, interval: '1h' });
+
+      expect(result.entities[0].metrics.temperature.points.map(point => point.avg)).toEqual([66, 68]);
+      expect(result.entities[0].metrics.setpoint).toMatchObject({ min: 70, max: 72, current: 72 });
+      expect(result.entities[0].metrics.humidity.avg).toBe(41);
+    } finally {
+      store.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    }
+  });
+});
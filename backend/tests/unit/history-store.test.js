@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// The history store only needs the cache's 'change' events and seed hook
+jest.mock('../../src/device-cache', () => ({}));
+
+const { HistoryStore, dayKey } = require('../../src/history-store');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.parse('2024-03-10T12:00:00Z');
+
+const frontDoor = (state, lastChanged) => ({ id: 'binary_sensor.front_door', domain: 'binary_sensor', state, lastChanged });
+
+function createCache() {
+  const cache = new EventEmitter();
+  cache.seedLastChanged = jest.fn();
+  return cache;
+}
+
+function writeDay(directory, day, records) {
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, `${day}.jsonl`), records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+describe('HistoryStore', () => {
+  let directory;
+  let cache;
+  let now;
+  let history;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+    cache = createCache();
+    now = START;
+    history = new HistoryStore({ cache, directory, retentionDays: 7, now: () => now });
+  });
+
+  afterEach(() => {
+    history.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('should record state transitions only', async () => {
+    await history.start();
+
+    cache.emit('change', { type: 'upsert', entity: frontDoor('off', START - HOUR) });
+    cache.emit('change', { type: 'upsert', entity: frontDoor('off', START - HOUR) });
+    cache.emit('change', { type: 'upsert', entity: frontDoor('on', START) });
+    cache.emit('change', { type: 'remove', id: 'binary_sensor.front_door' });
+
+    const result = await history.query({ entities: ['binary_sensor.front_door'] });
+    expect(result.history['binary_sensor.front_door']).toEqual([
+      { at: START - HOUR, state: 'off', previous: null },
+      { at: START, state: 'on', previous: 'off' },
+      { at: START, state: 'unavailable', previous: 'on' }
+    ]);
+  });
+
+  it('should record thermostat setpoint and temperature changes while the state holds', async () => {
+    await history.start();
+    const thermostat = (attributes) => ({ id: 'climate.main', domain: 'climate', state: 'heat', lastChanged: START - HOUR, attributes });
+
+    cache.emit('change', { type: 'upsert', entity: thermostat({ temperature: '72', current_temperature: '70', hvac_action: 'heating' }) });
+    cache.emit('change', { type: 'upsert', entity: thermostat({ temperature: '72', current_temperature: '70', hvac_action: 'idle' }) });
+    now = START + HOUR;
+    cache.emit('change', { type: 'upsert', entity: thermostat({ temperature: '72', current_temperature: '71', hvac_action: 'idle' }) });
+
+    const result = await history.query({ entities: ['climate.main'], to: START + HOUR });
+    expect(result.history['climate.main']).toEqual([
+      { at: START - HOUR, state: 'heat', previous: null, attributes: { temperature: '72', current_temperature: '70' } },
+      { at: START + HOUR, state: 'heat', previous: 'heat', attributes: { temperature: '72', current_temperature: '71' } }
+    ]);
+    // lastChanged still points at the last state change
+    expect(history.lastStates.get('climate.main').at).toBe(START - HOUR);
+  });
+
+  it('should file attribute changes under the day they happen', async () => {
+    await history.start();
+    const thermostat = (attributes) => ({ id: 'climate.main', domain: 'climate', state: 'heat', lastChanged: START - 3 * DAY, attributes });
+
+    cache.emit('change', { type: 'upsert', entity: thermostat({ temperature: '72', current_temperature: '70' }) });
+    cache.emit('change', { type: 'upsert', entity: thermostat({ temperature: '68', current_temperature: '70' }) });
+
+    const result = await history.query({ entities: ['climate.main'], from: START - DAY, to: START });
+    expect(result.history['climate.main']).toEqual([
+      { at: START, state: 'heat', previous: 'heat', attributes: { temperature: '68', current_temperature: '70' } }
+    ]);
+    expect(await history.listDays()).toEqual([dayKey(START - 3 * DAY), dayKey(START)]);
+  });
+
+  it('should prepend the state in effect at the start of the range', async () => {
+    writeDay(directory, dayKey(START - 3 * DAY), [
+      { at: START - 3 * DAY, entityId: 'light.porch', state: 'on', previous: null }
+    ]);
+    writeDay(directory, dayKey(START), [
+      { at: START - HOUR, entityId: 'light.porch', state: 'off', previous: 'on' }
+    ]);
+
+    const result = await history.query({ entities: ['light.porch', 'lock.back'], from: START - 2 * HOUR, to: START, initial: true });
+    expect(result.history['light.porch'].map(record => record.state)).toEqual(['on', 'off']);
+    expect(result.history['lock.back']).toEqual([]);
+  });
+
+  it('should write one file per UTC day', async () => {
+    await history.start();
+
+    cache.emit('change', { type: 'upsert', entity: frontDoor('off', START - DAY) });
+    cache.emit('change', { type: 'upsert', entity: frontDoor('on', START) });
+    await history.query({ entities: ['binary_sensor.front_door'] });
+
+    expect(await history.listDays()).toEqual([dayKey(START - DAY), dayKey(START)]);
+  });
+
+  it('should seed lastChanged from the latest recorded state', async () => {
+    writeDay(directory, dayKey(START - DAY), [
+      { at: START - DAY, entityId: 'binary_sensor.front_door', state: 'on', previous: null },
+      { at: START - DAY + HOUR, entityId: 'binary_sensor.front_door', state: 'off', previous: 'on' }
+    ]);
+    writeDay(directory, dayKey(START), [
+      { at: START - HOUR, entityId: 'light.porch', state: 'on', previous: 'off' }
+    ]);
+
+    await history.start();
+
+    const seed = cache.seedLastChanged.mock.calls[0][0];
+    expect(seed.get('binary_sensor.front_door')).toEqual({ state: 'off', at: START - DAY + HOUR, attributes: null });
+    expect(seed.get('light.porch')).toEqual({ state: 'on', at: START - HOUR, attributes: null });
+
+    // The first refresh after a restart repeats the known state and isn't recorded again
+    cache.emit('change', { type: 'upsert', entity: frontDoor('off', START - DAY + HOUR) });
+    const result = await history.query({ entities: ['binary_sensor.front_door'], from: START - 2 * DAY, to: START });
+    expect(result.history['binary_sensor.front_door']).toHaveLength(2);
+  });
+
+  it('should query a time range across days with a per-entity limit', async () => {
+    writeDay(directory, dayKey(START - DAY), [
+      { at: START - DAY, entityId: 'sensor.office_temperature', state: '20.5', previous: null },
+      { at: START - DAY, entityId: 'light.porch', state: 'on', previous: null }
+    ]);
+    writeDay(directory, dayKey(START), [
+      { at: START - 2 * HOUR, entityId: 'sensor.office_temperature', state: '21.0', previous: '20.5' },
+      { at: START - HOUR, entityId: 'sensor.office_temperature', state: '21.5', previous: '21.0' }
+    ]);
+
+    const all = await history.query({ entities: ['sensor.office_temperature', 'lock.back'], from: START - 2 * DAY, to: START });
+    expect(all.history['sensor.office_temperature'].map(record => record.state)).toEqual(['20.5', '21.0', '21.5']);
+    expect(all.history['lock.back']).toEqual([]);
+
+    const lastDay = await history.query({ entities: ['sensor.office_temperature'] });
+    expect(lastDay.from).toBe(START - DAY);
+    expect(lastDay.history['sensor.office_temperature']).toHaveLength(3);
+
+    const limited = await history.query({ entities: ['sensor.office_temperature'], from: START - 2 * DAY, to: START, limit: 1 });
+    expect(limited.history['sensor.office_temperature']).toEqual([{ at: START - HOUR, state: '21.5', previous: '21.0' }]);
+  });
+
+  it('should delete days outside the retention window', async () => {
+    writeDay(directory, dayKey(START - 7 * DAY), [{ at: START - 7 * DAY, entityId: 'light.porch', state: 'on' }]);
+    writeDay(directory, dayKey(START - 6 * DAY), [{ at: START - 6 * DAY, entityId: 'light.porch', state: 'off' }]);
+
+    await history.start();
+
+    expect(await history.listDays()).toEqual([dayKey(START - 6 * DAY)]);
+  });
+});
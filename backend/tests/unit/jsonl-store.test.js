@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonlStore = require('../../src/jsonl-store');
+
+describe('JsonlStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-store-'));
+    store = new JsonlStore('nested/audit.jsonl', { dataDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should return nothing before the file exists', async () => {
+    await expect(store.readAll()).resolves.toEqual([]);
+  });
+
+  it('should append records in call order, creating the directory', async () => {
+    store.append({ at: 1, type: 'ack' });
+    store.append({ at: 2, type: 'snooze' });
+    await store.append({ at: 3, type: 'release' });
+
+    const content = fs.readFileSync(path.join(dataDir, 'nested/audit.jsonl'), 'utf8');
+    expect(content.trim().split('\n').map(line => JSON.parse(line).at)).toEqual([1, 2, 3]);
+  });
+
+  it('should filter by time range and keep the newest records within the limit', async () => {
+    for (let at = 1; at <= 5; at++) {
+      store.append({ at, type: at % 2 ? 'ack' : 'release' });
+    }
+
+    await expect(store.query({ since: 2, until: 4 })).resolves.toHaveLength(3);
+    await expect(store.query({ limit: 2 })).resolves.toEqual([{ at: 4, type: 'release' }, { at: 5, type: 'ack' }]);
+    await expect(store.query({ filter: record => record.type === 'ack' })).resolves.toHaveLength(3);
+  });
+
+  it('should skip unreadable lines', async () => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    await store.append({ at: 1 });
+    fs.appendFileSync(store.filePath, '{"at": 2\n');
+    await store.append({ at: 3 });
+
+    await expect(store.readAll()).resolves.toEqual([{ at: 1 }, { at: 3 }]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('line 2'));
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,138 @@
+const { parseLiveContextText } = require('../../src/live-context-parser');
+
+describe('parseLiveContextText', () => {
+  it('should skip the Live Context header and parse each entry', () => {
+    const { entries, errors } = parseLiveContextText(`Live Context: An overview of the areas and the devices in this smart home:
+- names: Kitchen Light
+  domain: light
+  state: 'on'
+- names: Front Door
+  domain: binary_sensor
+  state: 'off'`);
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      { line: 2, value: { names: 'Kitchen Light', domain: 'light', state: 'on' } },
+      { line: 5, value: { names: 'Front Door', domain: 'binary_sensor', state: 'off' } }
+    ]);
+  });
+
+  it('should keep nested attributes with typed values', () => {
+    const { entries } = parseLiveContextText(`- names: Main Thermostat
+  domain: climate
+  state: heat
+  attributes:
+    current_temperature: 70.5
+    temperature: 72
+    brightness: '255'
+    is_on: true
+    preset_mode: null
+    hvac_modes:
+    - 'off'
+    - heat
+    - cool
+    forecast:
+      high: 80
+      low: 55`);
+
+    expect(entries[0].value.attributes).toEqual({
+      current_temperature: 70.5,
+      temperature: 72,
+      brightness: '255',
+      is_on: true,
+      preset_mode: null,
+      hvac_modes: ['off', 'heat', 'cool'],
+      forecast: { high: 80, low: 55 }
+    });
+  });
+
+  it('should keep apostrophes in plain and quoted names', () => {
+    const { entries, errors } = parseLiveContextText(`- names: Jason's Lamp
+  domain: light
+  state: 'off'
+- names: 'Kid''s Room Fan'
+  domain: fan
+  state: "on"`);
+
+    expect(errors).toEqual([]);
+    expect(entries[0].value.names).toBe("Jason's Lamp");
+    expect(entries[1].value.names).toBe("Kid's Room Fan");
+    expect(entries[1].value.state).toBe('on');
+  });
+
+  it('should parse block, indented and flow sequences', () => {
+    const { entries } = parseLiveContextText(`- names:
+  - Kitchen Light
+  - Ceiling Light
+  areas:
+    - Kitchen
+    - Downstairs
+  domain: light
+  state: 'on'
+  attributes:
+    effect_list: [none, 'colorloop', "random"]
+    empty_list: []
+    empty_map: {}
+    rgb: {r: 255, g: 0}`);
+
+    const value = entries[0].value;
+    expect(value.names).toEqual(['Kitchen Light', 'Ceiling Light']);
+    expect(value.areas).toEqual(['Kitchen', 'Downstairs']);
+    expect(value.attributes.effect_list).toEqual(['none', 'colorloop', 'random']);
+    expect(value.attributes.empty_list).toEqual([]);
+    expect(value.attributes.empty_map).toEqual({});
+    expect(value.attributes.rgb).toEqual({ r: 255, g: 0 });
+  });
+
+  it('should fold long scalars wrapped onto continuation lines', () => {
+    const { entries } = parseLiveContextText(`- names: Living Room TV
+  domain: media_player
+  state: playing
+  attributes:
+    media_title: A very long episode title that PyYAML wrapped
+      onto a second line
+    media_album_name: 'Quoted album name that also
+      wraps'
+    description: "Line one\\nLine two \\u00e9"`);
+
+    const attributes = entries[0].value.attributes;
+    expect(attributes.media_title).toBe('A very long episode title that PyYAML wrapped onto a second line');
+    expect(attributes.media_album_name).toBe('Quoted album name that also wraps');
+    expect(attributes.description).toBe('Line one\nLine two é');
+  });
+
+  it('should report malformed lines with line numbers and keep parsing', () => {
+    const { entries, errors } = parseLiveContextText(`Live Context: test
+- names: Broken Light
+  domain: light
+  this line has no colon
+  state: 'on'
+- names: Bad Quote
+  domain: sensor
+  state: 'unterminated
+- names: Good Light
+  domain: light
+  state: 'off'`);
+
+    expect(errors).toEqual([
+      { line: 4, message: 'Expected "key: value" but found "this line has no colon"' },
+      { line: 8, message: 'Unterminated single-quoted string' }
+    ]);
+    expect(entries).toHaveLength(3);
+    expect(entries[0].value.state).toBe('on');
+    expect(entries[2].value.names).toBe('Good Light');
+  });
+
+  it('should report unexpected indentation', () => {
+    const { errors } = parseLiveContextText(`- names: Light
+  domain: light
+      state: 'on'`);
+
+    expect(errors).toEqual([{ line: 3, message: `Unexpected indentation: "state: 'on'"` }]);
+  });
+
+  it('should return nothing for empty input', () => {
+    expect(parseLiveContextText('')).toEqual({ entries: [], errors: [] });
+    expect(parseLiveContextText(null)).toEqual({ entries: [], errors: [] });
+  });
+});
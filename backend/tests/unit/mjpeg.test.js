@@ -0,0 +1,56 @@
+const { MjpegParser, parseBoundary, encodeFrame, MJPEG_BOUNDARY } = require('../../src/mjpeg');
+const { jpeg } = require('../fixtures/fake-camera-server');
+
+function part(frame, { boundary = 'myboundary', length = true } = {}) {
+  const headers = `--${boundary}\r\nContent-Type: image/jpeg\r\n${length ? `Content-Length: ${frame.length}\r\n` : ''}\r\n`;
+  return Buffer.concat([Buffer.from(headers), frame, Buffer.from('\r\n')]);
+}
+
+// Feed the body in small chunks so frames and delimiters straddle writes
+function parse(parser, body, chunkSize = 7) {
+  const frames = [];
+  parser.on('data', frame => frames.push(frame.toString('latin1')));
+  for (let offset = 0; offset < body.length; offset += chunkSize) {
+    parser.write(body.subarray(offset, offset + chunkSize));
+  }
+  return frames;
+}
+
+describe('parseBoundary', () => {
+  it('should read quoted, bare and dash-prefixed boundaries', () => {
+    expect(parseBoundary('multipart/x-mixed-replace; boundary=myboundary')).toBe('myboundary');
+    expect(parseBoundary('multipart/x-mixed-replace;boundary="frame boundary"')).toBe('frame boundary');
+    expect(parseBoundary('multipart/x-mixed-replace; boundary=--myboundary')).toBe('myboundary');
+    expect(parseBoundary('image/jpeg')).toBeNull();
+  });
+});
+
+describe('MjpegParser', () => {
+  const frames = [jpeg('first'), jpeg('second'), jpeg('third')];
+
+  it('should cut parts by Content-Length', () => {
+    const body = Buffer.concat(frames.map(frame => part(frame)));
+
+    expect(parse(new MjpegParser('myboundary'), body)).toEqual(frames.map(frame => frame.toString('latin1')));
+  });
+
+  it('should cut parts at the next boundary without Content-Length', () => {
+    const body = Buffer.concat(frames.map(frame => part(frame, { length: false })));
+
+    // The last part is only complete once the next delimiter arrives
+    expect(parse(new MjpegParser('myboundary'), body)).toEqual(frames.slice(0, 2).map(frame => frame.toString('latin1')));
+  });
+
+  it('should fall back to JPEG markers without a boundary', () => {
+    const body = Buffer.concat(frames.map(frame => part(frame, { boundary: 'unknown' })));
+
+    expect(parse(new MjpegParser(), body, 3)).toEqual(frames.map(frame => frame.toString('latin1')));
+  });
+
+  it('should re-frame with its own boundary', () => {
+    const body = Buffer.concat(frames.map(frame => encodeFrame(frame)));
+
+    expect(body.toString('latin1')).toContain(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frames[0].length}\r\n\r\n`);
+    expect(parse(new MjpegParser(MJPEG_BOUNDARY), body)).toHaveLength(3);
+  });
+});
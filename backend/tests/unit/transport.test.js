@@ -0,0 +1,107 @@
+jest.mock('../../src/mcp-client', () => ({}));
+jest.mock('../../src/homeassistant-client', () => ({}));
+jest.mock('../../src/ha-websocket', () => ({}));
+
+const { Transport, TransportError } = require('../../src/transport');
+
+const porch = { id: 'light.porch', name: 'Porch Light' };
+
+function backend(name) {
+  return {
+    name,
+    available: true,
+    isAvailable() { return this.available; },
+    getLiveState: jest.fn(async () => ({ transport: name })),
+    turnOn: jest.fn(async () => ({ success: true, message: 'Device turned on' }))
+  };
+}
+
+describe('Transport', () => {
+  let mcp;
+  let rest;
+  let transport;
+
+  beforeEach(() => {
+    mcp = backend('mcp');
+    rest = backend('rest');
+    transport = new Transport({ backends: [mcp, rest], preferred: 'mcp', retryAfter: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use the preferred backend while it is healthy', async () => {
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'mcp' });
+    await transport.turnOn(porch);
+
+    expect(mcp.turnOn).toHaveBeenCalledWith(porch);
+    expect(rest.turnOn).not.toHaveBeenCalled();
+    expect(transport.getStatus()).toMatchObject({ active: 'mcp', preferred: 'mcp' });
+  });
+
+  it('should honor a REST preference', async () => {
+    transport = new Transport({ backends: [mcp, rest], preferred: 'rest' });
+
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'rest' });
+  });
+
+  it('should fail over when the active backend cannot carry the call', async () => {
+    const switches = [];
+    transport.on('switch', change => switches.push(change));
+    await transport.getLiveState();
+
+    mcp.getLiveState.mockRejectedValue(new TransportError('MCP request timeout: tools/call'));
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'rest' });
+
+    expect(switches).toEqual([
+      { from: null, to: 'mcp', reason: 'preferred transport' },
+      { from: 'mcp', to: 'rest', reason: 'MCP request timeout: tools/call' }
+    ]);
+    expect(transport.getStatus().backends).toEqual([
+      expect.objectContaining({ name: 'mcp', healthy: false, lastError: 'MCP request timeout: tools/call' }),
+      expect.objectContaining({ name: 'rest', healthy: true, lastError: null })
+    ]);
+  });
+
+  it('should skip a disconnected backend without calling it', async () => {
+    mcp.available = false;
+
+    await transport.turnOn(porch);
+
+    expect(mcp.turnOn).not.toHaveBeenCalled();
+    expect(rest.turnOn).toHaveBeenCalledWith(porch);
+  });
+
+  it('should not fail over when Home Assistant refuses the request', async () => {
+    mcp.turnOn.mockResolvedValue({ success: false, message: 'No device matched' });
+    await expect(transport.turnOn(porch)).resolves.toEqual({ success: false, message: 'No device matched' });
+
+    mcp.turnOn.mockRejectedValue(new Error('Request failed with status code 400'));
+    await expect(transport.turnOn(porch)).rejects.toThrow('status code 400');
+    expect(rest.turnOn).not.toHaveBeenCalled();
+  });
+
+  it('should go back to the preferred backend once it has recovered', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    mcp.getLiveState.mockRejectedValueOnce(new TransportError('MCP client not connected'));
+
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'rest' });
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'rest' });
+    expect(mcp.getLiveState).toHaveBeenCalledTimes(1);
+
+    now += 30000;
+    await expect(transport.getLiveState()).resolves.toEqual({ transport: 'mcp' });
+    expect(transport.getStatus().active).toBe('mcp');
+  });
+
+  it('should report the last error when every backend fails', async () => {
+    mcp.getLiveState.mockRejectedValue(new TransportError('MCP client not connected'));
+    rest.getLiveState.mockRejectedValue(new TransportError('connect ECONNREFUSED'));
+
+    await expect(transport.getLiveState()).rejects.toThrow('ECONNREFUSED');
+    expect(transport.isAvailable()).toBe(false);
+    expect(transport.getStatus().active).toBe(null);
+  });
+});
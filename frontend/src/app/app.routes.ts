@@ -6,5 +6,13 @@ export const routes: Routes = [
     path: 'dashboard',
     loadComponent: () => import('./components/dashboard/dashboard.component').then(m => m.DashboardComponent)
   },
+  {
+    path: 'areas',
+    loadComponent: () => import('./components/area-overview/area-overview.component').then(m => m.AreaOverviewComponent)
+  },
+  {
+    path: 'areas/:area',
+    loadComponent: () => import('./components/area-detail/area-detail.component').then(m => m.AreaDetailComponent)
+  },
   { path: '**', redirectTo: '/dashboard' }
 ];
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { Component, Input } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatIconModule } from '@angular/material/icon';
+import { Device } from '../../models/device.model';
+
+// Persistent banner for ALERT-level devices. There is deliberately no dismiss
+// control: it only goes away when the backend stops reporting the condition.
+@Component({
+  selector: 'app-alert-banner',
+  standalone: true,
+  imports: [CommonModule, MatIconModule],
+  templateUrl: './alert-banner.component.html',
+  styleUrls: ['./alert-banner.component.scss']
+})
+export class AlertBannerComponent {
+  @Input() devices: Device[] = [];
+
+  getTitle(): string {
+    return this.devices.length === 1
+      ? `ALERT: ${this.devices[0].name}`
+      : `ALERT: ${this.devices.length} safety conditions`;
+  }
+
+  getDeviceIcon(device: Device): string {
+    if (device.domain === 'lock') return 'lock_reset';
+
+    switch (device.attributes?.['device_class']) {
+      case 'moisture': return 'water_damage';
+      case 'smoke': return 'local_fire_department';
+      case 'gas':
+      case 'carbon_monoxide': return 'co2';
+      default: return 'warning';
+    }
+  }
+
+  getDeviceStatus(device: Device): string {
+    if (device.domain === 'lock') return 'Jammed';
+
+    switch (device.attributes?.['device_class']) {
+      case 'moisture': return 'Leak detected';
+      case 'smoke': return 'Smoke detected';
+      case 'gas': return 'Gas detected';
+      case 'carbon_monoxide': return 'CO detected';
+      default: return 'Problem detected';
+    }
+  }
+
+  getSince(device: Device): string {
+    if (!device.lastChanged) return '';
+
+    return new Date(device.lastChanged).toLocaleTimeString('en-US', {
+      timeZone: 'America/Denver',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  }
+
+  trackById(index: number, device: Device): string {
+    return device.id;
+  }
+}
@@ -0,0 +1,155 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+import { MatIconModule } from '@angular/material/icon';
+import { MatButtonModule } from '@angular/material/button';
+import { MatProgressSpinnerModule } from '@angular/material/progress-spinner';
+import { MatSnackBar, MatSnackBarModule } from '@angular/material/snack-bar';
+import { MatDialog } from '@angular/material/dialog';
+import { EMPTY, Subject, combineLatest } from 'rxjs';
+import { auditTime, catchError, map, switchMap, takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Area } from '../../models/area.model';
+import { Device } from '../../models/device.model';
+import { DeviceCardComponent } from '../device-card/device-card.component';
+import { ClimateTrendsComponent } from '../climate-trends/climate-trends.component';
+import { getDeviceIcon, getSecuredAction, isToggleableDevice } from '../../utils/device-display';
+import { SECURED_ACTION_LABELS, controlSecuredDevice } from '../../utils/guarded-control';
+import { ThermostatDialComponent } from '../thermostat-dial/thermostat-dial.component';
+
+// /areas/:area: every entity in one room with its controls
+@Component({
+  selector: 'app-area-detail',
+  standalone: true,
+  imports: [
+    CommonModule,
+    RouterLink,
+    MatIconModule,
+    MatButtonModule,
+    MatProgressSpinnerModule,
+    MatSnackBarModule,
+    DeviceCardComponent,
+    ClimateTrendsComponent
+  ],
+  templateUrl: './area-detail.component.html',
+  styleUrls: ['./area-detail.component.scss']
+})
+export class AreaDetailComponent implements OnInit, OnDestroy {
+  areaName = '';
+  area: Area | null = null;
+  devices: Device[] = [];
+  climateDevices: Device[] = [];
+  loading = true;
+  notFound = false;
+  private destroy$ = new Subject<void>();
+
+  constructor(
+    private route: ActivatedRoute,
+    private haService: HomeAssistantService,
+    private snackBar: MatSnackBar,
+    private dialog: MatDialog
+  ) {}
+
+  ngOnInit(): void {
+    combineLatest([
+      this.route.paramMap.pipe(map(params => params.get('area') || '')),
+      this.haService.getDashboardState()
+    ])
+      .pipe(
+        auditTime(1000),
+        switchMap(([name]) => {
+          this.areaName = name;
+          return this.haService.getArea(name).pipe(
+            catchError(error => {
+              console.error(`Failed to load area ${name}:`, error);
+              this.area = null;
+              this.loading = false;
+              this.notFound = error.status === 404;
+              return EMPTY;
+            })
+          );
+        }),
+        takeUntil(this.destroy$)
+      )
+      .subscribe(area => {
+        this.area = area;
+        this.devices = [...area.devices].sort((a, b) => a.domain.localeCompare(b.domain) || a.name.localeCompare(b.name));
+        this.climateDevices = area.devices.filter(device => device.domain === 'climate' || this.isClimateSensor(device));
+        this.loading = false;
+        this.notFound = false;
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  getDeviceIcon(device: Device): string {
+    return getDeviceIcon(device);
+  }
+
+  isClickableDevice(device: Device): boolean {
+    return isToggleableDevice(device) || getSecuredAction(device) !== null || device.domain === 'climate';
+  }
+
+  private openThermostat(device: Device): void {
+    this.dialog.open(ThermostatDialComponent, {
+      data: { device },
+      maxWidth: '95vw',
+      autoFocus: false
+    });
+  }
+
+  // Locks and covers: the backend asks for the PIN/confirmation when needed
+  private controlSecuredDevice(device: Device): void {
+    const action = getSecuredAction(device)!;
+
+    controlSecuredDevice(this.dialog, this.haService, device, action).subscribe({
+      next: () => {
+        this.snackBar.open(`${SECURED_ACTION_LABELS[action]} ${device.name}`, 'Dismiss', { duration: 2000 });
+      },
+      error: (error) => {
+        this.snackBar.open(error.error?.error || `Failed to ${action} ${device.name}`, 'Dismiss', {
+          duration: 5000,
+          panelClass: 'error-snackbar'
+        });
+        console.error(`${action} error:`, error);
+      }
+    });
+  }
+
+  onDeviceClick(device: Device): void {
+    if (!this.isClickableDevice(device)) return;
+    if (getSecuredAction(device)) {
+      this.controlSecuredDevice(device);
+      return;
+    }
+    if (device.domain === 'climate') {
+      this.openThermostat(device);
+      return;
+    }
+
+    this.haService.toggleDevice(device.id).subscribe({
+      next: () => {
+        this.snackBar.open(`${device.name} toggled`, 'Dismiss', { duration: 2000 });
+      },
+      error: (error) => {
+        this.snackBar.open(`Failed to toggle ${device.name}`, 'Dismiss', {
+          duration: 3000,
+          panelClass: 'error-snackbar'
+        });
+        console.error('Toggle error:', error);
+      }
+    });
+  }
+
+  trackById(index: number, device: Device): string {
+    return device.id;
+  }
+
+  private isClimateSensor(device: Device): boolean {
+    return device.domain === 'sensor' && ['temperature', 'humidity'].includes(device.attributes?.['device_class']);
+  }
+}
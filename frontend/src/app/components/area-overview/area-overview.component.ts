@@ -0,0 +1,74 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { RouterLink } from '@angular/router';
+import { MatIconModule } from '@angular/material/icon';
+import { MatButtonModule } from '@angular/material/button';
+import { MatProgressSpinnerModule } from '@angular/material/progress-spinner';
+import { EMPTY, Subject } from 'rxjs';
+import { auditTime, catchError, switchMap, takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Area } from '../../models/area.model';
+
+// /areas: one tile per Home Assistant area with its open doors, lights on,
+// temperature and motion. Re-fetched from /api/areas as dashboard patches arrive.
+@Component({
+  selector: 'app-area-overview',
+  standalone: true,
+  imports: [CommonModule, RouterLink, MatIconModule, MatButtonModule, MatProgressSpinnerModule],
+  templateUrl: './area-overview.component.html',
+  styleUrls: ['./area-overview.component.scss']
+})
+export class AreaOverviewComponent implements OnInit, OnDestroy {
+  areas: Area[] = [];
+  loading = true;
+  error = false;
+  private destroy$ = new Subject<void>();
+
+  constructor(private haService: HomeAssistantService) {}
+
+  ngOnInit(): void {
+    this.haService.getDashboardState()
+      .pipe(
+        auditTime(1000),
+        switchMap(() => this.haService.getAreas().pipe(
+          catchError(error => {
+            console.error('Failed to load areas:', error);
+            this.loading = false;
+            this.error = true;
+            return EMPTY;
+          })
+        )),
+        takeUntil(this.destroy$)
+      )
+      .subscribe(state => {
+        this.areas = state.areas;
+        this.loading = false;
+        this.error = false;
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  isQuiet(area: Area): boolean {
+    return area.summary.openDoors === 0 && area.summary.activeLights === 0 && !area.summary.motion;
+  }
+
+  getMotionText(area: Area): string {
+    if (area.summary.motion) return 'Motion now';
+    if (!area.summary.lastMotion) return 'No motion sensor';
+
+    const minutes = Math.floor((Date.now() - area.summary.lastMotion) / 60000);
+    if (minutes < 60) return `Motion ${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `Motion ${hours}h ago`;
+    return `Motion ${Math.floor(hours / 24)}d ago`;
+  }
+
+  trackByName(index: number, area: Area): string {
+    return area.name;
+  }
+}
@@ -2,27 +2,29 @@ import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { MatIconModule } from '@angular/material/icon';
 import { MatButtonModule } from '@angular/material/button';
-import { MatDialog } from '@angular/material/dialog';
-import { Subject, interval } from 'rxjs';
-import { takeUntil } from 'rxjs/operators';
+import { MatDialog, MatDialogRef } from '@angular/material/dialog';
+import { Subject, combineLatest, interval } from 'rxjs';
+import { switchMap, takeUntil, tap } from 'rxjs/operators';
 
 import { HomeAssistantService } from '../../services/homeassistant.service';
 import { Device } from '../../models/device.model';
+import { Camera, DoorbellVisit } from '../../models/camera.model';
+import { watchLowBandwidth } from '../../utils/low-bandwidth';
 import { CameraOverlayComponent, CameraOverlayData } from '../camera-overlay/camera-overlay.component';
+import { DoorbellPanelComponent, DoorbellPanelData } from '../doorbell-panel/doorbell-panel.component';
 
-interface CameraConfig {
-  name: string;
+interface CameraConfig extends Camera {
   streamUrl: string;
-  mqttEntityId: string;
-  alwaysVisible: boolean;
-  position?: { row: number; col: number }; // For small squares
+  largeSnapshotUrl: string;
+  smallSnapshotUrl: string;
 }
 
 interface CameraState {
   config: CameraConfig;
   isAlerting: boolean;
+  isSnoozed: boolean; // acknowledged/snoozed motion doesn't take over the large view
+  alertingEntityIds: string[]; // linked motion/person entities currently detecting
   lastChanged: number | null;
-  mqttDevice?: Device;
 }
 
 @Component({
@@ -38,48 +40,19 @@ interface CameraState {
 })
 export class CameraGridComponent implements OnInit, OnDestroy {
   private destroy$ = new Subject<void>();
+  private doorbellPanel: MatDialogRef<DoorbellPanelComponent> | null = null;
+  private shownRingIds = new Set<string>();
   
-  // Camera configuration with HTTP proxy streams (Blue Iris via backend)
-  private cameraConfigs: CameraConfig[] = [
-    {
-      name: 'FrontDoor',
-      streamUrl: 'http://localhost:3000/api/camera/FrontDoor',
-      mqttEntityId: 'Front Door Camera Motion MQTT',
-      alwaysVisible: true,
-      position: { row: 0, col: 0 }
-    },
-    {
-      name: 'FrontYard',
-      streamUrl: 'http://localhost:3000/api/camera/FrontYard',
-      mqttEntityId: 'Front Yard Motion MQTT',
-      alwaysVisible: true,
-      position: { row: 0, col: 1 }
-    },
-    {
-      name: 'Garage',
-      streamUrl: 'http://localhost:3000/api/camera/Garage',
-      mqttEntityId: 'Garage Motion MQTT',
-      alwaysVisible: true,
-      position: { row: 0, col: 2 }
-    },
-    {
-      name: 'Doorbell',
-      streamUrl: 'http://localhost:3000/api/camera/Doorbell',
-      mqttEntityId: 'Doorbell Person Detected MQTT',
-      alwaysVisible: false
-    },
-    {
-      name: 'BackyardEast',
-      streamUrl: 'http://localhost:3000/api/camera/BackyardEast',
-      mqttEntityId: 'Backyard East Camera Motion MQTT',
-      alwaysVisible: false
-    }
-  ];
-
   cameraStates: CameraState[] = [];
   currentLargeCameraIndex = 0;
   alertOverrideCameraIndex: number | null = null;
   rotationTimer = 15000; // 15 seconds
+
+  // Small squares always show stills refreshed every snapshotRefreshSeconds;
+  // the large square does too while the device is on cellular or battery
+  snapshotRefreshSeconds = 5;
+  snapshotTick = Date.now();
+  lowBandwidth = false;
   
   // Stream state management
   streamErrors: Map<string, boolean> = new Map();
@@ -91,8 +64,8 @@ export class CameraGridComponent implements OnInit, OnDestroy {
   ) {}
 
   ngOnInit(): void {
-    this.initializeCameraStates();
     this.startCameraRotation();
+    this.startSnapshotRefresh();
     this.subscribeToDeviceUpdates();
   }
 
@@ -101,13 +74,27 @@ export class CameraGridComponent implements OnInit, OnDestroy {
     this.destroy$.complete();
   }
 
-  private initializeCameraStates(): void {
-    this.cameraStates = this.cameraConfigs.map(config => ({
-      config,
-      isAlerting: false,
-      lastChanged: null,
-      mqttDevice: undefined
-    }));
+  // Cameras come from the backend registry; positioned ones first, by row then column
+  private initializeCameraStates(cameras: Camera[]): void {
+    const order = (camera: Camera) => camera.position
+      ? camera.position.row * 1000 + camera.position.col
+      : Number.MAX_SAFE_INTEGER;
+
+    this.cameraStates = [...cameras]
+      .sort((a, b) => order(a) - order(b))
+      .map(camera => ({
+        config: {
+          ...camera,
+          streamUrl: this.haService.getCameraStreamUrl(camera),
+          largeSnapshotUrl: this.haService.getCameraSnapshotUrl(camera, 640, 480),
+          smallSnapshotUrl: this.haService.getCameraSnapshotUrl(camera, 320, 240)
+        },
+        isAlerting: false,
+        isSnoozed: false,
+        alertingEntityIds: [],
+        lastChanged: null
+      }));
+    this.currentLargeCameraIndex = 0;
   }
 
   private startCameraRotation(): void {
@@ -121,6 +108,21 @@ export class CameraGridComponent implements OnInit, OnDestroy {
       });
   }
 
+  private startSnapshotRefresh(): void {
+    watchLowBandwidth()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(lowBandwidth => this.lowBandwidth = lowBandwidth);
+
+    // Hidden tabs (idle displays) stop refreshing until they are shown again
+    interval(this.snapshotRefreshSeconds * 1000)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => {
+        if (!document.hidden) {
+          this.snapshotTick = Date.now();
+        }
+      });
+  }
+
   private rotateToNextAlwaysVisibleCamera(): void {
     const alwaysVisibleIndices = this.cameraStates
       .map((state, index) => state.config.alwaysVisible ? index : -1)
@@ -134,38 +136,79 @@ export class CameraGridComponent implements OnInit, OnDestroy {
   }
 
   private subscribeToDeviceUpdates(): void {
-    this.haService.getDashboardState()
+    this.haService.getCameras()
+      .pipe(
+        tap(cameras => {
+          this.initializeCameraStates(cameras);
+          this.subscribeToDoorbellRings();
+        }),
+        switchMap(() => combineLatest([this.haService.getDashboardState(), this.haService.getSuppressions()])),
+        takeUntil(this.destroy$)
+      )
+      .subscribe({
+        next: ([dashboardState, suppressions]) => {
+          if (dashboardState) {
+            const suppressedIds = new Set(suppressions.map(suppression => suppression.alertId));
+            this.updateCameraStatesFromDevices(dashboardState, suppressedIds);
+            this.checkForNewAlerts();
+          }
+        },
+        error: (error) => console.error('Failed to load cameras:', error)
+      });
+  }
+
+  // A new ring opens the doorbell panel (one at a time; it closes itself when
+  // the ring ends). Rings already shown don't reopen after a manual close.
+  private subscribeToDoorbellRings(): void {
+    this.haService.getDoorbellRings()
       .pipe(takeUntil(this.destroy$))
-      .subscribe(dashboardState => {
-        if (dashboardState) {
-          this.updateCameraStatesFromDevices(dashboardState);
-          this.checkForNewAlerts();
-        }
+      .subscribe(rings => {
+        const ring = rings.find(candidate => !this.shownRingIds.has(`${candidate.camera}:${candidate.id}`));
+        const cameraState = ring && this.cameraStates.find(state => state.config.id === ring.camera);
+        if (!ring || !cameraState || this.doorbellPanel) return;
+
+        this.shownRingIds.add(`${ring.camera}:${ring.id}`);
+        this.openDoorbellPanel(cameraState, ring);
       });
   }
 
-  private updateCameraStatesFromDevices(dashboardState: any): void {
+  private openDoorbellPanel(cameraState: CameraState, visit: DoorbellVisit): void {
+    const data: DoorbellPanelData = { camera: cameraState.config, visit };
+
+    this.doorbellPanel = this.dialog.open(DoorbellPanelComponent, {
+      data,
+      panelClass: 'camera-overlay-dialog',
+      hasBackdrop: true,
+      disableClose: false,
+      autoFocus: false
+    });
+    this.doorbellPanel.afterClosed().subscribe(() => this.doorbellPanel = null);
+  }
+
+  private updateCameraStatesFromDevices(dashboardState: any, suppressedIds: Set<string>): void {
     // Get all devices from all categories
-    const allDevices: Device[] = [
+    const devicesById = new Map<string, Device>();
+    [
       ...(dashboardState.doors?.devices || []),
       ...(dashboardState.lights?.devices || []),
       ...(dashboardState.security?.devices || []),
       ...(dashboardState.climate?.devices || []),
       ...(dashboardState.media?.devices || [])
-    ];
+    ].forEach((device: Device) => devicesById.set(device.id, device));
 
-    // Update camera states based on MQTT entities
+    // A camera alerts while any of its motion/person entities detects
     this.cameraStates.forEach(cameraState => {
-      const mqttDevice = allDevices.find(device => 
-        device.name === cameraState.config.mqttEntityId || 
-        device.id === cameraState.config.mqttEntityId
-      );
-
-      if (mqttDevice) {
-        cameraState.mqttDevice = mqttDevice;
-        cameraState.isAlerting = mqttDevice.state === 'detected' || mqttDevice.state === 'on';
-        cameraState.lastChanged = mqttDevice.lastChanged || null;
-      }
+      const linked = [...cameraState.config.motionEntities, ...cameraState.config.personEntities]
+        .map(entityId => devicesById.get(entityId))
+        .filter((device): device is Device => !!device);
+      const alerting = linked.filter(device => device.state === 'detected' || device.state === 'on');
+
+      cameraState.alertingEntityIds = alerting.map(device => device.id);
+      cameraState.isAlerting = alerting.length > 0;
+      cameraState.isSnoozed = cameraState.isAlerting && alerting.every(device => suppressedIds.has(device.id));
+
+      const changes = linked.map(device => device.lastChanged || 0).filter(Boolean);
+      cameraState.lastChanged = changes.length > 0 ? Math.max(...changes) : null;
     });
   }
 
@@ -173,7 +216,7 @@ export class CameraGridComponent implements OnInit, OnDestroy {
     // Find the most recent alert
     const alertingCameras = this.cameraStates
       .map((state, index) => ({ state, index }))
-      .filter(({ state }) => state.isAlerting)
+      .filter(({ state }) => state.isAlerting && !state.isSnoozed)
       .sort((a, b) => (b.state.lastChanged || 0) - (a.state.lastChanged || 0));
 
     if (alertingCameras.length > 0) {
@@ -190,6 +233,16 @@ export class CameraGridComponent implements OnInit, OnDestroy {
     return this.cameraStates[this.currentLargeCameraIndex] || null;
   }
 
+  getLargeImageUrl(cameraState: CameraState): string {
+    return this.lowBandwidth
+      ? `${cameraState.config.largeSnapshotUrl}&t=${this.snapshotTick}`
+      : cameraState.config.streamUrl;
+  }
+
+  getSmallImageUrl(cameraState: CameraState): string {
+    return `${cameraState.config.smallSnapshotUrl}&t=${this.snapshotTick}`;
+  }
+
   getAlwaysVisibleCameras(): CameraState[] {
     return this.cameraStates.filter(state => state.config.alwaysVisible);
   }
@@ -216,13 +269,22 @@ export class CameraGridComponent implements OnInit, OnDestroy {
     }
   }
 
+  snoozeCamera(cameraState: CameraState, event: Event, minutes = 30): void {
+    event.stopPropagation();
+    cameraState.alertingEntityIds.forEach(entityId => {
+      this.haService.snoozeAlert(entityId, minutes).subscribe({
+        error: (error) => console.error(`Failed to snooze ${cameraState.config.name}:`, error)
+      });
+    });
+  }
+
   onCameraIconClick(cameraState: CameraState): void {
     this.openCameraOverlay(cameraState);
   }
 
 
   trackByCameraName(index: number, cameraState: CameraState): string {
-    return cameraState.config.name;
+    return cameraState.config.id;
   }
 
   // Video stream handling methods
@@ -260,8 +322,10 @@ export class CameraGridComponent implements OnInit, OnDestroy {
 
   openCameraOverlay(cameraState: CameraState): void {
     const dialogData: CameraOverlayData = {
+      cameraId: cameraState.config.id,
       cameraName: cameraState.config.name,
       streamUrl: cameraState.config.streamUrl,
+      ptz: cameraState.config.ptz,
       isAlerting: cameraState.isAlerting
     };
 
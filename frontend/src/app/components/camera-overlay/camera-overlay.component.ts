@@ -3,10 +3,17 @@ import { CommonModule } from '@angular/common';
 import { MatDialogRef, MAT_DIALOG_DATA, MatDialogModule } from '@angular/material/dialog';
 import { MatButtonModule } from '@angular/material/button';
 import { MatIconModule } from '@angular/material/icon';
+import { Observable, Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Camera, CameraEvent, CameraPreset, CameraPtzAction } from '../../models/camera.model';
 
 export interface CameraOverlayData {
+  cameraId: string;
   cameraName: string;
   streamUrl: string;
+  ptz: Camera['ptz'];
   isAlerting: boolean;
 }
 
@@ -39,10 +46,44 @@ export interface CameraOverlayData {
                #videoImg>
           
           <!-- Status indicator -->
-          <div class="status-indicator" [class.alerting]="data.isAlerting">
+          <div class="status-indicator" [class.alerting]="data.isAlerting" *ngIf="!playingEvent">
             <mat-icon>{{ data.isAlerting ? 'warning' : 'videocam' }}</mat-icon>
             <span>{{ data.isAlerting ? 'MOTION DETECTED' : 'MONITORING' }}</span>
           </div>
+          <div class="status-indicator playback" *ngIf="playingEvent">
+            <mat-icon>history</mat-icon>
+            <span>{{ playingEvent.trigger === 'person' ? 'PERSON' : 'MOTION' }} · {{ playingEvent.triggeredAt | date:'MMM d, h:mm:ss a' }}</span>
+          </div>
+          
+          <!-- Pan/tilt/zoom pad for cameras whose source can move them -->
+          <div class="ptz-controls" *ngIf="data.ptz && !playingEvent">
+            <div class="ptz-pad">
+              <button mat-icon-button class="ptz-up" title="Tilt up" [disabled]="ptzBusy" (click)="move('up')">
+                <mat-icon>keyboard_arrow_up</mat-icon>
+              </button>
+              <button mat-icon-button class="ptz-left" title="Pan left" [disabled]="ptzBusy" (click)="move('left')">
+                <mat-icon>keyboard_arrow_left</mat-icon>
+              </button>
+              <button mat-icon-button class="ptz-home" title="Home position" [disabled]="ptzBusy" (click)="move('home')">
+                <mat-icon>home</mat-icon>
+              </button>
+              <button mat-icon-button class="ptz-right" title="Pan right" [disabled]="ptzBusy" (click)="move('right')">
+                <mat-icon>keyboard_arrow_right</mat-icon>
+              </button>
+              <button mat-icon-button class="ptz-down" title="Tilt down" [disabled]="ptzBusy" (click)="move('down')">
+                <mat-icon>keyboard_arrow_down</mat-icon>
+              </button>
+            </div>
+            <div class="ptz-zoom">
+              <button mat-icon-button title="Zoom in" [disabled]="ptzBusy" (click)="move('zoomIn')">
+                <mat-icon>zoom_in</mat-icon>
+              </button>
+              <button mat-icon-button title="Zoom out" [disabled]="ptzBusy" (click)="move('zoomOut')">
+                <mat-icon>zoom_out</mat-icon>
+              </button>
+            </div>
+            <div class="ptz-error" *ngIf="ptzError">{{ ptzError }}</div>
+          </div>
           
           <!-- Error fallback -->
           <div class="video-error" *ngIf="hasVideoError">
@@ -57,7 +98,42 @@ export interface CameraOverlayData {
         </div>
       </div>
       
+      <!-- Recorded motion/person events, newest first -->
+      <div class="event-timeline" *ngIf="events.length > 0">
+        <button class="event-item"
+                *ngFor="let event of events; trackBy: trackByEventId"
+                [class.playing]="playingEvent?.id === event.id"
+                [title]="'Play ' + event.trigger + ' clip from ' + (event.triggeredAt | date:'medium')"
+                (click)="playEvent(event)">
+          <img [src]="getThumbnailUrl(event)" [alt]="event.trigger + ' event'" loading="lazy">
+          <span class="event-label">
+            <mat-icon>{{ event.trigger === 'person' ? 'person' : 'directions_run' }}</mat-icon>
+            {{ event.triggeredAt | date:'MMM d, h:mm a' }}
+          </span>
+        </button>
+      </div>
+      
+      <div class="preset-strip" *ngIf="data.ptz?.presets?.length && !playingEvent">
+        <button mat-stroked-button
+                *ngFor="let preset of data.ptz!.presets"
+                [class.active]="activePreset === preset.number"
+                [disabled]="ptzBusy"
+                (click)="gotoPreset(preset)">
+          {{ preset.name }}
+        </button>
+      </div>
+      
       <div class="overlay-actions" mat-dialog-actions>
+        <ng-container *ngIf="playingEvent">
+          <button mat-stroked-button (click)="playEvent(playingEvent)">
+            <mat-icon>replay</mat-icon>
+            Replay
+          </button>
+          <button mat-stroked-button (click)="showLive()">
+            <mat-icon>videocam</mat-icon>
+            Live
+          </button>
+        </ng-container>
         <button mat-raised-button color="primary" mat-dialog-close>
           Close
         </button>
@@ -137,6 +213,10 @@ export interface CameraOverlayData {
         animation: pulse 1.5s infinite;
       }
       
+      &.playback {
+        color: #ffb74d;
+      }
+      
       mat-icon {
         font-size: 18px;
         width: 18px;
@@ -144,6 +224,124 @@ export interface CameraOverlayData {
       }
     }
     
+    .ptz-controls {
+      position: absolute;
+      bottom: 16px;
+      right: 16px;
+      display: flex;
+      align-items: flex-end;
+      gap: 8px;
+    }
+    
+    .ptz-pad {
+      display: grid;
+      grid-template-columns: repeat(3, 40px);
+      grid-template-rows: repeat(3, 40px);
+      background: rgba(0, 0, 0, 0.6);
+      border-radius: 50%;
+      
+      .ptz-up { grid-area: 1 / 2; }
+      .ptz-left { grid-area: 2 / 1; }
+      .ptz-home { grid-area: 2 / 2; }
+      .ptz-right { grid-area: 2 / 3; }
+      .ptz-down { grid-area: 3 / 2; }
+    }
+    
+    .ptz-pad button,
+    .ptz-zoom button {
+      width: 40px;
+      height: 40px;
+      padding: 8px;
+      color: #ffffff;
+    }
+    
+    .ptz-zoom {
+      display: flex;
+      flex-direction: column;
+      background: rgba(0, 0, 0, 0.6);
+      border-radius: 20px;
+    }
+    
+    .ptz-error {
+      position: absolute;
+      bottom: 100%;
+      right: 0;
+      margin-bottom: 8px;
+      padding: 4px 12px;
+      background: rgba(244, 67, 54, 0.9);
+      border-radius: 12px;
+      color: #ffffff;
+      font-size: 12px;
+      white-space: nowrap;
+    }
+    
+    .preset-strip {
+      display: flex;
+      gap: 8px;
+      padding: 8px 24px;
+      overflow-x: auto;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+      
+      button {
+        flex: 0 0 auto;
+        color: #ffffff;
+        
+        &.active {
+          border-color: #4fc3f7;
+          color: #4fc3f7;
+        }
+      }
+    }
+    
+    .event-timeline {
+      display: flex;
+      gap: 8px;
+      padding: 8px 24px;
+      overflow-x: auto;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+    }
+    
+    .event-item {
+      flex: 0 0 auto;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      width: 120px;
+      padding: 0;
+      background: none;
+      border: 2px solid transparent;
+      border-radius: 8px;
+      overflow: hidden;
+      color: #ffffff;
+      cursor: pointer;
+      
+      &.playing {
+        border-color: #ffb74d;
+      }
+      
+      img {
+        width: 100%;
+        height: 68px;
+        object-fit: cover;
+        background: #000000;
+      }
+      
+      .event-label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 0 4px 4px;
+        font-size: 11px;
+        white-space: nowrap;
+        
+        mat-icon {
+          font-size: 14px;
+          width: 14px;
+          height: 14px;
+        }
+      }
+    }
+    
     .video-error {
       position: absolute;
       top: 50%;
@@ -177,6 +375,7 @@ export interface CameraOverlayData {
       border-top: 1px solid rgba(255, 255, 255, 0.1);
       display: flex;
       justify-content: flex-end;
+      gap: 8px;
     }
     
     @keyframes pulse {
@@ -207,20 +406,31 @@ export interface CameraOverlayData {
 export class CameraOverlayComponent implements OnInit, OnDestroy {
   hasVideoError = false;
   private refreshInterval: any;
+  private destroy$ = new Subject<void>();
   currentStreamUrl: string = '';
+  events: CameraEvent[] = [];
+  playingEvent: CameraEvent | null = null;
+  ptzBusy = false;
+  ptzError: string | null = null;
+  activePreset: number | null = null;
 
   constructor(
     public dialogRef: MatDialogRef<CameraOverlayComponent>,
-    @Inject(MAT_DIALOG_DATA) public data: CameraOverlayData
+    @Inject(MAT_DIALOG_DATA) public data: CameraOverlayData,
+    private haService: HomeAssistantService
   ) {
     // Initialize with cache-busted URL
     this.currentStreamUrl = this.generateStreamUrl();
   }
 
   ngOnInit() {
+    this.loadEvents();
+
     // Force refresh the stream periodically to ensure it stays live
     this.refreshInterval = setInterval(() => {
-      this.refreshStream();
+      if (!this.playingEvent) {
+        this.refreshStream();
+      }
     }, 30000); // Refresh every 30 seconds
   }
 
@@ -228,6 +438,17 @@ export class CameraOverlayComponent implements OnInit, OnDestroy {
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
     }
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  loadEvents(): void {
+    this.haService.getCameraEvents(this.data.cameraId)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (events) => this.events = events,
+        error: (error) => console.error(`Failed to load events for ${this.data.cameraName}:`, error)
+      });
   }
 
   generateStreamUrl(): string {
@@ -242,6 +463,52 @@ export class CameraOverlayComponent implements OnInit, OnDestroy {
     this.currentStreamUrl = this.generateStreamUrl();
   }
 
+  // Replays the recorded clip at its original pace in place of the live stream
+  playEvent(event: CameraEvent): void {
+    this.playingEvent = event;
+    this.hasVideoError = false;
+    this.currentStreamUrl = this.haService.getCameraEventClipUrl(event);
+  }
+
+  showLive(): void {
+    this.playingEvent = null;
+    this.hasVideoError = false;
+    this.refreshStream();
+    this.loadEvents();
+  }
+
+  move(action: CameraPtzAction): void {
+    this.sendPtz(this.haService.moveCamera(this.data.cameraId, action), null);
+  }
+
+  gotoPreset(preset: CameraPreset): void {
+    this.sendPtz(this.haService.gotoCameraPreset(this.data.cameraId, preset.number), preset.number);
+  }
+
+  private sendPtz(request: Observable<any>, preset: number | null): void {
+    this.ptzBusy = true;
+    this.ptzError = null;
+    request.pipe(takeUntil(this.destroy$)).subscribe({
+      next: () => {
+        this.ptzBusy = false;
+        this.activePreset = preset;
+      },
+      error: (error) => {
+        this.ptzBusy = false;
+        this.ptzError = error.error?.error || 'Camera did not respond';
+        console.error(`PTZ failed for ${this.data.cameraName}:`, error);
+      }
+    });
+  }
+
+  getThumbnailUrl(event: CameraEvent): string {
+    return this.haService.getCameraEventThumbnailUrl(event);
+  }
+
+  trackByEventId(index: number, event: CameraEvent): string {
+    return event.id;
+  }
+
   onVideoError(event: any): void {
     console.warn(`Overlay video error for ${this.data.cameraName}:`, event);
     this.hasVideoError = true;
@@ -259,6 +526,10 @@ export class CameraOverlayComponent implements OnInit, OnDestroy {
 
   retryVideo(): void {
     this.hasVideoError = false;
-    this.refreshStream();
+    if (this.playingEvent) {
+      this.playEvent(this.playingEvent);
+    } else {
+      this.refreshStream();
+    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,186 @@
+import { Component, Input, OnChanges, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatIconModule } from '@angular/material/icon';
+import { MatButtonModule } from '@angular/material/button';
+import { Subject, Subscription, interval } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Device } from '../../models/device.model';
+import { TrendMetricKey, TrendMetrics, TrendResponse } from '../../models/history.model';
+import { ChartSeries, TrendChartComponent } from '../trend-chart/trend-chart.component';
+
+interface TrendRange {
+  key: string;
+  label: string;
+  duration: number;
+  interval: string;
+}
+
+type TrendSelection = { kind: 'area' | 'entity'; key: string };
+
+const HOUR = 60 * 60 * 1000;
+const RANGES: TrendRange[] = [
+  { key: '24h', label: '24 hours', duration: 24 * HOUR, interval: '15m' },
+  { key: '7d', label: '7 days', duration: 7 * 24 * HOUR, interval: '2h' }
+];
+
+const METRIC_STYLES: Record<TrendMetricKey, { label: string; color: string; unit: string }> = {
+  temperature: { label: 'Temperature', color: '#ff8a65', unit: '°F' },
+  setpoint: { label: 'Setpoint', color: '#ffd54f', unit: '°F' },
+  humidity: { label: 'Humidity', color: '#4fc3f7', unit: '%' },
+  value: { label: 'Value', color: '#81c784', unit: '' }
+};
+
+// Temperature/humidity trends for the climate section: one chart per area
+// (averaged across its sensors and thermostats) or per sensor, with humidity on
+// a second axis and thermostat setpoint vs actual
+@Component({
+  selector: 'app-climate-trends',
+  standalone: true,
+  imports: [CommonModule, MatIconModule, MatButtonModule, TrendChartComponent],
+  templateUrl: './climate-trends.component.html',
+  styleUrls: ['./climate-trends.component.scss']
+})
+export class ClimateTrendsComponent implements OnInit, OnChanges, OnDestroy {
+  @Input() devices: Device[] = [];
+
+  readonly ranges = RANGES;
+  range = RANGES[0];
+  selection: TrendSelection | null = null;
+  areas: string[] = [];
+  sensors: Device[] = [];
+  trends: TrendResponse | null = null;
+  series: ChartSeries[] = [];
+  leftUnit = '°F';
+  loading = false;
+  error: string | null = null;
+
+  private request?: Subscription;
+  private destroy$ = new Subject<void>();
+
+  constructor(private haService: HomeAssistantService) {}
+
+  ngOnInit(): void {
+    // Bucket sizes are minutes-to-hours, so a slow refresh keeps the chart current
+    interval(5 * 60 * 1000)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.load());
+  }
+
+  // Devices are re-sent on every patch; only reload when the selection changes
+  ngOnChanges(): void {
+    this.sensors = this.devices.filter(device => device.domain === 'climate' || device.domain === 'sensor');
+    this.areas = Array.from(new Set(this.sensors.map(device => device.area).filter((area): area is string => !!area))).sort();
+
+    if (!this.selection || !this.isAvailable(this.selection)) {
+      this.selection = this.areas.length > 0
+        ? { kind: 'area', key: this.areas[0] }
+        : this.sensors.length > 0 ? { kind: 'entity', key: this.sensors[0].id } : null;
+      this.load();
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.request?.unsubscribe();
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  selectRange(range: TrendRange): void {
+    this.range = range;
+    this.load();
+  }
+
+  selectArea(area: string): void {
+    this.selection = { kind: 'area', key: area };
+    this.load();
+  }
+
+  selectSensor(device: Device): void {
+    this.selection = { kind: 'entity', key: device.id };
+    this.load();
+  }
+
+  isSelected(kind: TrendSelection['kind'], key: string): boolean {
+    return this.selection?.kind === kind && this.selection.key === key;
+  }
+
+  getAreaSensors(): Device[] {
+    if (this.selection?.kind !== 'area') return this.sensors;
+    return this.sensors.filter(device => device.area === this.selection!.key);
+  }
+
+  getMetrics(): TrendMetrics {
+    if (!this.trends) return {};
+    return this.selection?.kind === 'area'
+      ? this.trends.area?.metrics || {}
+      : this.trends.entities[0]?.metrics || {};
+  }
+
+  getStats(): { key: TrendMetricKey; label: string; unit: string; min: number | null; max: number | null; avg: number | null; current: number | null }[] {
+    const metrics = this.getMetrics();
+    return (Object.keys(METRIC_STYLES) as TrendMetricKey[])
+      .filter(key => metrics[key])
+      .map(key => ({ key, label: METRIC_STYLES[key].label, unit: METRIC_STYLES[key].unit, ...metrics[key]! }));
+  }
+
+  formatValue(value: number | null, unit: string): string {
+    return value === null ? '–' : `${Math.round(value * 10) / 10}${unit}`;
+  }
+
+  load(): void {
+    if (!this.selection) {
+      this.trends = null;
+      this.series = [];
+      return;
+    }
+
+    const to = Date.now();
+    const selection = this.selection;
+    this.loading = true;
+    this.request?.unsubscribe();
+    this.request = this.haService.getTrends({
+      area: selection.kind === 'area' ? selection.key : undefined,
+      entities: selection.kind === 'entity' ? [selection.key] : undefined,
+      from: to - this.range.duration,
+      to,
+      interval: this.range.interval
+    }).subscribe({
+      next: trends => {
+        this.trends = trends;
+        this.series = this.buildSeries(this.getMetrics());
+        this.error = null;
+        this.loading = false;
+      },
+      error: (error) => {
+        console.error('Failed to load climate trends:', error);
+        this.error = 'Trend history unavailable';
+        this.loading = false;
+      }
+    });
+  }
+
+  // Temperature-like metrics share the left axis; humidity gets the right one
+  // unless it is the only metric
+  private buildSeries(metrics: TrendMetrics): ChartSeries[] {
+    const keys = (Object.keys(METRIC_STYLES) as TrendMetricKey[]).filter(key => metrics[key]);
+    const humidityOnly = keys.length === 1 && keys[0] === 'humidity';
+    this.leftUnit = keys.length > 0 ? METRIC_STYLES[keys[0]].unit : '';
+
+    return keys.map(key => ({
+      label: METRIC_STYLES[key].label,
+      points: metrics[key]!.points,
+      color: METRIC_STYLES[key].color,
+      axis: key === 'humidity' && !humidityOnly ? 'right' : 'left',
+      dashed: key === 'setpoint',
+      band: key === 'temperature' || key === 'value' || humidityOnly
+    }));
+  }
+
+  private isAvailable(selection: TrendSelection): boolean {
+    return selection.kind === 'area'
+      ? this.areas.includes(selection.key)
+      : this.sensors.some(device => device.id === selection.key);
+  }
+}
@@ -0,0 +1,153 @@
+import { Component, HostListener, Inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatDialogRef, MAT_DIALOG_DATA, MatDialogModule } from '@angular/material/dialog';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+
+export interface ControlConfirmData {
+  title: string;
+  message: string;
+  requires: 'pin' | 'confirm';
+  error?: string;
+}
+
+// PIN pad (or a plain confirmation) in front of unlocking and opening.
+// Closes with the entered PIN, `true` when confirmed, or nothing on cancel.
+@Component({
+  selector: 'app-control-confirm-dialog',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatDialogModule,
+    MatButtonModule,
+    MatIconModule
+  ],
+  template: `
+    <div class="confirm-container">
+      <h2 mat-dialog-title>
+        <mat-icon>{{ data.requires === 'pin' ? 'pin' : 'warning' }}</mat-icon>
+        {{ data.title }}
+      </h2>
+
+      <div mat-dialog-content>
+        <p class="message">{{ data.message }}</p>
+        <p class="error" *ngIf="data.error">{{ data.error }}</p>
+
+        <ng-container *ngIf="data.requires === 'pin'">
+          <div class="pin-display" [class.empty]="!pin">
+            {{ pin ? maskedPin : 'Enter PIN' }}
+          </div>
+          <div class="pin-pad">
+            <button mat-stroked-button *ngFor="let digit of digits" (click)="press(digit)">{{ digit }}</button>
+            <button mat-stroked-button (click)="pin = ''" title="Clear">
+              <mat-icon>clear</mat-icon>
+            </button>
+            <button mat-stroked-button (click)="press('0')">0</button>
+            <button mat-stroked-button (click)="backspace()" title="Delete">
+              <mat-icon>backspace</mat-icon>
+            </button>
+          </div>
+        </ng-container>
+      </div>
+
+      <div mat-dialog-actions class="actions">
+        <button mat-button mat-dialog-close>Cancel</button>
+        <button mat-raised-button color="warn"
+                [disabled]="data.requires === 'pin' && !pin"
+                (click)="submit()">
+          Confirm
+        </button>
+      </div>
+    </div>
+  `,
+  styles: [`
+    .confirm-container {
+      min-width: 280px;
+      max-width: 360px;
+    }
+
+    h2 {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .message {
+      margin: 0 0 12px 0;
+      opacity: 0.85;
+    }
+
+    .error {
+      margin: 0 0 12px 0;
+      color: #ef9a9a;
+      font-weight: 600;
+    }
+
+    .pin-display {
+      margin-bottom: 12px;
+      padding: 12px;
+      border-radius: 8px;
+      background: rgba(255, 255, 255, 0.08);
+      font-size: 28px;
+      letter-spacing: 8px;
+      text-align: center;
+
+      &.empty {
+        font-size: 16px;
+        letter-spacing: normal;
+        opacity: 0.6;
+      }
+    }
+
+    .pin-pad {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 8px;
+
+      button {
+        height: 56px;
+        font-size: 22px;
+      }
+    }
+
+    .actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+    }
+  `]
+})
+export class ControlConfirmDialogComponent {
+  readonly digits = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+  pin = '';
+
+  constructor(
+    public dialogRef: MatDialogRef<ControlConfirmDialogComponent, string | true>,
+    @Inject(MAT_DIALOG_DATA) public data: ControlConfirmData
+  ) {}
+
+  get maskedPin(): string {
+    return '•'.repeat(this.pin.length);
+  }
+
+  press(digit: string): void {
+    if (this.pin.length < 12) this.pin += digit;
+  }
+
+  backspace(): void {
+    this.pin = this.pin.slice(0, -1);
+  }
+
+  // Keyboard entry for wall tablets with a keyboard attached
+  @HostListener('document:keydown', ['$event'])
+  onKeydown(event: KeyboardEvent): void {
+    if (this.data.requires !== 'pin') return;
+    if (/^\d$/.test(event.key)) this.press(event.key);
+    if (event.key === 'Backspace') this.backspace();
+    if (event.key === 'Enter' && this.pin) this.submit();
+  }
+
+  submit(): void {
+    this.dialogRef.close(this.data.requires === 'pin' ? this.pin : true);
+  }
+}
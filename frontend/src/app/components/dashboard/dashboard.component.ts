@@ -1,30 +1,43 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
+import { RouterLink } from '@angular/router';
 import { MatCardModule } from '@angular/material/card';
 import { MatIconModule } from '@angular/material/icon';
 import { MatButtonModule } from '@angular/material/button';
 import { MatProgressSpinnerModule } from '@angular/material/progress-spinner';
 import { MatSnackBar, MatSnackBarModule } from '@angular/material/snack-bar';
-import { Subject } from 'rxjs';
+import { MatDialog } from '@angular/material/dialog';
+import { Subject, forkJoin } from 'rxjs';
 import { takeUntil } from 'rxjs/operators';
 
 import { HomeAssistantService } from '../../services/homeassistant.service';
-import { DashboardState, Device, DeviceGroup } from '../../models/device.model';
+import { DashboardCategory, DashboardState, Device, DeviceGroup } from '../../models/device.model';
+import { AlertSuppression, Escalation } from '../../models/alert.model';
 import { DeviceCardComponent } from '../device-card/device-card.component';
 import { CameraGridComponent } from '../camera-grid/camera-grid.component';
+import { AlertBannerComponent } from '../alert-banner/alert-banner.component';
+import { ClimateTrendsComponent } from '../climate-trends/climate-trends.component';
+import { SceneBarComponent } from '../scene-bar/scene-bar.component';
+import { getDeviceIcon, getSecuredAction, isToggleableDevice } from '../../utils/device-display';
+import { SECURED_ACTION_LABELS, controlSecuredDevice } from '../../utils/guarded-control';
+import { ThermostatDialComponent } from '../thermostat-dial/thermostat-dial.component';
 
 @Component({
   selector: 'app-dashboard',
   standalone: true,
   imports: [
     CommonModule,
+    RouterLink,
     MatCardModule,
     MatIconModule,
     MatButtonModule,
     MatProgressSpinnerModule,
     MatSnackBarModule,
     DeviceCardComponent,
-    CameraGridComponent
+    CameraGridComponent,
+    AlertBannerComponent,
+    ClimateTrendsComponent,
+    SceneBarComponent
   ],
   templateUrl: './dashboard.component.html',
   styleUrls: ['./dashboard.component.scss']
@@ -33,11 +46,15 @@ export class DashboardComponent implements OnInit, OnDestroy {
   dashboardState: DashboardState | null = null;
   connected = false;
   loading = true;
+  escalations: Escalation[] = [];
+  suppressions = new Map<string, AlertSuppression>();
+  private seenEscalations = new Set<string>();
   private destroy$ = new Subject<void>();
 
   constructor(
     private haService: HomeAssistantService,
-    private snackBar: MatSnackBar
+    private snackBar: MatSnackBar,
+    private dialog: MatDialog
   ) {}
 
   ngOnInit(): void {
@@ -62,6 +79,88 @@ export class DashboardComponent implements OnInit, OnDestroy {
           console.log('Dashboard state updated:', state);
         }
       });
+
+    this.haService.getAlerts()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(alerts => this.onAlertsUpdate(alerts));
+
+    this.haService.getSuppressions()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(suppressions => {
+        this.suppressions = new Map(suppressions.map(suppression => [suppression.alertId, suppression]));
+      });
+  }
+
+  // ALERT escalations stay on screen as cards; NOTIFY ones toast once and go away
+  private onAlertsUpdate(alerts: Escalation[]): void {
+    this.escalations = alerts;
+
+    alerts
+      .filter(alert => alert.severity === 'notify' && !this.seenEscalations.has(alert.id) && !this.isSuppressed(alert.id))
+      .forEach(alert => {
+        this.snackBar.open(alert.message, 'Dismiss', {
+          duration: 8000,
+          panelClass: 'notify-snackbar'
+        });
+      });
+
+    // Forget cleared escalations so they toast again if they come back
+    this.seenEscalations = new Set(alerts.map(alert => alert.id));
+  }
+
+  isSuppressed(alertId: string): boolean {
+    return this.suppressions.has(alertId);
+  }
+
+  // Acknowledged/snoozed escalations drop off until they clear or the snooze expires
+  getAlertEscalations(): Escalation[] {
+    return this.escalations.filter(alert => alert.severity === 'alert' && !this.isSuppressed(alert.id));
+  }
+
+  acknowledgeEscalation(alert: Escalation): void {
+    this.haService.acknowledgeAlert(alert.id).subscribe({
+      error: (error) => this.showSuppressionError(alert.name, error)
+    });
+  }
+
+  snoozeEscalation(alert: Escalation, minutes = 30): void {
+    this.haService.snoozeAlert(alert.id, minutes).subscribe({
+      error: (error) => this.showSuppressionError(alert.name, error)
+    });
+  }
+
+  // "I know, ignore it for 30 minutes" for everything a summary card is flagging
+  snoozeGroup(category: DashboardCategory, minutes = 30): void {
+    const devices = this.getAttentionDevices(category).filter(device => !this.isSuppressed(device.id));
+    if (devices.length === 0) return;
+
+    forkJoin(devices.map(device => this.haService.snoozeAlert(device.id, minutes))).subscribe({
+      next: () => {
+        this.snackBar.open(`${category.label} snoozed for ${minutes} minutes`, 'Dismiss', { duration: 3000 });
+      },
+      error: (error) => this.showSuppressionError(category.label, error)
+    });
+  }
+
+  private showSuppressionError(name: string, error: unknown): void {
+    this.snackBar.open(`Failed to snooze ${name}`, 'Dismiss', {
+      duration: 3000,
+      panelClass: 'error-snackbar'
+    });
+    console.error('Alert suppression error:', error);
+  }
+
+  trackEscalation(index: number, alert: Escalation): string {
+    return alert.id;
+  }
+
+  formatEscalationTime(time: number): string {
+    return new Date(time).toLocaleTimeString('en-US', {
+      timeZone: 'America/Denver',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
   }
 
   ngOnDestroy(): void {
@@ -70,6 +169,14 @@ export class DashboardComponent implements OnInit, OnDestroy {
   }
 
   onDeviceClick(device: Device): void {
+    if (getSecuredAction(device)) {
+      this.controlSecuredDevice(device);
+      return;
+    }
+    if (device.domain === 'climate') {
+      this.openThermostat(device);
+      return;
+    }
     if (this.isClickableDevice(device)) {
       this.haService.toggleDevice(device.id).subscribe({
         next: () => {
@@ -89,71 +196,117 @@ export class DashboardComponent implements OnInit, OnDestroy {
   }
 
   isClickableDevice(device: Device): boolean {
-    return ['light', 'switch', 'fan', 'scene'].includes(device.domain);
+    return isToggleableDevice(device) || getSecuredAction(device) !== null || device.domain === 'climate';
   }
 
-  getVisibleDevices(group: DeviceGroup): Device[] {
-    if (group.allOk) {
+  private openThermostat(device: Device): void {
+    this.dialog.open(ThermostatDialComponent, {
+      data: { device },
+      maxWidth: '95vw',
+      autoFocus: false
+    });
+  }
+
+  // Locks and covers: the backend asks for the PIN/confirmation when needed
+  private controlSecuredDevice(device: Device): void {
+    const action = getSecuredAction(device)!;
+
+    controlSecuredDevice(this.dialog, this.haService, device, action).subscribe({
+      next: () => {
+        this.snackBar.open(`${SECURED_ACTION_LABELS[action]} ${device.name}`, 'Dismiss', { duration: 2000 });
+      },
+      error: (error) => {
+        this.snackBar.open(error.error?.error || `Failed to ${action} ${device.name}`, 'Dismiss', {
+          duration: 5000,
+          panelClass: 'error-snackbar'
+        });
+        console.error(`${action} error:`, error);
+      }
+    });
+  }
+
+  // Categories come from the backend's category rules; fall back to the groups in the state
+  getCategories(): DashboardCategory[] {
+    if (!this.dashboardState) return [];
+    if (this.dashboardState.metadata?.categories) {
+      return this.dashboardState.metadata.categories;
+    }
+
+    return Object.keys(this.dashboardState)
+      .filter(key => key !== 'metadata')
+      .map(key => {
+        const label = this.getGroup(key)?.category || key;
+        return {
+          key,
+          label,
+          severity: key === 'safety' ? 'alert' : 'notify',
+          icon: this.getSummaryIcon(key),
+          title: label,
+          showDevices: 'attention',
+          attentionStates: []
+        };
+      });
+  }
+
+  getGroup(key: string): DeviceGroup | undefined {
+    return this.dashboardState?.[key] as DeviceGroup | undefined;
+  }
+
+  getVisibleDevices(category: DashboardCategory): Device[] {
+    const group = this.getGroup(category.key);
+    if (!group) {
       return [];
     }
-    return group.devices.filter(device => this.shouldShowDevice(device));
-  }
-
-  private shouldShowDevice(device: Device): boolean {
-    switch (device.domain) {
-      case 'light':
-      case 'switch':
-      case 'fan':
-        return device.state === 'on';
-      case 'cover':
-        return device.state === 'open';
-      case 'binary_sensor':
-        return device.state === 'on' && device.attributes?.deviceClass === 'opening';
-      case 'lock':
-        return device.state === 'unlocked';
-      case 'media_player':
-        return device.state !== 'off' && device.state !== 'unavailable';
-      default:
-        return false;
+    if (category.showDevices === 'always') {
+      return group.devices.slice(0, 4);
     }
+    return this.getAttentionDevices(category).filter(device => !this.isSuppressed(device.id));
   }
 
-  getDeviceIcon(device: Device): string {
-    switch (device.domain) {
-      case 'light':
-        return device.state === 'on' ? 'lightbulb' : 'lightbulb_outline';
-      case 'switch':
-        return device.state === 'on' ? 'power' : 'power_off';
-      case 'fan':
-        return 'air';
-      case 'cover':
-        return device.attributes?.deviceClass === 'garage' ? 'garage' : 
-               device.state === 'open' ? 'sensor_door' : 'door_front';
-      case 'lock':
-        return device.state === 'locked' ? 'lock' : 'lock_open';
-      case 'binary_sensor':
-        if (device.attributes?.deviceClass === 'motion') return 'directions_run';
-        if (device.attributes?.deviceClass === 'opening') return 'sensor_door';
-        return 'sensors';
-      case 'sensor':
-        if (device.attributes?.deviceClass === 'temperature') return 'thermostat';
-        if (device.attributes?.deviceClass === 'humidity') return 'water_drop';
-        return 'sensors';
-      case 'climate':
-        return 'thermostat';
-      case 'media_player':
-        if (device.attributes?.deviceClass === 'tv') return 'tv';
-        if (device.attributes?.deviceClass === 'speaker') return 'speaker';
-        return 'play_circle';
-      case 'scene':
-        return 'palette';
-      default:
-        return 'device_unknown';
+  getAttentionDevices(category: DashboardCategory): Device[] {
+    const group = this.getGroup(category.key);
+    if (!group || group.allOk) {
+      return [];
     }
+    return group.devices.filter(device => category.attentionStates.includes(device.state));
+  }
+
+  // Quiet when nothing needs attention or everything that does is acknowledged/snoozed
+  isGroupQuiet(category: DashboardCategory): boolean {
+    const group = this.getGroup(category.key);
+    if (!group || group.allOk) {
+      return true;
+    }
+    const attention = this.getAttentionDevices(category);
+    return attention.length > 0 && attention.every(device => this.isSuppressed(device.id));
+  }
+
+  getSuppressedCount(category: DashboardCategory): number {
+    return this.getAttentionDevices(category).filter(device => this.isSuppressed(device.id)).length;
+  }
+
+  // Devices in more than one group are listed once
+  getAlertDevices(): Device[] {
+    const alerts = new Map<string, Device>();
+    this.getCategories().forEach(category => {
+      this.getGroup(category.key)?.devices
+        .filter(device => device.severity === 'alert')
+        .forEach(device => alerts.set(device.id, device));
+    });
+    return Array.from(alerts.values());
+  }
+
+  isAllClear(): boolean {
+    return this.getCategories().every(category => this.isGroupQuiet(category));
+  }
+
+  getDeviceIcon(device: Device): string {
+    return getDeviceIcon(device);
   }
 
   getSummaryIcon(category: string): string {
     switch (category.toLowerCase()) {
+      case 'safety': return 'health_and_safety';
       case 'doors': return 'door_front';
       case 'lights': return 'lightbulb';
       case 'climate': return 'thermostat';
@@ -166,14 +319,9 @@ export class DashboardComponent implements OnInit, OnDestroy {
   getDeviceCount(): number {
     if (!this.dashboardState) return 0;
     
-    let totalDevices = 0;
-    totalDevices += this.dashboardState.doors?.devices?.length || 0;
-    totalDevices += this.dashboardState.lights?.devices?.length || 0;
-    totalDevices += this.dashboardState.security?.devices?.length || 0;
-    totalDevices += this.dashboardState.climate?.devices?.length || 0;
-    totalDevices += this.dashboardState.media?.devices?.length || 0;
-    
-    return totalDevices;
+    return this.getCategories().reduce(
+      (total, category) => total + (this.getGroup(category.key)?.devices?.length || 0), 0
+    );
   }
 
   getLastUpdateTime(): string {
@@ -263,12 +411,16 @@ export class DashboardComponent implements OnInit, OnDestroy {
     });
   }
 
+  private getOpenDoors(): Device[] {
+    const doors = this.getCategories().find(category => category.key === 'doors');
+    const openStates = doors?.attentionStates.length ? doors.attentionStates : ['open', 'on', 'unlocked'];
+    return this.dashboardState?.doors.devices.filter(device => openStates.includes(device.state)) || [];
+  }
+
   getDoorSecurityIcon(): string {
     if (!this.dashboardState?.doors) return 'lock_open';
     
-    const openDoors = this.dashboardState.doors.devices.filter(device => 
-      device.state === 'open' || device.state === 'on' || device.state === 'unlocked'
-    );
+    const openDoors = this.getOpenDoors();
     
     return openDoors.length === 0 ? 'lock' : 'lock_open';
   }
@@ -276,9 +428,7 @@ export class DashboardComponent implements OnInit, OnDestroy {
   getDoorSecurityTitle(): string {
     if (!this.dashboardState?.doors) return 'Door Status';
     
-    const openDoors = this.dashboardState.doors.devices.filter(device => 
-      device.state === 'open' || device.state === 'on' || device.state === 'unlocked'
-    );
+    const openDoors = this.getOpenDoors();
     
     if (openDoors.length === 0) {
       return 'All Secure';
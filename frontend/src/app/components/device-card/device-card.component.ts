@@ -1,14 +1,18 @@
-import { Component, Input, Output, EventEmitter } from '@angular/core';
+import { Component, HostBinding, Input, Output, EventEmitter } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { MatCardModule } from '@angular/material/card';
 import { MatIconModule } from '@angular/material/icon';
 import { MatButtonModule } from '@angular/material/button';
 import { Device } from '../../models/device.model';
+import { getLightCapabilities } from '../../utils/device-display';
+import { LightControlsComponent } from '../light-controls/light-controls.component';
+import { MediaControlsComponent } from '../media-controls/media-controls.component';
+import { FanControlsComponent } from '../fan-controls/fan-controls.component';
 
 @Component({
   selector: 'app-device-card',
   standalone: true,
-  imports: [CommonModule, MatCardModule, MatIconModule, MatButtonModule],
+  imports: [CommonModule, MatCardModule, MatIconModule, MatButtonModule, LightControlsComponent, MediaControlsComponent, FanControlsComponent],
   templateUrl: './device-card.component.html',
   styleUrls: ['./device-card.component.scss']
 })
@@ -17,6 +21,7 @@ export class DeviceCardComponent {
   @Input() icon!: string;
   @Input() clickable = false;
   @Output() deviceClick = new EventEmitter<Device>();
+  @HostBinding('class.expanded') expanded = false;
 
   onCardClick(): void {
     if (this.clickable) {
@@ -24,6 +29,18 @@ export class DeviceCardComponent {
     }
   }
 
+  // Media players, fans and lights that can do more than on/off get a control sheet
+  hasControls(): boolean {
+    if (this.device.domain === 'media_player' || this.device.domain === 'fan') return true;
+    const capabilities = getLightCapabilities(this.device);
+    return !!capabilities && (capabilities.brightness || capabilities.color || capabilities.temperature || capabilities.effects.length > 0);
+  }
+
+  toggleControls(event: Event): void {
+    event.stopPropagation();
+    this.expanded = !this.expanded;
+  }
+
   getDeviceStatus(): string {
     switch (this.device.domain) {
       case 'light':
@@ -46,23 +63,20 @@ export class DeviceCardComponent {
         return `${value}${unit}`;
       
       case 'climate':
-        const temp = this.device.attributes?.temperature;
-        const currentTemp = this.device.attributes?.['currentTemperature'];
-        return currentTemp ? `${currentTemp}°F` : temp ? `Set: ${temp}°F` : this.device.state;
+        return this.getClimateStatus();
       
       case 'media_player':
-        if (this.device.state === 'playing') {
-          return this.device.attributes?.['mediaTitle'] || 'Playing';
-        }
         return this.capitalizeFirst(this.device.state);
       
       case 'cover':
         return this.capitalizeFirst(this.device.state);
       
       case 'binary_sensor':
+        if (this.device.severity === 'alert') return 'Detected';
         return this.device.state === 'on' ? 'Active' : 'Clear';
       
       case 'lock':
+        if (this.device.state === 'jammed') return 'Jammed';
         return this.device.state === 'locked' ? 'Locked' : 'Unlocked';
       
       default:
@@ -70,6 +84,18 @@ export class DeviceCardComponent {
     }
   }
 
+  // "71°F · Heating" with the current temperature, else the setpoint or range
+  private getClimateStatus(): string {
+    const attributes = this.device.attributes || {};
+    const action = attributes['hvac_action'] ? ` · ${this.capitalizeFirst(attributes['hvac_action'])}` : '';
+    if (attributes['current_temperature'] !== undefined) return `${attributes['current_temperature']}°F${action}`;
+    if (attributes['target_temp_low'] !== undefined && attributes['target_temp_high'] !== undefined) {
+      return `Set: ${attributes['target_temp_low']}–${attributes['target_temp_high']}°F`;
+    }
+    if (attributes.temperature !== undefined) return `Set: ${attributes.temperature}°F`;
+    return this.capitalizeFirst(this.device.state.replace(/_/g, ' '));
+  }
+
   private capitalizeFirst(str: string): string {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
@@ -94,6 +120,10 @@ export class DeviceCardComponent {
       classes.push('warning');
     }
     
+    if (this.device.severity === 'alert') {
+      classes.push('alert');
+    }
+    
     return classes.join(' ');
   }
 }
\ No newline at end of file
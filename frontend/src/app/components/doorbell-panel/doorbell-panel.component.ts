@@ -0,0 +1,360 @@
+import { Component, Inject, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatDialog, MatDialogRef, MAT_DIALOG_DATA, MatDialogModule } from '@angular/material/dialog';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Camera, DoorbellAction, DoorbellVisit } from '../../models/camera.model';
+import { runGuarded } from '../../utils/guarded-control';
+
+export interface DoorbellPanelData {
+  camera: Camera;
+  visit: DoorbellVisit;
+}
+
+// Opens on every dashboard while someone is at the door: live view, the last
+// few visitors and quick actions. Closes when the ring is dismissed (here or
+// on another dashboard) or times out in the backend.
+@Component({
+  selector: 'app-doorbell-panel',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatDialogModule,
+    MatButtonModule,
+    MatIconModule
+  ],
+  template: `
+    <div class="doorbell-panel-container">
+      <div class="panel-header" [class.ring]="visit.trigger === 'ring'">
+        <mat-icon>{{ visit.trigger === 'ring' ? 'notifications_active' : 'person' }}</mat-icon>
+        <div class="panel-title">
+          <h2 mat-dialog-title>{{ visit.trigger === 'ring' ? 'Someone rang the doorbell' : 'Someone is at the door' }}</h2>
+          <span>{{ data.camera.name }} · {{ visit.at | date:'h:mm:ss a' }}</span>
+        </div>
+      </div>
+
+      <div class="panel-content" mat-dialog-content>
+        <div class="live-view">
+          <img [src]="streamUrl"
+               [alt]="data.camera.name + ' camera feed'"
+               (error)="hasVideoError = true"
+               (load)="hasVideoError = false">
+          <div class="video-error" *ngIf="hasVideoError">
+            <mat-icon>videocam_off</mat-icon>
+            <span>Stream unavailable</span>
+          </div>
+        </div>
+
+        <!-- Last visitors, newest first -->
+        <div class="visitors" *ngIf="visitors.length > 0">
+          <div class="visitor"
+               *ngFor="let visitor of visitors; trackBy: trackByVisitId"
+               [class.current]="visitor.id === visit.id">
+            <img *ngIf="getSnapshotUrl(visitor) as snapshotUrl; else noSnapshot"
+                 [src]="snapshotUrl"
+                 [alt]="'Visitor at ' + (visitor.at | date:'medium')"
+                 loading="lazy">
+            <ng-template #noSnapshot>
+              <div class="no-snapshot"><mat-icon>person</mat-icon></div>
+            </ng-template>
+            <span class="visitor-label">
+              <mat-icon>{{ visitor.trigger === 'ring' ? 'notifications' : 'person' }}</mat-icon>
+              {{ visitor.at | date:'MMM d, h:mm a' }}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div class="action-error" *ngIf="actionError">{{ actionError }}</div>
+
+      <div class="panel-actions" mat-dialog-actions>
+        <button mat-raised-button color="warn"
+                *ngIf="data.camera.doorbell?.lock"
+                [disabled]="busyAction !== null || unlocked"
+                (click)="run('unlock')">
+          <mat-icon>{{ unlocked ? 'lock_open' : 'lock' }}</mat-icon>
+          {{ unlocked ? 'Unlocked' : 'Unlock door' }}
+        </button>
+        <button mat-raised-button color="primary"
+                *ngIf="data.camera.doorbell?.light"
+                [disabled]="busyAction !== null || lightOn"
+                (click)="run('light')">
+          <mat-icon>light</mat-icon>
+          {{ lightOn ? 'Light on' : 'Porch light' }}
+        </button>
+        <button mat-stroked-button [disabled]="busyAction !== null" (click)="run('dismiss')">
+          <mat-icon>close</mat-icon>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  `,
+  styles: [`
+    .doorbell-panel-container {
+      width: 90vw;
+      max-width: 960px;
+      max-height: 90vh;
+      display: flex;
+      flex-direction: column;
+    }
+
+    .panel-header {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      padding: 16px 24px;
+      background: rgba(79, 195, 247, 0.15);
+      color: #4fc3f7;
+
+      &.ring {
+        background: rgba(255, 152, 0, 0.2);
+        color: #ffb74d;
+        animation: pulse 1.5s 4;
+      }
+
+      > mat-icon {
+        font-size: 36px;
+        width: 36px;
+        height: 36px;
+      }
+
+      h2 {
+        margin: 0;
+        padding: 0;
+        color: #ffffff;
+        font-size: 24px;
+        font-weight: 600;
+      }
+
+      span {
+        font-size: 14px;
+        opacity: 0.8;
+      }
+
+      .panel-title {
+        display: flex;
+        flex-direction: column;
+      }
+    }
+
+    .panel-content {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      padding: 0 !important;
+    }
+
+    .live-view {
+      position: relative;
+      aspect-ratio: 4 / 3;
+      max-height: 60vh;
+      background: #000000;
+
+      img {
+        width: 100%;
+        height: 100%;
+        object-fit: contain;
+      }
+
+      .video-error {
+        position: absolute;
+        inset: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 8px;
+        color: #f44336;
+      }
+    }
+
+    .visitors {
+      display: flex;
+      gap: 8px;
+      padding: 0 24px;
+      overflow-x: auto;
+    }
+
+    .visitor {
+      flex: 0 0 auto;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      width: 120px;
+      border: 2px solid transparent;
+      border-radius: 8px;
+      overflow: hidden;
+      color: #ffffff;
+
+      &.current {
+        border-color: #ffb74d;
+      }
+
+      img, .no-snapshot {
+        width: 100%;
+        height: 68px;
+        object-fit: cover;
+        background: #000000;
+      }
+
+      .no-snapshot {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        opacity: 0.5;
+      }
+
+      .visitor-label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 0 4px 4px;
+        font-size: 11px;
+        white-space: nowrap;
+
+        mat-icon {
+          font-size: 14px;
+          width: 14px;
+          height: 14px;
+        }
+      }
+    }
+
+    .action-error {
+      margin: 8px 24px 0;
+      padding: 8px 12px;
+      background: rgba(244, 67, 54, 0.15);
+      border-radius: 8px;
+      color: #ef9a9a;
+      font-size: 14px;
+    }
+
+    .panel-actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+      padding: 16px 24px;
+
+      button {
+        min-height: 48px;
+        font-size: 16px;
+      }
+    }
+
+    @keyframes pulse {
+      0% { opacity: 1; }
+      50% { opacity: 0.6; }
+      100% { opacity: 1; }
+    }
+
+    @media (max-width: 768px) {
+      .doorbell-panel-container {
+        width: 95vw;
+      }
+
+      .panel-actions {
+        flex-wrap: wrap;
+
+        button {
+          flex: 1 1 100%;
+        }
+      }
+    }
+  `]
+})
+export class DoorbellPanelComponent implements OnInit, OnDestroy {
+  visit: DoorbellVisit;
+  visitors: DoorbellVisit[] = [];
+  streamUrl: string;
+  hasVideoError = false;
+  busyAction: DoorbellAction | null = null;
+  actionError: string | null = null;
+  unlocked = false;
+  lightOn = false;
+  private destroy$ = new Subject<void>();
+
+  constructor(
+    public dialogRef: MatDialogRef<DoorbellPanelComponent>,
+    @Inject(MAT_DIALOG_DATA) public data: DoorbellPanelData,
+    private haService: HomeAssistantService,
+    private dialog: MatDialog
+  ) {
+    this.visit = data.visit;
+    this.streamUrl = `${this.haService.getCameraStreamUrl(data.camera)}?_t=${Date.now()}`;
+  }
+
+  ngOnInit(): void {
+    // Follows the ring: a doorbell press upgrades a person detection, and the
+    // panel closes once the ring ends
+    this.haService.getDoorbellRings()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(rings => {
+        const ring = rings.find(candidate => candidate.id === this.visit.id && candidate.camera === this.visit.camera);
+        if (!ring) {
+          this.dialogRef.close();
+          return;
+        }
+        if (ring.snapshot !== this.visit.snapshot) this.loadVisitors();
+        this.visit = ring;
+      });
+
+    this.loadVisitors();
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  loadVisitors(): void {
+    this.haService.getDoorbellVisitors(this.data.camera.id)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (visitors) => this.visitors = visitors,
+        error: (error) => console.error(`Failed to load visitors for ${this.data.camera.name}:`, error)
+      });
+  }
+
+  run(action: DoorbellAction): void {
+    this.busyAction = action;
+    this.actionError = null;
+
+    // Unlocking goes through the same PIN/confirm step as the lock card
+    const request = action === 'unlock'
+      ? runGuarded(
+          this.dialog,
+          { title: `Unlock ${this.data.camera.name}?`, message: 'This is recorded in the audit trail.' },
+          guard => this.haService.doorbellAction(this.data.camera.id, action, guard)
+        )
+      : this.haService.doorbellAction(this.data.camera.id, action);
+
+    request
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: () => {
+          this.busyAction = null;
+          if (action === 'unlock') this.unlocked = true;
+          if (action === 'light') this.lightOn = true;
+          if (action === 'dismiss') this.dialogRef.close();
+        },
+        complete: () => this.busyAction = null,
+        error: (error) => {
+          this.busyAction = null;
+          this.actionError = error.error?.error || `Failed to ${action === 'dismiss' ? 'dismiss' : action === 'unlock' ? 'unlock the door' : 'turn on the light'}`;
+          console.error(`Doorbell ${action} failed:`, error);
+        }
+      });
+  }
+
+  getSnapshotUrl(visit: DoorbellVisit): string | null {
+    return this.haService.getDoorbellSnapshotUrl(visit);
+  }
+
+  trackByVisitId(index: number, visit: DoorbellVisit): string {
+    return visit.id;
+  }
+}
@@ -0,0 +1,220 @@
+import { Component, Input, OnChanges } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatSliderModule } from '@angular/material/slider';
+import { MatSlideToggleModule } from '@angular/material/slide-toggle';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Device } from '../../models/device.model';
+import { FanSettings, FanState } from '../../models/fan.model';
+
+// More speeds than this get a slider instead of a button per speed
+const MAX_SPEED_BUTTONS = 10;
+
+// Control sheet a fan card expands into: one button per speed (its
+// percentage_step), presets, oscillation and direction, each only when the
+// fan supports it
+@Component({
+  selector: 'app-fan-controls',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    MatIconModule,
+    MatSliderModule,
+    MatSlideToggleModule
+  ],
+  template: `
+    <div class="fan-controls" *ngIf="fan" (click)="$event.stopPropagation()">
+      <div class="control" *ngIf="fan.features.speed">
+        <label>
+          <mat-icon>speed</mat-icon>
+          Speed
+        </label>
+        <div class="speeds" *ngIf="speeds.length > 0; else speedSlider">
+          <button mat-stroked-button
+                  [class.selected]="fan.state === 'off'"
+                  [disabled]="busy"
+                  (click)="apply({ percentage: 0 })">
+            Off
+          </button>
+          <button mat-stroked-button
+                  *ngFor="let speed of speeds; let index = index"
+                  [class.selected]="fan.state === 'on' && isCurrentSpeed(speed)"
+                  [disabled]="busy"
+                  [title]="speed + '%'"
+                  (click)="apply({ percentage: speed })">
+            {{ index + 1 }}
+          </button>
+        </div>
+        <ng-template #speedSlider>
+          <mat-slider min="0" max="100" [step]="fan.percentageStep" discrete [disabled]="busy">
+            <input matSliderThumb [value]="fan.percentage ?? 0" (valueChange)="apply({ percentage: $event })">
+          </mat-slider>
+        </ng-template>
+      </div>
+
+      <div class="control" *ngIf="fan.features.preset && fan.presetModes.length > 0">
+        <label>
+          <mat-icon>air</mat-icon>
+          Preset
+        </label>
+        <div class="presets">
+          <button mat-stroked-button
+                  *ngFor="let preset of fan.presetModes"
+                  [class.selected]="preset === fan.presetMode"
+                  [disabled]="busy"
+                  (click)="apply({ presetMode: preset })">
+            {{ preset }}
+          </button>
+        </div>
+      </div>
+
+      <div class="toggles">
+        <mat-slide-toggle *ngIf="fan.features.oscillate"
+                          [checked]="!!fan.oscillating"
+                          [disabled]="busy"
+                          (change)="apply({ oscillating: $event.checked })">
+          Oscillate
+        </mat-slide-toggle>
+        <button mat-stroked-button *ngIf="fan.features.direction"
+                [disabled]="busy"
+                (click)="apply({ direction: fan.direction === 'reverse' ? 'forward' : 'reverse' })">
+          <mat-icon>{{ fan.direction === 'reverse' ? 'rotate_left' : 'rotate_right' }}</mat-icon>
+          {{ fan.direction === 'reverse' ? 'Reverse' : 'Forward' }}
+        </button>
+      </div>
+
+      <div class="error" *ngIf="error">{{ error }}</div>
+    </div>
+  `,
+  styles: [`
+    .fan-controls {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      margin-top: 12px;
+      padding-top: 12px;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+      cursor: default;
+    }
+
+    .control {
+      display: flex;
+      flex-direction: column;
+      align-items: stretch;
+
+      label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 12px;
+        opacity: 0.8;
+
+        mat-icon {
+          font-size: 16px;
+          width: 16px;
+          height: 16px;
+        }
+      }
+
+      mat-slider {
+        width: 100%;
+        margin: 0;
+      }
+    }
+
+    .speeds,
+    .presets {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 6px;
+    }
+
+    .speeds button {
+      flex: 1;
+      min-width: 44px;
+    }
+
+    .speeds button,
+    .presets button,
+    .toggles button {
+      min-height: 40px;
+      color: #ffffff;
+
+      &.selected {
+        border-color: #4fc3f7;
+        color: #4fc3f7;
+      }
+    }
+
+    .toggles {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+    }
+
+    .error {
+      font-size: 12px;
+      color: #ef9a9a;
+    }
+  `]
+})
+export class FanControlsComponent implements OnChanges {
+  @Input() device!: Device;
+
+  fan: FanState | null = null;
+  // Percentages of each speed button; empty when the fan gets a slider
+  speeds: number[] = [];
+  busy = false;
+  error: string | null = null;
+
+  constructor(private haService: HomeAssistantService) {}
+
+  // Re-read the fan whenever a dashboard patch brings a new device object
+  ngOnChanges(): void {
+    this.refresh();
+  }
+
+  isCurrentSpeed(speed: number): boolean {
+    const percentage = this.fan?.percentage ?? 0;
+    return Math.abs(percentage - speed) < this.fan!.percentageStep / 2;
+  }
+
+  apply(settings: FanSettings): void {
+    this.busy = true;
+    this.error = null;
+
+    this.haService.controlFan(this.device.id, settings).subscribe({
+      next: () => {
+        this.busy = false;
+        this.refresh();
+      },
+      error: (error) => {
+        this.busy = false;
+        this.error = error.error?.error || `Failed to set ${this.device.name}`;
+        console.error('Fan control error:', error);
+      }
+    });
+  }
+
+  private refresh(): void {
+    this.haService.getFan(this.device.id).subscribe({
+      next: (fan) => {
+        this.fan = fan;
+        const count = Math.round(100 / fan.percentageStep);
+        this.speeds = count <= MAX_SPEED_BUTTONS
+          ? Array.from({ length: count }, (_, index) => Math.min(100, Math.round((index + 1) * fan.percentageStep)))
+          : [];
+      },
+      error: (error) => {
+        this.error = error.error?.error || `Failed to load ${this.device.name}`;
+        console.error('Fan error:', error);
+      }
+    });
+  }
+}
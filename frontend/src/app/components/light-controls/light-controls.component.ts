@@ -0,0 +1,235 @@
+import { Component, Input, OnChanges } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatSliderModule } from '@angular/material/slider';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Device, LightSettings } from '../../models/device.model';
+import { LightCapabilities, getLightCapabilities } from '../../utils/device-display';
+
+// Control sheet a light card expands into: brightness, a color wheel, color
+// temperature and effects, each only when the light supports it
+@Component({
+  selector: 'app-light-controls',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    MatIconModule,
+    MatSliderModule
+  ],
+  template: `
+    <div class="light-controls" *ngIf="capabilities" (click)="$event.stopPropagation()">
+      <div class="control" *ngIf="capabilities.brightness">
+        <label>
+          <mat-icon>brightness_6</mat-icon>
+          Brightness
+        </label>
+        <mat-slider min="1" max="100" step="1" discrete [disabled]="busy">
+          <input matSliderThumb [value]="brightness" (valueChange)="apply({ brightness: $event })">
+        </mat-slider>
+      </div>
+
+      <div class="control" *ngIf="capabilities.color">
+        <label>
+          <mat-icon>palette</mat-icon>
+          Color
+        </label>
+        <div class="color-wheel" [class.disabled]="busy" (click)="pickColor($event)">
+          <div class="color-marker" *ngIf="hs"
+               [style.left.%]="getMarkerPosition().x"
+               [style.top.%]="getMarkerPosition().y"></div>
+        </div>
+      </div>
+
+      <div class="control" *ngIf="capabilities.temperature">
+        <label>
+          <mat-icon>wb_incandescent</mat-icon>
+          White {{ kelvin }}K
+        </label>
+        <mat-slider class="temperature-slider" step="50" discrete
+                    [min]="capabilities.minKelvin" [max]="capabilities.maxKelvin" [disabled]="busy">
+          <input matSliderThumb [value]="kelvin" (valueChange)="apply({ kelvin: $event })">
+        </mat-slider>
+      </div>
+
+      <div class="control" *ngIf="capabilities.effects.length > 0">
+        <label>
+          <mat-icon>auto_awesome</mat-icon>
+          Effect
+        </label>
+        <div class="effects">
+          <button mat-stroked-button
+                  *ngFor="let option of capabilities.effects"
+                  [class.selected]="option === effect"
+                  [disabled]="busy"
+                  (click)="apply({ effect: option })">
+            {{ option }}
+          </button>
+        </div>
+      </div>
+
+      <div class="error" *ngIf="error">{{ error }}</div>
+    </div>
+  `,
+  styles: [`
+    .light-controls {
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      margin-top: 12px;
+      padding-top: 12px;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+      cursor: default;
+    }
+
+    .control {
+      display: flex;
+      flex-direction: column;
+      align-items: stretch;
+
+      label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 12px;
+        opacity: 0.8;
+
+        mat-icon {
+          font-size: 16px;
+          width: 16px;
+          height: 16px;
+        }
+      }
+
+      mat-slider {
+        width: 100%;
+        margin: 0;
+      }
+    }
+
+    .color-wheel {
+      position: relative;
+      align-self: center;
+      width: 160px;
+      height: 160px;
+      margin-top: 8px;
+      border-radius: 50%;
+      background:
+        radial-gradient(circle closest-side, #ffffff, transparent),
+        conic-gradient(red, yellow, lime, cyan, blue, magenta, red);
+      cursor: crosshair;
+      touch-action: none;
+
+      &.disabled {
+        opacity: 0.5;
+        pointer-events: none;
+      }
+    }
+
+    .color-marker {
+      position: absolute;
+      width: 16px;
+      height: 16px;
+      margin: -8px 0 0 -8px;
+      border: 2px solid #ffffff;
+      border-radius: 50%;
+      box-shadow: 0 0 4px rgba(0, 0, 0, 0.6);
+      pointer-events: none;
+    }
+
+    .temperature-slider {
+      background: linear-gradient(to right, #ffb46b, #ffffff, #cfdcff);
+      border-radius: 4px;
+    }
+
+    .effects {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 6px;
+
+      button {
+        min-height: 36px;
+        color: #ffffff;
+
+        &.selected {
+          border-color: #4fc3f7;
+          color: #4fc3f7;
+        }
+      }
+    }
+
+    .error {
+      font-size: 12px;
+      color: #ef9a9a;
+    }
+  `]
+})
+export class LightControlsComponent implements OnChanges {
+  @Input() device!: Device;
+
+  capabilities: LightCapabilities | null = null;
+  brightness = 100;
+  hs: [number, number] | null = null;
+  kelvin = 4000;
+  effect: string | null = null;
+  busy = false;
+  error: string | null = null;
+
+  constructor(private haService: HomeAssistantService) {}
+
+  // Follow the light's reported values (they arrive with dashboard patches)
+  ngOnChanges(): void {
+    const attributes = this.device.attributes || {};
+    this.capabilities = getLightCapabilities(this.device);
+
+    if (typeof attributes.brightness === 'number') this.brightness = Math.max(1, Math.round(attributes.brightness / 255 * 100));
+    if (Array.isArray(attributes['hs_color'])) this.hs = attributes['hs_color'] as [number, number];
+    if (attributes['color_temp_kelvin']) this.kelvin = attributes['color_temp_kelvin'];
+    else if (this.capabilities) this.kelvin = Math.round((this.capabilities.minKelvin + this.capabilities.maxKelvin) / 2);
+    this.effect = attributes['effect'] || null;
+  }
+
+  // Hue is the angle clockwise from the top (red), saturation the distance from the center
+  pickColor(event: MouseEvent): void {
+    const wheel = (event.currentTarget as HTMLElement).getBoundingClientRect();
+    const radius = wheel.width / 2;
+    const dx = event.clientX - wheel.left - radius;
+    const dy = event.clientY - wheel.top - radius;
+
+    const hue = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+    const saturation = Math.min(1, Math.hypot(dx, dy) / radius) * 100;
+    this.hs = [Math.round(hue), Math.round(saturation)];
+    this.apply({ hs: this.hs });
+  }
+
+  getMarkerPosition(): { x: number; y: number } {
+    const [hue, saturation] = this.hs || [0, 0];
+    const angle = hue * Math.PI / 180;
+    return {
+      x: 50 + Math.sin(angle) * saturation / 2,
+      y: 50 - Math.cos(angle) * saturation / 2
+    };
+  }
+
+  apply(settings: LightSettings): void {
+    this.busy = true;
+    this.error = null;
+
+    this.haService.setLight(this.device.id, settings).subscribe({
+      next: () => {
+        this.busy = false;
+        if (settings.brightness !== undefined) this.brightness = settings.brightness;
+        if (settings.kelvin !== undefined) this.kelvin = settings.kelvin;
+        if (settings.effect !== undefined) this.effect = settings.effect;
+      },
+      error: (error) => {
+        this.busy = false;
+        this.error = error.error?.error || `Failed to set ${this.device.name}`;
+        console.error('Light control error:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,304 @@
+import { Component, Input, OnChanges, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatSliderModule } from '@angular/material/slider';
+import { MatSelectModule } from '@angular/material/select';
+import { EMPTY, Subject, interval, merge, timer } from 'rxjs';
+import { catchError, switchMap, takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Device } from '../../models/device.model';
+import { MediaAction, MediaOptions, MediaState } from '../../models/media.model';
+
+// Track changes don't show up in dashboard patches, so the card polls too
+const REFRESH_INTERVAL_MS = 15000;
+
+// Now playing on a media card (art, title, artist, progress and transport),
+// and when the card is expanded the rest of the remote: power, volume, mute,
+// source and sound mode. Each control appears only when the player supports it.
+@Component({
+  selector: 'app-media-controls',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    MatIconModule,
+    MatSliderModule,
+    MatSelectModule
+  ],
+  template: `
+    <div class="media-controls" *ngIf="media" (click)="$event.stopPropagation()">
+      <div class="now-playing" *ngIf="media.title">
+        <img *ngIf="artworkUrl && !artworkFailed" class="artwork" [src]="artworkUrl" alt=""
+             (error)="artworkFailed = true">
+        <div class="track">
+          <div class="title">{{ media.title }}</div>
+          <div class="artist" *ngIf="media.artist || media.album">
+            {{ media.artist }}<span *ngIf="media.artist && media.album"> · </span>{{ media.album }}
+          </div>
+        </div>
+      </div>
+
+      <div class="progress" *ngIf="media.duration">
+        <div class="progress-bar" [class.seekable]="media.features.seek" (click)="seek($event)">
+          <div class="progress-fill" [style.width.%]="getPosition() / media.duration * 100"></div>
+        </div>
+        <div class="progress-times">
+          <span>{{ formatTime(getPosition()) }}</span>
+          <span>{{ formatTime(media.duration) }}</span>
+        </div>
+      </div>
+
+      <div class="transport" *ngIf="media.state !== 'off'">
+        <button mat-icon-button *ngIf="media.features.previous" [disabled]="busy" (click)="send('previous')" aria-label="Previous">
+          <mat-icon>skip_previous</mat-icon>
+        </button>
+        <button mat-icon-button *ngIf="media.features.pause || media.features.play" [disabled]="busy"
+                (click)="send(media.state === 'playing' ? 'pause' : 'play')"
+                [attr.aria-label]="media.state === 'playing' ? 'Pause' : 'Play'">
+          <mat-icon>{{ media.state === 'playing' ? 'pause' : 'play_arrow' }}</mat-icon>
+        </button>
+        <button mat-icon-button *ngIf="media.features.next" [disabled]="busy" (click)="send('next')" aria-label="Next">
+          <mat-icon>skip_next</mat-icon>
+        </button>
+      </div>
+
+      <ng-container *ngIf="expanded">
+        <div class="control power" *ngIf="media.features.turnOn || media.features.turnOff">
+          <button mat-stroked-button [disabled]="busy"
+                  (click)="send(media.state === 'off' ? 'turn_on' : 'turn_off')">
+            <mat-icon>power_settings_new</mat-icon>
+            {{ media.state === 'off' ? 'Turn on' : 'Turn off' }}
+          </button>
+        </div>
+
+        <div class="control volume" *ngIf="media.features.volume || media.features.volumeStep || media.features.mute">
+          <button mat-icon-button *ngIf="media.features.mute" [disabled]="busy"
+                  (click)="send('mute', { muted: !media.muted })"
+                  [attr.aria-label]="media.muted ? 'Unmute' : 'Mute'">
+            <mat-icon>{{ media.muted ? 'volume_off' : 'volume_up' }}</mat-icon>
+          </button>
+          <mat-slider *ngIf="media.features.volume" min="0" max="100" step="1" discrete [disabled]="busy">
+            <input matSliderThumb [value]="media.volume ?? 0" (valueChange)="send('volume', { volume: $event })">
+          </mat-slider>
+          <ng-container *ngIf="!media.features.volume && media.features.volumeStep">
+            <button mat-icon-button [disabled]="busy" (click)="send('volume_down')" aria-label="Volume down">
+              <mat-icon>remove</mat-icon>
+            </button>
+            <button mat-icon-button [disabled]="busy" (click)="send('volume_up')" aria-label="Volume up">
+              <mat-icon>add</mat-icon>
+            </button>
+          </ng-container>
+        </div>
+
+        <mat-form-field class="control" appearance="outline" subscriptSizing="dynamic"
+                        *ngIf="media.features.source && media.sources.length > 0">
+          <mat-label>Source</mat-label>
+          <mat-select [value]="media.source" [disabled]="busy" (selectionChange)="send('source', { source: $event.value })">
+            <mat-option *ngFor="let source of media.sources" [value]="source">{{ source }}</mat-option>
+          </mat-select>
+        </mat-form-field>
+
+        <mat-form-field class="control" appearance="outline" subscriptSizing="dynamic"
+                        *ngIf="media.features.soundMode && media.soundModes.length > 0">
+          <mat-label>Sound mode</mat-label>
+          <mat-select [value]="media.soundMode" [disabled]="busy" (selectionChange)="send('sound_mode', { soundMode: $event.value })">
+            <mat-option *ngFor="let mode of media.soundModes" [value]="mode">{{ mode }}</mat-option>
+          </mat-select>
+        </mat-form-field>
+      </ng-container>
+
+      <div class="error" *ngIf="error">{{ error }}</div>
+    </div>
+  `,
+  styles: [`
+    .media-controls {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      margin-top: 12px;
+      cursor: default;
+    }
+
+    .now-playing {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      text-align: left;
+    }
+
+    .artwork {
+      width: 56px;
+      height: 56px;
+      flex-shrink: 0;
+      border-radius: 6px;
+      object-fit: cover;
+    }
+
+    .track {
+      min-width: 0;
+
+      .title,
+      .artist {
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+
+      .title {
+        font-weight: 500;
+      }
+
+      .artist {
+        font-size: 12px;
+        opacity: 0.7;
+      }
+    }
+
+    .progress-bar {
+      height: 4px;
+      border-radius: 2px;
+      background: rgba(255, 255, 255, 0.15);
+      overflow: hidden;
+
+      &.seekable {
+        height: 6px;
+        cursor: pointer;
+      }
+    }
+
+    .progress-fill {
+      height: 100%;
+      background: #4fc3f7;
+    }
+
+    .progress-times {
+      display: flex;
+      justify-content: space-between;
+      margin-top: 2px;
+      font-size: 11px;
+      opacity: 0.6;
+    }
+
+    .transport,
+    .volume {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .volume mat-slider {
+      flex: 1;
+      margin: 0;
+    }
+
+    .power button {
+      width: 100%;
+      color: #ffffff;
+    }
+
+    .error {
+      font-size: 12px;
+      color: #ef9a9a;
+    }
+  `]
+})
+export class MediaControlsComponent implements OnInit, OnChanges, OnDestroy {
+  @Input() device!: Device;
+  @Input() expanded = false;
+
+  media: MediaState | null = null;
+  artworkUrl: string | null = null;
+  artworkFailed = false;
+  busy = false;
+  error: string | null = null;
+  private now = Date.now();
+  private refresh$ = new Subject<void>();
+  private destroy$ = new Subject<void>();
+
+  constructor(private haService: HomeAssistantService) {}
+
+  ngOnInit(): void {
+    merge(timer(0, REFRESH_INTERVAL_MS), this.refresh$)
+      .pipe(
+        switchMap(() => this.haService.getMedia(this.device.id).pipe(
+          catchError(error => {
+            console.error('Media player error:', error);
+            return EMPTY;
+          })
+        )),
+        takeUntil(this.destroy$)
+      )
+      .subscribe(media => this.update(media));
+
+    // Moves the progress bar along between refreshes
+    interval(1000)
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(() => this.now = Date.now());
+  }
+
+  // Dashboard patches (play, pause, off, …) bring a new device object
+  ngOnChanges(): void {
+    if (this.media) this.refresh$.next();
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  // Seconds into the track, counting on from the last report while playing
+  getPosition(): number {
+    const media = this.media!;
+    if (media.position === null) return 0;
+    const elapsed = media.state === 'playing' && media.positionUpdatedAt
+      ? (this.now - media.positionUpdatedAt) / 1000
+      : 0;
+    return Math.min(media.duration ?? Infinity, Math.max(0, media.position + elapsed));
+  }
+
+  seek(event: MouseEvent): void {
+    const media = this.media!;
+    if (!media.features.seek || !media.duration || this.busy) return;
+
+    const bar = (event.currentTarget as HTMLElement).getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - bar.left) / bar.width));
+    this.send('seek', { position: Math.round(fraction * media.duration) });
+  }
+
+  send(action: MediaAction, options: MediaOptions = {}): void {
+    this.busy = true;
+    this.error = null;
+
+    this.haService.controlMediaPlayer(this.device.id, action, options).subscribe({
+      next: () => {
+        this.busy = false;
+        this.refresh$.next();
+      },
+      error: (error) => {
+        this.busy = false;
+        this.error = error.error?.error || `Failed to control ${this.device.name}`;
+        console.error('Media control error:', error);
+      }
+    });
+  }
+
+  formatTime(seconds: number): string {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+  }
+
+  private update(media: MediaState): void {
+    const artworkUrl = this.haService.getMediaArtworkUrl(media);
+    if (artworkUrl !== this.artworkUrl) {
+      this.artworkUrl = artworkUrl;
+      this.artworkFailed = false;
+    }
+    this.media = media;
+    this.now = Date.now();
+  }
+}
@@ -0,0 +1,143 @@
+import { Component, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatSnackBar } from '@angular/material/snack-bar';
+import { MatDialog } from '@angular/material/dialog';
+import { Subject, combineLatest } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Routine } from '../../models/scene.model';
+import { SceneBrowserComponent } from '../scene-browser/scene-browser.component';
+
+const RECENT_LIMIT = 4;
+
+// One-tap row of this dashboard's favorite scenes/scripts followed by the most
+// recently used ones; "All scenes" opens the browser with automations too
+@Component({
+  selector: 'app-scene-bar',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatButtonModule,
+    MatIconModule
+  ],
+  template: `
+    <div class="scene-bar" *ngIf="hasRoutines">
+      <button mat-stroked-button
+              *ngFor="let routine of favorites; trackBy: trackById"
+              class="scene-chip favorite"
+              [disabled]="busyId === routine.id"
+              (click)="run(routine)">
+        <mat-icon>star</mat-icon>
+        {{ routine.name }}
+      </button>
+      <button mat-stroked-button
+              *ngFor="let routine of recent; trackBy: trackById"
+              class="scene-chip"
+              [disabled]="busyId === routine.id"
+              (click)="run(routine)">
+        <mat-icon>{{ routine.domain === 'script' ? 'play_arrow' : 'history' }}</mat-icon>
+        {{ routine.name }}
+      </button>
+      <button mat-button class="browse-button" (click)="openBrowser()">
+        <mat-icon>palette</mat-icon>
+        All scenes
+      </button>
+    </div>
+  `,
+  styles: [`
+    .scene-bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 24px;
+    }
+
+    .scene-chip {
+      min-height: 44px;
+      border-radius: 22px;
+      color: #ffffff;
+
+      &.favorite mat-icon {
+        color: #ffd54f;
+      }
+    }
+
+    .browse-button {
+      min-height: 44px;
+      color: #4fc3f7;
+    }
+  `]
+})
+export class SceneBarComponent implements OnInit, OnDestroy {
+  favorites: Routine[] = [];
+  recent: Routine[] = [];
+  hasRoutines = false;
+  busyId: string | null = null;
+  private destroy$ = new Subject<void>();
+
+  constructor(
+    private haService: HomeAssistantService,
+    private snackBar: MatSnackBar,
+    private dialog: MatDialog
+  ) {}
+
+  ngOnInit(): void {
+    combineLatest([this.haService.watchScenes(), this.haService.getFavoriteScenes()])
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: ([state, favoriteIds]) => {
+          const runnable = state.areas.flatMap(area => [...area.scenes, ...area.scripts]);
+          const byId = new Map(runnable.map(routine => [routine.id, routine]));
+
+          this.hasRoutines = state.areas.length > 0;
+          this.favorites = favoriteIds
+            .map(id => byId.get(id))
+            .filter((routine): routine is Routine => !!routine);
+          this.recent = runnable
+            .filter(routine => routine.lastActivated && !favoriteIds.includes(routine.id))
+            .sort((a, b) => b.lastActivated! - a.lastActivated!)
+            .slice(0, RECENT_LIMIT);
+        },
+        error: (error) => console.error('Failed to load scenes:', error)
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  run(routine: Routine): void {
+    this.busyId = routine.id;
+
+    this.haService.activateScene(routine.id).subscribe({
+      next: () => {
+        this.busyId = null;
+        this.snackBar.open(`${routine.name} activated`, 'Dismiss', { duration: 2000 });
+      },
+      error: (error) => {
+        this.busyId = null;
+        this.snackBar.open(error.error?.error || `Failed to activate ${routine.name}`, 'Dismiss', {
+          duration: 5000,
+          panelClass: 'error-snackbar'
+        });
+        console.error('Scene error:', error);
+      }
+    });
+  }
+
+  openBrowser(): void {
+    this.dialog.open(SceneBrowserComponent, {
+      maxWidth: '95vw',
+      autoFocus: false
+    });
+  }
+
+  trackById(index: number, routine: Routine): string {
+    return routine.id;
+  }
+}
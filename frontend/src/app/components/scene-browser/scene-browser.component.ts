@@ -0,0 +1,263 @@
+import { Component, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MatDialogModule } from '@angular/material/dialog';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatSlideToggleChange, MatSlideToggleModule } from '@angular/material/slide-toggle';
+import { MatProgressSpinnerModule } from '@angular/material/progress-spinner';
+import { MatSnackBar } from '@angular/material/snack-bar';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Routine, SceneArea } from '../../models/scene.model';
+
+// Every scene, script and automation by area: tap to run, star to pin to the
+// scene bar, and enable/disable automations
+@Component({
+  selector: 'app-scene-browser',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatDialogModule,
+    MatButtonModule,
+    MatIconModule,
+    MatSlideToggleModule,
+    MatProgressSpinnerModule
+  ],
+  template: `
+    <div class="scene-browser-container">
+      <h2 mat-dialog-title>
+        <mat-icon>palette</mat-icon>
+        Scenes &amp; Automations
+      </h2>
+
+      <div mat-dialog-content>
+        <div *ngIf="loading" class="loading">
+          <mat-spinner diameter="40"></mat-spinner>
+        </div>
+
+        <p *ngIf="!loading && areas.length === 0" class="empty">
+          No scenes, scripts or automations are exposed to the dashboard.
+        </p>
+
+        <section *ngFor="let area of areas; trackBy: trackByName" class="area">
+          <h3>{{ area.name }}</h3>
+
+          <div class="runnable" *ngIf="area.scenes.length > 0 || area.scripts.length > 0">
+            <div *ngFor="let routine of area.scenes.concat(area.scripts); trackBy: trackById" class="routine">
+              <button mat-stroked-button class="run-button"
+                      [disabled]="busyId === routine.id"
+                      (click)="run(routine)">
+                <mat-icon>{{ routine.domain === 'script' ? 'play_arrow' : 'palette' }}</mat-icon>
+                {{ routine.name }}
+              </button>
+              <button mat-icon-button
+                      [class.favorite]="isFavorite(routine)"
+                      [title]="isFavorite(routine) ? 'Remove from scene bar' : 'Add to scene bar'"
+                      (click)="toggleFavorite(routine)">
+                <mat-icon>{{ isFavorite(routine) ? 'star' : 'star_border' }}</mat-icon>
+              </button>
+            </div>
+          </div>
+
+          <div *ngFor="let automation of area.automations; trackBy: trackById" class="automation">
+            <div class="automation-info">
+              <span class="automation-name">{{ automation.name }}</span>
+              <span class="last-triggered">{{ getLastTriggeredText(automation) }}</span>
+            </div>
+            <mat-slide-toggle [checked]="automation.enabled"
+                              [disabled]="busyId === automation.id"
+                              (change)="setEnabled(automation, $event)">
+            </mat-slide-toggle>
+          </div>
+        </section>
+      </div>
+
+      <div mat-dialog-actions class="actions">
+        <button mat-button mat-dialog-close>Close</button>
+      </div>
+    </div>
+  `,
+  styles: [`
+    .scene-browser-container {
+      width: 720px;
+      max-width: 100%;
+    }
+
+    h2 {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .loading {
+      display: flex;
+      justify-content: center;
+      padding: 24px;
+    }
+
+    .empty {
+      opacity: 0.7;
+    }
+
+    .area {
+      margin-bottom: 20px;
+
+      h3 {
+        margin: 0 0 8px 0;
+        font-size: 16px;
+        font-weight: 600;
+        color: #4fc3f7;
+      }
+    }
+
+    .runnable {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+
+    .routine {
+      display: flex;
+      align-items: center;
+
+      .run-button {
+        min-height: 44px;
+        color: #ffffff;
+      }
+
+      .favorite mat-icon {
+        color: #ffd54f;
+      }
+    }
+
+    .automation {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 16px;
+      padding: 8px 0;
+      border-top: 1px solid rgba(255, 255, 255, 0.08);
+    }
+
+    .automation-info {
+      display: flex;
+      flex-direction: column;
+
+      .last-triggered {
+        font-size: 12px;
+        opacity: 0.6;
+      }
+    }
+
+    .actions {
+      display: flex;
+      justify-content: flex-end;
+    }
+  `]
+})
+export class SceneBrowserComponent implements OnInit, OnDestroy {
+  areas: SceneArea[] = [];
+  loading = true;
+  busyId: string | null = null;
+  private favorites = new Set<string>();
+  private destroy$ = new Subject<void>();
+
+  constructor(
+    private haService: HomeAssistantService,
+    private snackBar: MatSnackBar
+  ) {}
+
+  ngOnInit(): void {
+    this.haService.watchScenes()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe({
+        next: (state) => {
+          this.areas = state.areas;
+          this.loading = false;
+        },
+        error: (error) => {
+          this.loading = false;
+          console.error('Failed to load scenes:', error);
+        }
+      });
+
+    this.haService.getFavoriteScenes()
+      .pipe(takeUntil(this.destroy$))
+      .subscribe(favorites => this.favorites = new Set(favorites));
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  run(routine: Routine): void {
+    this.busyId = routine.id;
+
+    this.haService.activateScene(routine.id).subscribe({
+      next: () => {
+        this.busyId = null;
+        this.snackBar.open(`${routine.name} activated`, 'Dismiss', { duration: 2000 });
+      },
+      error: (error) => {
+        this.busyId = null;
+        this.showError(error, `Failed to activate ${routine.name}`);
+      }
+    });
+  }
+
+  setEnabled(automation: Routine, change: MatSlideToggleChange): void {
+    this.busyId = automation.id;
+
+    this.haService.setAutomationEnabled(automation.id, change.checked).subscribe({
+      next: () => {
+        this.busyId = null;
+        automation.enabled = change.checked;
+      },
+      error: (error) => {
+        this.busyId = null;
+        change.source.checked = !change.checked;
+        this.showError(error, `Failed to ${change.checked ? 'enable' : 'disable'} ${automation.name}`);
+      }
+    });
+  }
+
+  isFavorite(routine: Routine): boolean {
+    return this.favorites.has(routine.id);
+  }
+
+  toggleFavorite(routine: Routine): void {
+    this.haService.setFavoriteScene(routine.id, !this.isFavorite(routine));
+  }
+
+  getLastTriggeredText(automation: Routine): string {
+    const state = automation.enabled ? '' : 'Disabled · ';
+    if (!automation.lastActivated) return `${state}Never triggered`;
+
+    const minutes = Math.floor((Date.now() - automation.lastActivated) / 60000);
+    if (minutes < 1) return `${state}Triggered just now`;
+    if (minutes < 60) return `${state}Triggered ${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${state}Triggered ${hours}h ago`;
+    return `${state}Triggered ${Math.floor(hours / 24)}d ago`;
+  }
+
+  private showError(error: any, fallback: string): void {
+    this.snackBar.open(error.error?.error || fallback, 'Dismiss', {
+      duration: 5000,
+      panelClass: 'error-snackbar'
+    });
+    console.error(fallback, error);
+  }
+
+  trackByName(index: number, area: SceneArea): string {
+    return area.name;
+  }
+
+  trackById(index: number, routine: Routine): string {
+    return routine.id;
+  }
+}
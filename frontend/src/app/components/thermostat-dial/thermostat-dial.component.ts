@@ -0,0 +1,471 @@
+import { Component, Inject, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { MAT_DIALOG_DATA, MatDialogModule } from '@angular/material/dialog';
+import { MatButtonModule } from '@angular/material/button';
+import { MatIconModule } from '@angular/material/icon';
+import { MatProgressSpinnerModule } from '@angular/material/progress-spinner';
+import { EMPTY, Subject, timer } from 'rxjs';
+import { catchError, debounceTime, switchMap, takeUntil } from 'rxjs/operators';
+
+import { HomeAssistantService } from '../../services/homeassistant.service';
+import { Device } from '../../models/device.model';
+import { ClimateSettings, ClimateState } from '../../models/climate.model';
+
+export interface ThermostatDialData {
+  device: Device;
+}
+
+type Setpoint = 'temperature' | 'targetTempLow' | 'targetTempHigh';
+
+const REFRESH_INTERVAL_MS = 30000;
+// Setpoint taps are collected and sent once the user pauses
+const SETPOINT_DEBOUNCE_MS = 800;
+// Used when the thermostat doesn't report min_temp/max_temp
+const DEFAULT_MIN_TEMP = 45;
+const DEFAULT_MAX_TEMP = 95;
+const DUAL_SETPOINT_MODES = ['heat_cool', 'auto'];
+
+// The dial is a 270° arc opening at the bottom, min_temp bottom-left to max_temp bottom-right
+const ARC_START = 135;
+const ARC_SWEEP = 270;
+const ARC_RADIUS = 80;
+
+const MODE_ICONS: Record<string, string> = {
+  off: 'power_settings_new',
+  heat: 'local_fire_department',
+  cool: 'ac_unit',
+  heat_cool: 'thermostat_auto',
+  auto: 'thermostat_auto',
+  dry: 'water_drop',
+  fan_only: 'mode_fan'
+};
+
+// Thermostat control: a dial with the current temperature, what the HVAC is
+// doing right now and one or two setpoints, plus HVAC mode, preset and fan mode
+@Component({
+  selector: 'app-thermostat-dial',
+  standalone: true,
+  imports: [
+    CommonModule,
+    MatDialogModule,
+    MatButtonModule,
+    MatIconModule,
+    MatProgressSpinnerModule
+  ],
+  template: `
+    <div class="thermostat-container">
+      <h2 mat-dialog-title>
+        <mat-icon>thermostat</mat-icon>
+        {{ climate?.name || data.device.name }}
+      </h2>
+
+      <div mat-dialog-content>
+        <div *ngIf="!climate" class="loading">
+          <mat-spinner diameter="40"></mat-spinner>
+        </div>
+
+        <ng-container *ngIf="climate">
+          <div class="dial" [ngClass]="'action-' + (climate.hvacAction || 'unknown')">
+            <svg viewBox="0 0 200 200">
+              <path class="track" [attr.d]="describeArc(0, 1)"></path>
+              <path class="range" *ngIf="getRangeArc() as arc" [attr.d]="arc"></path>
+              <circle class="current-marker" *ngIf="climate.currentTemperature !== null"
+                      r="4"
+                      [attr.cx]="pointAt(climate.currentTemperature).x"
+                      [attr.cy]="pointAt(climate.currentTemperature).y"></circle>
+              <circle class="setpoint-marker" *ngFor="let setpoint of getSetpoints()"
+                      r="8"
+                      [attr.cx]="pointAt(setpoints[setpoint]!).x"
+                      [attr.cy]="pointAt(setpoints[setpoint]!).y"></circle>
+            </svg>
+
+            <div class="readout">
+              <span class="action">{{ getActionLabel() }}</span>
+              <span class="current">{{ formatTemperature(climate.currentTemperature) }}</span>
+              <span class="humidity" *ngIf="climate.currentHumidity !== null">{{ climate.currentHumidity }}% humidity</span>
+            </div>
+          </div>
+
+          <div class="setpoints" *ngIf="getSetpoints().length > 0">
+            <div class="setpoint" *ngFor="let setpoint of getSetpoints()" [ngClass]="setpoint">
+              <span class="setpoint-label">{{ getSetpointLabel(setpoint) }}</span>
+              <div class="stepper">
+                <button mat-icon-button (click)="step(setpoint, -1)" [attr.aria-label]="'Lower ' + getSetpointLabel(setpoint)">
+                  <mat-icon>remove</mat-icon>
+                </button>
+                <span class="setpoint-value">{{ formatTemperature(setpoints[setpoint]) }}</span>
+                <button mat-icon-button (click)="step(setpoint, 1)" [attr.aria-label]="'Raise ' + getSetpointLabel(setpoint)">
+                  <mat-icon>add</mat-icon>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="option-row" *ngIf="climate.hvacModes.length > 0">
+            <span class="option-label">Mode</span>
+            <div class="options">
+              <button mat-stroked-button *ngFor="let mode of climate.hvacModes"
+                      [class.selected]="mode === climate.hvacMode"
+                      [disabled]="busy"
+                      (click)="apply({ hvacMode: mode })">
+                <mat-icon>{{ getModeIcon(mode) }}</mat-icon>
+                {{ formatOption(mode) }}
+              </button>
+            </div>
+          </div>
+
+          <div class="option-row" *ngIf="climate.presetModes.length > 0">
+            <span class="option-label">Preset</span>
+            <div class="options">
+              <button mat-stroked-button *ngFor="let preset of climate.presetModes"
+                      [class.selected]="preset === climate.presetMode"
+                      [disabled]="busy"
+                      (click)="apply({ presetMode: preset })">
+                {{ formatOption(preset) }}
+              </button>
+            </div>
+          </div>
+
+          <div class="option-row" *ngIf="climate.fanModes.length > 0">
+            <span class="option-label">Fan</span>
+            <div class="options">
+              <button mat-stroked-button *ngFor="let fan of climate.fanModes"
+                      [class.selected]="fan === climate.fanMode"
+                      [disabled]="busy"
+                      (click)="apply({ fanMode: fan })">
+                {{ formatOption(fan) }}
+              </button>
+            </div>
+          </div>
+
+          <div class="error" *ngIf="error">{{ error }}</div>
+        </ng-container>
+      </div>
+
+      <div mat-dialog-actions class="actions">
+        <button mat-button mat-dialog-close>Close</button>
+      </div>
+    </div>
+  `,
+  styles: [`
+    .thermostat-container {
+      width: 420px;
+      max-width: 100%;
+    }
+
+    h2 {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .loading {
+      display: flex;
+      justify-content: center;
+      padding: 24px;
+    }
+
+    .dial {
+      position: relative;
+      width: 240px;
+      height: 240px;
+      margin: 0 auto;
+      --action-color: #90a4ae;
+
+      &.action-heating { --action-color: #ff8a65; }
+      &.action-cooling { --action-color: #4fc3f7; }
+      &.action-drying { --action-color: #ffd54f; }
+      &.action-fan { --action-color: #81c784; }
+
+      svg {
+        width: 100%;
+        height: 100%;
+      }
+
+      .track,
+      .range {
+        fill: none;
+        stroke-linecap: round;
+        stroke-width: 12;
+      }
+
+      .track {
+        stroke: rgba(255, 255, 255, 0.12);
+      }
+
+      .range {
+        stroke: var(--action-color);
+      }
+
+      .current-marker {
+        fill: #ffffff;
+      }
+
+      .setpoint-marker {
+        fill: #1e1e1e;
+        stroke: #ffffff;
+        stroke-width: 3;
+      }
+    }
+
+    .readout {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+
+      .action {
+        font-size: 13px;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+        color: var(--action-color);
+      }
+
+      .current {
+        font-size: 44px;
+        font-weight: 300;
+      }
+
+      .humidity {
+        font-size: 12px;
+        opacity: 0.6;
+      }
+    }
+
+    .setpoints {
+      display: flex;
+      justify-content: center;
+      gap: 24px;
+      margin: 8px 0 16px;
+    }
+
+    .setpoint {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+
+      &.targetTempLow .setpoint-label { color: #ff8a65; }
+      &.targetTempHigh .setpoint-label { color: #4fc3f7; }
+
+      .setpoint-label {
+        font-size: 12px;
+        opacity: 0.8;
+      }
+
+      .stepper {
+        display: flex;
+        align-items: center;
+      }
+
+      .setpoint-value {
+        min-width: 56px;
+        font-size: 22px;
+        text-align: center;
+      }
+    }
+
+    .option-row {
+      margin-bottom: 12px;
+
+      .option-label {
+        font-size: 12px;
+        opacity: 0.8;
+      }
+
+      .options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 6px;
+      }
+
+      button {
+        min-height: 40px;
+        color: #ffffff;
+
+        &.selected {
+          border-color: #4fc3f7;
+          color: #4fc3f7;
+        }
+      }
+    }
+
+    .error {
+      font-size: 12px;
+      color: #ef9a9a;
+    }
+
+    .actions {
+      display: flex;
+      justify-content: flex-end;
+    }
+  `]
+})
+export class ThermostatDialComponent implements OnInit, OnDestroy {
+  climate: ClimateState | null = null;
+  // What the dial shows; runs ahead of the thermostat while taps are pending
+  setpoints: Record<Setpoint, number | null> = { temperature: null, targetTempLow: null, targetTempHigh: null };
+  busy = false;
+  error: string | null = null;
+  private pendingSetpoints = false;
+  private setpointChanges$ = new Subject<ClimateSettings>();
+  private destroy$ = new Subject<void>();
+
+  constructor(
+    @Inject(MAT_DIALOG_DATA) public data: ThermostatDialData,
+    private haService: HomeAssistantService
+  ) {}
+
+  ngOnInit(): void {
+    timer(0, REFRESH_INTERVAL_MS)
+      .pipe(
+        switchMap(() => this.haService.getClimate(this.data.device.id).pipe(
+          catchError(error => {
+            this.error = error.error?.error || `Failed to load ${this.data.device.name}`;
+            console.error('Climate error:', error);
+            return EMPTY;
+          })
+        )),
+        takeUntil(this.destroy$)
+      )
+      .subscribe(climate => this.update(climate));
+
+    this.setpointChanges$
+      .pipe(debounceTime(SETPOINT_DEBOUNCE_MS), takeUntil(this.destroy$))
+      .subscribe(settings => {
+        this.pendingSetpoints = false;
+        this.apply(settings);
+      });
+  }
+
+  ngOnDestroy(): void {
+    this.destroy$.next();
+    this.destroy$.complete();
+  }
+
+  // Heat/cool range in heat_cool and auto, a single target otherwise, none when off
+  getSetpoints(): Setpoint[] {
+    if (!this.climate) return [];
+    if (DUAL_SETPOINT_MODES.includes(this.climate.hvacMode) && this.setpoints.targetTempLow !== null && this.setpoints.targetTempHigh !== null) {
+      return ['targetTempLow', 'targetTempHigh'];
+    }
+    return this.setpoints.temperature !== null ? ['temperature'] : [];
+  }
+
+  step(setpoint: Setpoint, direction: 1 | -1): void {
+    const climate = this.climate!;
+    const value = this.clamp(this.setpoints[setpoint]! + direction * climate.step);
+    // Keep the range at least one step wide
+    if (setpoint === 'targetTempLow' && value >= this.setpoints.targetTempHigh!) return;
+    if (setpoint === 'targetTempHigh' && value <= this.setpoints.targetTempLow!) return;
+
+    this.setpoints[setpoint] = value;
+    this.pendingSetpoints = true;
+    this.setpointChanges$.next(setpoint === 'temperature'
+      ? { temperature: value }
+      : { targetTempLow: this.setpoints.targetTempLow!, targetTempHigh: this.setpoints.targetTempHigh! });
+  }
+
+  apply(settings: ClimateSettings): void {
+    this.busy = true;
+    this.error = null;
+
+    this.haService.controlClimate(this.data.device.id, settings).subscribe({
+      next: (climate) => {
+        this.busy = false;
+        this.update(climate);
+      },
+      error: (error) => {
+        this.busy = false;
+        this.error = error.error?.error || `Failed to update ${this.data.device.name}`;
+        console.error('Climate control error:', error);
+        // Put the dial back to what the thermostat actually has
+        if (this.climate) this.update(this.climate);
+      }
+    });
+  }
+
+  // Arc path between two fractions of the dial
+  describeArc(from: number, to: number): string {
+    const start = this.pointAtFraction(from);
+    const end = this.pointAtFraction(to);
+    const largeArc = (to - from) * ARC_SWEEP > 180 ? 1 : 0;
+    return `M ${start.x} ${start.y} A ${ARC_RADIUS} ${ARC_RADIUS} 0 ${largeArc} 1 ${end.x} ${end.y}`;
+  }
+
+  // Colored between the two setpoints of a range, up to the setpoint otherwise
+  getRangeArc(): string | null {
+    const setpoints = this.getSetpoints();
+    if (setpoints.length === 2) {
+      return this.describeArc(this.fractionOf(this.setpoints.targetTempLow!), this.fractionOf(this.setpoints.targetTempHigh!));
+    }
+    if (setpoints.length === 1) {
+      return this.describeArc(0, this.fractionOf(this.setpoints.temperature!));
+    }
+    return null;
+  }
+
+  pointAt(temperature: number): { x: number; y: number } {
+    return this.pointAtFraction(this.fractionOf(temperature));
+  }
+
+  getActionLabel(): string {
+    const climate = this.climate!;
+    if (climate.hvacAction) return this.formatOption(climate.hvacAction);
+    return climate.hvacMode === 'off' ? 'Off' : this.formatOption(climate.hvacMode);
+  }
+
+  getSetpointLabel(setpoint: Setpoint): string {
+    if (setpoint === 'targetTempLow') return 'Heat to';
+    if (setpoint === 'targetTempHigh') return 'Cool to';
+    return 'Target';
+  }
+
+  getModeIcon(mode: string): string {
+    return MODE_ICONS[mode] || 'thermostat';
+  }
+
+  formatOption(option: string): string {
+    const label = option.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  formatTemperature(value: number | null): string {
+    return value === null ? '--' : `${Math.round(value * 10) / 10}°`;
+  }
+
+  private update(climate: ClimateState): void {
+    this.climate = climate;
+    if (this.pendingSetpoints) return;
+    this.setpoints = {
+      temperature: climate.temperature,
+      targetTempLow: climate.targetTempLow,
+      targetTempHigh: climate.targetTempHigh
+    };
+  }
+
+  private fractionOf(temperature: number): number {
+    const min = this.climate?.minTemp ?? DEFAULT_MIN_TEMP;
+    const max = this.climate?.maxTemp ?? DEFAULT_MAX_TEMP;
+    return Math.min(1, Math.max(0, (temperature - min) / (max - min)));
+  }
+
+  private pointAtFraction(fraction: number): { x: number; y: number } {
+    const angle = (ARC_START + fraction * ARC_SWEEP) * Math.PI / 180;
+    return {
+      x: Math.round((100 + ARC_RADIUS * Math.cos(angle)) * 100) / 100,
+      y: Math.round((100 + ARC_RADIUS * Math.sin(angle)) * 100) / 100
+    };
+  }
+
+  private clamp(value: number): number {
+    const climate = this.climate!;
+    const min = climate.minTemp ?? DEFAULT_MIN_TEMP;
+    const max = climate.maxTemp ?? DEFAULT_MAX_TEMP;
+    // Round to the step so 0.5° steps don't drift into float noise
+    const stepped = Math.round(value / climate.step) * climate.step;
+    return Math.min(max, Math.max(min, Math.round(stepped * 10) / 10));
+  }
+}
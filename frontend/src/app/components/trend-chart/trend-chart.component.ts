@@ -0,0 +1,174 @@
+import { Component, Input, OnChanges } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { TrendPoint } from '../../models/history.model';
+
+export interface ChartSeries {
+  label: string;
+  points: TrendPoint[];
+  color: string;
+  axis: 'left' | 'right';
+  dashed?: boolean;
+  band?: boolean; // shade the min/max range behind the average line
+}
+
+interface AxisTick {
+  y: number;
+  label: string;
+}
+
+interface RenderedSeries extends ChartSeries {
+  path: string;
+  bandPaths: string[];
+}
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 44, bottom: 28, left: 44 };
+
+// Plain SVG line chart for trend series: averages as lines (gaps where there is
+// no data), optional min/max bands, a left axis and an optional right axis
+@Component({
+  selector: 'app-trend-chart',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './trend-chart.component.html',
+  styleUrls: ['./trend-chart.component.scss']
+})
+export class TrendChartComponent implements OnChanges {
+  @Input() series: ChartSeries[] = [];
+  @Input() from = 0;
+  @Input() to = 0;
+  @Input() leftUnit = '';
+  @Input() rightUnit = '';
+
+  readonly width = WIDTH;
+  readonly height = HEIGHT;
+  readonly padding = PADDING;
+
+  rendered: RenderedSeries[] = [];
+  leftTicks: AxisTick[] = [];
+  rightTicks: AxisTick[] = [];
+  timeTicks: { x: number; label: string }[] = [];
+  hasData = false;
+
+  ngOnChanges(): void {
+    const left = this.domain(this.series.filter(series => series.axis === 'left'));
+    const right = this.domain(this.series.filter(series => series.axis === 'right'));
+
+    this.rendered = this.series.map(series => {
+      const domain = series.axis === 'left' ? left : right;
+      return {
+        ...series,
+        path: this.linePath(series.points, domain),
+        bandPaths: series.band ? this.bandPaths(series.points, domain) : []
+      };
+    });
+
+    this.hasData = this.rendered.some(series => series.path !== '');
+    this.leftTicks = left ? this.valueTicks(left, this.leftUnit) : [];
+    this.rightTicks = right ? this.valueTicks(right, this.rightUnit) : [];
+    this.timeTicks = this.buildTimeTicks();
+  }
+
+  get plotRight(): number {
+    return WIDTH - PADDING.right;
+  }
+
+  get plotBottom(): number {
+    return HEIGHT - PADDING.bottom;
+  }
+
+  trackByLabel(index: number, series: ChartSeries): string {
+    return series.label;
+  }
+
+  // Value range across the series' min/max, padded so lines don't touch the edges
+  private domain(series: ChartSeries[]): [number, number] | null {
+    const values = series.flatMap(item => item.points.flatMap(point => [point.min, point.max, point.avg]))
+      .filter((value): value is number => value !== null);
+    if (values.length === 0) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const padding = Math.max((max - min) * 0.1, 1);
+    return [Math.floor(min - padding), Math.ceil(max + padding)];
+  }
+
+  private x(at: number): number {
+    const span = this.to - this.from || 1;
+    return PADDING.left + ((at - this.from) / span) * (this.plotRight - PADDING.left);
+  }
+
+  private y(value: number, [min, max]: [number, number]): number {
+    return this.plotBottom - ((value - min) / (max - min || 1)) * (this.plotBottom - PADDING.top);
+  }
+
+  // Bucket averages are plotted at the middle of their interval
+  private midpoint(points: TrendPoint[], index: number): number {
+    const next = points[index + 1]?.at ?? this.to;
+    return (points[index].at + next) / 2;
+  }
+
+  private linePath(points: TrendPoint[], domain: [number, number] | null): string {
+    if (!domain) return '';
+
+    let path = '';
+    let drawing = false;
+    points.forEach((point, index) => {
+      if (point.avg === null) {
+        drawing = false;
+        return;
+      }
+      const command = drawing ? 'L' : 'M';
+      path += `${command}${this.x(this.midpoint(points, index)).toFixed(1)},${this.y(point.avg, domain).toFixed(1)} `;
+      drawing = true;
+    });
+    return path.trim();
+  }
+
+  // One closed min→max polygon per run of buckets with data
+  private bandPaths(points: TrendPoint[], domain: [number, number] | null): string[] {
+    if (!domain) return [];
+
+    const runs: number[][] = [];
+    points.forEach((point, index) => {
+      if (point.min === null || point.max === null) return;
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1] === index - 1) {
+        run.push(index);
+      } else {
+        runs.push([index]);
+      }
+    });
+
+    return runs.map(run => {
+      const upper = run.map(index => `${this.x(this.midpoint(points, index)).toFixed(1)},${this.y(points[index].max!, domain).toFixed(1)}`);
+      const lower = run.slice().reverse().map(index => `${this.x(this.midpoint(points, index)).toFixed(1)},${this.y(points[index].min!, domain).toFixed(1)}`);
+      return `M${[...upper, ...lower].join(' L')} Z`;
+    });
+  }
+
+  private valueTicks(domain: [number, number], unit: string): AxisTick[] {
+    const [min, max] = domain;
+    const step = (max - min) / 4;
+    return [0, 1, 2, 3, 4].map(index => {
+      const value = min + step * index;
+      return { y: this.y(value, domain), label: `${Math.round(value)}${unit}` };
+    });
+  }
+
+  // Times for short ranges, weekdays once the range spans more than two days
+  private buildTimeTicks(): { x: number; label: string }[] {
+    if (this.to <= this.from) return [];
+
+    const multiDay = this.to - this.from > 2 * 24 * 60 * 60 * 1000;
+    const format: Intl.DateTimeFormatOptions = multiDay
+      ? { timeZone: 'America/Denver', weekday: 'short' }
+      : { timeZone: 'America/Denver', hour: 'numeric', hour12: true };
+
+    return [0, 1, 2, 3, 4].map(index => {
+      const at = this.from + ((this.to - this.from) * index) / 4;
+      return { x: this.x(at), label: new Date(at).toLocaleString('en-US', format) };
+    });
+  }
+}
@@ -0,0 +1,25 @@
+import { Severity } from './device.model';
+
+// Active escalation from the backend's escalation engine ('alerts-update', GET /api/alerts)
+export interface Escalation {
+  id: string;
+  ruleId: string;
+  deviceId: string;
+  name: string;
+  severity: Exclude<Severity, 'ok'>;
+  message: string;
+  since: number;
+  escalatedAt: number;
+}
+
+// Acknowledgement or snooze ('alert-suppressions'); alertId is an escalation id or an entity_id
+export interface AlertSuppression {
+  alertId: string;
+  deviceId: string;
+  type: 'ack' | 'snooze';
+  by: string;
+  note: string | null;
+  at: number;
+  until: number | null;
+  state: string | null;
+}
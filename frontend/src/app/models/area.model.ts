@@ -0,0 +1,22 @@
+import { DashboardMetadata, Device, Severity } from './device.model';
+
+// Tile summary for one Home Assistant area (GET /api/areas)
+export interface AreaSummary {
+  openDoors: number;
+  activeLights: number;
+  temperature: number | null;
+  motion: boolean;
+  lastMotion: number | null;
+}
+
+export interface Area {
+  name: string;
+  summary: AreaSummary;
+  severity: Severity;
+  devices: Device[];
+}
+
+export interface AreaState {
+  areas: Area[];
+  metadata?: DashboardMetadata;
+}
@@ -0,0 +1,50 @@
+// A camera from the backend registry (GET /api/cameras). Streams are proxied
+// by the backend at streamPath; sources and credentials never reach the browser.
+export interface Camera {
+  id: string;
+  name: string;
+  streamPath: string;
+  snapshotPath: string;
+  motionEntities: string[];
+  personEntities: string[];
+  alwaysVisible: boolean;
+  position: { row: number; col: number } | null;
+  ptz: { presets: CameraPreset[] } | null; // null when the camera can't pan/tilt/zoom
+  doorbell: { ringEntities: string[]; lock: string | null; light: string | null } | null;
+}
+
+export interface CameraPreset {
+  number: number;
+  name: string;
+}
+
+export type CameraPtzAction = 'left' | 'right' | 'up' | 'down' | 'home' | 'zoomIn' | 'zoomOut';
+
+// A recorded motion/person event (GET /api/camera/:id/events)
+export interface CameraEvent {
+  id: string;
+  camera: string;
+  entityId: string;
+  trigger: 'motion' | 'person';
+  startedAt: number;
+  triggeredAt: number;
+  endedAt: number;
+  frameCount: number;
+  clipPath: string;
+  thumbnailPath: string;
+}
+
+// Someone at a doorbell camera (a ring or person detection). Active visits
+// arrive over socket.io as 'doorbell-rings'; recent ones from
+// GET /api/camera/:id/visitors
+export interface DoorbellVisit {
+  id: string;
+  camera: string;
+  trigger: 'ring' | 'person';
+  entityId: string;
+  at: number;
+  snapshot: boolean;
+  snapshotPath: string | null;
+}
+
+export type DoorbellAction = 'unlock' | 'light' | 'dismiss';
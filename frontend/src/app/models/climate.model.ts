@@ -0,0 +1,31 @@
+// Thermostat state (GET /api/climate/:deviceId)
+export interface ClimateState {
+  id: string;
+  name: string;
+  hvacMode: string;
+  // heating, cooling, idle, off, fan, drying, … as the thermostat reports it
+  hvacAction: string | null;
+  hvacModes: string[];
+  presetMode: string | null;
+  presetModes: string[];
+  fanMode: string | null;
+  fanModes: string[];
+  currentTemperature: number | null;
+  currentHumidity: number | null;
+  // Single setpoint (heat, cool, …) or a low/high range (heat_cool, auto)
+  temperature: number | null;
+  targetTempLow: number | null;
+  targetTempHigh: number | null;
+  minTemp: number | null;
+  maxTemp: number | null;
+  step: number;
+}
+
+export interface ClimateSettings {
+  hvacMode?: string;
+  presetMode?: string;
+  fanMode?: string;
+  temperature?: number;
+  targetTempLow?: number;
+  targetTempHigh?: number;
+}
@@ -1,14 +1,24 @@
 export interface Device {
+  // Home Assistant entity_id, or the friendly name if the entity couldn't be resolved
   id: string;
+  entityId?: string | null;
   name: string;
+  aliases?: string[];
   domain: DeviceDomain;
   state: string;
   area?: string;
+  areas?: string[];
   attributes?: DeviceAttributes;
   deviceClass?: string;
   lastChanged?: number;
+  categories?: string[];
+  severity?: Severity;
 }
 
+// NOTIFY items surface on the dashboard; ALERT items (leaks, smoke, CO,
+// jammed locks) also raise the persistent banner until they clear
+export type Severity = 'ok' | 'notify' | 'alert';
+
 export interface DeviceAttributes {
   brightness?: number;
   temperature?: number;
@@ -32,13 +42,29 @@ export type DeviceDomain =
   | 'climate' 
   | 'media_player'
   | 'lock'
-  | 'scene';
+  | 'scene'
+  | 'script'
+  | 'automation';
 
 export interface DeviceGroup {
   category: string;
   summary: string;
   devices: Device[];
   allOk: boolean;
+  severity?: Severity;
+}
+
+export type DeviceGroupSummary = Omit<DeviceGroup, 'devices'>;
+
+// Category definition from the backend's category rules, in render order
+export interface DashboardCategory {
+  key: string;
+  label: string;
+  severity: Exclude<Severity, 'ok'>;
+  icon: string;
+  title: string;
+  showDevices: 'attention' | 'always';
+  attentionStates: string[];
 }
 
 export interface DashboardMetadata {
@@ -46,13 +72,50 @@ export interface DashboardMetadata {
   lastUpdate: number;
   timeSinceLastUpdate: number;
   lastDiscovery: number;
+  categories?: DashboardCategory[];
 }
 
+// Built-in categories are always present; the rules file may add more
 export interface DashboardState {
+  safety: DeviceGroup;
   doors: DeviceGroup;
   lights: DeviceGroup;
   climate: DeviceGroup;
   security: DeviceGroup;
   media: DeviceGroup;
   metadata?: DashboardMetadata;
-}
\ No newline at end of file
+  [category: string]: DeviceGroup | DashboardMetadata | undefined;
+}
+
+// Socket.io delta protocol: a snapshot on connect/resync, then consecutive patches
+export interface DashboardSnapshot {
+  seq: number;
+  state: DashboardState;
+}
+
+export interface DashboardPatch {
+  seq: number;
+  upserts: Device[];
+  removals: string[];
+  groups: { [category: string]: DeviceGroupSummary };
+  metadata?: DashboardMetadata;
+}
+
+// Lock and cover commands (POST /api/lock-control, /api/cover-control)
+export type SecuredAction = 'lock' | 'unlock' | 'open' | 'close' | 'stop';
+
+// Unlocking and opening need the backend's PIN or an explicit confirmation
+export interface ControlGuardInput {
+  pin?: string;
+  confirm?: boolean;
+}
+
+// POST /api/set-light; at most one of hs/rgb/kelvin/mireds
+export interface LightSettings {
+  brightness?: number; // 0-100
+  hs?: [number, number]; // hue 0-360, saturation 0-100
+  rgb?: [number, number, number];
+  kelvin?: number;
+  mireds?: number;
+  effect?: string;
+}
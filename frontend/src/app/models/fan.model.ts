@@ -0,0 +1,30 @@
+// Fan control sheet (GET /api/fan/:deviceId)
+export type FanDirection = 'forward' | 'reverse';
+
+export interface FanState {
+  id: string;
+  name: string;
+  state: string;
+  percentage: number | null;
+  // From percentage_step (or speed_count); speeds are multiples of it
+  percentageStep: number;
+  presetMode: string | null;
+  presetModes: string[];
+  oscillating: boolean | null;
+  direction: FanDirection | null;
+  // What the fan's supported_features allow
+  features: {
+    speed: boolean;
+    oscillate: boolean;
+    direction: boolean;
+    preset: boolean;
+  };
+}
+
+export interface FanSettings {
+  // 0 turns the fan off
+  percentage?: number;
+  presetMode?: string;
+  oscillating?: boolean;
+  direction?: FanDirection;
+}
@@ -0,0 +1,51 @@
+// Trend series from GET /api/history/aggregate. Thermostats report temperature
+// (actual), setpoint and humidity; sensors report temperature, humidity or a
+// plain value depending on their device class.
+export type TrendMetricKey = 'temperature' | 'humidity' | 'setpoint' | 'value';
+
+// One interval bucket; nulls where there was no data (entity unavailable)
+export interface TrendPoint {
+  at: number;
+  min: number | null;
+  max: number | null;
+  avg: number | null;
+}
+
+export interface TrendMetric {
+  min: number | null;
+  max: number | null;
+  avg: number | null;
+  current: number | null;
+  points: TrendPoint[];
+}
+
+export type TrendMetrics = Partial<Record<TrendMetricKey, TrendMetric>>;
+
+export interface EntityTrend {
+  entityId: string;
+  name: string;
+  area: string | null;
+  domain: string;
+  metrics: TrendMetrics;
+}
+
+export interface AreaTrend {
+  name: string;
+  metrics: TrendMetrics;
+}
+
+export interface TrendResponse {
+  from: number;
+  to: number;
+  interval: number;
+  entities: EntityTrend[];
+  area?: AreaTrend;
+}
+
+export interface TrendQuery {
+  entities?: string[];
+  area?: string;
+  from?: number;
+  to?: number;
+  interval?: string;
+}
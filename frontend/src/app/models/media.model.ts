@@ -0,0 +1,56 @@
+// Media player remote (GET /api/media/:deviceId)
+export type MediaAction =
+  | 'play' | 'pause' | 'next' | 'previous' | 'stop'
+  | 'volume' | 'volume_up' | 'volume_down' | 'mute'
+  | 'source' | 'sound_mode' | 'seek'
+  | 'turn_on' | 'turn_off';
+
+export interface MediaOptions {
+  volume?: number;
+  muted?: boolean;
+  source?: string;
+  soundMode?: string;
+  // Seconds
+  position?: number;
+}
+
+// What the player's supported_features allow
+export interface MediaFeatures {
+  pause: boolean;
+  seek: boolean;
+  volume: boolean;
+  mute: boolean;
+  previous: boolean;
+  next: boolean;
+  turnOn: boolean;
+  turnOff: boolean;
+  volumeStep: boolean;
+  source: boolean;
+  stop: boolean;
+  play: boolean;
+  soundMode: boolean;
+}
+
+export interface MediaState {
+  id: string;
+  name: string;
+  state: string;
+  title: string | null;
+  artist: string | null;
+  album: string | null;
+  app: string | null;
+  // Seconds; position as of positionUpdatedAt (epoch ms)
+  duration: number | null;
+  position: number | null;
+  positionUpdatedAt: number | null;
+  // 0-100
+  volume: number | null;
+  muted: boolean | null;
+  source: string | null;
+  sources: string[];
+  soundMode: string | null;
+  soundModes: string[];
+  // Changes with the track; null when there's no picture
+  artworkId: string | null;
+  features: MediaFeatures;
+}
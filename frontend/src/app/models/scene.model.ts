@@ -0,0 +1,25 @@
+// Scene browser entries (GET /api/scenes)
+export type RoutineDomain = 'scene' | 'script' | 'automation';
+
+export interface Routine {
+  id: string;
+  name: string;
+  domain: RoutineDomain;
+  area: string;
+  state: string;
+  // Last activation (scenes) or trigger (scripts, automations), epoch ms
+  lastActivated: number | null;
+  // Automations only
+  enabled?: boolean;
+}
+
+export interface SceneArea {
+  name: string;
+  scenes: Routine[];
+  scripts: Routine[];
+  automations: Routine[];
+}
+
+export interface SceneState {
+  areas: SceneArea[];
+}
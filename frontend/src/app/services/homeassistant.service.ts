@@ -1,61 +1,154 @@
 import { Injectable } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
-import { Observable, BehaviorSubject, interval } from 'rxjs';
-import { Device, DashboardState, DeviceGroup } from '../models/device.model';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable, BehaviorSubject, Subject, merge, of } from 'rxjs';
+import { debounceTime, map, switchMap } from 'rxjs/operators';
+import { io, Socket } from 'socket.io-client';
+import {
+  Device,
+  DashboardState,
+  DashboardMetadata,
+  DashboardPatch,
+  DashboardSnapshot,
+  DeviceGroup,
+  DeviceGroupSummary,
+  ControlGuardInput,
+  LightSettings,
+  SecuredAction
+} from '../models/device.model';
+import { AlertSuppression, Escalation } from '../models/alert.model';
+import { TrendQuery, TrendResponse } from '../models/history.model';
+import { Area, AreaState } from '../models/area.model';
+import { Camera, CameraEvent, CameraPtzAction, DoorbellAction, DoorbellVisit } from '../models/camera.model';
+import { SceneState } from '../models/scene.model';
+import { ClimateSettings, ClimateState } from '../models/climate.model';
+import { MediaAction, MediaOptions, MediaState } from '../models/media.model';
+import { FanSettings, FanState } from '../models/fan.model';
+
+// Used until the backend's category list arrives in metadata
+const DEFAULT_GROUP_KEYS = ['safety', 'doors', 'lights', 'climate', 'security', 'media'];
+
+// Patches carry these too; they belong to the scene browser, not the device groups
+const ROUTINE_DOMAINS = ['scene', 'script', 'automation'];
+const FAVORITE_SCENES_KEY = 'dashboard.favoriteScenes';
 
 @Injectable({
   providedIn: 'root'
 })
 export class HomeAssistantService {
-  private readonly apiUrl = 'http://localhost:3000/api';
+  private readonly serverUrl = 'http://localhost:3000';
+  private readonly apiUrl = `${this.serverUrl}/api`;
   private dashboardState$ = new BehaviorSubject<DashboardState | null>(null);
   private connected$ = new BehaviorSubject<boolean>(false);
+  private alerts$ = new BehaviorSubject<Escalation[]>([]);
+  private suppressions$ = new BehaviorSubject<AlertSuppression[]>([]);
+  private doorbellRings$ = new BehaviorSubject<DoorbellVisit[]>([]);
+  private routineChanges$ = new Subject<void>();
+  private favoriteScenes$ = new BehaviorSubject<string[]>(this.loadFavoriteScenes());
+  private socket!: Socket;
+
+  // Local replica of the backend state, kept current by snapshots and patches
+  private seq: number | null = null;
+  private devices = new Map<string, Device>();
+  private groupSummaries: { [category: string]: DeviceGroupSummary } = {};
+  private metadata?: DashboardMetadata;
 
   constructor(private http: HttpClient) {
     this.initializeConnection();
-    this.startPeriodicUpdate();
   }
 
   private initializeConnection(): void {
-    this.loadDashboardState().subscribe({
-      next: (state) => {
-        this.dashboardState$.next(state);
-        this.connected$.next(true);
-      },
-      error: (error) => {
-        if (error.status === 503) {
-          console.log('MCP connection initializing, will retry automatically...');
-          // Don't mark as disconnected, let periodic updates handle retry
-        } else {
-          console.error('Failed to connect to Home Assistant:', error);
-          this.connected$.next(false);
-        }
-      }
+    this.socket = io(this.serverUrl);
+
+    this.socket.on('connect', () => {
+      // The backend sends a snapshot on every (re)connect
+      this.connected$.next(true);
     });
+
+    this.socket.on('disconnect', () => {
+      this.seq = null;
+      this.connected$.next(false);
+    });
+
+    this.socket.on('dashboard-snapshot', (snapshot: DashboardSnapshot) => this.applySnapshot(snapshot));
+    this.socket.on('dashboard-patch', (patch: DashboardPatch) => this.applyPatch(patch));
+    this.socket.on('alerts-update', (alerts: Escalation[]) => this.alerts$.next(alerts));
+    this.socket.on('alert-suppressions', (suppressions: AlertSuppression[]) => this.suppressions$.next(suppressions));
+    this.socket.on('doorbell-rings', (rings: DoorbellVisit[]) => this.doorbellRings$.next(rings));
   }
 
-  private startPeriodicUpdate(): void {
-    interval(100).subscribe(() => {
-      this.loadDashboardState().subscribe({
-        next: (state) => {
-          this.dashboardState$.next(state);
-          this.connected$.next(true);
-        },
-        error: (error) => {
-          if (error.status === 503) {
-            console.log('MCP connection initializing, retrying...');
-            // Don't mark as disconnected during initialization
-          } else {
-            console.error('Update failed:', error);
-            this.connected$.next(false);
-          }
-        }
+  private applySnapshot(snapshot: DashboardSnapshot): void {
+    this.devices.clear();
+    this.groupSummaries = {};
+    this.metadata = snapshot.state.metadata;
+
+    this.getGroupKeys().forEach(key => {
+      const group = snapshot.state[key] as DeviceGroup | undefined;
+      if (!group) return;
+
+      const { devices, ...summary } = group;
+      this.groupSummaries[key] = summary;
+
+      devices.forEach(device => {
+        const existing = this.devices.get(device.id);
+        const categories = [...(existing?.categories || []), key];
+        this.devices.set(device.id, { ...device, categories });
       });
     });
+
+    this.seq = snapshot.seq;
+    this.publishState();
   }
 
-  private loadDashboardState(): Observable<DashboardState> {
-    return this.http.get<DashboardState>(`${this.apiUrl}/dashboard-state`);
+  private applyPatch(patch: DashboardPatch): void {
+    if (this.seq === null || patch.seq <= this.seq) {
+      // Waiting for a snapshot, or the patch is already reflected in the last one
+      return;
+    }
+
+    if (patch.seq !== this.seq + 1) {
+      console.warn(`Dashboard patch gap (expected ${this.seq + 1}, got ${patch.seq}), requesting resync`);
+      this.requestResync();
+      return;
+    }
+
+    const isRoutine = (id: string) => ROUTINE_DOMAINS.includes(id.split('.')[0]);
+    if (patch.upserts.some(device => isRoutine(device.id)) || patch.removals.some(isRoutine)) {
+      this.routineChanges$.next();
+    }
+
+    patch.removals.forEach(id => this.devices.delete(id));
+    patch.upserts
+      .filter(device => !isRoutine(device.id))
+      .forEach(device => this.devices.set(device.id, device));
+    this.groupSummaries = { ...this.groupSummaries, ...patch.groups };
+    this.metadata = patch.metadata || this.metadata;
+
+    this.seq = patch.seq;
+    this.publishState();
+  }
+
+  private requestResync(): void {
+    // Drop patches until the fresh snapshot arrives
+    this.seq = null;
+    this.socket.emit('request-dashboard-state');
+  }
+
+  private getGroupKeys(): string[] {
+    return this.metadata?.categories?.map(category => category.key) || DEFAULT_GROUP_KEYS;
+  }
+
+  private publishState(): void {
+    const allDevices = Array.from(this.devices.values());
+    const state = { metadata: this.metadata } as DashboardState;
+
+    this.getGroupKeys().forEach(key => {
+      state[key] = {
+        ...this.groupSummaries[key],
+        devices: allDevices.filter(device => device.categories?.includes(key))
+      };
+    });
+
+    this.dashboardState$.next(state);
   }
 
   getDashboardState(): Observable<DashboardState | null> {
@@ -66,6 +159,130 @@ export class HomeAssistantService {
     return this.connected$.asObservable();
   }
 
+  getAlerts(): Observable<Escalation[]> {
+    return this.alerts$.asObservable();
+  }
+
+  // Acknowledged/snoozed alert ids, kept in sync across every connected dashboard
+  getSuppressions(): Observable<AlertSuppression[]> {
+    return this.suppressions$.asObservable();
+  }
+
+  acknowledgeAlert(alertId: string, note?: string): Observable<AlertSuppression> {
+    return this.http.post<AlertSuppression>(
+      `${this.apiUrl}/alerts/${encodeURIComponent(alertId)}/ack`,
+      { by: this.getOperatorName(), note }
+    );
+  }
+
+  snoozeAlert(alertId: string, minutes = 30): Observable<AlertSuppression> {
+    return this.http.post<AlertSuppression>(
+      `${this.apiUrl}/alerts/${encodeURIComponent(alertId)}/snooze`,
+      { by: this.getOperatorName(), minutes }
+    );
+  }
+
+  unsnoozeAlert(alertId: string): Observable<any> {
+    return this.http.delete(`${this.apiUrl}/alerts/${encodeURIComponent(alertId)}/snooze`, {
+      body: { by: this.getOperatorName() }
+    });
+  }
+
+  // Recorded as "who" in the alert audit trail
+  getOperatorName(): string {
+    return localStorage.getItem('dashboard.operatorName') || 'Dashboard';
+  }
+
+  setOperatorName(name: string): void {
+    localStorage.setItem('dashboard.operatorName', name.trim());
+  }
+
+  // Devices grouped by Home Assistant area, with a summary per area
+  getAreas(): Observable<AreaState> {
+    return this.http.get<AreaState>(`${this.apiUrl}/areas`);
+  }
+
+  getArea(name: string): Observable<Area> {
+    return this.http.get<Area>(`${this.apiUrl}/areas/${encodeURIComponent(name)}`);
+  }
+
+  // Cameras configured in the backend registry
+  getCameras(): Observable<Camera[]> {
+    return this.http.get<{ cameras: Camera[] }>(`${this.apiUrl}/cameras`).pipe(
+      map(response => response.cameras)
+    );
+  }
+
+  getCameraStreamUrl(camera: Camera): string {
+    return `${this.serverUrl}${camera.streamPath}`;
+  }
+
+  // Latest still of a camera (served from its open stream when there is one)
+  getCameraSnapshotUrl(camera: Camera, width?: number, height?: number): string {
+    const size = width && height ? `?w=${width}&h=${height}` : '';
+    return `${this.serverUrl}${camera.snapshotPath}${size}`;
+  }
+
+  // Recorded motion/person clips of a camera, newest first
+  getCameraEvents(cameraId: string, limit = 20): Observable<CameraEvent[]> {
+    const params = new HttpParams().set('limit', limit);
+    return this.http.get<{ events: CameraEvent[] }>(
+      `${this.apiUrl}/camera/${encodeURIComponent(cameraId)}/events`,
+      { params }
+    ).pipe(map(response => response.events));
+  }
+
+  getCameraEventClipUrl(event: CameraEvent, speed = 1): string {
+    return `${this.serverUrl}${event.clipPath}?speed=${speed}&_t=${Date.now()}`;
+  }
+
+  getCameraEventThumbnailUrl(event: CameraEvent): string {
+    return `${this.serverUrl}${event.thumbnailPath}`;
+  }
+
+  moveCamera(cameraId: string, action: CameraPtzAction): Observable<any> {
+    return this.http.post(`${this.apiUrl}/camera/${encodeURIComponent(cameraId)}/ptz`, { action });
+  }
+
+  gotoCameraPreset(cameraId: string, preset: number): Observable<any> {
+    return this.http.post(`${this.apiUrl}/camera/${encodeURIComponent(cameraId)}/preset/${preset}`, {});
+  }
+
+  // Doorbell cameras with someone at the door right now
+  getDoorbellRings(): Observable<DoorbellVisit[]> {
+    return this.doorbellRings$.asObservable();
+  }
+
+  // Recent visitors of a doorbell camera, newest first
+  getDoorbellVisitors(cameraId: string): Observable<DoorbellVisit[]> {
+    return this.http.get<{ visitors: DoorbellVisit[] }>(
+      `${this.apiUrl}/camera/${encodeURIComponent(cameraId)}/visitors`
+    ).pipe(map(response => response.visitors));
+  }
+
+  getDoorbellSnapshotUrl(visit: DoorbellVisit): string | null {
+    return visit.snapshotPath ? `${this.serverUrl}${visit.snapshotPath}` : null;
+  }
+
+  doorbellAction(cameraId: string, action: DoorbellAction, guard: ControlGuardInput = {}): Observable<any> {
+    return this.http.post(
+      `${this.apiUrl}/camera/${encodeURIComponent(cameraId)}/doorbell/${action}`,
+      { ...guard, by: this.getOperatorName() }
+    );
+  }
+
+  // Min/max/avg trend series for entities or every climate entity in an area
+  getTrends(query: TrendQuery): Observable<TrendResponse> {
+    let params = new HttpParams();
+    if (query.entities?.length) params = params.set('entity', query.entities.join(','));
+    if (query.area) params = params.set('area', query.area);
+    if (query.from !== undefined) params = params.set('from', query.from);
+    if (query.to !== undefined) params = params.set('to', query.to);
+    if (query.interval) params = params.set('interval', query.interval);
+
+    return this.http.get<TrendResponse>(`${this.apiUrl}/history/aggregate`, { params });
+  }
+
   toggleDevice(deviceId: string): Observable<any> {
     return this.http.post(`${this.apiUrl}/toggle-device`, { deviceId });
   }
@@ -74,23 +291,106 @@ export class HomeAssistantService {
     return this.http.post(`${this.apiUrl}/set-brightness`, { deviceId, brightness });
   }
 
+  // Color, color temperature, effect and/or brightness of a light
+  setLight(deviceId: string, settings: LightSettings): Observable<any> {
+    return this.http.post(`${this.apiUrl}/set-light`, { deviceId, ...settings });
+  }
+
   setFanSpeed(deviceId: string, percentage: number): Observable<any> {
     return this.http.post(`${this.apiUrl}/set-fan-speed`, { deviceId, percentage });
   }
 
+  // Speed steps, presets, oscillation and direction of a fan
+  getFan(deviceId: string): Observable<FanState> {
+    return this.http.get<FanState>(`${this.apiUrl}/fan/${encodeURIComponent(deviceId)}`);
+  }
+
+  controlFan(deviceId: string, settings: FanSettings): Observable<any> {
+    return this.http.post(`${this.apiUrl}/fan-control`, { deviceId, ...settings });
+  }
+
   setClimateTemperature(deviceId: string, temperature: number): Observable<any> {
     return this.http.post(`${this.apiUrl}/set-temperature`, { deviceId, temperature });
   }
 
-  controlMediaPlayer(deviceId: string, action: 'play' | 'pause' | 'next' | 'previous'): Observable<any> {
-    return this.http.post(`${this.apiUrl}/media-control`, { deviceId, action });
+  // Thermostat modes, presets and setpoints; both answer with the full state
+  getClimate(deviceId: string): Observable<ClimateState> {
+    return this.http.get<ClimateState>(`${this.apiUrl}/climate/${encodeURIComponent(deviceId)}`);
+  }
+
+  controlClimate(deviceId: string, settings: ClimateSettings): Observable<ClimateState> {
+    return this.http.post<ClimateState>(`${this.apiUrl}/climate-control`, { deviceId, ...settings });
+  }
+
+  // Now playing, volume, sources and the controls the player supports
+  getMedia(deviceId: string): Observable<MediaState> {
+    return this.http.get<MediaState>(`${this.apiUrl}/media/${encodeURIComponent(deviceId)}`);
+  }
+
+  // Album art through the backend; artworkId changes with the track
+  getMediaArtworkUrl(media: MediaState): string | null {
+    return media.artworkId ? `${this.apiUrl}/media/${encodeURIComponent(media.id)}/artwork?v=${media.artworkId}` : null;
+  }
+
+  controlMediaPlayer(deviceId: string, action: MediaAction, options: MediaOptions = {}): Observable<any> {
+    return this.http.post(`${this.apiUrl}/media-control`, { deviceId, action, ...options });
+  }
+
+  // Locks and covers; unlock/open answer 403 { requires: 'pin' | 'confirm' }
+  // until the guard is included
+  controlSecuredDevice(device: Device, action: SecuredAction, guard: ControlGuardInput = {}): Observable<any> {
+    const route = device.domain === 'lock' ? 'lock-control' : 'cover-control';
+    return this.http.post(`${this.apiUrl}/${route}`, {
+      deviceId: device.id,
+      action,
+      ...guard,
+      by: this.getOperatorName()
+    });
+  }
+
+  // Scenes, scripts and automations by area
+  getScenes(): Observable<SceneState> {
+    return this.http.get<SceneState>(`${this.apiUrl}/scenes`);
+  }
+
+  // getScenes() now and again whenever one of them changes
+  watchScenes(): Observable<SceneState> {
+    return merge(of(undefined), this.routineChanges$.pipe(debounceTime(500))).pipe(
+      switchMap(() => this.getScenes())
+    );
   }
 
+  // Scenes and scripts
   activateScene(sceneId: string): Observable<any> {
     return this.http.post(`${this.apiUrl}/activate-scene`, { sceneId });
   }
 
+  setAutomationEnabled(automationId: string, enabled: boolean): Observable<any> {
+    return this.http.post(`${this.apiUrl}/set-automation`, { automationId, enabled });
+  }
+
+  // Favorite scenes/scripts are per dashboard, like the operator name
+  getFavoriteScenes(): Observable<string[]> {
+    return this.favoriteScenes$.asObservable();
+  }
+
+  setFavoriteScene(sceneId: string, favorite: boolean): void {
+    const favorites = this.favoriteScenes$.value.filter(id => id !== sceneId);
+    if (favorite) favorites.push(sceneId);
+    localStorage.setItem(FAVORITE_SCENES_KEY, JSON.stringify(favorites));
+    this.favoriteScenes$.next(favorites);
+  }
+
+  private loadFavoriteScenes(): string[] {
+    try {
+      const favorites = JSON.parse(localStorage.getItem(FAVORITE_SCENES_KEY) || '[]');
+      return Array.isArray(favorites) ? favorites : [];
+    } catch {
+      return [];
+    }
+  }
+
   refreshDevices(): Observable<any> {
     return this.http.post(`${this.apiUrl}/refresh-devices`, {});
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,89 @@
+import { Device, SecuredAction } from '../models/device.model';
+
+// Material icon for a device card, shared by the dashboard and the area views
+export function getDeviceIcon(device: Device): string {
+  switch (device.domain) {
+    case 'light':
+      return device.state === 'on' ? 'lightbulb' : 'lightbulb_outline';
+    case 'switch':
+      return device.state === 'on' ? 'power' : 'power_off';
+    case 'fan':
+      return 'air';
+    case 'cover':
+      return device.attributes?.deviceClass === 'garage' ? 'garage' : 
+             device.state === 'open' ? 'sensor_door' : 'door_front';
+    case 'lock':
+      if (device.state === 'jammed') return 'lock_reset';
+      return device.state === 'locked' ? 'lock' : 'lock_open';
+    case 'binary_sensor':
+      if (device.attributes?.['device_class'] === 'moisture') return 'water_damage';
+      if (device.attributes?.['device_class'] === 'smoke') return 'local_fire_department';
+      if (device.attributes?.['device_class'] === 'carbon_monoxide') return 'co2';
+      if (device.attributes?.deviceClass === 'motion') return 'directions_run';
+      if (device.attributes?.deviceClass === 'opening') return 'sensor_door';
+      return 'sensors';
+    case 'sensor':
+      if (device.attributes?.deviceClass === 'temperature') return 'thermostat';
+      if (device.attributes?.deviceClass === 'humidity') return 'water_drop';
+      return 'sensors';
+    case 'climate':
+      return 'thermostat';
+    case 'media_player':
+      if (device.attributes?.deviceClass === 'tv') return 'tv';
+      if (device.attributes?.deviceClass === 'speaker') return 'speaker';
+      return 'play_circle';
+    case 'scene':
+      return 'palette';
+    default:
+      return 'device_unknown';
+  }
+}
+
+// Devices a tap toggles (or activates, for scenes)
+export function isToggleableDevice(device: Device): boolean {
+  return ['light', 'switch', 'fan', 'scene'].includes(device.domain);
+}
+
+export interface LightCapabilities {
+  brightness: boolean;
+  color: boolean;
+  temperature: boolean;
+  minKelvin: number;
+  maxKelvin: number;
+  effects: string[];
+}
+
+const COLOR_WHEEL_MODES = ['hs', 'xy', 'rgb', 'rgbw', 'rgbww'];
+
+// What a light's control sheet offers, from its supported_color_modes (just
+// brightness when it doesn't report them); null for other devices
+export function getLightCapabilities(device: Device): LightCapabilities | null {
+  if (device.domain !== 'light') return null;
+
+  const attributes = device.attributes || {};
+  const modes: string[] | null = Array.isArray(attributes['supported_color_modes']) ? attributes['supported_color_modes'] : null;
+  const minMireds = attributes['min_mireds'];
+  const maxMireds = attributes['max_mireds'];
+
+  return {
+    brightness: !modes || modes.some(mode => mode !== 'onoff'),
+    color: !!modes && modes.some(mode => COLOR_WHEEL_MODES.includes(mode)),
+    temperature: !!modes && modes.includes('color_temp'),
+    minKelvin: attributes['min_color_temp_kelvin'] ?? (maxMireds ? Math.round(1000000 / maxMireds) : 2000),
+    maxKelvin: attributes['max_color_temp_kelvin'] ?? (minMireds ? Math.round(1000000 / minMireds) : 6500),
+    effects: Array.isArray(attributes['effect_list']) ? attributes['effect_list'] : []
+  };
+}
+
+// What a tap does on a lock or cover (the backend guards unlock/open); null
+// for every other device
+export function getSecuredAction(device: Device): SecuredAction | null {
+  if (device.domain === 'lock') {
+    return device.state === 'locked' ? 'unlock' : 'lock';
+  }
+  if (device.domain === 'cover') {
+    if (device.state === 'opening' || device.state === 'closing') return 'stop';
+    return device.state === 'closed' ? 'open' : 'close';
+  }
+  return null;
+}
@@ -0,0 +1,65 @@
+import { HttpErrorResponse } from '@angular/common/http';
+import { MatDialog } from '@angular/material/dialog';
+import { EMPTY, Observable, throwError } from 'rxjs';
+import { catchError, switchMap } from 'rxjs/operators';
+
+import { ControlGuardInput, Device, SecuredAction } from '../models/device.model';
+import { HomeAssistantService } from '../services/homeassistant.service';
+import { ControlConfirmDialogComponent, ControlConfirmData } from '../components/control-confirm-dialog/control-confirm-dialog.component';
+
+// Sends a lock/cover request. When the backend asks for the PIN or a
+// confirmation (403 with `requires`), prompts for it and sends the request
+// again; a wrong PIN prompts again with the backend's message. Completes
+// without a value if the prompt is cancelled.
+export function runGuarded<T>(
+  dialog: MatDialog,
+  prompt: { title: string; message: string },
+  request: (guard: ControlGuardInput) => Observable<T>
+): Observable<T> {
+  const attempt = (guard: ControlGuardInput): Observable<T> => request(guard).pipe(
+    catchError((error: HttpErrorResponse) => {
+      const requires = error.status === 403 ? error.error?.requires : null;
+      if (requires !== 'pin' && requires !== 'confirm') {
+        return throwError(() => error);
+      }
+
+      const data: ControlConfirmData = {
+        ...prompt,
+        requires,
+        error: guard.pin || guard.confirm ? error.error?.error : undefined
+      };
+      return dialog.open(ControlConfirmDialogComponent, { data, autoFocus: false })
+        .afterClosed()
+        .pipe(switchMap(result => {
+          if (!result) return EMPTY;
+          return attempt(typeof result === 'string' ? { pin: result } : { confirm: true });
+        }));
+    })
+  );
+
+  return attempt({});
+}
+
+export const SECURED_ACTION_LABELS: Record<SecuredAction, string> = {
+  lock: 'Locking',
+  unlock: 'Unlocking',
+  open: 'Opening',
+  close: 'Closing',
+  stop: 'Stopping'
+};
+
+// Lock/cover card tap. Only unlock and open are guarded, so the prompt is
+// worded for those two.
+export function controlSecuredDevice(
+  dialog: MatDialog,
+  haService: HomeAssistantService,
+  device: Device,
+  action: SecuredAction
+): Observable<any> {
+  const verb = action === 'unlock' ? 'Unlock' : 'Open';
+  return runGuarded(
+    dialog,
+    { title: `${verb} ${device.name}?`, message: 'This is recorded in the audit trail.' },
+    guard => haService.controlSecuredDevice(device, action, guard)
+  );
+}
@@ -0,0 +1,58 @@
+import { Observable } from 'rxjs';
+import { distinctUntilChanged } from 'rxjs/operators';
+
+const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g'];
+
+// The parts of the Network Information and Battery Status APIs used here;
+// neither is in TypeScript's DOM typings.
+interface NetworkInformation extends EventTarget {
+  type?: string;
+  saveData?: boolean;
+  effectiveType?: string;
+}
+
+interface BatteryManager extends EventTarget {
+  charging: boolean;
+}
+
+type NavigatorWithPower = Navigator & {
+  connection?: NetworkInformation;
+  getBattery?: () => Promise<BatteryManager>;
+};
+
+// True while the device is on a cellular/slow/data-saver connection or running
+// on battery. The Network Information and Battery Status APIs are missing in
+// some browsers (Safari has neither); without them this stays false.
+export function watchLowBandwidth(): Observable<boolean> {
+  return new Observable<boolean>(subscriber => {
+    const nav = navigator as NavigatorWithPower;
+    const connection = nav.connection;
+    let battery: BatteryManager | null = null;
+
+    const update = () => {
+      const cellular = !!connection && (
+        connection.type === 'cellular' ||
+        connection.saveData === true ||
+        SLOW_CONNECTIONS.includes(connection.effectiveType ?? '')
+      );
+      subscriber.next(cellular || (!!battery && battery.charging === false));
+    };
+
+    connection?.addEventListener('change', update);
+    nav.getBattery?.()
+      .then(status => {
+        battery = status;
+        status.addEventListener('chargingchange', update);
+        update();
+      })
+      .catch(() => {
+        // Battery status unavailable
+      });
+    update();
+
+    return () => {
+      connection?.removeEventListener('change', update);
+      battery?.removeEventListener('chargingchange', update);
+    };
+  }).pipe(distinctUntilChanged());
+}